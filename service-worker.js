@@ -0,0 +1,253 @@
+/**
+ * Service Worker
+ * Precaches the app shell and the conference data so the schedule keeps working on bad venue Wi-Fi
+ *
+ * - App shell (HTML, CSS, JS modules, icons): cache first. CACHE_VERSION is stamped with the commit
+ *   by the deploy workflow, so every deployment installs a fresh cache.
+ * - Conference index and data files (src/data/*.json): stale-while-revalidate. The index and the default
+ *   conference are saved on install, other conferences once they were opened. Open pages are told when
+ *   a fresh copy was fetched.
+ *   Their own checks for schedule updates (cache: 'no-cache') go to the network.
+ *
+ * All paths are relative to this file, so the worker also runs under /<repository>/ on GitHub Pages.
+ * Add new modules to APP_SHELL_PATHS, or they won't be available offline.
+ */
+
+// Constants
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'conference-app-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const DATA_DIRECTORY = 'src/data/';
+const PRECACHED_DATA_PATHS = ['src/data/conferences.json', 'src/data/conference-data.json'];
+const FETCHED_AT_HEADER = 'X-Fetched-At'; // When the cached copy was fetched from the network
+const APP_SHELL_PATHS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'src/css/styles.css',
+    'src/icons/icon-192.png',
+    'src/icons/icon-512.png',
+    'src/js/app.js',
+    'src/js/locales/en.js',
+    'src/js/locales/nl.js',
+    'src/js/modules/agendaService.js',
+    'src/js/modules/appStore.js',
+    'src/js/modules/calendarExportService.js',
+    'src/js/modules/clockService.js',
+    'src/js/modules/conferenceService.js',
+    'src/js/modules/dataService.js',
+    'src/js/modules/dataValidator.js',
+    'src/js/modules/dateTimeUtils.js',
+    'src/js/modules/domUtils.js',
+    'src/js/modules/eventBus.js',
+    'src/js/modules/feedbackService.js',
+    'src/js/modules/feedbackStorage.js',
+    'src/js/modules/fileDownload.js',
+    'src/js/modules/filterPanelService.js',
+    'src/js/modules/i18nService.js',
+    'src/js/modules/liveScheduleService.js',
+    'src/js/modules/liveStatus.js',
+    'src/js/modules/markdownRenderer.js',
+    'src/js/modules/navigationService.js',
+    'src/js/modules/notificationService.js',
+    'src/js/modules/offlineService.js',
+    'src/js/modules/printProgram.js',
+    'src/js/modules/printService.js',
+    'src/js/modules/routerService.js',
+    'src/js/modules/scheduleEditorService.js',
+    'src/js/modules/scheduleEdits.js',
+    'src/js/modules/scheduleGridRenderer.js',
+    'src/js/modules/scheduleRenderer.js',
+    'src/js/modules/scheduleUpdateService.js',
+    'src/js/modules/searchIndex.js',
+    'src/js/modules/searchQuery.js',
+    'src/js/modules/searchService.js',
+    'src/js/modules/sessionChanges.js',
+    'src/js/modules/sessionDetailService.js',
+    'src/js/modules/sessionFilters.js',
+    'src/js/modules/sessionTypes.js',
+    'src/js/modules/speakerDirectory.js',
+    'src/js/modules/speakerService.js',
+    'src/js/modules/storageService.js',
+    'src/js/modules/tagCloudService.js',
+    'src/js/modules/timeZoneService.js'
+];
+
+/**
+ * Resolves a path relative to the service worker
+ * @param {String} path - The relative path
+ * @returns {String} The absolute URL
+ */
+const toAbsoluteUrl = (path) => new URL(path, self.location).href;
+
+const DATA_DIRECTORY_URL = toAbsoluteUrl(DATA_DIRECTORY);
+
+/**
+ * Checks whether a URL points to the conference index or a conference data file
+ * @param {URL} url - The URL without query string
+ * @returns {Boolean} True for JSON files in the data folder
+ */
+const isDataUrl = (url) => url.href.startsWith(DATA_DIRECTORY_URL) && url.pathname.endsWith('.json');
+
+/**
+ * Copies a response and records when it was fetched
+ * @param {Response} response - The network response
+ * @returns {Promise<Response>} The response with the fetched-at header
+ */
+const stampResponse = async (response) => {
+    const headers = new Headers(response.headers);
+    headers.set(FETCHED_AT_HEADER, new Date().toISOString());
+    
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+};
+
+/**
+ * Fetches a data file from the network and stores it in the cache
+ * @param {Cache} cache - The cache to store the data in
+ * @param {String} dataUrl - The URL of the data file
+ * @returns {Promise<Response>} The fresh response, only cached when successful
+ */
+const fetchAndCacheData = async (cache, dataUrl) => {
+    const response = await fetch(dataUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+        return response;
+    }
+    
+    const stampedResponse = await stampResponse(response);
+    await cache.put(dataUrl, stampedResponse.clone());
+    return stampedResponse;
+};
+
+/**
+ * Tells every open page that a fresh copy of a data file was fetched
+ * @param {String} dataUrl - The URL of the data file
+ * @param {Response} freshResponse - The response that was just fetched
+ * @param {Response} cachedResponse - The response that was served from the cache
+ */
+const notifyClients = async (dataUrl, freshResponse, cachedResponse) => {
+    const changed = (await freshResponse.clone().text()) !== (await cachedResponse.clone().text());
+    const message = {
+        type: 'conference-data-fetched',
+        url: dataUrl,
+        fetchedAt: freshResponse.headers.get(FETCHED_AT_HEADER),
+        changed
+    };
+    
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+};
+
+/**
+ * Answers with the cached data file at once and refreshes the cache in the background
+ * @param {FetchEvent} event - The fetch event for the data file
+ * @param {String} dataUrl - The URL of the data file
+ * @returns {Promise<Response>} The cached response, or the network response if nothing is cached yet
+ */
+const staleWhileRevalidate = async (event, dataUrl) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match(dataUrl);
+    
+    const revalidation = fetchAndCacheData(cache, dataUrl).then(async (freshResponse) => {
+        if (cachedResponse && freshResponse.ok) {
+            await notifyClients(dataUrl, freshResponse, cachedResponse);
+        }
+        return freshResponse;
+    });
+    
+    if (cachedResponse) {
+        // Offline the refresh fails, and the cached copy is all there is
+        event.waitUntil(revalidation.catch(error => console.warn('Could not refresh conference data:', error)));
+        return cachedResponse.clone();
+    }
+    return revalidation;
+};
+
+/**
+ * Passes the page's own check for a new schedule to the network and saves a new copy
+ * @param {Request} request - The conditional request for the data file
+ * @param {String} dataUrl - The URL of the data file
+ * @returns {Promise<Response>} The network response, 304 if the data is unchanged
+ */
+const revalidateFromNetwork = async (request, dataUrl) => {
+    const response = await fetch(request);
+    if (!response.ok) {
+        return response;
+    }
+    
+    const stampedResponse = await stampResponse(response);
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(dataUrl, stampedResponse.clone());
+    return stampedResponse;
+};
+
+/**
+ * Answers from the app shell cache, falling back to the network
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} The response
+ */
+const cacheFirst = async (request) => {
+    // Query strings such as ?now= don't change the files
+    const cachedResponse = await caches.match(request, { ignoreSearch: true });
+    if (cachedResponse) {
+        return cachedResponse;
+    }
+    
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Any page of the app is index.html, e.g. when the URL has a different path
+        if (request.mode === 'navigate') {
+            return caches.match(toAbsoluteUrl('index.html'));
+        }
+        throw error;
+    }
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL_PATHS.map(toAbsoluteUrl));
+        
+        // A single conference setup has no index, so a missing file doesn't stop the install
+        await Promise.all(PRECACHED_DATA_PATHS.map(path => fetchAndCacheData(cache, toAbsoluteUrl(path))));
+        
+        // Take over from the previous version at once, its pages have loaded all modules already
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Remove the caches of earlier versions
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(cacheName => cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME)
+            .map(cacheName => caches.delete(cacheName)));
+        
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const requestUrl = new URL(request.url);
+    
+    if (request.method !== 'GET' || requestUrl.origin !== self.location.origin) {
+        return;
+    }
+    
+    if (isDataUrl(requestUrl)) {
+        const dataUrl = `${requestUrl.origin}${requestUrl.pathname}`;
+        
+        // The page asks for a fresh copy when it checks for schedule updates
+        event.respondWith(request.cache === 'no-cache'
+            ? revalidateFromNetwork(request, dataUrl)
+            : staleWhileRevalidate(event, dataUrl));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
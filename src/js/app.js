@@ -1,10 +1,27 @@
 // Main application entry point
 import { fetchConferenceData } from './modules/dataService.js';
-import { renderSchedule, filterSessionsByTag } from './modules/scheduleRenderer.js';
+import { ConferenceDataError } from './modules/dataValidator.js';
+import { renderSchedule, setupLayoutToggle } from './modules/scheduleRenderer.js';
+import { setupFilterPanel, addTagFilter } from './modules/filterPanelService.js';
 import { setupSearch } from './modules/searchService.js';
 import { setupTabNavigation } from './modules/navigationService.js';
 import { setupSessionDetails } from './modules/sessionDetailService.js';
-import { setupTagCloud, resetTagFilter } from './modules/tagCloudService.js';
+import { setupTagCloud } from './modules/tagCloudService.js';
+import { setupSpeakers } from './modules/speakerService.js';
+import { setupMySchedule } from './modules/agendaService.js';
+import { setupPrintProgram } from './modules/printService.js';
+import { setupLiveSchedule } from './modules/liveScheduleService.js';
+import { setupRouter } from './modules/routerService.js';
+import { registerServiceWorker, setupConnectionStatus } from './modules/offlineService.js';
+import { setupScheduleUpdates } from './modules/scheduleUpdateService.js';
+import { loadActiveConference, setupConferenceSwitcher } from './modules/conferenceService.js';
+import { loadLanguage, setupLanguageSwitcher, t } from './modules/i18nService.js';
+import { setupTimeZone } from './modules/timeZoneService.js';
+import { setupFeedback } from './modules/feedbackService.js';
+import { setupScheduleEditor, isScheduleEditMode } from './modules/scheduleEditorService.js';
+import { createElement } from './modules/domUtils.js';
+import { setupNotifications } from './modules/notificationService.js';
+import { EVENTS, on } from './modules/eventBus.js';
 
 // Constants
 const APP_INIT_DELAY = 100; // Small delay to ensure DOM is fully loaded
@@ -15,7 +32,19 @@ const VERSION = '1.1.0'; // Application version with tag cloud feature
  * Loads data and sets up UI components
  */
 const initApp = async () => {
+    // Register first, so the app is saved for offline use even if this visit fails
+    registerServiceWorker();
+    setupNotifications();
+    
+    // Translate the page first, so even error messages are in the user's language
+    loadLanguage();
+    setupLanguageSwitcher();
+    
     try {
+        // Pick the conference from the URL, the switcher also helps when its data fails to load
+        await loadActiveConference();
+        setupConferenceSwitcher();
+        
         // Fetch conference data
         const conferenceData = await fetchConferenceData();
         
@@ -23,35 +52,119 @@ const initApp = async () => {
             throw new Error('Failed to load conference data');
         }
         
+        // Times are placed in the venue's time zone before anything shows them
+        setupTimeZone(conferenceData);
+        
+        // Organizers edit the schedule with ?edit; sessions are then rendered draggable
+        await setupScheduleEditor(conferenceData);
+        
         // Set up UI components
+        renderConferenceName(conferenceData);
+        on(EVENTS.CONFERENCE_DATA_UPDATED, () => renderConferenceName(conferenceData));
+        setupConnectionStatus();
         setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
         renderSchedule(conferenceData);
+        setupFilterPanel(conferenceData);
         setupSearch(conferenceData);
         setupSessionDetails(conferenceData);
+        setupFeedback(conferenceData);
         
         // Set up tag cloud
         const tagCloudContainer = document.getElementById('tag-cloud-container');
         setupTagCloud(conferenceData, tagCloudContainer);
         
-        // Setup tag filter event listener
-        document.addEventListener('filter-by-tag', (event) => {
-            const tag = event.detail.tag;
-            filterSessionsByTag(tag, conferenceData);
-        });
+        // Set up the speaker directory
+        const speakersContainer = document.getElementById('speakers-container');
+        setupSpeakers(conferenceData, speakersContainer);
+        
+        // Set up personal agenda
+        const myScheduleContainer = document.getElementById('my-schedule-container');
+        setupMySchedule(conferenceData, myScheduleContainer);
+        
+        // Set up the live view of running and upcoming sessions
+        const nowNextContainer = document.getElementById('now-next-container');
+        setupLiveSchedule(conferenceData, nowNextContainer);
         
-        // Setup reset tag filter event listener
-        document.addEventListener('reset-tag-filter', () => {
-            resetTagFilter();
+        // Print the program of all days or of My Schedule on paper or as PDF
+        setupPrintProgram(conferenceData);
+        
+        // Topics picked in the tag cloud are added to the schedule filters
+        on(EVENTS.FILTER_BY_TAG, ({ tag }) => {
+            addTagFilter(tag);
         });
         
+        // Restore the view from the URL and keep the URL up to date
+        setupRouter(conferenceData);
+        
+        // Pick up changes organizers make to the schedule during the conference, unless they are editing it here
+        setupScheduleUpdates(conferenceData, { checkForUpdates: !isScheduleEditMode() });
+        
         console.log('Conference app initialized successfully');
     } catch (error) {
         console.error('Application initialization failed:', error);
-        document.getElementById('schedule-content').innerHTML = 
-            `<div class="error-message">Failed to load conference data. Please try again later.</div>`;
+        const scheduleContent = document.getElementById('schedule-content');
+        
+        if (error instanceof ConferenceDataError) {
+            scheduleContent.replaceChildren(createDiagnosticsPanel(error));
+        } else {
+            const message = navigator.onLine ? t('app.loadError') : t('app.offlineError');
+            scheduleContent.replaceChildren(createElement('div', { className: 'error-message', text: message }));
+        }
     }
 };
 
+/**
+ * Shows the conference name from the data in the header and the page title
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const renderConferenceName = (conferenceData) => {
+    if (!conferenceData.conferenceName) {
+        return;
+    }
+    
+    document.getElementById('conference-name').textContent = conferenceData.conferenceName;
+    document.title = t('app.documentTitle', { conferenceName: conferenceData.conferenceName });
+};
+
+/**
+ * Creates a panel listing every problem found in the conference data
+ * @param {ConferenceDataError} error - The validation error with its issues
+ * @returns {HTMLElement} The diagnostics panel element
+ */
+const createDiagnosticsPanel = (error) => {
+    const panelElement = document.createElement('div');
+    panelElement.classList.add('error-message', 'data-diagnostics');
+    panelElement.setAttribute('role', 'alert');
+    
+    const headingElement = document.createElement('h2');
+    headingElement.textContent = t('diagnostics.heading');
+    panelElement.appendChild(headingElement);
+    
+    const summaryElement = document.createElement('p');
+    summaryElement.textContent = t('diagnostics.summary', { message: error.message });
+    panelElement.appendChild(summaryElement);
+    
+    const issueList = document.createElement('ul');
+    error.issues.forEach(issue => {
+        const issueItem = document.createElement('li');
+        issueItem.classList.add(`diagnostic-${issue.severity}`);
+        
+        const severityElement = document.createElement('span');
+        severityElement.classList.add('diagnostic-severity');
+        severityElement.textContent = t(`diagnostics.${issue.severity}`);
+        
+        const pathElement = document.createElement('code');
+        pathElement.textContent = issue.path;
+        
+        issueItem.append(severityElement, pathElement, ` ${issue.message}`);
+        issueList.appendChild(issueItem);
+    });
+    panelElement.appendChild(issueList);
+    
+    return panelElement;
+};
+
 // Initialize the app with a small delay to ensure DOM is fully loaded
 window.addEventListener('DOMContentLoaded', () => {
     setTimeout(initApp, APP_INIT_DELAY);
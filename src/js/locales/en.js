@@ -0,0 +1,331 @@
+/**
+ * English Messages
+ * The texts of the user interface in English, the language every other catalog falls back to
+ */
+export default {
+    'app.title': 'Conference Schedule',
+    'app.skipLink': 'Skip to schedule',
+    'app.defaultConferenceName': 'My Conference',
+    'app.documentTitle': '{conferenceName} - Schedule',
+    'app.offlineError': 'You are offline and the schedule has not been saved on this device yet. Connect to the internet once to use it offline.',
+    'app.loadError': 'Failed to load conference data. Please try again later.',
+    
+    'conference.label': 'Conference',
+    'conference.defaultName': 'the default conference',
+    'conference.notFound': 'Conference "{requestedId}" was not found, showing {shownName} instead.',
+    
+    'language.label': 'Language',
+    'language.storagePurpose': 'You are choosing the language of the app.',
+    
+    'search.placeholder': 'Search sessions... (try speaker:chen or tag:AI)',
+    'search.label': 'Search sessions',
+    'search.resultsLabel': 'Search results',
+    'search.noResults': 'No matching sessions found',
+    'search.matchingSessions': 'Matching sessions',
+    'search.resultStatus': {
+        one: '{count} matching session, use the arrow keys to choose',
+        other: '{count} matching sessions, use the arrow keys to choose'
+    },
+    'search.showAll': {
+        one: 'Show {count} result',
+        other: 'Show all {count} results'
+    },
+    'search.resultsHeading': {
+        one: '{count} result for "{query}"',
+        other: '{count} results for "{query}"'
+    },
+    
+    'tabs.label': 'Schedule views',
+    'tabs.nowNext': 'Now & Next',
+    'tabs.topics': 'Topics',
+    'tabs.speakers': 'Speakers',
+    'tabs.mySchedule': 'My Schedule',
+    
+    'layout.label': 'Schedule layout',
+    'layout.list': 'List',
+    'layout.grid': 'Grid by room',
+    'layout.storagePurpose': 'You are choosing how the schedule is laid out.',
+    
+    'filters.summary': 'Filter sessions',
+    'filters.tags': 'Topics',
+    'filters.tag': 'Topic',
+    'filters.rooms': 'Rooms',
+    'filters.room': 'Room',
+    'filters.types': 'Session types',
+    'filters.type': 'Type',
+    'filters.companies': 'Companies',
+    'filters.company': 'Company',
+    'filters.anyTag': 'Any selected topic',
+    'filters.allTags': 'All selected topics',
+    'filters.resultCount': {
+        one: 'Showing {shownCount} of {count} session',
+        other: 'Showing {shownCount} of {count} sessions'
+    },
+    'filters.clearAll': 'Clear all filters',
+    'filters.removeFilter': 'Remove filter {filter}',
+    
+    'sessionDetail.close': 'Close session details',
+    'sessionDetail.speakerLabel': '{name}, view speaker profile',
+    
+    'diagnostics.heading': 'The conference data could not be loaded',
+    'diagnostics.summary': '{message}. Please fix the problems below in the data file.',
+    'diagnostics.errorCount': {
+        one: 'Conference data contains {count} error',
+        other: 'Conference data contains {count} errors'
+    },
+    'diagnostics.error': 'error',
+    'diagnostics.warning': 'warning',
+    
+    'validation.dataNotObject': 'Conference data must be a JSON object',
+    'validation.conferenceNameMissing': 'Conference name is missing',
+    'validation.unknownTimeZone': 'Unknown time zone {value}, expected an IANA name like "Europe/Amsterdam"; times are shown without a time zone',
+    'validation.invalidFeedbackEndpoint': 'Invalid feedback endpoint {value}, expected a web or relative URL; feedback is kept in the browser',
+    'validation.daysNotArray': 'Days must be a non-empty array',
+    'validation.speakersNotArray': 'Speakers must be an array',
+    'validation.speakerNotObject': 'Speaker must be an object',
+    'validation.speakerIdMissing': 'Speaker ID is missing',
+    'validation.duplicateSpeakerId': 'Duplicate speaker ID "{id}"',
+    'validation.speakerNameMissing': 'Speaker name is missing',
+    'validation.invalidPhoto': 'Photo must be a web address (https://…) or a relative path and was removed',
+    'validation.invalidLinks': 'Links must be an array of { label, url } objects and were removed',
+    'validation.invalidLink': 'Link needs a label and a web address (https://…) and was removed',
+    'validation.dayNotObject': 'Day must be an object',
+    'validation.dayIdMissing': 'Day ID is missing',
+    'validation.duplicateDayId': 'Duplicate day ID "{id}"',
+    'validation.dayNameMissing': 'Day name is missing',
+    'validation.invalidDate': 'Invalid date {value}, expected a date like "July 15, 2025"',
+    'validation.sessionsNotArray': 'Sessions must be an array',
+    'validation.sessionNotObject': 'Session must be an object',
+    'validation.sessionIdMissing': 'Session ID is missing',
+    'validation.duplicateSessionId': 'Duplicate session ID "{id}", also used at {path}',
+    'validation.invalidTime': 'Invalid time {value}, expected hours and minutes like "9:00"',
+    'validation.invalidEndTime': 'Invalid end time {value}, expected hours and minutes like "10:00"',
+    'validation.endTimeNotAfterStart': 'End time "{endTime}" is not after the start time "{time}"',
+    'validation.invalidDuration': 'Invalid duration {value}, expected a positive number of minutes',
+    'validation.durationMismatch': {
+        one: 'Duration of {count} minute doesn\'t match the end time "{endTime}", the end time is used',
+        other: 'Duration of {count} minutes doesn\'t match the end time "{endTime}", the end time is used'
+    },
+    'validation.sessionTitleMissing': 'Session title is missing',
+    'validation.sessionTypeMissing': 'Session type is missing',
+    'validation.unknownSessionType': 'Unknown session type "{type}", expected one of: {types}',
+    'validation.tagsNotArray': 'Tags must be an array of strings',
+    'validation.invalidTag': 'Tag must be a non-empty string and was removed',
+    'validation.duplicateTag': 'Duplicate tag "{tag}" was removed',
+    'validation.notText': 'Expected text but found {type}, the value was removed',
+    'validation.speakerIdsNotArray': 'Speaker IDs must be an array and were removed',
+    'validation.unknownSpeakerId': 'Unknown speaker ID {id} was removed',
+    'validation.invalidTranslations': 'Translations must be an object with a language like "nl" as key and were removed',
+    'validation.invalidTranslation': 'Translation must be an object under a lowercase language code like "nl" and was removed',
+    'validation.untranslatableField': 'Only {fields} can be translated, the value was removed',
+    'validation.translationNotText': 'Translation must be text and was removed',
+    
+    'schedule.noFilterResults': 'No sessions on {dayName} match the selected filters.',
+    'schedule.sessionHint': 'Click to view session details',
+    'schedule.dayHeading': '{dayName} – {date}',
+    
+    'calendar.downloadDay': '📅 Download {dayName}',
+    'calendar.addSession': '📅 Add to calendar',
+    
+    'grid.doubleBooked': {
+        one: '⚠ Double-booked: {count} session',
+        other: '⚠ Double-booked: {count} sessions'
+    },
+    'grid.free': 'Free',
+    'grid.freeHint': '{room} is free at {time}',
+    
+    'sessionType.keynote': 'Keynote',
+    'sessionType.break': 'Break',
+    'sessionType.networking': 'Networking',
+    'sessionType.round1': 'Round 1',
+    'sessionType.round2': 'Round 2',
+    
+    'session.dayAndTime': '{dayName} at {time}',
+    'session.dayAndTimeRange': '{dayName}, {timeRange} ({duration})',
+    
+    'searchQuery.missingQuote': 'Missing closing quote after {text}',
+    'searchQuery.orWithoutTerms': 'OR needs a search term on both sides',
+    'searchQuery.unknownField': 'Unknown field "{field}" in {term}. Known fields: {fields}',
+    'searchQuery.unknownFieldSuggestion': 'Unknown field "{field}" in {term}. Did you mean "{suggestion}:"? Known fields: {fields}',
+    'searchQuery.fieldWithoutValue': '{field}: needs a value',
+    'searchQuery.emptyTerm': 'Empty search term {term}',
+    'searchQuery.exclusionWithOr': 'Exclusions can\'t be combined with OR, {term} is applied on its own',
+    
+    'agenda.storagePurpose': 'You are adding sessions to My Schedule.',
+    'agenda.remove': 'Remove from My Schedule',
+    'agenda.add': 'Add to My Schedule',
+    'agenda.tabWithCount': 'My Schedule ({count})',
+    'agenda.conflictToast': 'Schedule conflict on {dayName} at {time}: {titles}',
+    'agenda.empty': 'You have not starred any sessions yet. Use the ☆ on a session to add it here.',
+    'agenda.download': '📅 Download My Schedule',
+    'agenda.conflictTitle': 'Some of your sessions take place at the same time:',
+    
+    'topics.heading': 'Session Topics',
+    'topics.sessionCount': {
+        one: '{count} session',
+        other: '{count} sessions'
+    },
+    'topics.tagLabel': '{tag}, {countLabel}',
+    
+    'countdown.now': 'now',
+    'countdown.minutes': 'in {minutes} min',
+    'countdown.hours': 'in {hours} h',
+    'countdown.hoursAndMinutes': 'in {hours} h {minutes} min',
+    'countdown.days': {
+        one: 'in {count} day',
+        other: 'in {count} days'
+    },
+    
+    'live.badge': 'Now',
+    'live.bannerNow': 'Now: {titles}',
+    'live.bannerNext': 'Next at {time} ({countdown})',
+    'live.ended': 'The conference has ended. Thanks for joining!',
+    'live.now': 'Happening now',
+    'live.nothingRunning': 'No sessions are running right now.',
+    'live.notStarted': 'The conference has not started yet.',
+    'live.next': 'Up next',
+    'live.lastSessions': 'These are the last sessions of the conference.',
+    'live.nextAt': 'Up next: {dayName} at {time}',
+    'live.clock': 'It is {time}',
+    'live.clockSimulated': 'It is {time} (simulated time)',
+    
+    'offline.savedOn': 'Offline – showing the schedule saved on {updated}',
+    'offline.saved': 'Offline – showing the saved schedule',
+    'offline.updated': 'Schedule updated {updated}',
+    
+    'changes.field.endTime': 'end time',
+    'changes.field.title': 'title',
+    'changes.field.speaker': 'speaker',
+    'changes.field.role': 'speaker role',
+    'changes.field.company': 'company',
+    'changes.field.type': 'session type',
+    'changes.field.description': 'description',
+    'changes.field.tags': 'topics',
+    'changes.toRoom': 'to {room}',
+    'changes.outOfRoom': 'out of its room',
+    'changes.onDay': 'on {dayName}',
+    'changes.toDay': 'to {dayName}',
+    'changes.atTime': 'at {time}',
+    'changes.toTime': 'to {time}',
+    'changes.added': '{title} was added on {dayName} at {time}',
+    'changes.addedInRoom': '{title} was added on {dayName} at {time} in {room}',
+    'changes.removed': '{title} was removed from the schedule',
+    'changes.moved': '{title} moved {destination}',
+    'changes.updated': 'The {fields} of {title} changed',
+    'changes.badge.added': 'New',
+    'changes.badge.moved': 'Moved',
+    'changes.badge.updated': 'Updated',
+    'changes.moreChanges': {
+        one: '…and {count} more change to the schedule. Changed sessions are marked.',
+        other: '…and {count} more changes to the schedule. Changed sessions are marked.'
+    },
+    
+    'storage.consentQuestion': 'May this app remember this in your browser\'s local storage?',
+    
+    'speakers.byName': 'A–Z',
+    'speakers.byCompany': 'By company',
+    'speakers.empty': 'The speakers of this conference have not been announced yet.',
+    'speakers.groupingLabel': 'Group speakers',
+    'speakers.back': '← All speakers',
+    'speakers.sessions': 'Sessions',
+    'speakers.independent': 'Independent',
+    
+    'timeZone.label': 'Show times in',
+    'timeZone.venue': 'Venue time',
+    'timeZone.local': 'My time',
+    'timeZone.storagePurpose': 'You are choosing the time zone the schedule is shown in.',
+    'timeZone.otherDay': '{time} ({weekday})',
+    
+    'duration.minutes': '{count} min',
+    'duration.hours': '{count} h',
+    'duration.hoursAndMinutes': '{hours} h {minutes} min',
+    
+    'feedback.heading': 'Rate this session',
+    'feedback.ratingLegend': 'Your rating',
+    'feedback.stars': {
+        one: '{count} star',
+        other: '{count} stars'
+    },
+    'feedback.commentLabel': 'Comment (optional)',
+    'feedback.submit': 'Send feedback',
+    'feedback.chooseRating': 'Choose a rating from 1 to 5 stars.',
+    'feedback.notStarted': 'You can rate this session once it has started, {dayName} at {time}.',
+    'feedback.thanks': 'Thanks for your feedback! You rated this session {rating} out of 5.',
+    'feedback.queued': 'Thanks! You are offline, so your feedback will be sent when you are back online.',
+    'feedback.failed': 'Your feedback could not be sent. Please try again.',
+    'feedback.queueSent': {
+        one: 'Your feedback on {count} session has been sent.',
+        other: 'Your feedback on {count} sessions has been sent.'
+    },
+    'feedback.storagePurpose': 'You are rating a session.',
+    
+    'organizer.heading': 'Organizer tools',
+    'organizer.exportCsv': 'Export feedback (CSV)',
+    'organizer.exportJson': 'Export feedback (JSON)',
+    'organizer.exportFailed': 'The feedback could not be loaded.',
+    'organizer.noFeedback': 'No feedback has been collected yet.',
+    
+    'editor.heading': 'Schedule editor',
+    'editor.add': 'Add session',
+    'editor.undo': 'Undo',
+    'editor.redo': 'Redo',
+    'editor.download': 'Download JSON',
+    'editor.ready': 'Drag sessions to another time or room, or open a session to edit it.',
+    'editor.loadFailed': 'The data file could not be loaded for editing.',
+    'editor.unsaved': 'Changes not downloaded yet.',
+    'editor.undone': 'Undone.',
+    'editor.redone': 'Redone.',
+    'editor.nothingToUndo': 'Nothing to undo.',
+    'editor.nothingToRedo': 'Nothing to redo.',
+    'editor.added': 'Added “{title}”.',
+    'editor.saved': 'Saved “{title}”.',
+    'editor.moved': 'Moved “{title}”.',
+    'editor.deleted': 'Deleted “{title}”. Undo brings it back.',
+    'editor.editRefused': 'That change would make the schedule invalid.',
+    'editor.downloadBlocked': {
+        one: 'Fix {count} error before downloading.',
+        other: 'Fix {count} errors before downloading.'
+    },
+    'editor.downloaded': 'Downloaded {fileName}. Replace the data file with it to publish the changes.',
+    'editor.edit': 'Edit',
+    'editor.duplicate': 'Duplicate',
+    'editor.delete': 'Delete',
+    'editor.addTitle': 'New session',
+    'editor.editTitle': 'Edit session',
+    'editor.duplicateTitle': 'Duplicate session',
+    'editor.field.title': 'Title',
+    'editor.field.day': 'Day',
+    'editor.field.time': 'Start time',
+    'editor.field.endTime': 'End time',
+    'editor.field.room': 'Room',
+    'editor.field.type': 'Type',
+    'editor.field.speaker': 'Add a speaker',
+    'editor.field.role': 'Role',
+    'editor.field.company': 'Company',
+    'editor.field.description': 'Description',
+    'editor.field.tags': 'Add a tag',
+    'editor.descriptionHint': 'Format with **bold**, *italic*, [link text](https://…) and lists of lines starting with - or 1.',
+    'editor.endTimeHint': 'Leave empty to run until the next time slot.',
+    'editor.tagListLabel': 'Tags',
+    'editor.tagHint': 'Press Enter or type a comma to add the tag.',
+    'editor.removeTag': 'Remove tag {tag}',
+    'editor.speakerListLabel': 'Speakers',
+    'editor.speakerHint': 'Press Enter to add the speaker. Speakers from the speakers section link to their profile.',
+    'editor.removeSpeaker': 'Remove speaker {name}',
+    'editor.saveSession': 'Save session',
+    'editor.cancel': 'Cancel',
+    
+    'print.program': '🖨 Print program',
+    'print.mySchedule': '🖨 Print My Schedule',
+    'print.programTitle': 'Program',
+    'print.myScheduleTitle': 'My Schedule',
+    'print.documentTitle': '{conferenceName} - {programTitle}',
+    'print.continued': '{heading} (continued)',
+    'print.time': 'Time',
+    'print.room': 'Room',
+    'print.session': 'Session',
+    'print.speaker': 'Speaker',
+    'print.pageNumber': 'Page {page}',
+    'print.speakerIndex': 'Speaker index',
+    'print.topicIndex': 'Topic index'
+};
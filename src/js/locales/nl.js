@@ -0,0 +1,331 @@
+/**
+ * Dutch Messages
+ * The texts of the user interface in Dutch (Nederlands)
+ */
+export default {
+    'app.title': 'Conferentieprogramma',
+    'app.skipLink': 'Naar het programma',
+    'app.defaultConferenceName': 'Mijn conferentie',
+    'app.documentTitle': '{conferenceName} - Programma',
+    'app.offlineError': 'Je bent offline en het programma is nog niet op dit apparaat bewaard. Maak één keer verbinding met internet om het offline te gebruiken.',
+    'app.loadError': 'De conferentiegegevens konden niet worden geladen. Probeer het later opnieuw.',
+    
+    'conference.label': 'Conferentie',
+    'conference.defaultName': 'de standaardconferentie',
+    'conference.notFound': 'Conferentie "{requestedId}" is niet gevonden, in plaats daarvan wordt {shownName} getoond.',
+    
+    'language.label': 'Taal',
+    'language.storagePurpose': 'Je kiest de taal van de app.',
+    
+    'search.placeholder': 'Sessies zoeken... (probeer speaker:chen of tag:AI)',
+    'search.label': 'Sessies zoeken',
+    'search.resultsLabel': 'Zoekresultaten',
+    'search.noResults': 'Geen passende sessies gevonden',
+    'search.matchingSessions': 'Passende sessies',
+    'search.resultStatus': {
+        one: '{count} passende sessie, kies met de pijltjestoetsen',
+        other: '{count} passende sessies, kies met de pijltjestoetsen'
+    },
+    'search.showAll': {
+        one: '{count} resultaat tonen',
+        other: 'Alle {count} resultaten tonen'
+    },
+    'search.resultsHeading': {
+        one: '{count} resultaat voor "{query}"',
+        other: '{count} resultaten voor "{query}"'
+    },
+    
+    'tabs.label': 'Programmaweergaven',
+    'tabs.nowNext': 'Nu & straks',
+    'tabs.topics': 'Onderwerpen',
+    'tabs.speakers': 'Sprekers',
+    'tabs.mySchedule': 'Mijn programma',
+    
+    'layout.label': 'Weergave van het programma',
+    'layout.list': 'Lijst',
+    'layout.grid': 'Raster per zaal',
+    'layout.storagePurpose': 'Je kiest hoe het programma wordt weergegeven.',
+    
+    'filters.summary': 'Sessies filteren',
+    'filters.tags': 'Onderwerpen',
+    'filters.tag': 'Onderwerp',
+    'filters.rooms': 'Zalen',
+    'filters.room': 'Zaal',
+    'filters.types': 'Sessietypes',
+    'filters.type': 'Type',
+    'filters.companies': 'Bedrijven',
+    'filters.company': 'Bedrijf',
+    'filters.anyTag': 'Een van de gekozen onderwerpen',
+    'filters.allTags': 'Alle gekozen onderwerpen',
+    'filters.resultCount': {
+        one: '{shownCount} van {count} sessie getoond',
+        other: '{shownCount} van {count} sessies getoond'
+    },
+    'filters.clearAll': 'Alle filters wissen',
+    'filters.removeFilter': 'Filter {filter} verwijderen',
+    
+    'sessionDetail.close': 'Sessiedetails sluiten',
+    'sessionDetail.speakerLabel': '{name}, sprekersprofiel bekijken',
+    
+    'diagnostics.heading': 'De conferentiegegevens konden niet worden geladen',
+    'diagnostics.summary': '{message}. Los de onderstaande problemen in het gegevensbestand op.',
+    'diagnostics.errorCount': {
+        one: 'De conferentiegegevens bevatten {count} fout',
+        other: 'De conferentiegegevens bevatten {count} fouten'
+    },
+    'diagnostics.error': 'fout',
+    'diagnostics.warning': 'waarschuwing',
+    
+    'validation.dataNotObject': 'De conferentiegegevens moeten een JSON-object zijn',
+    'validation.conferenceNameMissing': 'De naam van de conferentie ontbreekt',
+    'validation.unknownTimeZone': 'Onbekende tijdzone {value}, verwacht een IANA-naam zoals "Europe/Amsterdam"; tijden worden zonder tijdzone getoond',
+    'validation.invalidFeedbackEndpoint': 'Ongeldig feedbackadres {value}, verwacht een web- of relatieve URL; feedback wordt in de browser bewaard',
+    'validation.daysNotArray': 'Days moet een niet-lege array zijn',
+    'validation.speakersNotArray': 'Speakers moet een array zijn',
+    'validation.speakerNotObject': 'Een spreker moet een object zijn',
+    'validation.speakerIdMissing': 'De ID van de spreker ontbreekt',
+    'validation.duplicateSpeakerId': 'Dubbele sprekers-ID "{id}"',
+    'validation.speakerNameMissing': 'De naam van de spreker ontbreekt',
+    'validation.invalidPhoto': 'Een foto moet een webadres (https://…) of een relatief pad zijn en is verwijderd',
+    'validation.invalidLinks': 'Links moeten een array van { label, url }-objecten zijn en zijn verwijderd',
+    'validation.invalidLink': 'Een link heeft een label en een webadres (https://…) nodig en is verwijderd',
+    'validation.dayNotObject': 'Een dag moet een object zijn',
+    'validation.dayIdMissing': 'De ID van de dag ontbreekt',
+    'validation.duplicateDayId': 'Dubbele dag-ID "{id}"',
+    'validation.dayNameMissing': 'De naam van de dag ontbreekt',
+    'validation.invalidDate': 'Ongeldige datum {value}, verwacht een datum zoals "July 15, 2025"',
+    'validation.sessionsNotArray': 'Sessions moet een array zijn',
+    'validation.sessionNotObject': 'Een sessie moet een object zijn',
+    'validation.sessionIdMissing': 'De ID van de sessie ontbreekt',
+    'validation.duplicateSessionId': 'Dubbele sessie-ID "{id}", ook gebruikt bij {path}',
+    'validation.invalidTime': 'Ongeldige tijd {value}, verwacht uren en minuten zoals "9:00"',
+    'validation.invalidEndTime': 'Ongeldige eindtijd {value}, verwacht uren en minuten zoals "10:00"',
+    'validation.endTimeNotAfterStart': 'Eindtijd "{endTime}" ligt niet na de begintijd "{time}"',
+    'validation.invalidDuration': 'Ongeldige duur {value}, verwacht een positief aantal minuten',
+    'validation.durationMismatch': {
+        one: 'Een duur van {count} minuut past niet bij de eindtijd "{endTime}", de eindtijd wordt gebruikt',
+        other: 'Een duur van {count} minuten past niet bij de eindtijd "{endTime}", de eindtijd wordt gebruikt'
+    },
+    'validation.sessionTitleMissing': 'De titel van de sessie ontbreekt',
+    'validation.sessionTypeMissing': 'Het type van de sessie ontbreekt',
+    'validation.unknownSessionType': 'Onbekend sessietype "{type}", verwacht een van: {types}',
+    'validation.tagsNotArray': 'Tags moet een array van teksten zijn',
+    'validation.invalidTag': 'Een tag moet een niet-lege tekst zijn en is verwijderd',
+    'validation.duplicateTag': 'Dubbele tag "{tag}" is verwijderd',
+    'validation.notText': 'Verwacht tekst maar vond {type}, de waarde is verwijderd',
+    'validation.speakerIdsNotArray': 'Speaker IDs moeten een array zijn en zijn verwijderd',
+    'validation.unknownSpeakerId': 'Onbekende sprekers-ID {id} is verwijderd',
+    'validation.invalidTranslations': 'Vertalingen moeten een object zijn met een taal zoals "nl" als sleutel en zijn verwijderd',
+    'validation.invalidTranslation': 'Een vertaling moet een object onder een taalcode in kleine letters zoals "nl" zijn en is verwijderd',
+    'validation.untranslatableField': 'Alleen {fields} kunnen worden vertaald, de waarde is verwijderd',
+    'validation.translationNotText': 'Een vertaling moet tekst zijn en is verwijderd',
+    
+    'schedule.noFilterResults': 'Geen sessies op {dayName} passen bij de gekozen filters.',
+    'schedule.sessionHint': 'Klik voor de details van de sessie',
+    'schedule.dayHeading': '{dayName} – {date}',
+    
+    'calendar.downloadDay': '📅 {dayName} downloaden',
+    'calendar.addSession': '📅 Toevoegen aan agenda',
+    
+    'grid.doubleBooked': {
+        one: '⚠ Dubbel geboekt: {count} sessie',
+        other: '⚠ Dubbel geboekt: {count} sessies'
+    },
+    'grid.free': 'Vrij',
+    'grid.freeHint': '{room} is vrij om {time}',
+    
+    'sessionType.keynote': 'Keynote',
+    'sessionType.break': 'Pauze',
+    'sessionType.networking': 'Netwerken',
+    'sessionType.round1': 'Ronde 1',
+    'sessionType.round2': 'Ronde 2',
+    
+    'session.dayAndTime': '{dayName} om {time}',
+    'session.dayAndTimeRange': '{dayName}, {timeRange} ({duration})',
+    
+    'searchQuery.missingQuote': 'Afsluitend aanhalingsteken ontbreekt na {text}',
+    'searchQuery.orWithoutTerms': 'OR heeft aan beide kanten een zoekterm nodig',
+    'searchQuery.unknownField': 'Onbekend veld "{field}" in {term}. Bekende velden: {fields}',
+    'searchQuery.unknownFieldSuggestion': 'Onbekend veld "{field}" in {term}. Bedoelde je "{suggestion}:"? Bekende velden: {fields}',
+    'searchQuery.fieldWithoutValue': '{field}: heeft een waarde nodig',
+    'searchQuery.emptyTerm': 'Lege zoekterm {term}',
+    'searchQuery.exclusionWithOr': 'Uitsluitingen kunnen niet met OR worden gecombineerd, {term} wordt apart toegepast',
+    
+    'agenda.storagePurpose': 'Je voegt sessies toe aan Mijn programma.',
+    'agenda.remove': 'Verwijderen uit Mijn programma',
+    'agenda.add': 'Toevoegen aan Mijn programma',
+    'agenda.tabWithCount': 'Mijn programma ({count})',
+    'agenda.conflictToast': 'Overlap op {dayName} om {time}: {titles}',
+    'agenda.empty': 'Je hebt nog geen sessies met een ster gemarkeerd. Gebruik de ☆ bij een sessie om hem hier toe te voegen.',
+    'agenda.download': '📅 Mijn programma downloaden',
+    'agenda.conflictTitle': 'Sommige van je sessies vinden tegelijk plaats:',
+    
+    'topics.heading': 'Onderwerpen',
+    'topics.sessionCount': {
+        one: '{count} sessie',
+        other: '{count} sessies'
+    },
+    'topics.tagLabel': '{tag}, {countLabel}',
+    
+    'countdown.now': 'nu',
+    'countdown.minutes': 'over {minutes} min',
+    'countdown.hours': 'over {hours} u',
+    'countdown.hoursAndMinutes': 'over {hours} u {minutes} min',
+    'countdown.days': {
+        one: 'over {count} dag',
+        other: 'over {count} dagen'
+    },
+    
+    'live.badge': 'Nu',
+    'live.bannerNow': 'Nu: {titles}',
+    'live.bannerNext': 'Hierna om {time} ({countdown})',
+    'live.ended': 'De conferentie is afgelopen. Bedankt voor je komst!',
+    'live.now': 'Nu bezig',
+    'live.nothingRunning': 'Er lopen op dit moment geen sessies.',
+    'live.notStarted': 'De conferentie is nog niet begonnen.',
+    'live.next': 'Hierna',
+    'live.lastSessions': 'Dit zijn de laatste sessies van de conferentie.',
+    'live.nextAt': 'Hierna: {dayName} om {time}',
+    'live.clock': 'Het is {time}',
+    'live.clockSimulated': 'Het is {time} (gesimuleerde tijd)',
+    
+    'offline.savedOn': 'Offline – het programma van {updated} wordt getoond',
+    'offline.saved': 'Offline – het opgeslagen programma wordt getoond',
+    'offline.updated': 'Programma bijgewerkt {updated}',
+    
+    'changes.field.endTime': 'eindtijd',
+    'changes.field.title': 'titel',
+    'changes.field.speaker': 'spreker',
+    'changes.field.role': 'functie van de spreker',
+    'changes.field.company': 'bedrijf',
+    'changes.field.type': 'soort sessie',
+    'changes.field.description': 'beschrijving',
+    'changes.field.tags': 'onderwerpen',
+    'changes.toRoom': 'naar {room}',
+    'changes.outOfRoom': 'uit de zaal',
+    'changes.onDay': 'op {dayName}',
+    'changes.toDay': 'naar {dayName}',
+    'changes.atTime': 'om {time}',
+    'changes.toTime': 'naar {time}',
+    'changes.added': '{title} is toegevoegd op {dayName} om {time}',
+    'changes.addedInRoom': '{title} is toegevoegd op {dayName} om {time} in {room}',
+    'changes.removed': '{title} is uit het programma gehaald',
+    'changes.moved': '{title} is verplaatst {destination}',
+    'changes.updated': 'Gewijzigd bij {title}: {fields}',
+    'changes.badge.added': 'Nieuw',
+    'changes.badge.moved': 'Verplaatst',
+    'changes.badge.updated': 'Gewijzigd',
+    'changes.moreChanges': {
+        one: '…en nog {count} wijziging in het programma. Gewijzigde sessies zijn gemarkeerd.',
+        other: '…en nog {count} wijzigingen in het programma. Gewijzigde sessies zijn gemarkeerd.'
+    },
+    
+    'storage.consentQuestion': 'Mag deze app dit onthouden in de lokale opslag van je browser?',
+    
+    'speakers.byName': 'A–Z',
+    'speakers.byCompany': 'Per bedrijf',
+    'speakers.empty': 'De sprekers van deze conferentie zijn nog niet bekendgemaakt.',
+    'speakers.groupingLabel': 'Sprekers groeperen',
+    'speakers.back': '← Alle sprekers',
+    'speakers.sessions': 'Sessies',
+    'speakers.independent': 'Zelfstandig',
+    
+    'timeZone.label': 'Tijden tonen in',
+    'timeZone.venue': 'Tijd ter plaatse',
+    'timeZone.local': 'Mijn tijd',
+    'timeZone.storagePurpose': 'Je kiest in welke tijdzone het programma wordt getoond.',
+    'timeZone.otherDay': '{time} ({weekday})',
+    
+    'duration.minutes': '{count} min',
+    'duration.hours': '{count} u',
+    'duration.hoursAndMinutes': '{hours} u {minutes} min',
+    
+    'feedback.heading': 'Beoordeel deze sessie',
+    'feedback.ratingLegend': 'Jouw beoordeling',
+    'feedback.stars': {
+        one: '{count} ster',
+        other: '{count} sterren'
+    },
+    'feedback.commentLabel': 'Opmerking (optioneel)',
+    'feedback.submit': 'Feedback versturen',
+    'feedback.chooseRating': 'Kies een beoordeling van 1 tot 5 sterren.',
+    'feedback.notStarted': 'Je kunt deze sessie beoordelen zodra ze begonnen is, {dayName} om {time}.',
+    'feedback.thanks': 'Bedankt voor je feedback! Je gaf deze sessie {rating} van de 5.',
+    'feedback.queued': 'Bedankt! Je bent offline, dus je feedback wordt verstuurd zodra je weer online bent.',
+    'feedback.failed': 'Je feedback kon niet worden verstuurd. Probeer het opnieuw.',
+    'feedback.queueSent': {
+        one: 'Je feedback op {count} sessie is verstuurd.',
+        other: 'Je feedback op {count} sessies is verstuurd.'
+    },
+    'feedback.storagePurpose': 'Je beoordeelt een sessie.',
+    
+    'organizer.heading': 'Organisatie',
+    'organizer.exportCsv': 'Feedback exporteren (CSV)',
+    'organizer.exportJson': 'Feedback exporteren (JSON)',
+    'organizer.exportFailed': 'De feedback kon niet worden geladen.',
+    'organizer.noFeedback': 'Er is nog geen feedback verzameld.',
+    
+    'editor.heading': 'Programma bewerken',
+    'editor.add': 'Sessie toevoegen',
+    'editor.undo': 'Ongedaan maken',
+    'editor.redo': 'Opnieuw',
+    'editor.download': 'JSON downloaden',
+    'editor.ready': 'Sleep sessies naar een andere tijd of zaal, of open een sessie om haar te bewerken.',
+    'editor.loadFailed': 'Het gegevensbestand kon niet worden geladen om te bewerken.',
+    'editor.unsaved': 'Wijzigingen nog niet gedownload.',
+    'editor.undone': 'Ongedaan gemaakt.',
+    'editor.redone': 'Opnieuw uitgevoerd.',
+    'editor.nothingToUndo': 'Niets om ongedaan te maken.',
+    'editor.nothingToRedo': 'Niets om opnieuw uit te voeren.',
+    'editor.added': '“{title}” toegevoegd.',
+    'editor.saved': '“{title}” opgeslagen.',
+    'editor.moved': '“{title}” verplaatst.',
+    'editor.deleted': '“{title}” verwijderd. Met ongedaan maken komt de sessie terug.',
+    'editor.editRefused': 'Die wijziging zou het programma ongeldig maken.',
+    'editor.downloadBlocked': {
+        one: 'Los eerst {count} fout op voordat je downloadt.',
+        other: 'Los eerst {count} fouten op voordat je downloadt.'
+    },
+    'editor.downloaded': '{fileName} gedownload. Vervang het gegevensbestand ermee om de wijzigingen te publiceren.',
+    'editor.edit': 'Bewerken',
+    'editor.duplicate': 'Dupliceren',
+    'editor.delete': 'Verwijderen',
+    'editor.addTitle': 'Nieuwe sessie',
+    'editor.editTitle': 'Sessie bewerken',
+    'editor.duplicateTitle': 'Sessie dupliceren',
+    'editor.field.title': 'Titel',
+    'editor.field.day': 'Dag',
+    'editor.field.time': 'Begintijd',
+    'editor.field.endTime': 'Eindtijd',
+    'editor.field.room': 'Zaal',
+    'editor.field.type': 'Type',
+    'editor.field.speaker': 'Spreker toevoegen',
+    'editor.field.role': 'Functie',
+    'editor.field.company': 'Bedrijf',
+    'editor.field.description': 'Beschrijving',
+    'editor.field.tags': 'Tag toevoegen',
+    'editor.descriptionHint': 'Opmaak met **vet**, *cursief*, [linktekst](https://…) en lijsten van regels die beginnen met - of 1.',
+    'editor.endTimeHint': 'Laat leeg om door te lopen tot het volgende tijdslot.',
+    'editor.tagListLabel': 'Tags',
+    'editor.tagHint': 'Druk op Enter of typ een komma om de tag toe te voegen.',
+    'editor.removeTag': 'Tag {tag} verwijderen',
+    'editor.speakerListLabel': 'Sprekers',
+    'editor.speakerHint': 'Druk op Enter om de spreker toe te voegen. Sprekers uit de sprekerslijst linken naar hun profiel.',
+    'editor.removeSpeaker': 'Spreker {name} verwijderen',
+    'editor.saveSession': 'Sessie opslaan',
+    'editor.cancel': 'Annuleren',
+    
+    'print.program': '🖨 Programma afdrukken',
+    'print.mySchedule': '🖨 Mijn programma afdrukken',
+    'print.programTitle': 'Programma',
+    'print.myScheduleTitle': 'Mijn programma',
+    'print.documentTitle': '{conferenceName} - {programTitle}',
+    'print.continued': '{heading} (vervolg)',
+    'print.time': 'Tijd',
+    'print.room': 'Zaal',
+    'print.session': 'Sessie',
+    'print.speaker': 'Spreker',
+    'print.pageNumber': 'Pagina {page}',
+    'print.speakerIndex': 'Sprekersregister',
+    'print.topicIndex': 'Onderwerpenregister'
+};
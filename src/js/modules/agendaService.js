@@ -0,0 +1,334 @@
+/**
+ * Agenda Service Module
+ * Manages the personal agenda: starring sessions and the "My Schedule" tab
+ */
+import { getAllSessions } from './dataService.js';
+import { createTimeSlotElements } from './scheduleRenderer.js';
+import { registerView } from './navigationService.js';
+import { appStore, VIEWS } from './appStore.js';
+import { readStoredValue, rememberValue } from './storageService.js';
+import { showToast } from './notificationService.js';
+import { createCalendarButton, exportSessionsToCalendar } from './calendarExportService.js';
+import { createPrintButton, PRINT_SCOPE_MY_SCHEDULE } from './printService.js';
+import { formatDayDate, formatList, t } from './i18nService.js';
+import { formatSessionTime } from './timeZoneService.js';
+import { groupSessionsByTimeSlot } from './dateTimeUtils.js';
+import { EVENTS, emit, on } from './eventBus.js';
+
+// DOM element references
+let myScheduleContainerElement;
+
+// Constants
+const STARRED_SESSIONS_KEY = 'starred-sessions';
+const CONFLICT_CLASS = 'session-conflict';
+const STARRED_CLASS = 'starred';
+const LABELLED_CLASS = 'star-btn-labelled';
+const UNSTARRABLE_SESSION_TYPES = ['break'];
+
+// State variables
+let starredSessionIds = new Set();
+let conflictingSessionIds = new Set();
+
+/**
+ * Sets up the personal agenda and the My Schedule tab
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {HTMLElement} containerElement - The container element to render My Schedule in
+ */
+export const setupMySchedule = (conferenceData, containerElement) => {
+    // Store reference to the container
+    myScheduleContainerElement = containerElement;
+    
+    // Picks are kept per conference
+    starredSessionIds = new Set(readStoredValue(STARRED_SESSIONS_KEY, [], { scoped: true }));
+    forgetUnknownSessions(conferenceData);
+    renderMySchedule(conferenceData);
+    updateScheduleMarkers(conferenceData);
+    
+    // Set up tab click handler
+    const myScheduleTab = document.getElementById('my-schedule-tab');
+    registerView(VIEWS.MY_SCHEDULE, myScheduleContainerElement, myScheduleTab);
+    if (myScheduleTab) {
+        myScheduleTab.addEventListener('click', () => {
+            showMySchedule();
+            
+            // Notify other modules that the user switched tabs
+            emit(EVENTS.TAB_SELECTED, {
+                tab: 'my-schedule'
+            });
+        });
+    }
+    
+    // Keep every view in sync when the agenda changes
+    on(EVENTS.AGENDA_CHANGED, ({ sessionId, starred }) => {
+        renderMySchedule(conferenceData);
+        updateScheduleMarkers(conferenceData);
+        
+        if (starred) {
+            warnAboutNewConflict(sessionId, conferenceData);
+        }
+    });
+    
+    // Moved sessions can create or resolve conflicts, removed sessions leave the agenda
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        forgetUnknownSessions(conferenceData);
+        renderMySchedule(conferenceData);
+        updateScheduleMarkers(conferenceData);
+    });
+    
+    // Show the times in the chosen time zone
+    on(EVENTS.TIME_ZONE_CHANGED, () => {
+        renderMySchedule(conferenceData);
+    });
+};
+
+/**
+ * Drops picks for sessions that no longer exist in the data
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const forgetUnknownSessions = (conferenceData) => {
+    const knownSessionIds = new Set(getAllSessions(conferenceData).map(session => session.id));
+    starredSessionIds = new Set([...starredSessionIds].filter(id => knownSessionIds.has(id)));
+};
+
+/**
+ * Shows the My Schedule tab
+ */
+export const showMySchedule = () => {
+    appStore.setState({ view: VIEWS.MY_SCHEDULE });
+};
+
+/**
+ * Checks whether a session is part of the personal agenda
+ * @param {String} sessionId - The ID of the session
+ * @returns {Boolean} True if the session is starred
+ */
+export const isSessionStarred = (sessionId) => starredSessionIds.has(sessionId);
+
+/**
+ * Checks whether a session can be added to the personal agenda
+ * @param {Object} session - The session object
+ * @returns {Boolean} True if the session can be starred
+ */
+export const isSessionStarrable = (session) => !UNSTARRABLE_SESSION_TYPES.includes(session.type);
+
+/**
+ * Checks whether a starred session clashes with another starred session
+ * @param {String} sessionId - The ID of the session
+ * @returns {Boolean} True if the session is part of a time slot conflict
+ */
+export const isSessionInConflict = (sessionId) => conflictingSessionIds.has(sessionId);
+
+/**
+ * Adds a session to or removes it from the personal agenda
+ * @param {String} sessionId - The ID of the session
+ */
+export const toggleStarredSession = (sessionId) => {
+    const starred = !starredSessionIds.has(sessionId);
+    
+    if (starred) {
+        starredSessionIds.add(sessionId);
+    } else {
+        starredSessionIds.delete(sessionId);
+    }
+    
+    rememberValue(STARRED_SESSIONS_KEY, [...starredSessionIds], t('agenda.storagePurpose'), { scoped: true });
+    
+    // Notify other modules
+    emit(EVENTS.AGENDA_CHANGED, {
+        sessionId,
+        starred
+    });
+};
+
+/**
+ * Get all starred sessions in schedule order
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {Array} Array of starred sessions with day information added
+ */
+export const getStarredSessions = (conferenceData) => {
+    return getAllSessions(conferenceData).filter(session => starredSessionIds.has(session.id));
+};
+
+/**
+ * Finds starred sessions whose times overlap on the same day
+ * @param {Array} sessions - Array of sessions (with day information) to check, in schedule order
+ * @param {Array} scheduleSessions - All sessions of the conference, for the end of sessions without an end time
+ * @returns {Array} Array of conflicts, each with dayId, dayName, date, time and sessions
+ */
+export const findAgendaConflicts = (sessions, scheduleSessions = sessions) => {
+    return groupSessionsByTimeSlot(sessions, scheduleSessions)
+        .filter(timeSlot => timeSlot.sessions.length > 1)
+        .map(timeSlot => ({
+            dayId: timeSlot.sessions[0].dayId,
+            dayName: timeSlot.sessions[0].dayName,
+            date: timeSlot.sessions[0].date,
+            time: timeSlot.time,
+            sessions: timeSlot.sessions
+        }));
+};
+
+/**
+ * Creates a star button that adds a session to or removes it from My Schedule
+ * @param {String} sessionId - The ID of the session
+ * @param {Object} options - Display options
+ * @param {Boolean} options.labelled - Show a text label next to the star
+ * @returns {HTMLElement} The star button element
+ */
+export const createStarButton = (sessionId, { labelled = false } = {}) => {
+    const starButton = document.createElement('button');
+    starButton.type = 'button';
+    starButton.classList.add('star-btn');
+    starButton.classList.toggle(LABELLED_CLASS, labelled);
+    starButton.setAttribute('data-session-id', sessionId);
+    updateStarButton(starButton, isSessionStarred(sessionId));
+    
+    starButton.addEventListener('click', (event) => {
+        // Don't open the session details when starring from a session card
+        event.stopPropagation();
+        toggleStarredSession(sessionId);
+    });
+    
+    return starButton;
+};
+
+/**
+ * Updates the look and label of a star button
+ * @param {HTMLElement} starButton - The star button element
+ * @param {Boolean} starred - Whether the session is starred
+ */
+const updateStarButton = (starButton, starred) => {
+    const icon = starred ? '★' : '☆';
+    const label = starred ? t('agenda.remove') : t('agenda.add');
+    
+    starButton.textContent = starButton.classList.contains(LABELLED_CLASS) ? `${icon} ${label}` : icon;
+    starButton.classList.toggle(STARRED_CLASS, starred);
+    starButton.setAttribute('aria-pressed', String(starred));
+    starButton.setAttribute('aria-label', label);
+    starButton.title = label;
+};
+
+/**
+ * Updates star buttons, conflict markers and the tab label across the page
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const updateScheduleMarkers = (conferenceData) => {
+    document.querySelectorAll('.star-btn').forEach(starButton => {
+        updateStarButton(starButton, isSessionStarred(starButton.getAttribute('data-session-id')));
+    });
+    
+    conflictingSessionIds = new Set(
+        findAgendaConflicts(getStarredSessions(conferenceData), getAllSessions(conferenceData))
+            .flatMap(conflict => conflict.sessions.map(session => session.id))
+    );
+    document.querySelectorAll('.session[data-session-id]').forEach(sessionElement => {
+        const sessionId = sessionElement.getAttribute('data-session-id');
+        sessionElement.classList.toggle(CONFLICT_CLASS, conflictingSessionIds.has(sessionId));
+    });
+    
+    const myScheduleTab = document.getElementById('my-schedule-tab');
+    if (myScheduleTab) {
+        const count = starredSessionIds.size;
+        myScheduleTab.textContent = count ? t('agenda.tabWithCount', { count }) : t('tabs.mySchedule');
+    }
+};
+
+/**
+ * Shows a warning when a newly starred session clashes with another pick
+ * @param {String} sessionId - The ID of the session that was starred
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const warnAboutNewConflict = (sessionId, conferenceData) => {
+    const conflict = findAgendaConflicts(getStarredSessions(conferenceData), getAllSessions(conferenceData))
+        .find(slotConflict => slotConflict.sessions.some(session => session.id === sessionId));
+    
+    if (conflict) {
+        const titles = formatList(conflict.sessions.map(session => `"${session.title}"`));
+        showToast(t('agenda.conflictToast', {
+            dayName: conflict.dayName,
+            time: formatSessionTime(conflict.date, conflict.time),
+            titles
+        }), { type: 'warning' });
+    }
+};
+
+/**
+ * Renders the My Schedule tab content
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const renderMySchedule = (conferenceData) => {
+    const starredSessions = getStarredSessions(conferenceData);
+    const conflicts = findAgendaConflicts(starredSessions, getAllSessions(conferenceData));
+    
+    // Clear existing content
+    myScheduleContainerElement.innerHTML = '';
+    
+    // Create heading
+    const heading = document.createElement('h2');
+    heading.textContent = t('tabs.mySchedule');
+    myScheduleContainerElement.appendChild(heading);
+    
+    if (starredSessions.length === 0) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.classList.add('no-results');
+        emptyMessage.textContent = t('agenda.empty');
+        myScheduleContainerElement.appendChild(emptyMessage);
+        return;
+    }
+    
+    // Add actions to download the personal agenda as calendar events and to print it
+    const actionsElement = document.createElement('div');
+    actionsElement.classList.add('day-actions');
+    actionsElement.appendChild(createCalendarButton(t('agenda.download'), () => {
+        exportSessionsToCalendar(starredSessions, conferenceData, 'my-schedule.ics');
+    }));
+    actionsElement.appendChild(createPrintButton(t('print.mySchedule'), PRINT_SCOPE_MY_SCHEDULE));
+    myScheduleContainerElement.appendChild(actionsElement);
+    
+    // Warn about sessions that take place at the same time
+    if (conflicts.length) {
+        myScheduleContainerElement.appendChild(createConflictWarningElement(conflicts));
+    }
+    
+    conferenceData.days.forEach(day => {
+        const sessionsForDay = starredSessions.filter(session => session.dayId === day.id);
+        if (!sessionsForDay.length) {
+            return;
+        }
+        
+        const dayHeading = document.createElement('h3');
+        dayHeading.classList.add('my-schedule-day-heading');
+        dayHeading.textContent = t('schedule.dayHeading', { dayName: day.name, date: formatDayDate(day.date) });
+        myScheduleContainerElement.appendChild(dayHeading);
+        
+        // Group the picks of this day by time, keeping schedule order
+        createTimeSlotElements(sessionsForDay, day.date, getAllSessions(conferenceData)).forEach(timeSlotElement => {
+            myScheduleContainerElement.appendChild(timeSlotElement);
+        });
+    });
+};
+
+/**
+ * Creates the warning listing all time slot conflicts in the agenda
+ * @param {Array} conflicts - Conflicts as returned by findAgendaConflicts
+ * @returns {HTMLElement} The warning element
+ */
+const createConflictWarningElement = (conflicts) => {
+    const warningElement = document.createElement('div');
+    warningElement.classList.add('agenda-conflict-warning');
+    warningElement.setAttribute('role', 'alert');
+    
+    const titleElement = document.createElement('strong');
+    titleElement.textContent = t('agenda.conflictTitle');
+    warningElement.appendChild(titleElement);
+    
+    const conflictList = document.createElement('ul');
+    conflicts.forEach(conflict => {
+        const conflictItem = document.createElement('li');
+        const titles = conflict.sessions.map(session => session.title).join(', ');
+        conflictItem.textContent = `${t('session.dayAndTime', { dayName: conflict.dayName, time: formatSessionTime(conflict.date, conflict.time) })}: ${titles}`;
+        conflictList.appendChild(conflictItem);
+    });
+    warningElement.appendChild(conflictList);
+    
+    return warningElement;
+};
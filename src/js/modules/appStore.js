@@ -0,0 +1,96 @@
+/**
+ * App Store Module
+ * Holds the state the views share: the visible view, the selected day, the filters, the open session and the search query.
+ * Modules change it with setState and follow the part they show with select, instead of reading each other's DOM.
+ * Things that happen once, such as a click on a tag, go through the event bus (eventBus.js).
+ */
+import { createEmptyFilters } from './sessionFilters.js';
+
+// Constants
+export const VIEWS = {
+    SCHEDULE: 'schedule', // The schedule of the selected day
+    NOW_NEXT: 'now-next',
+    TOPICS: 'topics',
+    SPEAKERS: 'speakers',
+    MY_SCHEDULE: 'my-schedule',
+    SEARCH_RESULTS: 'search-results'
+};
+
+/**
+ * Creates an observable store
+ * The state is replaced, never changed in place, so listeners can compare the old and new value of what they show.
+ * Listeners are called right after each change; changes they make are passed on before the next listener runs.
+ * @param {Object} initialState - The state to start with; it names every key the state can have
+ * @returns {Object} The store with getState, setState, subscribe and select
+ */
+export const createStore = (initialState) => {
+    let state = Object.freeze({ ...initialState });
+    const listeners = new Set();
+    
+    /**
+     * Calls a function after every change of the state
+     * @param {Function} listener - Called with the new state
+     * @returns {Function} Stops the calls
+     */
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+    
+    return {
+        getState: () => state,
+        
+        /**
+         * Changes part of the state and tells the listeners, unless nothing changed
+         * @param {Object} changes - The keys to change and their new values
+         * @throws {TypeError} When a key isn't part of the state
+         */
+        setState: (changes) => {
+            const unknownKeys = Object.keys(changes).filter(key => !Object.hasOwn(initialState, key));
+            if (unknownKeys.length) {
+                throw new TypeError(`Unknown state key(s): ${unknownKeys.join(', ')}`);
+            }
+            if (Object.keys(changes).every(key => Object.is(changes[key], state[key]))) {
+                return;
+            }
+            
+            state = Object.freeze({ ...state, ...changes });
+            [...listeners].forEach(listener => listener(state));
+        },
+        
+        subscribe,
+        
+        /**
+         * Calls a function when a part of the state changes
+         * @param {Function} selector - Picks the part from the state, e.g. state => state.dayId
+         * @param {Function} listener - Called with the new and the previous value of the part
+         * @returns {Function} Stops the calls
+         */
+        select: (selector, listener) => {
+            let selectedValue = selector(state);
+            return subscribe((currentState) => {
+                const previousValue = selectedValue;
+                selectedValue = selector(currentState);
+                if (!Object.is(selectedValue, previousValue)) {
+                    listener(selectedValue, previousValue);
+                }
+            });
+        }
+    };
+};
+
+/**
+ * The state of the app
+ * - view: one of VIEWS, the tab content on screen
+ * - dayId: the day the schedule shows
+ * - filters: the active filters (see sessionFilters.js)
+ * - selectedSessionId: the session shown in the details modal, null when it is closed
+ * - query: the last search, empty once the search field is cleared
+ */
+export const appStore = createStore({
+    view: VIEWS.SCHEDULE,
+    dayId: null,
+    filters: createEmptyFilters(),
+    selectedSessionId: null,
+    query: ''
+});
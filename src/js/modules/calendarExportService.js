@@ -0,0 +1,268 @@
+/**
+ * Calendar Export Service Module
+ * Turns conference sessions into iCalendar (RFC 5545) files that can be imported in Outlook, Google Calendar, etc.
+ */
+import { getAllSessions, getSessionsByDay, getSessionById } from './dataService.js';
+import { parseDayDate, parseTimeOfDay, getSessionEndTime } from './dateTimeUtils.js';
+import { t } from './i18nService.js';
+import { getVenueTimeZone, toConferenceDateTime } from './timeZoneService.js';
+import { downloadFile } from './fileDownload.js';
+import { markdownToText } from './markdownRenderer.js';
+
+// Constants
+const LINE_BREAK = '\r\n'; // RFC 5545 requires CRLF line endings
+const MAX_LINE_OCTETS = 75; // Lines longer than this must be folded
+const PRODUCT_ID = '-//Conference Schedule Application//EN';
+const CALENDAR_MIME_TYPE = 'text/calendar;charset=utf-8';
+
+/**
+ * Escapes a text value for use in an iCalendar property
+ * @param {String} text - The text to escape
+ * @returns {String} The escaped text
+ */
+const escapeText = (text) => {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Folds a content line so that no line exceeds 75 octets
+ * @param {String} line - The unfolded content line
+ * @returns {String} The folded line
+ */
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const foldedParts = [];
+    let currentPart = '';
+    let currentOctets = 0;
+    
+    // Iterate by code point so multi-byte characters are never split
+    for (const character of line) {
+        const characterOctets = encoder.encode(character).length;
+        // Continuation lines start with a space, which counts towards their length
+        const lineLimit = foldedParts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        
+        if (currentOctets + characterOctets > lineLimit) {
+            foldedParts.push(currentPart);
+            currentPart = '';
+            currentOctets = 0;
+        }
+        
+        currentPart += character;
+        currentOctets += characterOctets;
+    }
+    foldedParts.push(currentPart);
+    
+    return foldedParts.join(`${LINE_BREAK} `);
+};
+
+/**
+ * Formats a day date and a time as a local iCalendar date-time, e.g. 20250715T090000
+ * @param {String} dateText - The day date, e.g. "July 15, 2025"
+ * @param {String} timeText - The session time, e.g. "9:00"
+ * @returns {String|null} The iCalendar date-time, or null if date or time is malformed
+ */
+const formatLocalDateTime = (dateText, timeText) => {
+    const date = parseDayDate(dateText);
+    const timeOfDay = parseTimeOfDay(timeText);
+    
+    if (!date || !timeOfDay) {
+        return null;
+    }
+    
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.year}${pad(date.month)}${pad(date.day)}T${pad(timeOfDay.hours)}${pad(timeOfDay.minutes)}00`;
+};
+
+/**
+ * Formats a day date and a time as an iCalendar date-time
+ * With a venue time zone the moment is exact, in UTC; without one it is a floating local time.
+ * @param {String} dateText - The day date, e.g. "July 15, 2025"
+ * @param {String} timeText - The session time, e.g. "9:00"
+ * @returns {String|null} The iCalendar date-time, or null if date or time is malformed
+ */
+const formatEventDateTime = (dateText, timeText) => {
+    if (!getVenueTimeZone()) {
+        return formatLocalDateTime(dateText, timeText);
+    }
+    
+    const dateTime = toConferenceDateTime(dateText, timeText);
+    return dateTime ? formatUtcDateTime(dateTime) : null;
+};
+
+/**
+ * Formats a Date as a UTC iCalendar date-time, e.g. 20250715T070000Z
+ * @param {Date} date - The date to format
+ * @returns {String} The iCalendar UTC date-time
+ */
+const formatUtcDateTime = (date) => {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Builds the DESCRIPTION text with speaker, company and session description
+ * @param {Object} session - The session object
+ * @returns {String} The description text
+ */
+const createEventDescription = (session) => {
+    const descriptionParts = [];
+    
+    if (session.speaker) {
+        const affiliation = [session.role, session.company].filter(Boolean).join(', ');
+        descriptionParts.push(affiliation ? `${session.speaker} (${affiliation})` : session.speaker);
+    }
+    
+    // Calendars show plain text, so the Markdown formatting is taken out and links are written out
+    if (session.description) {
+        descriptionParts.push(markdownToText(session.description, { withLinkUrls: true }));
+    }
+    
+    return descriptionParts.join('\n\n');
+};
+
+/**
+ * Creates the VEVENT content lines for a single session
+ * @param {Object} session - The session object with day information (as returned by getAllSessions)
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {Array} Array of unfolded content lines, empty if the session can't be placed in time
+ */
+const createEventLines = (session, conferenceData) => {
+    const daySessions = getSessionsByDay(conferenceData, session.dayId);
+    const start = formatEventDateTime(session.date, session.time);
+    const end = formatEventDateTime(session.date, getSessionEndTime(session, daySessions));
+    
+    if (!start || !end) {
+        console.warn('Skipping session with unknown date or time:', session.id);
+        return [];
+    }
+    
+    const eventLines = [
+        'BEGIN:VEVENT',
+        `UID:${session.id}@${createCalendarSlug(conferenceData.conferenceName)}`,
+        `DTSTAMP:${formatUtcDateTime(new Date())}`,
+        `DTSTART:${start}`,
+        `DTEND:${end}`,
+        `SUMMARY:${escapeText(session.title)}`
+    ];
+    
+    if (session.room) {
+        eventLines.push(`LOCATION:${escapeText(session.room)}`);
+    }
+    
+    const description = createEventDescription(session);
+    if (description) {
+        eventLines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    
+    if (session.tags && session.tags.length) {
+        eventLines.push(`CATEGORIES:${session.tags.map(escapeText).join(',')}`);
+    }
+    
+    eventLines.push('END:VEVENT');
+    return eventLines;
+};
+
+/**
+ * Turns a name into a slug usable in file names and UIDs
+ * @param {String} name - The name to convert
+ * @returns {String} Lowercase slug, e.g. "tech-innovation-summit-2025"
+ */
+const createCalendarSlug = (name) => {
+    return String(name || 'conference')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+};
+
+/**
+ * Creates an iCalendar document for a list of sessions
+ * @param {Array} sessions - Sessions with day information (as returned by getAllSessions)
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {String} The iCalendar document
+ */
+export const createCalendar = (sessions, conferenceData) => {
+    const calendarLines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(conferenceData.conferenceName || t('conference.label'))}`,
+        ...sessions.flatMap(session => createEventLines(session, conferenceData)),
+        'END:VCALENDAR'
+    ];
+    
+    return calendarLines.map(foldLine).join(LINE_BREAK) + LINE_BREAK;
+};
+
+/**
+ * Offers an iCalendar document as a file download
+ * @param {String} calendarText - The iCalendar document
+ * @param {String} fileName - The name of the downloaded file
+ */
+const downloadCalendar = (calendarText, fileName) => {
+    downloadFile(calendarText, fileName, CALENDAR_MIME_TYPE);
+};
+
+/**
+ * Downloads a single session as an .ics file
+ * @param {String} sessionId - The ID of the session
+ * @param {Object} conferenceData - The complete conference data object
+ */
+export const exportSessionToCalendar = (sessionId, conferenceData) => {
+    const session = getSessionById(conferenceData, sessionId);
+    
+    if (!session) {
+        console.error('Session not found:', sessionId);
+        return;
+    }
+    
+    downloadCalendar(createCalendar([session], conferenceData), `${createCalendarSlug(session.title)}.ics`);
+};
+
+/**
+ * Downloads all sessions of a day as an .ics file
+ * @param {String} dayId - The ID of the day
+ * @param {Object} conferenceData - The complete conference data object
+ */
+export const exportDayToCalendar = (dayId, conferenceData) => {
+    const daySessions = getAllSessions(conferenceData).filter(session => session.dayId === dayId);
+    const day = conferenceData.days.find(d => d.id === dayId);
+    const fileName = `${createCalendarSlug(conferenceData.conferenceName)}-${createCalendarSlug(day ? day.name : dayId)}.ics`;
+    
+    downloadCalendar(createCalendar(daySessions, conferenceData), fileName);
+};
+
+/**
+ * Downloads a list of sessions, such as the personal agenda, as an .ics file
+ * @param {Array} sessions - Sessions with day information (as returned by getAllSessions)
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {String} fileName - The name of the downloaded file
+ */
+export const exportSessionsToCalendar = (sessions, conferenceData, fileName) => {
+    downloadCalendar(createCalendar(sessions, conferenceData), fileName);
+};
+
+/**
+ * Creates a button that triggers a calendar download when clicked
+ * @param {String} label - The button label
+ * @param {Function} onExport - Function that performs the export
+ * @returns {HTMLElement} The button element
+ */
+export const createCalendarButton = (label, onExport) => {
+    const calendarButton = document.createElement('button');
+    calendarButton.type = 'button';
+    calendarButton.classList.add('calendar-btn');
+    calendarButton.textContent = label;
+    
+    calendarButton.addEventListener('click', (event) => {
+        // Don't trigger click handlers of surrounding elements
+        event.stopPropagation();
+        onExport();
+    });
+    
+    return calendarButton;
+};
@@ -0,0 +1,59 @@
+/**
+ * Clock Service Module
+ * Provides the current time for the live features, with a simulated clock for demos and testing
+ *
+ * Add ?now=2025-07-15T10:30 to the URL to run the app as if it were that moment.
+ * The simulated clock keeps ticking from there.
+ */
+import { EVENTS, emit } from './eventBus.js';
+
+// Constants
+const NOW_PARAMETER = 'now';
+
+/**
+ * Reads the simulated time from the query string
+ * @returns {Number} Milliseconds between the simulated and the real clock, 0 for the real clock
+ */
+const readClockOverride = () => {
+    const overrideText = new URLSearchParams(window.location.search).get(NOW_PARAMETER);
+    if (!overrideText) {
+        return 0;
+    }
+    
+    // Date-times without a time zone are read as local time
+    const overrideDate = new Date(overrideText);
+    if (Number.isNaN(overrideDate.getTime())) {
+        console.warn(`Ignoring invalid ${NOW_PARAMETER} parameter:`, overrideText);
+        return 0;
+    }
+    
+    return overrideDate.getTime() - Date.now();
+};
+
+// State variables
+let clockOffset = readClockOverride();
+
+/**
+ * Gets the current time, or the simulated time when the clock is overridden
+ * @returns {Date} The current time
+ */
+export const getCurrentTime = () => new Date(Date.now() + clockOffset);
+
+/**
+ * Checks whether the clock is simulated
+ * @returns {Boolean} True if the time comes from an override instead of the real clock
+ */
+export const isClockSimulated = () => clockOffset !== 0;
+
+/**
+ * Sets the simulated time, or goes back to the real clock
+ * @param {Date|null} simulatedTime - The moment to simulate, or null for the real clock
+ */
+export const setSimulatedTime = (simulatedTime) => {
+    clockOffset = simulatedTime ? simulatedTime.getTime() - Date.now() : 0;
+    
+    // Notify other modules so live views update at once
+    emit(EVENTS.CLOCK_CHANGED, {
+        now: getCurrentTime()
+    });
+};
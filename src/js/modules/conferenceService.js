@@ -0,0 +1,126 @@
+/**
+ * Conference Service Module
+ * Picks the conference to show from the conference index and the ?conf= parameter,
+ * and lets the user switch to another conference
+ */
+import { fetchConferenceIndex, setConferenceDataFile, DEFAULT_DATA_FILE } from './dataService.js';
+import { setStorageScope } from './storageService.js';
+import { showToast } from './notificationService.js';
+import { t } from './i18nService.js';
+
+// DOM element references
+let conferenceSwitcherElement;
+let conferenceSelectElement;
+
+// Constants
+const CONFERENCE_PARAMETER = 'conf';
+const CONFERENCE_ID_PATTERN = /^[\w-]+$/;
+const DATA_FILE_PATTERN = /^[\w-]+\.json$/; // A file directly in src/data
+const SINGLE_CONFERENCE_ID = 'default';
+
+// State variables
+let conferences = [];
+let activeConference = null;
+
+/**
+ * Keeps the well-formed entries of the conference index
+ * @param {Object} index - The parsed conference index
+ * @returns {Array} Conferences with id, name, dates and dataFile
+ */
+const readConferenceEntries = (index) => {
+    const entries = index && Array.isArray(index.conferences) ? index.conferences : [];
+    
+    return entries.filter(entry => {
+        const isValid = entry && CONFERENCE_ID_PATTERN.test(entry.id) && DATA_FILE_PATTERN.test(entry.dataFile);
+        if (!isValid) {
+            console.warn('Ignoring malformed entry in the conference index:', entry);
+        }
+        return isValid;
+    }).map(entry => ({
+        id: entry.id,
+        name: entry.name || entry.id,
+        dates: entry.dates || '',
+        dataFile: entry.dataFile
+    }));
+};
+
+/**
+ * Loads the conference index and selects the conference to show
+ * The ?conf= parameter picks a conference; without it the index's default conference is shown.
+ * Without an index file the app shows src/data/conference-data.json as before.
+ * @returns {Promise<Object>} The active conference with id, name, dates and dataFile
+ */
+export const loadActiveConference = async () => {
+    let index = null;
+    try {
+        index = await fetchConferenceIndex();
+    } catch (error) {
+        console.warn('Could not load the conference index, showing the default conference:', error);
+    }
+    
+    conferences = readConferenceEntries(index);
+    if (!conferences.length) {
+        conferences = [{ id: SINGLE_CONFERENCE_ID, name: '', dates: '', dataFile: DEFAULT_DATA_FILE }];
+    }
+    
+    const defaultConference = conferences.find(conference => conference.id === (index && index.defaultConference)) ||
+        conferences[0];
+    const requestedId = new URLSearchParams(window.location.search).get(CONFERENCE_PARAMETER);
+    activeConference = conferences.find(conference => conference.id === requestedId) || defaultConference;
+    
+    if (requestedId && activeConference.id !== requestedId) {
+        const shownName = activeConference.name || t('conference.defaultName');
+        showToast(t('conference.notFound', { requestedId, shownName }), { type: 'warning' });
+    }
+    
+    // Load the data of this conference and keep its bookmarks apart from the others
+    setConferenceDataFile(activeConference.dataFile);
+    setStorageScope(activeConference.id, { isDefault: activeConference === defaultConference });
+    
+    return activeConference;
+};
+
+/**
+ * Gets the conference that is shown
+ * @returns {Object|null} The active conference
+ */
+export const getActiveConference = () => activeConference;
+
+/**
+ * Builds the URL that opens a conference
+ * @param {String} conferenceId - The ID of the conference
+ * @returns {String} The URL, keeping other query parameters such as ?now=
+ */
+const getConferenceUrl = (conferenceId) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    searchParams.set(CONFERENCE_PARAMETER, conferenceId);
+    return `${window.location.pathname}?${searchParams.toString()}`;
+};
+
+/**
+ * Sets up the conference switcher in the header, shown when there is more than one conference
+ * @param {ParentNode} root - The document or element holding the switcher, the page by default
+ */
+export const setupConferenceSwitcher = (root = document) => {
+    conferenceSwitcherElement = root.querySelector('#conference-switcher');
+    conferenceSelectElement = root.querySelector('#conference-select');
+    if (!conferenceSwitcherElement || conferences.length < 2) {
+        return;
+    }
+    
+    conferenceSelectElement.innerHTML = '';
+    conferences.forEach(conference => {
+        const optionElement = document.createElement('option');
+        optionElement.value = conference.id;
+        optionElement.textContent = conference.dates ? `${conference.name} (${conference.dates})` : conference.name;
+        optionElement.selected = conference === activeConference;
+        conferenceSelectElement.appendChild(optionElement);
+    });
+    
+    // Every conference starts fresh: its own data, filters, bookmarks and view
+    conferenceSelectElement.addEventListener('change', () => {
+        window.location.assign(getConferenceUrl(conferenceSelectElement.value));
+    });
+    
+    conferenceSwitcherElement.hidden = false;
+};
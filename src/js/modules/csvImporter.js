@@ -0,0 +1,218 @@
+/**
+ * CSV Importer Module
+ * Reads a schedule kept in a spreadsheet, saved as CSV, as an imported schedule for scheduleImport.js.
+ * The first row names the columns, see the README for the layout.
+ */
+import { parseDayDate, minutesToTime, timeToMinutes } from './dateTimeUtils.js';
+import { SESSION_TYPE_CLASSES } from './sessionTypes.js';
+
+// Constants
+const COLUMNS = ['date', 'start', 'end', 'title', 'type', 'room', 'speakers', 'role', 'company', 'tags', 'description', 'id'];
+const REQUIRED_COLUMNS = ['date', 'start', 'title'];
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DEFAULT_SESSION_TYPE = 'round1';
+
+/**
+ * Splits CSV text into rows of fields
+ * Follows RFC 4180: fields may be quoted, and quoted fields may hold the delimiter, quotes ("") and line breaks.
+ * @param {String} text - The CSV text
+ * @param {String} delimiter - The field delimiter, "," or ";"
+ * @returns {Array} Array of rows, each an array of field strings
+ */
+const parseCsvRows = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let index = 0; index < text.length; index++) {
+        const character = text[index];
+        
+        if (inQuotes) {
+            if (character === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (character === '"') {
+                inQuotes = false;
+            } else {
+                field += character;
+            }
+        } else if (character === '"') {
+            inQuotes = true;
+        } else if (character === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += character;
+        }
+    }
+    
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Reads a date column, written as "2025-07-15" or as in the conference data, "July 15, 2025"
+ * @param {String} dateText - The date
+ * @returns {String|null} The date as "2025-07-15", or null if malformed
+ */
+const parseImportDate = (dateText) => {
+    const isoMatch = ISO_DATE_PATTERN.exec(dateText);
+    const date = isoMatch
+        ? { year: Number(isoMatch[1]), month: Number(isoMatch[2]), day: Number(isoMatch[3]) }
+        : parseDayDate(dateText);
+    
+    if (!date || date.month < 1 || date.month > 12 || date.day < 1 || date.day > 31) {
+        return null;
+    }
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+};
+
+/**
+ * Reads a time column like "9:00" or "09:00:00"
+ * @param {String} timeText - The time
+ * @returns {String|null} The time as written in the conference data, e.g. "9:00", or null if malformed
+ */
+const parseImportTime = (timeText) => {
+    const minutes = timeToMinutes(String(timeText).replace(/^(\d{1,2}:\d{2}):\d{2}$/, '$1'));
+    return Number.isNaN(minutes) ? null : minutesToTime(minutes);
+};
+
+/**
+ * Imports a schedule from CSV
+ * Each row is a session. Speakers are written by name and become speakers of the conference data;
+ * rows that lack a date, start or title, or have one that can't be read, are left out and reported.
+ * @param {String} text - The CSV text
+ * @returns {Object} The imported schedule, see scheduleImport.js
+ */
+export const importCsv = (text) => {
+    const issues = [];
+    const report = (severity, path, message) => {
+        issues.push({ severity, path, message });
+    };
+    
+    const csvText = String(text).replace(/^\uFEFF/, ''); // Byte order mark written by spreadsheets
+    const headerLine = csvText.split(/\r?\n/, 1)[0];
+    
+    // Spreadsheets in many European locales save with ";" because "," is their decimal separator
+    const delimiter = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+    const listSeparator = delimiter === ';' ? ',' : ';';
+    
+    const [header = [], ...rows] = parseCsvRows(csvText, delimiter);
+    const columns = header.map(name => name.trim().toLowerCase());
+    
+    columns.forEach((column, columnIndex) => {
+        if (column && !COLUMNS.includes(column)) {
+            report('warning', `column ${columnIndex + 1}`, `Unknown column "${header[columnIndex]}" was ignored`);
+        }
+    });
+    
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missingColumns.length) {
+        report('error', 'row 1', `Missing column(s): ${missingColumns.join(', ')}`);
+        return { sessions: [], speakers: [], issues };
+    }
+    
+    const speakersByName = new Map();
+    const sessions = [];
+    
+    rows.forEach((fields, rowIndex) => {
+        // Row numbers as a spreadsheet shows them, counting the header
+        const path = `row ${rowIndex + 2}`;
+        if (fields.every(field => !field.trim())) {
+            return;
+        }
+        
+        const values = {};
+        columns.forEach((column, columnIndex) => {
+            values[column] = (fields[columnIndex] || '').trim();
+        });
+        
+        const missingValues = REQUIRED_COLUMNS.filter(column => !values[column]);
+        if (missingValues.length) {
+            report('warning', path, `Missing ${missingValues.join(', ')}, the row was left out`);
+            return;
+        }
+        
+        const date = parseImportDate(values.date);
+        const time = parseImportTime(values.start);
+        if (!date || !time) {
+            report('warning', path, `Unreadable ${!date ? `date "${values.date}"` : `start "${values.start}"`}, the row was left out`);
+            return;
+        }
+        
+        const session = { date, time, title: values.title };
+        
+        if (values.id) {
+            session.sourceId = values.id;
+        }
+        
+        if (values.end) {
+            const endTime = parseImportTime(values.end);
+            if (!endTime || timeToMinutes(endTime) <= timeToMinutes(time)) {
+                report('warning', `${path}, end`, `End "${values.end}" isn't a time after the start and was left out`);
+            } else {
+                session.endTime = endTime;
+            }
+        }
+        
+        if (values.type) {
+            const type = values.type.toLowerCase();
+            if (Object.hasOwn(SESSION_TYPE_CLASSES, type)) {
+                session.type = type;
+            } else {
+                report('warning', `${path}, type`, `Unknown session type "${values.type}", imported as ${DEFAULT_SESSION_TYPE}`);
+            }
+        }
+        
+        ['room', 'description'].forEach(field => {
+            if (values[field]) {
+                session[field] = values[field];
+            }
+        });
+        
+        session.tags = (values.tags || '').split(listSeparator).map(tag => tag.trim()).filter(Boolean);
+        
+        const speakerNames = (values.speakers || '').split(listSeparator).map(name => name.trim()).filter(Boolean);
+        session.speakerKeys = speakerNames.map(name => {
+            const key = name.toLowerCase();
+            if (!speakersByName.has(key)) {
+                speakersByName.set(key, { key, name });
+            }
+            
+            // Role and company describe the speaker when a session has one, and the session otherwise
+            if (speakerNames.length === 1) {
+                const speaker = speakersByName.get(key);
+                ['role', 'company'].forEach(field => {
+                    if (values[field] && !speaker[field]) {
+                        speaker[field] = values[field];
+                    }
+                });
+            }
+            return key;
+        });
+        
+        if (speakerNames.length !== 1) {
+            ['role', 'company'].forEach(field => {
+                if (values[field]) {
+                    session[field] = values[field];
+                }
+            });
+        }
+        
+        sessions.push(session);
+    });
+    
+    return { sessions, speakers: [...speakersByName.values()], issues };
+};
@@ -2,9 +2,14 @@
  * Data Service Module
  * Handles fetching and processing conference data
  */
+import { validateConferenceData, ConferenceDataError } from './dataValidator.js';
+import { localizeConferenceData, getLocale, t } from './i18nService.js';
 
-// Dynamically determine the base path for assets
-const getBasePath = () => {
+/**
+ * Dynamically determines the base path for assets
+ * @returns {String} The base path, e.g. "/conference-app" on GitHub Pages or "" locally
+ */
+export const getBasePath = () => {
     // Check if we're in a GitHub Pages environment (common URL pattern)
     const path = window.location.pathname;
     const isGitHubPages = /\/[\w-]+\/[\w-]+\/?$/.test(path) || /github\.io/.test(window.location.hostname);
@@ -25,29 +30,168 @@ const getBasePath = () => {
     return '';
 };
 
-// Path to the conference data file
-const DATA_PATH = `${getBasePath()}/src/data/conference-data.json`;
+// Folder with the conference index and the data file of every conference
+const DATA_DIRECTORY = `${getBasePath()}/src/data`;
+const CONFERENCE_INDEX_PATH = `${DATA_DIRECTORY}/conferences.json`;
+export const DEFAULT_DATA_FILE = 'conference-data.json';
+
+// Set by the service worker on cached copies of the data file
+const FETCHED_AT_HEADER = 'X-Fetched-At';
+
+// State variables
+let dataPath = `${DATA_DIRECTORY}/${DEFAULT_DATA_FILE}`; // Data file of the active conference
+let dataLastUpdated = null;
+let dataValidators = {}; // ETag and Last-Modified of the loaded data, for conditional requests
 
 /**
- * Fetches conference data from the JSON file
- * @returns {Promise<Object>} The conference data object
+ * Fetches the index of available conferences
+ * @returns {Promise<Object|null>} The parsed index file, or null if there is none (a single conference setup)
+ */
+export const fetchConferenceIndex = async () => {
+    const response = await fetch(CONFERENCE_INDEX_PATH);
+    
+    if (response.status === 404) {
+        return null;
+    }
+    
+    if (!response.ok) {
+        throw new Error(`Failed to fetch conference index: ${response.status} ${response.statusText}`);
+    }
+    
+    return response.json();
+};
+
+/**
+ * Chooses the data file that fetchConferenceData and revalidateConferenceData load
+ * @param {String} dataFile - File name in src/data, e.g. "design-days-2025.json"
+ */
+export const setConferenceDataFile = (dataFile) => {
+    dataPath = `${DATA_DIRECTORY}/${dataFile}`;
+};
+
+/**
+ * Gets the path of the data file of the active conference
+ * @returns {String} The path, e.g. "/conference-app/src/data/conference-data.json"
+ */
+export const getDataPath = () => dataPath;
+
+/**
+ * Fetches conference data from the JSON file, validates and normalizes it
+ * @returns {Promise<Object>} The normalized conference data object
+ * @throws {ConferenceDataError} When the data contains errors that prevent rendering
  */
 export const fetchConferenceData = async () => {
     try {
-        const response = await fetch(DATA_PATH);
+        const response = await fetch(dataPath);
         
         if (!response.ok) {
             throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
         }
         
-        const data = await response.json();
-        return data;
+        return await readConferenceData(response);
     } catch (error) {
         console.error('Error fetching conference data:', error);
         throw error;
     }
 };
 
+/**
+ * Fetches the conference data again if it changed on the server since it was loaded
+ * Sends the ETag and Last-Modified of the loaded data, so an unchanged file costs no download
+ * @returns {Promise<Object|null>} The normalized conference data object, or null if the data is unchanged
+ * @throws {ConferenceDataError} When the new data contains errors that prevent rendering
+ */
+export const revalidateConferenceData = async () => {
+    const headers = {};
+    if (dataValidators.etag) {
+        headers['If-None-Match'] = dataValidators.etag;
+    }
+    if (dataValidators.lastModified) {
+        headers['If-Modified-Since'] = dataValidators.lastModified;
+    }
+    
+    // Bypass the HTTP cache and the service worker's saved copy
+    const response = await fetch(dataPath, { cache: 'no-cache', headers });
+    
+    if (response.status === 304) {
+        return null;
+    }
+    
+    if (!response.ok) {
+        throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+    }
+    
+    return readConferenceData(response);
+};
+
+/**
+ * Reads, validates and normalizes the conference data from a response
+ * @param {Response} response - The successful response for the data file
+ * @returns {Promise<Object>} The normalized conference data object
+ * @throws {ConferenceDataError} When the data contains errors that prevent rendering
+ */
+const readConferenceData = async (response) => {
+    // A cached copy served offline tells when it was fetched, otherwise the data is fresh
+    const fetchedAt = new Date(response.headers.get(FETCHED_AT_HEADER) || Date.now());
+    const lastUpdated = Number.isNaN(fetchedAt.getTime()) ? new Date() : fetchedAt;
+    
+    const data = prepareConferenceData(await response.json());
+    
+    // Only valid data replaces what is on screen
+    dataLastUpdated = lastUpdated;
+    dataValidators = {
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+    
+    return data;
+};
+
+/**
+ * Validates, normalizes and translates conference data as it is written in the data file
+ * @param {Object} rawData - The parsed conference data JSON
+ * @returns {Object} The normalized conference data object, ready for rendering
+ * @throws {ConferenceDataError} When the data contains errors that prevent rendering
+ */
+export const prepareConferenceData = (rawData) => {
+    const { data, errors, warnings } = validateConferenceData(rawData, { locale: getLocale() });
+    
+    warnings.forEach(warning => {
+        console.warn(`Conference data warning at ${warning.path}: ${warning.message}`);
+    });
+    
+    if (errors.length) {
+        throw new ConferenceDataError(
+            t('diagnostics.errorCount', { count: errors.length }),
+            [...errors, ...warnings]
+        );
+    }
+    
+    // Show the titles and descriptions in the user's language where the data has them
+    return localizeConferenceData(data);
+};
+
+/**
+ * Fetches the conference data as it is written in the data file, without validating or translating it
+ * Used by the schedule editor, which edits and downloads the file itself.
+ * @returns {Promise<Object>} The parsed data file
+ */
+export const fetchRawConferenceData = async () => {
+    const response = await fetch(dataPath, { cache: 'no-cache' });
+    
+    if (!response.ok) {
+        throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+    }
+    
+    return response.json();
+};
+
+/**
+ * Tells when the conference data shown was fetched from the server
+ * @returns {Date|null} The fetch time, or null if no data has been loaded
+ */
+export const getDataLastUpdated = () => dataLastUpdated;
+
 /**
  * Get all sessions from all days combined
  * @param {Object} conferenceData - The complete conference data object
@@ -0,0 +1,537 @@
+/**
+ * Data Validator Module
+ * Checks conference data against the expected structure and normalizes it for rendering
+ */
+import { SESSION_TYPE_CLASSES } from './sessionTypes.js';
+import { parseDayDate, parseTimeOfDay, isValidTimeZone, timeToMinutes, addMinutesToTime, getSessionEndTime } from './dateTimeUtils.js';
+import { t, formatList } from './i18nService.js';
+
+// Constants
+const ROOT_PATH = '$';
+const SEVERITY_ERROR = 'error';
+const SEVERITY_WARNING = 'warning';
+const OPTIONAL_SESSION_TEXT_FIELDS = ['speaker', 'role', 'company', 'description', 'room'];
+const OPTIONAL_SPEAKER_TEXT_FIELDS = ['role', 'company', 'bio'];
+const SAFE_URL_PATTERN = /^(https?:\/\/|\.{0,2}\/|[\w-]+\/)/i; // Web or relative URLs, never javascript: or data:
+const TRANSLATABLE_SESSION_FIELDS = ['title', 'description'];
+const TRANSLATABLE_DAY_FIELDS = ['name'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/; // Translations are keyed by language, e.g. "nl"
+
+/**
+ * Error thrown when conference data can't be used
+ * Carries every problem that was found so they can all be reported at once
+ */
+export class ConferenceDataError extends Error {
+    /**
+     * @param {String} message - Summary of the problem
+     * @param {Array} issues - Array of { severity, path, message } objects
+     */
+    constructor(message, issues) {
+        super(message);
+        this.name = 'ConferenceDataError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Checks whether a value is a non-empty string after trimming
+ * @param {*} value - The value to check
+ * @returns {Boolean} True if the value is a non-empty string
+ */
+const isFilledString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Formats a time like "9:00" as a zero-padded, sortable "09:00"
+ * @param {Object} timeOfDay - Object with hours and minutes as returned by parseTimeOfDay
+ * @returns {String} The zero-padded time
+ */
+const formatSortableTime = (timeOfDay) => {
+    return `${String(timeOfDay.hours).padStart(2, '0')}:${String(timeOfDay.minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Removes empty and duplicate tags, comparing case-insensitively and keeping the first spelling
+ * @param {Array} tags - The tags of a session
+ * @param {String} path - JSON path of the tags array
+ * @param {Function} report - Function used to report issues
+ * @returns {Array} The cleaned up tags
+ */
+const normalizeTags = (tags, path, report) => {
+    const seenTags = new Set();
+    const normalizedTags = [];
+    
+    tags.forEach((tag, tagIndex) => {
+        if (!isFilledString(tag)) {
+            report(SEVERITY_WARNING, `${path}[${tagIndex}]`, t('validation.invalidTag'));
+            return;
+        }
+        
+        const trimmedTag = tag.trim();
+        const tagKey = trimmedTag.toLowerCase();
+        if (seenTags.has(tagKey)) {
+            report(SEVERITY_WARNING, `${path}[${tagIndex}]`, t('validation.duplicateTag', { tag: trimmedTag }));
+            return;
+        }
+        
+        seenTags.add(tagKey);
+        normalizedTags.push(trimmedTag);
+    });
+    
+    return normalizedTags;
+};
+
+/**
+ * Trims the optional text fields of an object, removing values that aren't text
+ * @param {Object} source - The raw object
+ * @param {Object} target - The normalized copy to update
+ * @param {Array} fields - Names of the optional text fields
+ * @param {String} path - JSON path of the object
+ * @param {Function} report - Function used to report issues
+ */
+const normalizeOptionalText = (source, target, fields, path, report) => {
+    fields.forEach(field => {
+        if (source[field] === undefined || source[field] === null) {
+            return;
+        }
+        if (typeof source[field] !== 'string') {
+            report(SEVERITY_WARNING, `${path}.${field}`, t('validation.notText', { type: typeof source[field] }));
+            delete target[field];
+            return;
+        }
+        target[field] = source[field].trim();
+    });
+};
+
+/**
+ * Checks whether a URL from the data may be used in a link or image
+ * @param {*} url - The URL to check
+ * @returns {Boolean} True for web and relative URLs
+ */
+export const isSafeUrl = (url) => isFilledString(url) && SAFE_URL_PATTERN.test(url.trim());
+
+/**
+ * Validates and normalizes the links of a speaker
+ * @param {*} links - The raw links
+ * @param {String} path - JSON path of the links array
+ * @param {Function} report - Function used to report issues
+ * @returns {Array} Links with label and url
+ */
+const normalizeSpeakerLinks = (links, path, report) => {
+    if (!Array.isArray(links)) {
+        report(SEVERITY_WARNING, path, t('validation.invalidLinks'));
+        return [];
+    }
+    
+    return links.filter((link, linkIndex) => {
+        const isValid = link && isFilledString(link.label) && isSafeUrl(link.url);
+        if (!isValid) {
+            report(SEVERITY_WARNING, `${path}[${linkIndex}]`, t('validation.invalidLink'));
+        }
+        return isValid;
+    }).map(link => ({ label: link.label.trim(), url: link.url.trim() }));
+};
+
+/**
+ * Validates and normalizes a single speaker
+ * @param {*} speaker - The raw speaker
+ * @param {String} path - JSON path of the speaker
+ * @param {Map} speakersById - Speakers seen so far, by ID
+ * @param {Function} report - Function used to report issues
+ * @returns {Object|null} The normalized speaker, or null if it can't be used
+ */
+const normalizeSpeaker = (speaker, path, speakersById, report) => {
+    if (!speaker || typeof speaker !== 'object' || Array.isArray(speaker)) {
+        report(SEVERITY_ERROR, path, t('validation.speakerNotObject'));
+        return null;
+    }
+    
+    const normalizedSpeaker = { ...speaker };
+    
+    if (!isFilledString(speaker.id)) {
+        report(SEVERITY_ERROR, `${path}.id`, t('validation.speakerIdMissing'));
+        return null;
+    }
+    normalizedSpeaker.id = speaker.id.trim();
+    if (speakersById.has(normalizedSpeaker.id)) {
+        report(SEVERITY_ERROR, `${path}.id`, t('validation.duplicateSpeakerId', { id: normalizedSpeaker.id }));
+        return null;
+    }
+    
+    if (!isFilledString(speaker.name)) {
+        report(SEVERITY_ERROR, `${path}.name`, t('validation.speakerNameMissing'));
+        return null;
+    }
+    normalizedSpeaker.name = speaker.name.trim();
+    
+    normalizeOptionalText(speaker, normalizedSpeaker, OPTIONAL_SPEAKER_TEXT_FIELDS, path, report);
+    
+    if (speaker.photo !== undefined && !isSafeUrl(speaker.photo)) {
+        report(SEVERITY_WARNING, `${path}.photo`, t('validation.invalidPhoto'));
+        delete normalizedSpeaker.photo;
+    } else if (speaker.photo !== undefined) {
+        normalizedSpeaker.photo = speaker.photo.trim();
+    }
+    
+    normalizedSpeaker.links = speaker.links === undefined ? [] : normalizeSpeakerLinks(speaker.links, `${path}.links`, report);
+    
+    speakersById.set(normalizedSpeaker.id, normalizedSpeaker);
+    return normalizedSpeaker;
+};
+
+/**
+ * Links sessions to the speakers they reference with speakerIds
+ * Fills in speaker, role and company from the speakers section, so every view can show them as before
+ * @param {Array} days - The normalized days
+ * @param {Map} speakersById - The normalized speakers, by ID
+ * @param {Map} sessionPathsById - Paths of the sessions, by ID
+ * @param {Function} report - Function used to report issues
+ * @param {String} locale - Language used to join the names of several speakers
+ */
+const linkSessionSpeakers = (days, speakersById, sessionPathsById, report, locale) => {
+    const nameListFormat = new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' });
+    
+    days.flatMap(day => day.sessions).forEach(session => {
+        if (session.speakerIds === undefined) {
+            return;
+        }
+        
+        const path = `${sessionPathsById.get(session.id)}.speakerIds`;
+        if (!Array.isArray(session.speakerIds)) {
+            report(SEVERITY_WARNING, path, t('validation.speakerIdsNotArray'));
+            delete session.speakerIds;
+            return;
+        }
+        
+        session.speakerIds = session.speakerIds.filter((speakerId, speakerIndex) => {
+            if (!speakersById.has(speakerId)) {
+                report(SEVERITY_WARNING, `${path}[${speakerIndex}]`, t('validation.unknownSpeakerId', { id: JSON.stringify(speakerId) }));
+                return false;
+            }
+            return true;
+        });
+        
+        const speakers = session.speakerIds.map(speakerId => speakersById.get(speakerId));
+        if (!speakers.length) {
+            return;
+        }
+        
+        session.speaker = session.speaker || nameListFormat.format(speakers.map(speaker => speaker.name));
+        
+        // Role and company only make sense for the session if all its speakers share them
+        ['role', 'company'].forEach(field => {
+            const values = new Set(speakers.map(speaker => speaker[field]));
+            if (!session[field] && values.size === 1 && speakers[0][field]) {
+                session[field] = speakers[0][field];
+            }
+        });
+    });
+};
+
+/**
+ * Validates and normalizes the translations of a day or session
+ * @param {*} translations - The raw translations, e.g. { "nl": { "title": "…" } }
+ * @param {Array} fields - Names of the fields that can be translated
+ * @param {String} path - JSON path of the translations
+ * @param {Function} report - Function used to report issues
+ * @returns {Object} Translated texts by language
+ */
+const normalizeTranslations = (translations, fields, path, report) => {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+        report(SEVERITY_WARNING, path, t('validation.invalidTranslations'));
+        return {};
+    }
+    
+    const normalizedTranslations = {};
+    Object.entries(translations).forEach(([language, translation]) => {
+        const languagePath = `${path}.${language}`;
+        if (!LANGUAGE_PATTERN.test(language) || !translation || typeof translation !== 'object' || Array.isArray(translation)) {
+            report(SEVERITY_WARNING, languagePath, t('validation.invalidTranslation'));
+            return;
+        }
+        
+        normalizedTranslations[language] = {};
+        Object.entries(translation).forEach(([field, text]) => {
+            if (!fields.includes(field)) {
+                report(SEVERITY_WARNING, `${languagePath}.${field}`, t('validation.untranslatableField', { fields: formatList(fields) }));
+            } else if (!isFilledString(text)) {
+                report(SEVERITY_WARNING, `${languagePath}.${field}`, t('validation.translationNotText'));
+            } else {
+                normalizedTranslations[language][field] = text.trim();
+            }
+        });
+    });
+    
+    return normalizedTranslations;
+};
+
+/**
+ * Checks the optional end time and duration of a session and turns them into an end time
+ * An end time wins over a duration; without either the end time is derived later from the next time slot.
+ * @param {Object} session - The raw session
+ * @param {Object} normalizedSession - The normalized session, updated in place
+ * @param {String} path - JSON path of the session
+ * @param {Function} report - Function used to report issues
+ */
+const normalizeSessionEnd = (session, normalizedSession, path, report) => {
+    delete normalizedSession.endTime;
+    delete normalizedSession.duration;
+    
+    const startMinutes = timeToMinutes(normalizedSession.time);
+    if (Number.isNaN(startMinutes)) {
+        return;
+    }
+    
+    let endTime = null;
+    if (session.endTime !== undefined) {
+        const endTimeOfDay = parseTimeOfDay(session.endTime);
+        if (!endTimeOfDay) {
+            report(SEVERITY_WARNING, `${path}.endTime`,
+                t('validation.invalidEndTime', { value: JSON.stringify(session.endTime) }));
+        } else if (timeToMinutes(session.endTime) <= startMinutes) {
+            report(SEVERITY_WARNING, `${path}.endTime`,
+                t('validation.endTimeNotAfterStart', { endTime: session.endTime, time: session.time }));
+        } else {
+            endTime = formatSortableTime(endTimeOfDay);
+        }
+    }
+    
+    if (session.duration !== undefined) {
+        if (!Number.isInteger(session.duration) || session.duration <= 0) {
+            report(SEVERITY_WARNING, `${path}.duration`,
+                t('validation.invalidDuration', { value: JSON.stringify(session.duration) }));
+        } else if (!endTime) {
+            endTime = formatSortableTime(parseTimeOfDay(addMinutesToTime(normalizedSession.time, session.duration)));
+        } else if (timeToMinutes(endTime) - startMinutes !== session.duration) {
+            report(SEVERITY_WARNING, `${path}.duration`,
+                t('validation.durationMismatch', { count: session.duration, endTime: session.endTime }));
+        }
+    }
+    
+    if (endTime) {
+        normalizedSession.endTime = endTime;
+    }
+};
+
+/**
+ * Validates and normalizes a single session
+ * @param {*} session - The raw session
+ * @param {String} path - JSON path of the session
+ * @param {Map} sessionPathsById - Paths of the sessions seen so far, by ID
+ * @param {Function} report - Function used to report issues
+ * @returns {Object|null} The normalized session, or null if it isn't an object
+ */
+const normalizeSession = (session, path, sessionPathsById, report) => {
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+        report(SEVERITY_ERROR, path, t('validation.sessionNotObject'));
+        return null;
+    }
+    
+    const normalizedSession = { ...session };
+    
+    // Every session needs a unique ID, it's used to find sessions across the app
+    if (!isFilledString(session.id)) {
+        report(SEVERITY_ERROR, `${path}.id`, t('validation.sessionIdMissing'));
+    } else {
+        normalizedSession.id = session.id.trim();
+        if (sessionPathsById.has(normalizedSession.id)) {
+            report(SEVERITY_ERROR, `${path}.id`,
+                t('validation.duplicateSessionId', { id: normalizedSession.id, path: sessionPathsById.get(normalizedSession.id) }));
+        } else {
+            sessionPathsById.set(normalizedSession.id, path);
+        }
+    }
+    
+    // Times must look like "9:00" or "14:15"
+    const timeOfDay = parseTimeOfDay(session.time);
+    if (!timeOfDay) {
+        report(SEVERITY_ERROR, `${path}.time`,
+            t('validation.invalidTime', { value: JSON.stringify(session.time) }));
+    } else {
+        normalizedSession.time = formatSortableTime(timeOfDay);
+    }
+    
+    normalizeSessionEnd(session, normalizedSession, path, report);
+    
+    if (!isFilledString(session.title)) {
+        report(SEVERITY_ERROR, `${path}.title`, t('validation.sessionTitleMissing'));
+    } else {
+        normalizedSession.title = session.title.trim();
+    }
+    
+    // Unknown types still render, but without type specific styling
+    if (!isFilledString(session.type)) {
+        report(SEVERITY_WARNING, `${path}.type`, t('validation.sessionTypeMissing'));
+    } else {
+        normalizedSession.type = session.type.trim();
+        if (!SESSION_TYPE_CLASSES[normalizedSession.type]) {
+            report(SEVERITY_WARNING, `${path}.type`,
+                t('validation.unknownSessionType', { type: normalizedSession.type, types: Object.keys(SESSION_TYPE_CLASSES).join(', ') }));
+        }
+    }
+    
+    normalizeOptionalText(session, normalizedSession, OPTIONAL_SESSION_TEXT_FIELDS, path, report);
+    
+    if (session.tags !== undefined) {
+        if (!Array.isArray(session.tags)) {
+            report(SEVERITY_ERROR, `${path}.tags`, t('validation.tagsNotArray'));
+            normalizedSession.tags = [];
+        } else {
+            normalizedSession.tags = normalizeTags(session.tags, `${path}.tags`, report);
+        }
+    }
+    
+    if (session.translations !== undefined) {
+        normalizedSession.translations = normalizeTranslations(session.translations, TRANSLATABLE_SESSION_FIELDS, `${path}.translations`, report);
+    }
+    
+    return normalizedSession;
+};
+
+/**
+ * Validates and normalizes a single conference day
+ * @param {*} day - The raw day
+ * @param {String} path - JSON path of the day
+ * @param {Set} dayIds - IDs of the days seen so far
+ * @param {Map} sessionPathsById - Paths of the sessions seen so far, by ID
+ * @param {Function} report - Function used to report issues
+ * @returns {Object|null} The normalized day, or null if it isn't an object
+ */
+const normalizeDay = (day, path, dayIds, sessionPathsById, report) => {
+    if (!day || typeof day !== 'object' || Array.isArray(day)) {
+        report(SEVERITY_ERROR, path, t('validation.dayNotObject'));
+        return null;
+    }
+    
+    const normalizedDay = { ...day };
+    
+    if (!isFilledString(day.id)) {
+        report(SEVERITY_ERROR, `${path}.id`, t('validation.dayIdMissing'));
+    } else {
+        normalizedDay.id = day.id.trim();
+        if (dayIds.has(normalizedDay.id)) {
+            report(SEVERITY_ERROR, `${path}.id`, t('validation.duplicateDayId', { id: normalizedDay.id }));
+        }
+        dayIds.add(normalizedDay.id);
+    }
+    
+    if (!isFilledString(day.name)) {
+        report(SEVERITY_ERROR, `${path}.name`, t('validation.dayNameMissing'));
+    } else {
+        normalizedDay.name = day.name.trim();
+    }
+    
+    if (!parseDayDate(day.date)) {
+        report(SEVERITY_ERROR, `${path}.date`,
+            t('validation.invalidDate', { value: JSON.stringify(day.date) }));
+    } else {
+        normalizedDay.date = day.date.trim();
+    }
+    
+    if (day.translations !== undefined) {
+        normalizedDay.translations = normalizeTranslations(day.translations, TRANSLATABLE_DAY_FIELDS, `${path}.translations`, report);
+    }
+    
+    if (!Array.isArray(day.sessions)) {
+        report(SEVERITY_ERROR, `${path}.sessions`, t('validation.sessionsNotArray'));
+        normalizedDay.sessions = [];
+        return normalizedDay;
+    }
+    
+    normalizedDay.sessions = day.sessions
+        .map((session, sessionIndex) => normalizeSession(session, `${path}.sessions[${sessionIndex}]`, sessionPathsById, report))
+        .filter(Boolean);
+    
+    // Zero-padded times sort correctly as text; sort() is stable so parallel sessions keep their order
+    normalizedDay.sessions.sort((a, b) => String(a.time).localeCompare(String(b.time)));
+    
+    // Every session gets an end time and a duration, sessions without an end run until the next time slot
+    normalizedDay.sessions.forEach(session => {
+        const endTime = parseTimeOfDay(getSessionEndTime(session, normalizedDay.sessions));
+        if (endTime) {
+            session.endTime = formatSortableTime(endTime);
+            session.duration = timeToMinutes(session.endTime) - timeToMinutes(session.time);
+        }
+    });
+    
+    return normalizedDay;
+};
+
+/**
+ * Validates conference data and returns a normalized copy
+ * @param {*} rawData - The parsed conference data JSON
+ * @param {Object} options - Validation options
+ * @param {String} options.locale - Language used for texts derived from the data, such as speaker lists
+ * @returns {Object} Object with the normalized data, errors and warnings
+ */
+export const validateConferenceData = (rawData, { locale = 'en' } = {}) => {
+    const issues = [];
+    const report = (severity, path, message) => {
+        issues.push({ severity, path, message });
+    };
+    
+    const result = (data) => ({
+        data,
+        errors: issues.filter(issue => issue.severity === SEVERITY_ERROR),
+        warnings: issues.filter(issue => issue.severity === SEVERITY_WARNING)
+    });
+    
+    if (!rawData || typeof rawData !== 'object' || Array.isArray(rawData)) {
+        report(SEVERITY_ERROR, ROOT_PATH, t('validation.dataNotObject'));
+        return result(null);
+    }
+    
+    const normalizedData = { ...rawData };
+    
+    if (!isFilledString(rawData.conferenceName)) {
+        report(SEVERITY_WARNING, `${ROOT_PATH}.conferenceName`, t('validation.conferenceNameMissing'));
+    } else {
+        normalizedData.conferenceName = rawData.conferenceName.trim();
+    }
+    
+    // Without a time zone, session times are read as the viewer's local time
+    if (rawData.timezone !== undefined && !isValidTimeZone(rawData.timezone)) {
+        report(SEVERITY_WARNING, `${ROOT_PATH}.timezone`,
+            t('validation.unknownTimeZone', { value: JSON.stringify(rawData.timezone) }));
+        delete normalizedData.timezone;
+    }
+    
+    // Without a feedback endpoint, ratings are kept in the browser
+    if (rawData.feedbackEndpoint !== undefined) {
+        if (!isFilledString(rawData.feedbackEndpoint) || !SAFE_URL_PATTERN.test(rawData.feedbackEndpoint.trim())) {
+            report(SEVERITY_WARNING, `${ROOT_PATH}.feedbackEndpoint`,
+                t('validation.invalidFeedbackEndpoint', { value: JSON.stringify(rawData.feedbackEndpoint) }));
+            delete normalizedData.feedbackEndpoint;
+        } else {
+            normalizedData.feedbackEndpoint = rawData.feedbackEndpoint.trim();
+        }
+    }
+    
+    if (!Array.isArray(rawData.days) || rawData.days.length === 0) {
+        report(SEVERITY_ERROR, `${ROOT_PATH}.days`, t('validation.daysNotArray'));
+        normalizedData.days = [];
+        return result(normalizedData);
+    }
+    
+    // The optional speakers section holds bios, photos and links that sessions refer to by ID
+    const speakersById = new Map();
+    if (rawData.speakers !== undefined) {
+        if (!Array.isArray(rawData.speakers)) {
+            report(SEVERITY_ERROR, `${ROOT_PATH}.speakers`, t('validation.speakersNotArray'));
+            normalizedData.speakers = [];
+        } else {
+            normalizedData.speakers = rawData.speakers
+                .map((speaker, speakerIndex) => normalizeSpeaker(speaker, `${ROOT_PATH}.speakers[${speakerIndex}]`, speakersById, report))
+                .filter(Boolean);
+        }
+    }
+    
+    const dayIds = new Set();
+    const sessionPathsById = new Map();
+    normalizedData.days = rawData.days
+        .map((day, dayIndex) => normalizeDay(day, `${ROOT_PATH}.days[${dayIndex}]`, dayIds, sessionPathsById, report))
+        .filter(Boolean);
+    
+    linkSessionSpeakers(normalizedData.days, speakersById, sessionPathsById, report, locale);
+    
+    return result(normalizedData);
+};
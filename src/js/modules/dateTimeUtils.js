@@ -0,0 +1,250 @@
+/**
+ * Date Time Utilities Module
+ * Parses the day dates ("July 15, 2025") and session times ("9:00") used in the conference data
+ */
+
+// Constants
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+const DAY_DATE_PATTERN = /^([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})$/;
+const TIME_OF_DAY_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const MINUTES_PER_HOUR = 60;
+const LAST_MINUTE_OF_DAY = 23 * MINUTES_PER_HOUR + 59;
+export const DEFAULT_SESSION_DURATION = 60; // Minutes assumed for the last session of a day
+
+/**
+ * Parses a day date like "July 15, 2025"
+ * @param {String} dateText - The date as written in the conference data
+ * @returns {Object|null} Object with year, month (1-12) and day, or null if malformed
+ */
+export const parseDayDate = (dateText) => {
+    const match = DAY_DATE_PATTERN.exec(String(dateText || '').trim());
+    if (!match) {
+        return null;
+    }
+    
+    const month = MONTH_NAMES.indexOf(match[1].toLowerCase()) + 1;
+    const day = Number(match[2]);
+    const year = Number(match[3]);
+    
+    if (month === 0 || day < 1 || day > 31) {
+        return null;
+    }
+    
+    return { year, month, day };
+};
+
+/**
+ * Writes a date the way day dates are written in the conference data
+ * @param {Object} date - Object with year, month (1-12) and day
+ * @returns {String} The day date, e.g. "July 15, 2025"
+ */
+export const formatDayDateText = ({ year, month, day }) => {
+    const monthName = MONTH_NAMES[month - 1];
+    return `${monthName.charAt(0).toUpperCase()}${monthName.slice(1)} ${day}, ${year}`;
+};
+
+/**
+ * Parses a session time like "9:00" or "14:15"
+ * @param {String} timeText - The time as written in the conference data
+ * @returns {Object|null} Object with hours and minutes, or null if malformed
+ */
+export const parseTimeOfDay = (timeText) => {
+    const match = TIME_OF_DAY_PATTERN.exec(String(timeText || '').trim());
+    if (!match) {
+        return null;
+    }
+    
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    
+    return { hours, minutes };
+};
+
+/**
+ * Combines a day date and a session time into a local date-time
+ * @param {String} dateText - The day date, e.g. "July 15, 2025"
+ * @param {String} timeText - The session time, e.g. "9:00"
+ * @returns {Date|null} The date-time, or null if date or time is malformed
+ */
+export const toLocalDateTime = (dateText, timeText) => {
+    const date = parseDayDate(dateText);
+    const timeOfDay = parseTimeOfDay(timeText);
+    
+    if (!date || !timeOfDay) {
+        return null;
+    }
+    
+    return new Date(date.year, date.month - 1, date.day, timeOfDay.hours, timeOfDay.minutes);
+};
+
+/**
+ * Checks whether a time zone is known to the browser
+ * @param {String} timeZone - An IANA time zone, e.g. "Europe/Amsterdam"
+ * @returns {Boolean} True if dates can be formatted in the time zone
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Gets the calendar date and wall clock time of a moment in a time zone
+ * @param {Date} date - The moment
+ * @param {String} timeZone - An IANA time zone, the browser's own time zone if omitted
+ * @returns {Object} Object with year, month (1-12), day, hours and minutes
+ */
+export const getZonedDateParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date);
+    const getPart = (type) => Number(parts.find(part => part.type === type).value);
+    
+    return {
+        year: getPart('year'),
+        month: getPart('month'),
+        day: getPart('day'),
+        hours: getPart('hour'),
+        minutes: getPart('minute')
+    };
+};
+
+/**
+ * Combines a day date and a session time into the moment they describe in a time zone
+ * @param {String} dateText - The day date, e.g. "July 15, 2025"
+ * @param {String} timeText - The session time, e.g. "9:00"
+ * @param {String} timeZone - The IANA time zone the date and time are written in
+ * @returns {Date|null} The moment, or null if date or time is malformed
+ */
+export const toZonedDateTime = (dateText, timeText, timeZone) => {
+    const date = parseDayDate(dateText);
+    const timeOfDay = parseTimeOfDay(timeText);
+    
+    if (!date || !timeOfDay) {
+        return null;
+    }
+    
+    // Read the wall clock time as UTC, then correct it by the zone's offset at that moment
+    const wallClockTime = Date.UTC(date.year, date.month - 1, date.day, timeOfDay.hours, timeOfDay.minutes);
+    const getOffset = (moment) => {
+        const parts = getZonedDateParts(new Date(moment), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes) - moment;
+    };
+    
+    // A second pass finds the right offset for times just after a daylight saving change
+    const firstGuess = wallClockTime - getOffset(wallClockTime);
+    return new Date(wallClockTime - getOffset(firstGuess));
+};
+
+/**
+ * Converts a session time to the number of minutes since midnight
+ * @param {String} timeText - The time as written in the conference data
+ * @returns {Number} Minutes since midnight, or NaN if the time is malformed
+ */
+export const timeToMinutes = (timeText) => {
+    const timeOfDay = parseTimeOfDay(timeText);
+    return timeOfDay ? timeOfDay.hours * MINUTES_PER_HOUR + timeOfDay.minutes : NaN;
+};
+
+/**
+ * Converts a number of minutes since midnight to a time like "9:00"
+ * @param {Number} totalMinutes - Minutes since midnight
+ * @returns {String} The formatted time
+ */
+export const minutesToTime = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / MINUTES_PER_HOUR);
+    const minutes = totalMinutes % MINUTES_PER_HOUR;
+    return `${hours}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Gets when a session ends
+ * Sessions without an end time run until the next time slot on the same day.
+ * @param {Object} session - The session object
+ * @param {Array} daySessions - All sessions of the day the session takes place on
+ * @returns {String} The end time, e.g. "10:15"
+ */
+export const getSessionEndTime = (session, daySessions) => {
+    if (parseTimeOfDay(session.endTime)) {
+        return session.endTime;
+    }
+    
+    const startMinutes = timeToMinutes(session.time);
+    
+    // The next slot starts at the earliest start time after this session's start
+    const laterStartMinutes = daySessions
+        .map(daySession => timeToMinutes(daySession.time))
+        .filter(minutes => minutes > startMinutes);
+    
+    const endMinutes = laterStartMinutes.length
+        ? Math.min(...laterStartMinutes)
+        : startMinutes + DEFAULT_SESSION_DURATION;
+    
+    // Sessions never run past midnight
+    return minutesToTime(Math.min(endMinutes, LAST_MINUTE_OF_DAY));
+};
+
+/**
+ * Adds a number of minutes to a session time, without running past midnight
+ * @param {String} timeText - The time as written in the conference data
+ * @param {Number} minutes - The minutes to add
+ * @returns {String} The later time, e.g. "10:15"
+ */
+export const addMinutesToTime = (timeText, minutes) => {
+    return minutesToTime(Math.min(timeToMinutes(timeText) + minutes, LAST_MINUTE_OF_DAY));
+};
+
+/**
+ * Groups sessions into time slots of sessions that run at the same time
+ * Sessions end up in one slot when their times overlap, even when they start at different times.
+ * @param {Array} sessions - Sessions of one or more days to group, in schedule order
+ * @param {Array} scheduleSessions - All sessions of those days, which missing end times are derived from; the grouped sessions by default
+ * @returns {Array} Time slots with time, endTime and sessions, in schedule order
+ */
+export const groupSessionsByTimeSlot = (sessions, scheduleSessions = sessions) => {
+    const timeSlots = [];
+    let currentSlot = null;
+    
+    sessions.forEach(session => {
+        const startMinutes = timeToMinutes(session.time);
+        // A picked session runs until the next slot of the whole day, not until the next pick
+        const daySessions = scheduleSessions.filter(scheduleSession => scheduleSession.dayId === session.dayId);
+        const endTime = getSessionEndTime(session, daySessions);
+        
+        // A session starting after the slot has ended, or on another day, opens a new slot
+        const isNewSlot = !currentSlot ||
+            session.dayId !== currentSlot.sessions[0].dayId ||
+            (startMinutes >= timeToMinutes(currentSlot.endTime) && startMinutes > timeToMinutes(currentSlot.time));
+        if (isNewSlot) {
+            currentSlot = { time: session.time, endTime, sessions: [] };
+            timeSlots.push(currentSlot);
+        }
+        
+        currentSlot.sessions.push(session);
+        if (timeToMinutes(endTime) > timeToMinutes(currentSlot.endTime)) {
+            currentSlot.endTime = endTime;
+        }
+    });
+    
+    return timeSlots;
+};
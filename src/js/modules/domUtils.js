@@ -0,0 +1,51 @@
+/**
+ * DOM Utilities Module
+ * Builds elements from data without parsing HTML, so text from the conference data always stays text
+ */
+import { isSafeUrl } from './dataValidator.js';
+
+// Constants
+const URL_ATTRIBUTES = ['href', 'src'];
+const EVENT_HANDLER_ATTRIBUTE_PATTERN = /^on/i;
+
+/**
+ * Creates an element with classes, text, attributes and children
+ * Text and string children are added as text nodes. Event handler attributes are refused, and links
+ * and images only get web or relative URLs, so nothing from the data can run script.
+ * @param {String} tagName - The tag name, e.g. "div"
+ * @param {Object} options - Element options
+ * @param {String|Array} options.className - A class or an array of classes
+ * @param {String} options.text - The text content
+ * @param {Object} options.attributes - Attributes to set; null, undefined and false values are left out
+ * @param {Array} children - Child nodes or strings
+ * @returns {HTMLElement} The element
+ */
+export const createElement = (tagName, { className, text, attributes = {} } = {}, children = []) => {
+    const element = document.createElement(tagName);
+    
+    [className].flat().filter(Boolean).forEach(name => element.classList.add(name));
+    
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (EVENT_HANDLER_ATTRIBUTE_PATTERN.test(name)) {
+            throw new Error(`Event handler attribute "${name}" is not allowed, use addEventListener`);
+        }
+        if (value === null || value === undefined || value === false) {
+            return;
+        }
+        if (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value)) {
+            console.warn(`Left out unsafe ${name}:`, value);
+            return;
+        }
+        element.setAttribute(name, value === true ? '' : String(value));
+    });
+    
+    if (text !== undefined && text !== null) {
+        element.textContent = text;
+    }
+    
+    children.filter(child => child !== null && child !== undefined && child !== false).forEach(child => {
+        element.append(child);
+    });
+    
+    return element;
+};
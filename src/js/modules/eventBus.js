@@ -0,0 +1,146 @@
+/**
+ * Event Bus Module
+ * Tells modules about things that happened elsewhere: user actions other modules record or act on, and
+ * changes of settings and data. Every event is listed in EVENT_CATALOG with the fields of its detail,
+ * and emit checks them, so a listener can rely on what it gets. State that views share is kept in appStore.js.
+ */
+
+/**
+ * @typedef {Object} TabSelectedDetail - The user clicked a tab
+ * @property {String} tab - "day", "now", "topics", "speakers" or "my-schedule", as in the URL routes
+ * @property {String} [dayId] - The day, for day tabs
+ *
+ * @typedef {Object} FilterByTagDetail - The user picked a topic to filter the schedule by
+ * @property {String} tag - The tag
+ *
+ * @typedef {Object} SearchDetail - The user searched (search-performed) or opened the full list of results (search-results-shown)
+ * @property {String} query - The query as typed
+ *
+ * @typedef {Object} SpeakerSelectedDetail - The user opened a speaker profile
+ * @property {String} speakerId - The ID of the speaker
+ *
+ * @typedef {Object} AgendaChangedDetail - A session was added to or removed from My Schedule
+ * @property {String} sessionId - The ID of the session
+ * @property {Boolean} starred - Whether the session is in My Schedule now
+ *
+ * @typedef {Object} FeedbackSubmittedDetail - The user rated a session
+ * @property {String} sessionId - The ID of the session
+ * @property {Number} rating - The rating, 1 to 5
+ * @property {Boolean} queued - Whether the feedback waits to be sent until the app is online
+ *
+ * @typedef {Object} ScheduleLayoutChangedDetail - The schedule was rendered in the list or the grid layout
+ * @property {String} layout - "list" or "grid"
+ *
+ * @typedef {Object} TimeZoneChangedDetail - Times are shown in another time zone
+ * @property {String} mode - "venue" or "local"
+ * @property {String} [timeZone] - The IANA time zone times are shown in, left out for the time zone of the device
+ *
+ * @typedef {Object} ClockChangedDetail - The simulated clock was set
+ * @property {Date} now - The new current time
+ *
+ * @typedef {Object} ConferenceDataUpdatedDetail - The conference data object was updated in place with a newer schedule
+ * @property {Array} changes - The session changes, see sessionChanges.js
+ */
+
+// Constants
+export const EVENTS = {
+    TAB_SELECTED: 'tab-selected',
+    FILTER_BY_TAG: 'filter-by-tag',
+    SEARCH_PERFORMED: 'search-performed',
+    SEARCH_RESULTS_SHOWN: 'search-results-shown',
+    SPEAKER_SELECTED: 'speaker-selected',
+    AGENDA_CHANGED: 'agenda-changed',
+    FEEDBACK_SUBMITTED: 'feedback-submitted',
+    SCHEDULE_LAYOUT_CHANGED: 'schedule-layout-changed',
+    TIME_ZONE_CHANGED: 'time-zone-changed',
+    CLOCK_CHANGED: 'clock-changed',
+    CONFERENCE_DATA_UPDATED: 'conference-data-updated'
+};
+
+// The detail fields of every event and their types; a "?" marks a field that may be left out
+export const EVENT_CATALOG = {
+    [EVENTS.TAB_SELECTED]: { tab: 'string', dayId: 'string?' },
+    [EVENTS.FILTER_BY_TAG]: { tag: 'string' },
+    [EVENTS.SEARCH_PERFORMED]: { query: 'string' },
+    [EVENTS.SEARCH_RESULTS_SHOWN]: { query: 'string' },
+    [EVENTS.SPEAKER_SELECTED]: { speakerId: 'string' },
+    [EVENTS.AGENDA_CHANGED]: { sessionId: 'string', starred: 'boolean' },
+    [EVENTS.FEEDBACK_SUBMITTED]: { sessionId: 'string', rating: 'number', queued: 'boolean' },
+    [EVENTS.SCHEDULE_LAYOUT_CHANGED]: { layout: 'string' },
+    [EVENTS.TIME_ZONE_CHANGED]: { mode: 'string', timeZone: 'string?' },
+    [EVENTS.CLOCK_CHANGED]: { now: 'date' },
+    [EVENTS.CONFERENCE_DATA_UPDATED]: { changes: 'array' }
+};
+
+// State variables
+const eventTarget = new EventTarget();
+
+/**
+ * Gets the type of a detail field, as written in EVENT_CATALOG
+ * @param {*} value - The value of the field
+ * @returns {String} "array", "date", "null" or the typeof the value
+ */
+const getFieldType = (value) => {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value instanceof Date) {
+        return 'date';
+    }
+    return value === null ? 'null' : typeof value;
+};
+
+/**
+ * Checks that an event is in the catalog
+ * @param {String} type - The event type
+ * @throws {TypeError} When the event is unknown
+ */
+const assertKnownEvent = (type) => {
+    if (!Object.hasOwn(EVENT_CATALOG, type)) {
+        throw new TypeError(`Unknown event "${type}", add it to EVENT_CATALOG in eventBus.js`);
+    }
+};
+
+/**
+ * Tells the listeners of an event that it happened
+ * @param {String} type - One of EVENTS
+ * @param {Object} detail - The detail, with the fields listed in EVENT_CATALOG
+ * @throws {TypeError} When the event is unknown or its detail doesn't match the catalog
+ */
+export const emit = (type, detail = {}) => {
+    assertKnownEvent(type);
+    
+    const fieldTypes = EVENT_CATALOG[type];
+    Object.entries(fieldTypes).forEach(([field, expectedType]) => {
+        const isOptional = expectedType.endsWith('?');
+        if (isOptional && detail[field] === undefined) {
+            return;
+        }
+        
+        const fieldType = getFieldType(detail[field]);
+        if (fieldType !== expectedType.replace('?', '')) {
+            throw new TypeError(`Event "${type}" needs ${field} as ${expectedType.replace('?', '')}, got ${fieldType}`);
+        }
+    });
+    const unknownField = Object.keys(detail).find(field => !Object.hasOwn(fieldTypes, field));
+    if (unknownField) {
+        throw new TypeError(`Event "${type}" has no field ${unknownField}`);
+    }
+    
+    eventTarget.dispatchEvent(new CustomEvent(type, { detail }));
+};
+
+/**
+ * Listens for an event
+ * @param {String} type - One of EVENTS
+ * @param {Function} listener - Called with the detail of every event
+ * @returns {Function} Stops listening
+ * @throws {TypeError} When the event is unknown
+ */
+export const on = (type, listener) => {
+    assertKnownEvent(type);
+    
+    const handleEvent = (event) => listener(event.detail);
+    eventTarget.addEventListener(type, handleEvent);
+    return () => eventTarget.removeEventListener(type, handleEvent);
+};
@@ -0,0 +1,345 @@
+/**
+ * Feedback Service Module
+ * Lets attendees rate sessions from the session details, and organizers export the collected feedback
+ */
+import { getSessionById } from './dataService.js';
+import { createFeedbackAdapter, FeedbackUnreachableError } from './feedbackStorage.js';
+import { readStoredValue, writeStoredValue, rememberValue } from './storageService.js';
+import { getCurrentTime } from './clockService.js';
+import { showToast } from './notificationService.js';
+import { downloadFile } from './fileDownload.js';
+import { t } from './i18nService.js';
+import { formatSessionTime, toConferenceDateTime } from './timeZoneService.js';
+import { EVENTS, emit } from './eventBus.js';
+
+// DOM element references
+let organizerToolsElement;
+
+// Constants
+const MAX_RATING = 5;
+const MAX_COMMENT_LENGTH = 500;
+const RATED_SESSIONS_KEY = 'rated-sessions';
+const QUEUE_KEY = 'feedback-queue';
+const ORGANIZER_PARAMETER = 'organizer';
+const CSV_COLUMNS = ['sessionId', 'title', 'day', 'time', 'rating', 'comment', 'submittedAt'];
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+const JSON_MIME_TYPE = 'application/json;charset=utf-8';
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/; // Spreadsheets run cells starting with these as formulas
+
+// State variables
+let feedbackAdapter = null;
+let ratedSessions = {}; // Ratings given in this browser, by session ID
+
+/**
+ * Sets up feedback: picks the storage adapter, sends feedback queued while offline and shows the organizer tools
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the organizer tools, the page by default
+ */
+export const setupFeedback = (conferenceData, root = document) => {
+    organizerToolsElement = root.querySelector('#organizer-tools');
+    feedbackAdapter = createFeedbackAdapter(conferenceData);
+    ratedSessions = readStoredValue(RATED_SESSIONS_KEY, {}, { scoped: true });
+    
+    // Send what was rated while offline as soon as the connection is back
+    window.addEventListener('online', sendQueuedFeedback);
+    if (navigator.onLine) {
+        sendQueuedFeedback();
+    }
+    
+    setupOrganizerTools(conferenceData);
+};
+
+/**
+ * Creates the feedback section of the session details
+ * Sessions can only be rated once they have started, and once per browser.
+ * @param {Object} session - The session object with day information
+ * @returns {HTMLElement} The feedback section
+ */
+export const createFeedbackElement = (session) => {
+    const feedbackElement = document.createElement('section');
+    feedbackElement.classList.add('session-feedback');
+    feedbackElement.setAttribute('aria-labelledby', 'feedback-heading');
+    
+    const headingElement = document.createElement('h3');
+    headingElement.id = 'feedback-heading';
+    headingElement.textContent = t('feedback.heading');
+    feedbackElement.appendChild(headingElement);
+    
+    const startTime = toConferenceDateTime(session.date, session.time);
+    if (startTime && getCurrentTime() < startTime) {
+        feedbackElement.appendChild(createFeedbackMessageElement(t('feedback.notStarted', {
+            dayName: session.dayName,
+            time: formatSessionTime(session.date, session.time)
+        })));
+        return feedbackElement;
+    }
+    
+    if (ratedSessions[session.id]) {
+        feedbackElement.appendChild(createFeedbackMessageElement(t('feedback.thanks', { rating: ratedSessions[session.id] })));
+        return feedbackElement;
+    }
+    
+    feedbackElement.appendChild(createFeedbackForm(session));
+    return feedbackElement;
+};
+
+/**
+ * Creates a short message shown in the feedback section
+ * @param {String} message - The message text
+ * @returns {HTMLElement} The message element
+ */
+const createFeedbackMessageElement = (message) => {
+    const messageElement = document.createElement('p');
+    messageElement.classList.add('feedback-message');
+    messageElement.textContent = message;
+    return messageElement;
+};
+
+/**
+ * Creates the form with the star rating and the comment
+ * @param {Object} session - The session object
+ * @returns {HTMLElement} The form element
+ */
+const createFeedbackForm = (session) => {
+    const formElement = document.createElement('form');
+    formElement.classList.add('feedback-form');
+    formElement.noValidate = true;
+    
+    // The stars are radio buttons, so they work with the arrow keys and screen readers
+    const ratingElement = document.createElement('fieldset');
+    ratingElement.classList.add('feedback-rating');
+    const legendElement = document.createElement('legend');
+    legendElement.textContent = t('feedback.ratingLegend');
+    ratingElement.appendChild(legendElement);
+    
+    for (let rating = 1; rating <= MAX_RATING; rating++) {
+        const starLabel = document.createElement('label');
+        starLabel.classList.add('feedback-star');
+        
+        const radioElement = document.createElement('input');
+        radioElement.type = 'radio';
+        radioElement.name = 'rating';
+        radioElement.value = String(rating);
+        
+        const starIcon = document.createElement('span');
+        starIcon.setAttribute('aria-hidden', 'true');
+        starIcon.textContent = '★';
+        
+        const starText = document.createElement('span');
+        starText.classList.add('visually-hidden');
+        starText.textContent = t('feedback.stars', { count: rating });
+        
+        starLabel.append(radioElement, starIcon, starText);
+        ratingElement.appendChild(starLabel);
+    }
+    formElement.appendChild(ratingElement);
+    
+    const commentLabel = document.createElement('label');
+    commentLabel.htmlFor = 'feedback-comment';
+    commentLabel.textContent = t('feedback.commentLabel');
+    const commentElement = document.createElement('textarea');
+    commentElement.id = 'feedback-comment';
+    commentElement.name = 'comment';
+    commentElement.rows = 3;
+    commentElement.maxLength = MAX_COMMENT_LENGTH;
+    formElement.append(commentLabel, commentElement);
+    
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.classList.add('feedback-submit');
+    submitButton.textContent = t('feedback.submit');
+    formElement.appendChild(submitButton);
+    
+    const statusElement = document.createElement('p');
+    statusElement.classList.add('feedback-status');
+    statusElement.setAttribute('role', 'status');
+    formElement.appendChild(statusElement);
+    
+    formElement.addEventListener('submit', (event) => {
+        event.preventDefault();
+        
+        const selectedRating = formElement.querySelector('input[name="rating"]:checked');
+        if (!selectedRating) {
+            statusElement.textContent = t('feedback.chooseRating');
+            return;
+        }
+        
+        submitButton.disabled = true;
+        submitSessionFeedback(session, Number(selectedRating.value), commentElement.value)
+            .then(({ queued }) => {
+                formElement.replaceWith(createFeedbackMessageElement(
+                    queued ? t('feedback.queued') : t('feedback.thanks', { rating: selectedRating.value })
+                ));
+            })
+            .catch(error => {
+                console.error('Failed to submit feedback:', error);
+                statusElement.textContent = t('feedback.failed');
+                submitButton.disabled = false;
+            });
+    });
+    
+    return formElement;
+};
+
+/**
+ * Submits the rating of a session through the storage adapter
+ * Feedback that can't be delivered because the backend is unreachable is queued and sent later.
+ * @param {Object} session - The rated session
+ * @param {Number} rating - The rating, 1 to 5 stars
+ * @param {String} comment - The optional comment
+ * @returns {Promise<Object>} Object with queued, true if the feedback waits for a connection
+ */
+const submitSessionFeedback = async (session, rating, comment) => {
+    const entry = {
+        sessionId: session.id,
+        rating,
+        comment: comment.trim().slice(0, MAX_COMMENT_LENGTH),
+        submittedAt: getCurrentTime().toISOString()
+    };
+    
+    let queued = false;
+    try {
+        await feedbackAdapter.submitFeedback(entry);
+    } catch (error) {
+        if (!(error instanceof FeedbackUnreachableError)) {
+            throw error;
+        }
+        writeStoredValue(QUEUE_KEY, [...readStoredValue(QUEUE_KEY, [], { scoped: true }), entry], { scoped: true });
+        queued = true;
+    }
+    
+    ratedSessions = { ...ratedSessions, [session.id]: rating };
+    // Feedback kept in memory until now, by the local adapter or the queue, is stored along once consent is given
+    rememberValue(RATED_SESSIONS_KEY, ratedSessions, t('feedback.storagePurpose'), { scoped: true });
+    
+    // Notify other modules that a session was rated
+    emit(EVENTS.FEEDBACK_SUBMITTED, {
+        sessionId: session.id,
+        rating,
+        queued
+    });
+    
+    return { queued };
+};
+
+/**
+ * Sends the feedback that was queued while the backend was unreachable
+ */
+const sendQueuedFeedback = async () => {
+    const queuedFeedback = readStoredValue(QUEUE_KEY, [], { scoped: true });
+    if (!queuedFeedback.length) {
+        return;
+    }
+    
+    const remainingFeedback = [];
+    for (const entry of queuedFeedback) {
+        // Once the backend is unreachable again, keep the rest for the next attempt
+        if (remainingFeedback.length) {
+            remainingFeedback.push(entry);
+            continue;
+        }
+        
+        try {
+            await feedbackAdapter.submitFeedback(entry);
+        } catch (error) {
+            if (error instanceof FeedbackUnreachableError) {
+                remainingFeedback.push(entry);
+            } else {
+                console.warn('Dropping feedback the backend refused:', error);
+            }
+        }
+    }
+    
+    writeStoredValue(QUEUE_KEY, remainingFeedback, { scoped: true });
+    
+    const sentCount = queuedFeedback.length - remainingFeedback.length;
+    if (sentCount) {
+        showToast(t('feedback.queueSent', { count: sentCount }));
+    }
+};
+
+/**
+ * Shows the feedback export for organizers, who open the app with ?organizer
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const setupOrganizerTools = (conferenceData) => {
+    if (!organizerToolsElement || !new URLSearchParams(window.location.search).has(ORGANIZER_PARAMETER)) {
+        return;
+    }
+    
+    organizerToolsElement.querySelectorAll('.feedback-export-btn').forEach(exportButton => {
+        exportButton.addEventListener('click', () => {
+            exportFeedback(conferenceData, exportButton.getAttribute('data-format'));
+        });
+    });
+    
+    organizerToolsElement.hidden = false;
+};
+
+/**
+ * Downloads all collected feedback with the title, day and time of each session
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {String} format - "csv" or "json"
+ */
+const exportFeedback = async (conferenceData, format) => {
+    let feedback;
+    try {
+        feedback = await feedbackAdapter.getAllFeedback();
+    } catch (error) {
+        console.error('Failed to load feedback:', error);
+        showToast(t('organizer.exportFailed'), { type: 'error' });
+        return;
+    }
+    
+    if (!feedback.length) {
+        showToast(t('organizer.noFeedback'));
+        return;
+    }
+    
+    const rows = feedback.map(entry => {
+        const session = getSessionById(conferenceData, entry.sessionId);
+        return {
+            sessionId: entry.sessionId,
+            title: session ? session.title : '',
+            day: session ? session.dayName : '',
+            time: session ? session.time : '',
+            rating: entry.rating,
+            comment: entry.comment || '',
+            submittedAt: entry.submittedAt
+        };
+    });
+    
+    const fileName = `feedback-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'json') {
+        downloadFile(JSON.stringify(rows, null, 2), fileName, JSON_MIME_TYPE);
+    } else {
+        downloadFile(createFeedbackCsv(rows), fileName, CSV_MIME_TYPE);
+    }
+};
+
+/**
+ * Escapes a value for a CSV cell
+ * Comments are written by attendees, so cells that a spreadsheet would run as a formula are made plain text.
+ * @param {*} value - The cell value
+ * @returns {String} The escaped cell
+ */
+const escapeCsvCell = (value) => {
+    let text = String(value ?? '');
+    if (FORMULA_PREFIX_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Creates a CSV document with a header row and a row per rating
+ * @param {Array} rows - Feedback rows with the CSV columns as keys
+ * @returns {String} The CSV document
+ */
+const createFeedbackCsv = (rows) => {
+    const lines = [
+        CSV_COLUMNS.join(','),
+        ...rows.map(row => CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,92 @@
+/**
+ * Feedback Storage Module
+ * Storage adapters that session ratings are submitted through.
+ * Every adapter has the same shape: submitFeedback(entry) stores one rating and getAllFeedback()
+ * returns every rating collected so far; both return promises.
+ */
+import { readStoredValue, writeStoredValue } from './storageService.js';
+
+// Constants
+const FEEDBACK_KEY = 'feedback';
+const JSON_MIME_TYPE = 'application/json';
+
+/**
+ * Error thrown when a feedback backend can't be reached, e.g. while offline
+ * Submissions that fail this way are kept and sent again later.
+ */
+export class FeedbackUnreachableError extends Error {
+    /**
+     * @param {String} message - Summary of the problem
+     * @param {Error} cause - The error that made the request fail
+     */
+    constructor(message, cause) {
+        super(message);
+        this.name = 'FeedbackUnreachableError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Creates the adapter that keeps feedback in this browser's storage
+ * It is the default, so ratings work without a server; organizers export them on the device itself.
+ * @returns {Object} The adapter with submitFeedback and getAllFeedback
+ */
+export const createLocalFeedbackAdapter = () => ({
+    submitFeedback: async (entry) => {
+        const feedback = readStoredValue(FEEDBACK_KEY, [], { scoped: true });
+        writeStoredValue(FEEDBACK_KEY, [...feedback, entry], { scoped: true });
+    },
+    getAllFeedback: async () => readStoredValue(FEEDBACK_KEY, [], { scoped: true })
+});
+
+/**
+ * Creates the adapter that sends feedback to a REST endpoint
+ * Ratings are POSTed as JSON, and a GET on the same URL returns all of them as a JSON array.
+ * @param {String} endpoint - URL of the feedback endpoint
+ * @returns {Object} The adapter with submitFeedback and getAllFeedback
+ */
+export const createRestFeedbackAdapter = (endpoint) => {
+    /**
+     * Sends a request to the endpoint
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} The successful response
+     */
+    const request = async (options) => {
+        let response;
+        try {
+            response = await fetch(endpoint, options);
+        } catch (error) {
+            throw new FeedbackUnreachableError(`Feedback endpoint ${endpoint} can't be reached`, error);
+        }
+        
+        if (!response.ok) {
+            throw new Error(`Feedback endpoint answered ${response.status} ${response.statusText}`);
+        }
+        return response;
+    };
+    
+    return {
+        submitFeedback: async (entry) => {
+            await request({
+                method: 'POST',
+                headers: { 'Content-Type': JSON_MIME_TYPE },
+                body: JSON.stringify(entry)
+            });
+        },
+        getAllFeedback: async () => {
+            const response = await request({ headers: { Accept: JSON_MIME_TYPE } });
+            return response.json();
+        }
+    };
+};
+
+/**
+ * Creates the adapter configured in the conference data
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {Object} The REST adapter if the data has a feedbackEndpoint, the local adapter otherwise
+ */
+export const createFeedbackAdapter = (conferenceData) => {
+    return conferenceData.feedbackEndpoint
+        ? createRestFeedbackAdapter(conferenceData.feedbackEndpoint)
+        : createLocalFeedbackAdapter();
+};
@@ -0,0 +1,28 @@
+/**
+ * File Download Module
+ * Offers files generated in the browser, such as calendars and feedback exports, as downloads
+ */
+
+// Constants
+const REVOKE_DELAY = 1000; // Time in ms the browser gets to start the download
+
+/**
+ * Offers a text as a file download
+ * @param {String} content - The file content
+ * @param {String} fileName - The name of the downloaded file
+ * @param {String} mimeType - The type of the file, e.g. "text/csv;charset=utf-8"
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const downloadUrl = URL.createObjectURL(blob);
+    
+    const downloadLink = document.createElement('a');
+    downloadLink.href = downloadUrl;
+    downloadLink.download = fileName;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    downloadLink.remove();
+    
+    // Give the browser time to start the download before releasing the file
+    setTimeout(() => URL.revokeObjectURL(downloadUrl), REVOKE_DELAY);
+};
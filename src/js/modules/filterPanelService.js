@@ -0,0 +1,351 @@
+/**
+ * Filter Panel Service Module
+ * Lets users narrow the schedule down by tags, rooms, session types and companies,
+ * with live counts per value and a bar of active filters that can be removed one by one
+ */
+import { getAllSessions } from './dataService.js';
+import { renderSchedule } from './scheduleRenderer.js';
+import { selectDay } from './navigationService.js';
+import {
+    FILTER_FACETS,
+    TAG_MODE_ANY,
+    TAG_MODE_ALL,
+    createEmptyFilters,
+    normalizeFilters,
+    hasActiveFilters,
+    matchesFilters,
+    getFacetCounts
+} from './sessionFilters.js';
+import { SESSION_TYPE_LABEL_KEYS } from './sessionTypes.js';
+import { t } from './i18nService.js';
+import { EVENTS, on } from './eventBus.js';
+import { appStore } from './appStore.js';
+
+// DOM element references
+let filterFacetsElement;
+let activeFiltersElement;
+let filterResultCountElement;
+let filterChipsElement;
+
+// Constants
+const TAG_MODE_LABEL_KEYS = {
+    [TAG_MODE_ANY]: 'filters.anyTag',
+    [TAG_MODE_ALL]: 'filters.allTags'
+};
+
+// State variables
+let conferenceData = null;
+let allSessions = [];
+let facetControls = []; // Checkbox, count element, facet key and value for every facet value
+
+/**
+ * Sets up the filter panel
+ * @param {Object} data - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the filter panel, the page by default
+ */
+export const setupFilterPanel = (data, root = document) => {
+    conferenceData = data;
+    filterFacetsElement = root.querySelector('#filter-facets');
+    activeFiltersElement = root.querySelector('#active-filters');
+    allSessions = getAllSessions(conferenceData);
+    
+    renderFilterPanel();
+    
+    // The result count is a live region, so it must exist before it changes
+    filterResultCountElement = document.createElement('span');
+    filterResultCountElement.classList.add('filter-result-count');
+    filterResultCountElement.setAttribute('role', 'status');
+    
+    filterChipsElement = document.createElement('div');
+    filterChipsElement.classList.add('filter-chips');
+    
+    activeFiltersElement.append(filterResultCountElement, filterChipsElement);
+    
+    updateFilterControls();
+    renderActiveFilters();
+    
+    // The schedule renderer shows the filtered schedule, the panel its counts and chips
+    appStore.select(state => state.filters, () => {
+        updateFilterControls();
+        renderActiveFilters();
+    });
+    
+    // New rooms, tags or moved sessions change the options, the counts and the schedule
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        allSessions = getAllSessions(conferenceData);
+        renderFilterPanel();
+        renderSchedule(conferenceData);
+        updateFilterControls();
+        renderActiveFilters();
+    });
+};
+
+/**
+ * Gets the filters from the store
+ * @returns {Object} The active filters
+ */
+const getFilters = () => appStore.getState().filters;
+
+/**
+ * Gets the active filters
+ * @returns {Object} A copy of the active filters
+ */
+export const getActiveFilters = () => normalizeFilters(getFilters());
+
+/**
+ * Replaces the active filters and updates the schedule
+ * @param {Object} filters - The new filters, missing facets are treated as empty
+ */
+export const setFilters = (filters) => {
+    appStore.setState({ filters: normalizeFilters(filters) });
+};
+
+/**
+ * Removes all filters and shows the full schedule again
+ */
+export const clearFilters = () => {
+    setFilters(createEmptyFilters());
+};
+
+/**
+ * Adds a tag to the filters and shows the filtered schedule
+ * @param {String} tag - The tag to filter by
+ */
+export const addTagFilter = (tag) => {
+    const filters = getFilters();
+    if (!filters.tags.includes(tag)) {
+        setFilters({ ...filters, tags: [...filters.tags, tag] });
+    }
+    
+    showFilteredSchedule();
+};
+
+/**
+ * Switches to the schedule view, on the active day if it has matching sessions or else on the first day that has
+ */
+export const showFilteredSchedule = () => {
+    const matchingDayIds = allSessions
+        .filter(session => matchesFilters(session, getFilters()))
+        .map(session => session.dayId);
+    const activeDayId = appStore.getState().dayId;
+    
+    selectDay(matchingDayIds.includes(activeDayId) || !matchingDayIds.length ? activeDayId : matchingDayIds[0]);
+};
+
+/**
+ * Adds a value to or removes it from the selection of a facet
+ * @param {String} facetKey - The key of the facet, e.g. "rooms"
+ * @param {String} value - The facet value
+ * @param {Boolean} selected - Whether the value should be selected
+ */
+const setFacetValue = (facetKey, value, selected) => {
+    const otherValues = getFilters()[facetKey].filter(selectedValue => selectedValue !== value);
+    setFilters({ ...getFilters(), [facetKey]: selected ? [...otherValues, value] : otherValues });
+};
+
+/**
+ * Formats a facet value for display, e.g. "round1" as "Round 1"
+ * @param {String} facetKey - The key of the facet
+ * @param {String} value - The facet value
+ * @returns {String} The display label
+ */
+const formatFilterValue = (facetKey, value) => {
+    if (facetKey === 'types' && SESSION_TYPE_LABEL_KEYS[value]) {
+        return t(SESSION_TYPE_LABEL_KEYS[value]);
+    }
+    return value;
+};
+
+/**
+ * Renders a group of checkboxes for every facet
+ */
+const renderFilterPanel = () => {
+    filterFacetsElement.innerHTML = '';
+    facetControls = [];
+    
+    const facetCounts = getFacetCounts(allSessions, getFilters());
+    
+    FILTER_FACETS.forEach(facet => {
+        if (!facetCounts[facet.key].length) {
+            return;
+        }
+        
+        const fieldsetElement = document.createElement('fieldset');
+        fieldsetElement.classList.add('filter-facet');
+        
+        const legendElement = document.createElement('legend');
+        legendElement.textContent = t(facet.labelKey);
+        fieldsetElement.appendChild(legendElement);
+        
+        if (facet.key === 'tags') {
+            fieldsetElement.appendChild(createTagModeElement());
+        }
+        
+        const optionsElement = document.createElement('div');
+        optionsElement.classList.add('filter-options');
+        facetCounts[facet.key]
+            .map(({ value }) => value)
+            .sort((a, b) => formatFilterValue(facet.key, a).localeCompare(formatFilterValue(facet.key, b)))
+            .forEach((value, index) => {
+                optionsElement.appendChild(createFacetOptionElement(facet.key, value, index));
+            });
+        fieldsetElement.appendChild(optionsElement);
+        
+        filterFacetsElement.appendChild(fieldsetElement);
+    });
+};
+
+/**
+ * Creates the radio buttons that choose how selected tags are combined
+ * @returns {HTMLElement} The tag mode element
+ */
+const createTagModeElement = () => {
+    const modeElement = document.createElement('div');
+    modeElement.classList.add('filter-tag-mode');
+    
+    [TAG_MODE_ANY, TAG_MODE_ALL].forEach(tagMode => {
+        const labelElement = document.createElement('label');
+        const radioElement = document.createElement('input');
+        radioElement.type = 'radio';
+        radioElement.name = 'filter-tag-mode';
+        radioElement.value = tagMode;
+        
+        radioElement.addEventListener('change', () => {
+            setFilters({ ...getFilters(), tagMode });
+        });
+        
+        labelElement.append(radioElement, ` ${t(TAG_MODE_LABEL_KEYS[tagMode])}`);
+        modeElement.appendChild(labelElement);
+    });
+    
+    return modeElement;
+};
+
+/**
+ * Creates a checkbox with label and count for a facet value
+ * @param {String} facetKey - The key of the facet
+ * @param {String} value - The facet value
+ * @param {Number} index - The position of the value within the facet, used for a unique id
+ * @returns {HTMLElement} The option element
+ */
+const createFacetOptionElement = (facetKey, value, index) => {
+    const labelElement = document.createElement('label');
+    labelElement.classList.add('filter-option');
+    
+    const checkboxElement = document.createElement('input');
+    checkboxElement.type = 'checkbox';
+    checkboxElement.id = `filter-${facetKey}-${index}`;
+    checkboxElement.value = value;
+    
+    checkboxElement.addEventListener('change', () => {
+        setFacetValue(facetKey, value, checkboxElement.checked);
+    });
+    
+    const countElement = document.createElement('span');
+    countElement.classList.add('filter-option-count');
+    
+    labelElement.append(checkboxElement, ` ${formatFilterValue(facetKey, value)} `, countElement);
+    facetControls.push({ facetKey, value, checkboxElement, countElement });
+    
+    return labelElement;
+};
+
+/**
+ * Updates the checked state and counts of the panel controls in place, so keyboard focus is kept
+ */
+const updateFilterControls = () => {
+    const facetCounts = getFacetCounts(allSessions, getFilters());
+    
+    facetControls.forEach(({ facetKey, value, checkboxElement, countElement }) => {
+        const facetValue = facetCounts[facetKey].find(entry => entry.value === value);
+        const count = facetValue ? facetValue.count : 0;
+        const isSelected = getFilters()[facetKey].includes(value);
+        
+        checkboxElement.checked = isSelected;
+        checkboxElement.disabled = count === 0 && !isSelected;
+        countElement.textContent = `(${count})`;
+    });
+    
+    filterFacetsElement.querySelectorAll('input[name="filter-tag-mode"]').forEach(radioElement => {
+        radioElement.checked = radioElement.value === getFilters().tagMode;
+    });
+};
+
+/**
+ * Renders the bar with the number of shown sessions and a removable chip per active filter
+ */
+const renderActiveFilters = () => {
+    const isFiltered = hasActiveFilters(getFilters());
+    activeFiltersElement.hidden = !isFiltered;
+    filterChipsElement.innerHTML = '';
+    
+    if (!isFiltered) {
+        filterResultCountElement.textContent = '';
+        return;
+    }
+    
+    const shownCount = allSessions.filter(session => matchesFilters(session, getFilters())).length;
+    filterResultCountElement.textContent = t('filters.resultCount', { count: allSessions.length, shownCount });
+    
+    FILTER_FACETS.forEach(facet => {
+        getFilters()[facet.key].forEach(value => {
+            filterChipsElement.appendChild(createFilterChipElement(facet, value));
+        });
+    });
+    
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.classList.add('clear-filter-btn');
+    clearButton.textContent = t('filters.clearAll');
+    clearButton.addEventListener('click', () => {
+        clearFilters();
+        focusFilterPanel();
+    });
+    filterChipsElement.appendChild(clearButton);
+};
+
+/**
+ * Creates a chip for an active filter that removes the filter when clicked
+ * @param {Object} facet - The facet definition from FILTER_FACETS
+ * @param {String} value - The selected value
+ * @returns {HTMLElement} The chip element
+ */
+const createFilterChipElement = (facet, value) => {
+    const chipLabel = `${t(facet.chipLabelKey)}: ${formatFilterValue(facet.key, value)}`;
+    
+    const chipElement = document.createElement('button');
+    chipElement.type = 'button';
+    chipElement.classList.add('filter-chip');
+    chipElement.setAttribute('aria-label', t('filters.removeFilter', { filter: chipLabel }));
+    chipElement.textContent = `${chipLabel} `;
+    
+    const removeIcon = document.createElement('span');
+    removeIcon.setAttribute('aria-hidden', 'true');
+    removeIcon.textContent = '×';
+    chipElement.appendChild(removeIcon);
+    
+    chipElement.addEventListener('click', () => {
+        const chipIndex = [...filterChipsElement.children].indexOf(chipElement);
+        setFacetValue(facet.key, value, false);
+        
+        // Keep keyboard focus in the bar: on the next chip, or on the panel when none are left
+        const nextElement = filterChipsElement.children[chipIndex] || filterChipsElement.lastElementChild;
+        if (nextElement && !activeFiltersElement.hidden) {
+            nextElement.focus();
+        } else {
+            focusFilterPanel();
+        }
+    });
+    
+    return chipElement;
+};
+
+/**
+ * Moves keyboard focus to the filter panel, e.g. after the last active filter was removed
+ */
+const focusFilterPanel = () => {
+    const panelToggleElement = document.querySelector('#filter-panel summary');
+    if (panelToggleElement) {
+        panelToggleElement.focus();
+    }
+};
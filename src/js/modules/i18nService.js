@@ -0,0 +1,270 @@
+/**
+ * I18n Service Module
+ * Translates the user interface, formats dates and times for the user's language
+ * and picks the translated titles and descriptions from the conference data
+ */
+import en from '../locales/en.js';
+import nl from '../locales/nl.js';
+import { parseDayDate, parseTimeOfDay } from './dateTimeUtils.js';
+import { readStoredValue, rememberValue } from './storageService.js';
+
+// DOM element references
+let languageSwitcherElement;
+let languageSelectElement;
+
+// Constants
+const CATALOGS = { en, nl };
+const DEFAULT_LOCALE = 'en';
+const LANGUAGE_PARAMETER = 'lang';
+const LANGUAGE_KEY = 'language';
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'aria-label', 'title']; // Set from data-i18n-<attribute>
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// State variables
+let activeLocale = DEFAULT_LOCALE;
+let formattingLocale = DEFAULT_LOCALE; // Browser locale of the same language, e.g. en-GB for 24-hour times
+
+/**
+ * Gets the language part of a language tag
+ * @param {String} languageTag - A BCP 47 language tag, e.g. "nl-BE"
+ * @returns {String} The lowercase language, e.g. "nl"
+ */
+const getBaseLanguage = (languageTag) => String(languageTag || '').split('-')[0].toLowerCase();
+
+/**
+ * Finds the first supported language among a list of language tags
+ * @param {Array} languageTags - Language tags in order of preference
+ * @returns {String|undefined} The supported locale, if any
+ */
+const findSupportedLocale = (languageTags) => {
+    return languageTags.map(getBaseLanguage).find(language => SUPPORTED_LOCALES.includes(language));
+};
+
+/**
+ * Picks the language: the ?lang= parameter, the language chosen earlier or the browser's languages
+ * @returns {String} A supported locale
+ */
+const detectLocale = () => {
+    const browserLanguages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    
+    return findSupportedLocale([
+        new URLSearchParams(window.location.search).get(LANGUAGE_PARAMETER),
+        readStoredValue(LANGUAGE_KEY),
+        ...browserLanguages
+    ].filter(Boolean)) || DEFAULT_LOCALE;
+};
+
+/**
+ * Selects the language of the user interface and translates the page
+ * @returns {String} The active locale
+ */
+export const loadLanguage = () => {
+    activeLocale = detectLocale();
+    
+    // Format dates and times the way the browser does for this language, e.g. nl-BE or en-GB
+    const browserLanguages = navigator.languages || [navigator.language];
+    formattingLocale = browserLanguages.find(languageTag => getBaseLanguage(languageTag) === activeLocale) || activeLocale;
+    
+    document.documentElement.lang = activeLocale;
+    translatePage();
+    return activeLocale;
+};
+
+/**
+ * Gets the language of the user interface
+ * @returns {String} The active locale, e.g. "nl"
+ */
+export const getLocale = () => activeLocale;
+
+/**
+ * Translates a message
+ * Messages can contain placeholders like {name}, and have plural forms selected by the count parameter.
+ * Messages missing from the active catalog fall back to English.
+ * @param {String} key - The message key, e.g. "schedule.noResults"
+ * @param {Object} params - Values for the placeholders
+ * @returns {String} The translated message
+ */
+export const t = (key, params = {}) => {
+    const message = CATALOGS[activeLocale][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        console.warn('Missing translation:', key);
+        return key;
+    }
+    
+    const text = typeof message === 'object'
+        ? message[new Intl.PluralRules(activeLocale).select(params.count)] ?? message.other
+        : message;
+    
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        return params[name] === undefined ? placeholder : String(params[name]);
+    });
+};
+
+/**
+ * Translates the static text of the page, marked with data-i18n and data-i18n-<attribute>
+ * @param {ParentNode} rootElement - The element to translate, the whole document by default
+ */
+export const translatePage = (rootElement = document) => {
+    rootElement.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        rootElement.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+};
+
+/**
+ * Formats a day date like "July 15, 2025" for the active language, e.g. "15 juli 2025"
+ * @param {String} dateText - The day date as written in the conference data
+ * @param {Object} options - Format options
+ * @param {Boolean} options.weekday - Include the day of the week
+ * @returns {String} The formatted date, or the text as is if it is not a date
+ */
+export const formatDayDate = (dateText, { weekday = false } = {}) => {
+    const date = parseDayDate(dateText);
+    if (!date) {
+        return dateText;
+    }
+    
+    return new Intl.DateTimeFormat(formattingLocale, {
+        weekday: weekday ? 'long' : undefined,
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }).format(new Date(date.year, date.month - 1, date.day));
+};
+
+/**
+ * Formats a session time like "14:15" for the active language, e.g. "2:15 PM" in American English
+ * @param {String} timeText - The time as written in the conference data
+ * @returns {String} The formatted time, or the text as is if it is not a time
+ */
+export const formatTime = (timeText) => {
+    const timeOfDay = parseTimeOfDay(timeText);
+    if (!timeOfDay) {
+        return timeText;
+    }
+    
+    return new Intl.DateTimeFormat(formattingLocale, { hour: 'numeric', minute: '2-digit' })
+        .format(new Date(2000, 0, 1, timeOfDay.hours, timeOfDay.minutes));
+};
+
+/**
+ * Formats a moment as date and time, e.g. for when the schedule was last updated
+ * @param {Date} date - The moment to format
+ * @param {Object} options - Intl.DateTimeFormat options, a medium date and short time by default
+ * @returns {String} The formatted date and time
+ */
+export const formatDateTime = (date, options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+    return new Intl.DateTimeFormat(formattingLocale, options).format(date);
+};
+
+/**
+ * Formats the time between two moments, e.g. "9:00 – 10:15 AM"
+ * @param {Date} startDate - The first moment
+ * @param {Date} endDate - The last moment
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {String} The formatted range, sharing the parts both moments have in common
+ */
+export const formatDateTimeRange = (startDate, endDate, options) => {
+    return new Intl.DateTimeFormat(formattingLocale, options).formatRange(startDate, endDate);
+};
+
+/**
+ * Formats a number of minutes as a duration, e.g. "45 min" or "1 h 30 min"
+ * @param {Number} totalMinutes - The duration in minutes
+ * @returns {String} The formatted duration
+ */
+export const formatDuration = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    
+    if (!hours) {
+        return t('duration.minutes', { count: minutes });
+    }
+    
+    return minutes
+        ? t('duration.hoursAndMinutes', { hours, minutes })
+        : t('duration.hours', { count: hours });
+};
+
+/**
+ * Joins items into a sentence, e.g. "A, B and C" or "A, B en C"
+ * @param {Array} items - The items to join
+ * @param {String} type - "conjunction" for and, "disjunction" for or
+ * @returns {String} The joined items
+ */
+export const formatList = (items, type = 'conjunction') => {
+    return new Intl.ListFormat(activeLocale, { style: 'long', type }).format(items);
+};
+
+/**
+ * Replaces the texts of days and sessions by their translation in the active language
+ * The data can carry translations per language, e.g. "translations": { "nl": { "title": "…" } }
+ * @param {Object} conferenceData - The validated conference data, updated in place
+ * @returns {Object} The same conference data
+ */
+export const localizeConferenceData = (conferenceData) => {
+    const applyTranslation = (item) => {
+        const translation = item.translations && item.translations[activeLocale];
+        if (translation) {
+            Object.assign(item, translation);
+        }
+    };
+    
+    conferenceData.days.forEach(day => {
+        applyTranslation(day);
+        day.sessions.forEach(applyTranslation);
+    });
+    
+    return conferenceData;
+};
+
+/**
+ * Builds the URL that opens the app in a language
+ * @param {String} locale - The locale to switch to
+ * @returns {String} The URL, keeping other query parameters and the current view
+ */
+const getLanguageUrl = (locale) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    searchParams.set(LANGUAGE_PARAMETER, locale);
+    return `${window.location.pathname}?${searchParams.toString()}${window.location.hash}`;
+};
+
+/**
+ * Sets up the language switcher in the header
+ * @param {ParentNode} root - The document or element holding the switcher, the page by default
+ */
+export const setupLanguageSwitcher = (root = document) => {
+    languageSwitcherElement = root.querySelector('#language-switcher');
+    languageSelectElement = root.querySelector('#language-select');
+    if (!languageSwitcherElement) {
+        return;
+    }
+    
+    languageSelectElement.innerHTML = '';
+    SUPPORTED_LOCALES.forEach(locale => {
+        const optionElement = document.createElement('option');
+        optionElement.value = locale;
+        optionElement.lang = locale;
+        // Each language is named in itself, so users find their own
+        optionElement.textContent = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        optionElement.selected = locale === activeLocale;
+        languageSelectElement.appendChild(optionElement);
+    });
+    
+    // Reload in the new language, so every view and the data are translated at once
+    languageSelectElement.addEventListener('change', () => {
+        const locale = languageSelectElement.value;
+        
+        // Without consent, the language is kept in the link only
+        rememberValue(LANGUAGE_KEY, locale, t('language.storagePurpose'));
+        window.location.assign(getLanguageUrl(locale));
+    });
+    
+    languageSwitcherElement.hidden = false;
+};
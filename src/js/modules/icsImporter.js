@@ -0,0 +1,258 @@
+/**
+ * iCalendar Importer Module
+ * Reads an .ics feed (RFC 5545), e.g. exported from a calendar or a conference planning tool,
+ * as an imported schedule for scheduleImport.js
+ */
+import { getZonedDateParts, toZonedDateTime, formatDayDateText, isValidTimeZone, minutesToTime, timeToMinutes } from './dateTimeUtils.js';
+
+// Constants
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?(Z?)$/;
+const DATE_PATTERN = /^\d{8}$/;
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const CHAIR_ROLE = 'CHAIR'; // Role that calendars give to the person leading an event
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Splits a content line like 'DTSTART;TZID=Europe/Amsterdam:20250715T090000' into its parts
+ * @param {String} line - The unfolded content line
+ * @returns {Object|null} Object with name, params and value, or null if the line has no value
+ */
+const parseContentLine = (line) => {
+    // The value starts at the first colon that isn't inside a quoted parameter value
+    let inQuotes = false;
+    let valueStart = -1;
+    for (let index = 0; index < line.length && valueStart === -1; index++) {
+        if (line[index] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[index] === ':' && !inQuotes) {
+            valueStart = index;
+        }
+    }
+    if (valueStart === -1) {
+        return null;
+    }
+    
+    const [name, ...paramTexts] = line.slice(0, valueStart).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    paramTexts.forEach(paramText => {
+        const separator = paramText.indexOf('=');
+        params[paramText.slice(0, separator).toUpperCase()] = paramText.slice(separator + 1).replace(/^"|"$/g, '');
+    });
+    
+    return { name: name.toUpperCase(), params, value: line.slice(valueStart + 1) };
+};
+
+/**
+ * Reads an escaped text value
+ * @param {String} value - The value as written in the feed, e.g. "Rooms A\, B"
+ * @returns {String} The text
+ */
+const unescapeText = (value) => {
+    return value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+};
+
+/**
+ * Reads the VEVENT components and calendar properties of a feed
+ * @param {String} text - The .ics text
+ * @returns {Object} Object with the calendar properties and an array of events, each a map from property name to its lines
+ */
+const parseCalendar = (text) => {
+    const calendarProperties = new Map();
+    const events = [];
+    const components = [];
+    
+    // Long lines are folded onto lines that start with a space or tab
+    String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+        const contentLine = parseContentLine(line);
+        if (!contentLine) {
+            return;
+        }
+        
+        const { name, value } = contentLine;
+        if (name === 'BEGIN') {
+            components.push(value.toUpperCase());
+            if (value.toUpperCase() === 'VEVENT') {
+                events.push(new Map());
+            }
+        } else if (name === 'END') {
+            components.pop();
+        } else if (components.at(-1) === 'VEVENT') {
+            const properties = events.at(-1);
+            properties.set(name, [...(properties.get(name) || []), contentLine]);
+        } else if (components.at(-1) === 'VCALENDAR') {
+            calendarProperties.set(name, contentLine);
+        }
+    });
+    
+    return { calendarProperties, events };
+};
+
+/**
+ * Parses an iCalendar duration like "PT1H30M"
+ * @param {String} value - The duration
+ * @returns {Number} The duration in minutes, or NaN if malformed
+ */
+const parseDuration = (value) => {
+    const match = DURATION_PATTERN.exec(value);
+    if (!match) {
+        return NaN;
+    }
+    
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes + Math.round(seconds / 60);
+};
+
+/**
+ * Imports an iCalendar feed
+ * Every event becomes a session: SUMMARY the title, LOCATION the room, CATEGORIES the tags and attendees
+ * with the CHAIR role the speakers. Times in UTC or another time zone are moved to the venue's time zone.
+ * All-day and cancelled events are left out and reported.
+ * @param {String} text - The .ics text
+ * @param {Object} options - Import options
+ * @param {String} options.timezone - IANA time zone of the venue
+ * @returns {Object} The imported schedule, see scheduleImport.js
+ */
+export const importIcs = (text, { timezone } = {}) => {
+    const issues = [];
+    const report = (severity, path, message) => {
+        issues.push({ severity, path, message });
+    };
+    
+    if (!/^\s*BEGIN:VCALENDAR/i.test(text)) {
+        report('error', '$', 'Not an iCalendar file, it should start with BEGIN:VCALENDAR');
+        return { sessions: [], speakers: [], issues };
+    }
+    
+    const { calendarProperties, events } = parseCalendar(text);
+    
+    // The venue's time zone, from the options, the feed, or the first time zone an event is in
+    const firstEventTimeZone = events
+        .map(properties => properties.get('DTSTART')?.[0].params.TZID)
+        .find(timeZone => timeZone && isValidTimeZone(timeZone));
+    const venueTimeZone = [timezone, calendarProperties.get('X-WR-TIMEZONE')?.value, firstEventTimeZone]
+        .find(timeZone => timeZone && isValidTimeZone(timeZone));
+    let hasReportedMissingTimeZone = false;
+    
+    /**
+     * Reads a DTSTART or DTEND line as a date and time at the venue
+     * @param {Object} contentLine - The parsed content line
+     * @param {String} path - Where the line is, for issues
+     * @returns {Object|null} Object with date ("2025-07-15") and time ("9:00"), or null if it has no time of day
+     */
+    const readDateTime = ({ params, value }, path) => {
+        const match = DATE_TIME_PATTERN.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+        
+        const [year, month, day, hours, minutes] = match.slice(1, 6).map(Number);
+        const isUtc = match[7] === 'Z';
+        const timeZone = isUtc ? 'UTC' : params.TZID;
+        let parts = { year, month, day, hours, minutes };
+        
+        if (timeZone && timeZone !== venueTimeZone) {
+            if (!isValidTimeZone(timeZone)) {
+                report('warning', path, `Unknown time zone "${timeZone}", the time was imported as written`);
+            } else {
+                if (!venueTimeZone && !hasReportedMissingTimeZone) {
+                    report('warning', '$', 'The feed has no time zone; times were converted to the time zone of this computer. Pass the venue\'s time zone to change that.');
+                    hasReportedMissingTimeZone = true;
+                }
+                const moment = toZonedDateTime(formatDayDateText({ year, month, day }), `${hours}:${String(minutes).padStart(2, '0')}`, timeZone);
+                parts = getZonedDateParts(moment, venueTimeZone);
+            }
+        }
+        
+        const date = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+        return { date, time: minutesToTime(parts.hours * 60 + parts.minutes) };
+    };
+    
+    const speakersByName = new Map();
+    const sessions = [];
+    
+    events.forEach((properties, eventIndex) => {
+        const getText = (name) => (properties.has(name) ? unescapeText(properties.get(name)[0].value).trim() : '');
+        const title = getText('SUMMARY');
+        const path = `VEVENT ${eventIndex + 1}${title ? ` "${title}"` : ''}`;
+        
+        if (getText('STATUS').toUpperCase() === 'CANCELLED') {
+            report('warning', path, 'The event is cancelled and was left out');
+            return;
+        }
+        
+        const startLine = properties.get('DTSTART')?.[0];
+        if (!startLine || startLine.params.VALUE === 'DATE' || DATE_PATTERN.test(startLine.value.trim())) {
+            report('warning', path, `${startLine ? 'All-day events have no time slot' : 'The event has no start'}, it was left out`);
+            return;
+        }
+        
+        const start = readDateTime(startLine, path);
+        if (!start || !title) {
+            report('warning', path, `${!title ? 'The event has no title' : `Unreadable start "${startLine.value}"`}, it was left out`);
+            return;
+        }
+        
+        if (properties.has('RRULE')) {
+            report('warning', path, 'The event repeats; only its first occurrence was imported');
+        }
+        
+        const session = { date: start.date, time: start.time, title };
+        
+        if (properties.has('UID')) {
+            session.sourceId = getText('UID');
+        }
+        
+        // The end comes from DTEND or from DURATION, and has to be later on the same day
+        let endMinutes = NaN;
+        if (properties.has('DTEND')) {
+            const end = readDateTime(properties.get('DTEND')[0], path);
+            endMinutes = end && end.date === start.date ? timeToMinutes(end.time) : NaN;
+        } else if (properties.has('DURATION')) {
+            endMinutes = timeToMinutes(start.time) + parseDuration(getText('DURATION'));
+        }
+        if (endMinutes > timeToMinutes(start.time) && endMinutes < MINUTES_PER_DAY) {
+            session.endTime = minutesToTime(endMinutes);
+        } else if (properties.has('DTEND') || properties.has('DURATION')) {
+            report('warning', path, 'The event doesn\'t end later on the day it starts, its end was left out');
+        }
+        
+        const description = getText('DESCRIPTION');
+        if (description) {
+            session.description = description;
+        }
+        
+        const room = getText('LOCATION');
+        if (room) {
+            session.room = room;
+        }
+        
+        // CATEGORIES may be repeated and holds a list separated by unescaped commas
+        session.tags = (properties.get('CATEGORIES') || [])
+            .flatMap(({ value }) => value.split(/(?<!\\),/))
+            .map(tag => unescapeText(tag).trim())
+            .filter(Boolean);
+        
+        session.speakerKeys = (properties.get('ATTENDEE') || [])
+            .filter(({ params }) => String(params.ROLE).toUpperCase() === CHAIR_ROLE && params.CN)
+            .map(({ params }) => {
+                const key = params.CN.toLowerCase();
+                if (!speakersByName.has(key)) {
+                    speakersByName.set(key, { key, name: params.CN });
+                }
+                return key;
+            });
+        
+        sessions.push(session);
+    });
+    
+    const importedSchedule = { sessions, speakers: [...speakersByName.values()], issues };
+    
+    const calendarName = calendarProperties.get('X-WR-CALNAME');
+    if (calendarName) {
+        importedSchedule.conferenceName = unescapeText(calendarName.value).trim();
+    }
+    if (venueTimeZone) {
+        importedSchedule.timezone = venueTimeZone;
+    }
+    return importedSchedule;
+};
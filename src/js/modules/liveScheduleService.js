@@ -0,0 +1,281 @@
+/**
+ * Live Schedule Service Module
+ * Highlights the running sessions, counts down to the next time slot and renders the "Now & Next" tab
+ */
+import { createTimeSlotElements } from './scheduleRenderer.js';
+import { getAllSessions } from './dataService.js';
+import { registerView } from './navigationService.js';
+import { appStore, VIEWS } from './appStore.js';
+import { getCurrentTime, isClockSimulated } from './clockService.js';
+import { getLiveStatus, formatCountdown } from './liveStatus.js';
+import { formatDateTime, formatList, t } from './i18nService.js';
+import { formatSessionTime, getDisplayTimeZone } from './timeZoneService.js';
+import { EVENTS, emit, on } from './eventBus.js';
+
+// DOM element references
+let liveBannerElement;
+let nowNextContainerElement;
+let countdownElement;
+
+// Constants
+const REFRESH_INTERVAL = 30 * 1000; // Time in ms between live updates
+const LIVE_CLASS = 'session-live';
+
+// State variables
+let conferenceData = null;
+let refreshTimer = null;
+let renderedSlotsKey = null; // Sessions shown in the Now & Next tab, to re-render only when they change
+
+/**
+ * Sets up the live schedule and the Now & Next tab
+ * @param {Object} data - The complete conference data object
+ * @param {HTMLElement} containerElement - The container element to render the Now & Next tab in
+ * @param {ParentNode} root - The document or element holding the live banner and the Now & Next tab button, the page by default
+ */
+export const setupLiveSchedule = (data, containerElement, root = document) => {
+    // Store references
+    conferenceData = data;
+    nowNextContainerElement = containerElement;
+    liveBannerElement = root.querySelector('#live-banner');
+    
+    // Set up tab click handler
+    const nowNextTab = root.querySelector('#now-next-tab');
+    registerView(VIEWS.NOW_NEXT, nowNextContainerElement, nowNextTab);
+    if (nowNextTab) {
+        nowNextTab.addEventListener('click', () => {
+            showNowNext();
+            
+            // Notify other modules that the user switched tabs
+            emit(EVENTS.TAB_SELECTED, {
+                tab: 'now'
+            });
+        });
+    }
+    
+    // Re-rendered schedules lose their live markers, so add them again
+    appStore.select(state => state.filters, updateLiveView);
+    on(EVENTS.AGENDA_CHANGED, updateLiveView);
+    on(EVENTS.SCHEDULE_LAYOUT_CHANGED, updateLiveView);
+    on(EVENTS.CLOCK_CHANGED, () => {
+        renderedSlotsKey = null;
+        updateLiveView();
+    });
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        renderedSlotsKey = null;
+        updateLiveView();
+    });
+    on(EVENTS.TIME_ZONE_CHANGED, () => {
+        renderedSlotsKey = null;
+        updateLiveView();
+    });
+    
+    updateLiveView();
+    refreshTimer = setInterval(updateLiveView, REFRESH_INTERVAL);
+};
+
+/**
+ * Shows the Now & Next tab
+ */
+export const showNowNext = () => {
+    appStore.setState({ view: VIEWS.NOW_NEXT });
+};
+
+/**
+ * Updates every live part of the page for the current time
+ */
+const updateLiveView = () => {
+    const now = getCurrentTime();
+    const liveStatus = getLiveStatus(conferenceData, now);
+    
+    renderLiveBanner(liveStatus, now);
+    renderNowNext(liveStatus, now);
+    updateLiveMarkers(liveStatus);
+};
+
+/**
+ * Marks the running sessions on every session card in the page
+ * @param {Object} liveStatus - The live status from getLiveStatus
+ */
+const updateLiveMarkers = (liveStatus) => {
+    const runningSessionIds = new Set(liveStatus.runningSessions.map(session => session.id));
+    
+    document.querySelectorAll('.session[data-session-id]').forEach(sessionElement => {
+        const isRunning = runningSessionIds.has(sessionElement.getAttribute('data-session-id'));
+        const badgeElement = sessionElement.querySelector('.live-badge');
+        sessionElement.classList.toggle(LIVE_CLASS, isRunning);
+        
+        if (isRunning && !badgeElement) {
+            const newBadgeElement = document.createElement('span');
+            newBadgeElement.classList.add('live-badge');
+            newBadgeElement.textContent = t('live.badge');
+            sessionElement.prepend(newBadgeElement);
+        } else if (!isRunning && badgeElement) {
+            badgeElement.remove();
+        }
+    });
+};
+
+/**
+ * Checks whether two dates fall on the same calendar day
+ * @param {Date} firstDate - The first date
+ * @param {Date} secondDate - The second date
+ * @returns {Boolean} True if both dates are on the same day
+ */
+const isSameDay = (firstDate, secondDate) => firstDate.toDateString() === secondDate.toDateString();
+
+/**
+ * Shows a one-line summary of the running and next sessions above the schedule during a conference day
+ * @param {Object} liveStatus - The live status from getLiveStatus
+ * @param {Date} now - The current time
+ */
+const renderLiveBanner = (liveStatus, now) => {
+    const { runningSessions, nextSessions, nextStart, minutesUntilNext } = liveStatus;
+    const hasNextToday = nextStart && isSameDay(nextStart, now);
+    
+    liveBannerElement.innerHTML = '';
+    liveBannerElement.hidden = !runningSessions.length && !hasNextToday;
+    if (liveBannerElement.hidden) {
+        return;
+    }
+    
+    const summaryParts = [];
+    if (runningSessions.length) {
+        summaryParts.push(t('live.bannerNow', { titles: formatList(runningSessions.map(session => session.title)) }));
+    }
+    if (hasNextToday) {
+        summaryParts.push(t('live.bannerNext', {
+            time: formatSessionTime(nextSessions[0].date, nextSessions[0].time),
+            countdown: formatCountdown(minutesUntilNext)
+        }));
+    }
+    
+    const summaryElement = document.createElement('span');
+    summaryElement.textContent = summaryParts.join(' · ');
+    
+    const openButton = document.createElement('button');
+    openButton.type = 'button';
+    openButton.classList.add('live-banner-btn');
+    openButton.textContent = t('tabs.nowNext');
+    openButton.addEventListener('click', () => {
+        document.getElementById('now-next-tab').click();
+    });
+    
+    liveBannerElement.append(summaryElement, openButton);
+};
+
+/**
+ * Renders the Now & Next tab content
+ * @param {Object} liveStatus - The live status from getLiveStatus
+ * @param {Date} now - The current time
+ */
+const renderNowNext = (liveStatus, now) => {
+    const { runningSessions, nextSessions, minutesUntilNext, hasStarted, hasEnded } = liveStatus;
+    
+    // Re-rendering every tick would move keyboard focus, so only the clock and countdown are updated in between
+    const slotsKey = [...runningSessions, ...nextSessions].map(session => session.id).join(',');
+    if (slotsKey === renderedSlotsKey) {
+        if (countdownElement) {
+            countdownElement.textContent = formatCountdown(minutesUntilNext);
+        }
+        nowNextContainerElement.querySelector('.live-clock').textContent = formatClock(now);
+        return;
+    }
+    renderedSlotsKey = slotsKey;
+    countdownElement = null;
+    
+    // Clear existing content
+    nowNextContainerElement.innerHTML = '';
+    
+    // Create heading
+    const heading = document.createElement('h2');
+    heading.textContent = t('tabs.nowNext');
+    nowNextContainerElement.appendChild(heading);
+    
+    const clockElement = document.createElement('p');
+    clockElement.classList.add('live-clock');
+    clockElement.textContent = formatClock(now);
+    nowNextContainerElement.appendChild(clockElement);
+    
+    if (hasEnded) {
+        nowNextContainerElement.appendChild(createLiveMessageElement(t('live.ended')));
+        return;
+    }
+    
+    // Happening now
+    const nowSection = createLiveSectionElement(t('live.now'));
+    if (runningSessions.length) {
+        appendTimeSlots(nowSection, runningSessions);
+    } else {
+        const message = hasStarted ? t('live.nothingRunning') : t('live.notStarted');
+        nowSection.appendChild(createLiveMessageElement(message));
+    }
+    nowNextContainerElement.appendChild(nowSection);
+    
+    // Up next, with a countdown
+    if (!nextSessions.length) {
+        const lastSection = createLiveSectionElement(t('live.next'));
+        lastSection.appendChild(createLiveMessageElement(t('live.lastSessions')));
+        nowNextContainerElement.appendChild(lastSection);
+        return;
+    }
+    
+    const nextSection = createLiveSectionElement(t('live.nextAt', {
+        dayName: nextSessions[0].dayName,
+        time: formatSessionTime(nextSessions[0].date, nextSessions[0].time)
+    }));
+    countdownElement = document.createElement('span');
+    countdownElement.classList.add('live-countdown');
+    countdownElement.textContent = formatCountdown(minutesUntilNext);
+    nextSection.querySelector('h3').append(' ', countdownElement);
+    appendTimeSlots(nextSection, nextSessions);
+    nowNextContainerElement.appendChild(nextSection);
+};
+
+/**
+ * Formats the current time for the Now & Next tab
+ * @param {Date} now - The current time
+ * @returns {String} The formatted time, marked when the clock is simulated
+ */
+const formatClock = (now) => {
+    const timeText = formatDateTime(now, { weekday: 'long', hour: '2-digit', minute: '2-digit', timeZone: getDisplayTimeZone() });
+    return isClockSimulated() ? t('live.clockSimulated', { time: timeText }) : t('live.clock', { time: timeText });
+};
+
+/**
+ * Creates a section of the Now & Next tab
+ * @param {String} title - The section heading
+ * @returns {HTMLElement} The section element
+ */
+const createLiveSectionElement = (title) => {
+    const sectionElement = document.createElement('section');
+    sectionElement.classList.add('live-section');
+    
+    const headingElement = document.createElement('h3');
+    headingElement.textContent = title;
+    sectionElement.appendChild(headingElement);
+    
+    return sectionElement;
+};
+
+/**
+ * Creates a message shown instead of sessions
+ * @param {String} message - The message text
+ * @returns {HTMLElement} The message element
+ */
+const createLiveMessageElement = (message) => {
+    const messageElement = document.createElement('div');
+    messageElement.classList.add('no-results');
+    messageElement.textContent = message;
+    return messageElement;
+};
+
+/**
+ * Appends the sessions grouped into time slots to a section
+ * @param {HTMLElement} sectionElement - The section to add the time slots to
+ * @param {Array} sessions - Sessions of a single day with day information, in schedule order
+ */
+const appendTimeSlots = (sectionElement, sessions) => {
+    createTimeSlotElements(sessions, sessions[0].date, getAllSessions(conferenceData)).forEach(timeSlotElement => {
+        sectionElement.appendChild(timeSlotElement);
+    });
+};
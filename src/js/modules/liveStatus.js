@@ -0,0 +1,86 @@
+/**
+ * Live Status Module
+ * Works out which sessions are running at a given moment and which time slot comes next
+ */
+import { getAllSessions, getSessionsByDay } from './dataService.js';
+import { getSessionEndTime } from './dateTimeUtils.js';
+import { t } from './i18nService.js';
+import { toConferenceDateTime } from './timeZoneService.js';
+
+// Constants
+const MILLISECONDS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Adds start and end date-times to every session
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {Array} Sessions with day information, start and end, in schedule order; sessions without a valid date or time are left out
+ */
+const getTimedSessions = (conferenceData) => {
+    return getAllSessions(conferenceData)
+        .map(session => {
+            const daySessions = getSessionsByDay(conferenceData, session.dayId);
+            return {
+                session,
+                start: toConferenceDateTime(session.date, session.time),
+                end: toConferenceDateTime(session.date, getSessionEndTime(session, daySessions))
+            };
+        })
+        .filter(timedSession => timedSession.start && timedSession.end)
+        .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Determines what is happening at a moment in time
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {Date} now - The moment to look at
+ * @returns {Object} Live status with runningSessions (each with its end), nextSessions, nextStart (Date or null),
+ *                   minutesUntilNext, hasStarted and hasEnded
+ */
+export const getLiveStatus = (conferenceData, now) => {
+    const timedSessions = getTimedSessions(conferenceData);
+    
+    const runningSessions = timedSessions
+        .filter(({ start, end }) => start <= now && now < end)
+        .map(({ session, end }) => ({ ...session, end }));
+    
+    // The next slot is every session sharing the earliest start time still to come
+    const upcomingSessions = timedSessions.filter(({ start }) => start > now);
+    const nextStart = upcomingSessions.length ? upcomingSessions[0].start : null;
+    const nextSessions = upcomingSessions
+        .filter(({ start }) => start.getTime() === nextStart.getTime())
+        .map(({ session }) => session);
+    
+    return {
+        runningSessions,
+        nextSessions,
+        nextStart,
+        minutesUntilNext: nextStart ? Math.ceil((nextStart - now) / MILLISECONDS_PER_MINUTE) : null,
+        hasStarted: timedSessions.length > 0 && timedSessions[0].start <= now,
+        hasEnded: !runningSessions.length && !nextStart
+    };
+};
+
+/**
+ * Describes a number of minutes in words, e.g. "in 1 h 5 min" or "in 3 days"
+ * @param {Number} minutes - The number of minutes from now
+ * @returns {String} The countdown text
+ */
+export const formatCountdown = (minutes) => {
+    if (minutes < 1) {
+        return t('countdown.now');
+    }
+    if (minutes < 60) {
+        return t('countdown.minutes', { minutes });
+    }
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        const remainingMinutes = minutes % 60;
+        return remainingMinutes
+            ? t('countdown.hoursAndMinutes', { hours, minutes: remainingMinutes })
+            : t('countdown.hours', { hours });
+    }
+    
+    const days = Math.round(hours / 24);
+    return t('countdown.days', { count: days });
+};
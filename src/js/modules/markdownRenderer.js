@@ -0,0 +1,170 @@
+/**
+ * Markdown Renderer Module
+ * Renders the Markdown that speakers may use in session descriptions: paragraphs, **bold**, *italic*,
+ * [links](https://…) and bulleted or numbered lists. Anything else, HTML included, is shown as text.
+ */
+import { createElement } from './domUtils.js';
+import { isSafeUrl } from './dataValidator.js';
+
+// Constants
+const BULLET_ITEM_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_ITEM_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const CONTINUATION_PATTERN = /^\s+\S/; // Indented lines continue the list item above
+// Escaped character, **bold**, __bold__, *italic*, _italic_ or [label](url), in that order of precedence
+const INLINE_PATTERN = /\\([\\*_[\]()])|\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__|\*(?=[^\s*])(.+?)\*|(?<!\w)_(?=[^\s_])(.+?)_(?!\w)|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+/**
+ * Splits text into inline tokens
+ * @param {String} text - The text of a paragraph or list item
+ * @returns {Array} Tokens: { type: 'text', text }, { type: 'strong' or 'em', children } or { type: 'link', url, children }
+ */
+const parseInline = (text) => {
+    const tokens = [];
+    let textStart = 0;
+    
+    const pushText = (end) => {
+        if (end > textStart) {
+            tokens.push({ type: 'text', text: text.slice(textStart, end) });
+        }
+    };
+    
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        const [whole, escaped, strong, strongUnderscore, em, emUnderscore, label, url] = match;
+        pushText(match.index);
+        textStart = match.index + whole.length;
+        
+        if (escaped !== undefined) {
+            tokens.push({ type: 'text', text: escaped });
+        } else if (strong !== undefined || strongUnderscore !== undefined) {
+            tokens.push({ type: 'strong', children: parseInline(strong ?? strongUnderscore) });
+        } else if (em !== undefined || emUnderscore !== undefined) {
+            tokens.push({ type: 'em', children: parseInline(em ?? emUnderscore) });
+        } else {
+            tokens.push({ type: 'link', url, children: parseInline(label) });
+        }
+    }
+    
+    pushText(text.length);
+    return tokens;
+};
+
+/**
+ * Splits text into paragraphs and lists
+ * @param {String} markdown - The Markdown text
+ * @returns {Array} Blocks: { type: 'paragraph', lines } or { type: 'ul' or 'ol', items }
+ */
+const parseBlocks = (markdown) => {
+    const blocks = [];
+    let currentBlock = null;
+    
+    String(markdown || '').split(/\r?\n/).forEach(line => {
+        const bulletMatch = BULLET_ITEM_PATTERN.exec(line);
+        const numberedMatch = NUMBERED_ITEM_PATTERN.exec(line);
+        const itemMatch = bulletMatch || numberedMatch;
+        
+        if (!line.trim()) {
+            currentBlock = null;
+        } else if (itemMatch) {
+            const listType = bulletMatch ? 'ul' : 'ol';
+            if (!currentBlock || currentBlock.type !== listType) {
+                currentBlock = { type: listType, items: [] };
+                blocks.push(currentBlock);
+            }
+            currentBlock.items.push(itemMatch[1]);
+        } else if (currentBlock && currentBlock.type !== 'paragraph' && CONTINUATION_PATTERN.test(line)) {
+            currentBlock.items[currentBlock.items.length - 1] += ` ${line.trim()}`;
+        } else if (currentBlock && currentBlock.type === 'paragraph') {
+            currentBlock.lines.push(line.trim());
+        } else {
+            currentBlock = { type: 'paragraph', lines: [line.trim()] };
+            blocks.push(currentBlock);
+        }
+    });
+    
+    return blocks;
+};
+
+/**
+ * Creates the DOM nodes of inline tokens
+ * @param {Array} tokens - Tokens from parseInline
+ * @returns {Array} Array of nodes and strings
+ */
+const createInlineNodes = (tokens) => {
+    return tokens.map(token => {
+        if (token.type === 'text') {
+            return token.text;
+        }
+        
+        const children = createInlineNodes(token.children);
+        if (token.type !== 'link') {
+            return createElement(token.type, {}, children);
+        }
+        
+        // Links that could run script are shown as their label
+        if (!isSafeUrl(token.url)) {
+            return createElement('span', {}, children);
+        }
+        return createElement('a', { attributes: { href: token.url, target: '_blank', rel: 'noopener noreferrer' } }, children);
+    });
+};
+
+/**
+ * Renders Markdown as DOM nodes
+ * @param {String} markdown - The Markdown text, e.g. a session description
+ * @returns {DocumentFragment} Paragraphs and lists
+ */
+export const renderMarkdown = (markdown) => {
+    const fragment = document.createDocumentFragment();
+    
+    parseBlocks(markdown).forEach(block => {
+        if (block.type === 'paragraph') {
+            // Line breaks within a paragraph are kept, as speakers wrote them
+            const lineNodes = block.lines.flatMap((line, index) => [
+                ...(index > 0 ? [document.createElement('br')] : []),
+                ...createInlineNodes(parseInline(line))
+            ]);
+            fragment.appendChild(createElement('p', {}, lineNodes));
+            return;
+        }
+        
+        const itemElements = block.items.map(item => createElement('li', {}, createInlineNodes(parseInline(item))));
+        fragment.appendChild(createElement(block.type, {}, itemElements));
+    });
+    
+    return fragment;
+};
+
+/**
+ * Writes inline tokens as plain text
+ * @param {Array} tokens - Tokens from parseInline
+ * @param {Boolean} withLinkUrls - Whether links are followed by their URL
+ * @returns {String} The text
+ */
+const tokensToText = (tokens, withLinkUrls) => {
+    return tokens.map(token => {
+        if (token.type === 'text') {
+            return token.text;
+        }
+        
+        const text = tokensToText(token.children, withLinkUrls);
+        return token.type === 'link' && withLinkUrls && isSafeUrl(token.url) ? `${text} (${token.url})` : text;
+    }).join('');
+};
+
+/**
+ * Converts Markdown to plain text, for places that can't show formatting such as search snippets
+ * @param {String} markdown - The Markdown text
+ * @param {Object} options - Conversion options
+ * @param {Boolean} options.withLinkUrls - Whether links are followed by their URL, e.g. in calendar files
+ * @returns {String} The text, with list items on lines starting with "- "
+ */
+export const markdownToText = (markdown, { withLinkUrls = false } = {}) => {
+    return parseBlocks(markdown).map(block => {
+        if (block.type === 'paragraph') {
+            return block.lines.map(line => tokensToText(parseInline(line), withLinkUrls)).join('\n');
+        }
+        return block.items
+            .map((item, index) => `${block.type === 'ol' ? `${index + 1}.` : '-'} ${tokensToText(parseInline(item), withLinkUrls)}`)
+            .join('\n');
+    }).join('\n\n');
+};
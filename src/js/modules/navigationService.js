@@ -1,61 +1,230 @@
 /**
  * Navigation Service Module
- * Handles tab navigation between different days of the conference
+ * Handles tab navigation between different days of the conference, and shows the view the app store names
  */
-import { setActiveDay } from './scheduleRenderer.js';
+import { appStore, VIEWS } from './appStore.js';
+import { parseDayDate } from './dateTimeUtils.js';
+import { formatDayDate } from './i18nService.js';
+import { getCurrentTime } from './clockService.js';
+import { getConferenceDateParts } from './timeZoneService.js';
+import { EVENTS, emit, on } from './eventBus.js';
+
+// DOM element references
+let scheduleContentElement;
+let tabsElement;
 
 // Constants
 const ACTIVE_CLASS = 'active';
+const TAB_NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'Home', 'End'];
+
+// State variables
+const viewElements = new Map(); // View name -> { contentElement, tabElement }
 
 /**
  * Sets up tab navigation for switching between conference days
+ * Creates a tab for every day in the conference data, in front of the other tabs
  * @param {Object} conferenceData - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the tabs and the schedule, the page by default
  */
-export const setupTabNavigation = (conferenceData) => {
-    // Find all tab buttons
-    const tabButtons = document.querySelectorAll('.tab-btn');
+export const setupTabNavigation = (conferenceData, root = document) => {
+    scheduleContentElement = root.querySelector('#schedule-content');
+    tabsElement = root.querySelector('.tabs');
+    
+    registerView(VIEWS.SCHEDULE, scheduleContentElement);
+    renderDayTabs(conferenceData);
+    
+    // Move between tabs with the arrow keys, following the WAI-ARIA tabs pattern
+    tabsElement.addEventListener('keydown', handleTabKeydown);
     
-    // Add click event listeners to each tab button
-    tabButtons.forEach(button => {
-        button.addEventListener('click', (event) => {
-            const selectedDayId = event.target.getAttribute('data-day');
-            handleDaySelection(selectedDayId, tabButtons);
+    // Added, removed and renamed days change the tabs; when the selected day is gone, another one is shown
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        renderDayTabs(conferenceData);
+        
+        const { dayId } = appStore.getState();
+        if (conferenceData.days.some(day => day.id === dayId)) {
+            showActiveView();
+        } else {
+            selectDay(getDefaultDayId(conferenceData));
+        }
+    });
+    
+    // Show whichever view and day the store names
+    appStore.select(state => state.view, showActiveView);
+    appStore.select(state => state.dayId, showActiveView);
+    
+    // Start on today's schedule during the conference, on the first day otherwise
+    selectDay(getDefaultDayId(conferenceData));
+};
+
+/**
+ * Creates a tab button for each day, before the Now & Next, Topics and other tabs
+ * Replaces the day tabs there were, so it can run again when the days change.
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const renderDayTabs = (conferenceData) => {
+    tabsElement.querySelectorAll('.tab-btn[data-day]').forEach(tabButton => tabButton.remove());
+    
+    const firstOtherTab = tabsElement.firstElementChild;
+    conferenceData.days.forEach(day => {
+        const tabButton = createDayTabElement(day);
+        tabButton.addEventListener('click', () => {
+            selectDay(day.id);
+            
+            // Notify other modules that the user switched tabs
+            emit(EVENTS.TAB_SELECTED, {
+                tab: 'day',
+                dayId: day.id
+            });
         });
+        tabsElement.insertBefore(tabButton, firstOtherTab);
     });
 };
 
 /**
- * Handles day selection in the UI
- * @param {String} dayId - The ID of the selected day
- * @param {NodeList} tabButtons - Collection of all tab buttons
+ * Registers the content element of a view, so it is shown when the store names the view
+ * @param {String} view - One of VIEWS
+ * @param {HTMLElement} contentElement - The tab content element of the view
+ * @param {HTMLElement} tabElement - The tab button of the view, if it has one
+ */
+export const registerView = (view, contentElement, tabElement = null) => {
+    viewElements.set(view, { contentElement, tabElement });
+};
+
+/**
+ * Handles arrow, Home and End keys in the tab list: focuses and activates another tab
+ * @param {KeyboardEvent} event - The keydown event
+ */
+const handleTabKeydown = (event) => {
+    if (!TAB_NAVIGATION_KEYS.includes(event.key)) {
+        return;
+    }
+    
+    const tabButtons = [...tabsElement.querySelectorAll('.tab-btn')];
+    const currentIndex = tabButtons.indexOf(document.activeElement);
+    if (currentIndex === -1) {
+        return;
+    }
+    
+    event.preventDefault();
+    
+    let targetIndex = 0;
+    if (event.key === 'ArrowLeft') {
+        targetIndex = (currentIndex - 1 + tabButtons.length) % tabButtons.length;
+    } else if (event.key === 'ArrowRight') {
+        targetIndex = (currentIndex + 1) % tabButtons.length;
+    } else if (event.key === 'End') {
+        targetIndex = tabButtons.length - 1;
+    }
+    
+    tabButtons[targetIndex].focus();
+    tabButtons[targetIndex].click();
+};
+
+/**
+ * Creates the tab button for a conference day
+ * @param {Object} day - The day object
+ * @returns {HTMLElement} The tab button element
  */
-const handleDaySelection = (dayId, tabButtons) => {
+const createDayTabElement = (day) => {
+    const tabButton = document.createElement('button');
+    tabButton.classList.add('tab-btn');
+    tabButton.id = `day-tab-${day.id}`;
+    tabButton.setAttribute('data-day', day.id);
+    tabButton.setAttribute('role', 'tab');
+    tabButton.setAttribute('aria-controls', scheduleContentElement.id);
+    tabButton.textContent = day.name;
+    
+    if (day.date) {
+        const dateElement = document.createElement('span');
+        dateElement.classList.add('tab-date');
+        dateElement.textContent = formatDayDate(day.date);
+        tabButton.appendChild(dateElement);
+    }
+    
+    return tabButton;
+};
+
+/**
+ * Determines which day to show first: today if the conference is on, the first day otherwise
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {Date} now - The current date, the (possibly simulated) clock time by default
+ * @returns {String|null} The ID of the day to show
+ */
+export const getDefaultDayId = (conferenceData, now = getCurrentTime()) => {
+    if (!conferenceData.days.length) {
+        return null;
+    }
+    
+    // It is the day the calendar at the venue shows
+    const venueToday = getConferenceDateParts(now);
+    const today = conferenceData.days.find(day => {
+        const date = parseDayDate(day.date);
+        return date &&
+            date.year === venueToday.year &&
+            date.month === venueToday.month &&
+            date.day === venueToday.day;
+    });
+    
+    return (today || conferenceData.days[0]).id;
+};
+
+/**
+ * Selects a day: shows its schedule and activates its tab
+ * @param {String} dayId - The ID of the day to select
+ */
+export const selectDay = (dayId) => {
     if (!dayId) {
         console.error('Invalid day ID');
         return;
     }
     
-    // Update active tab button
-    updateActiveTab(dayId, tabButtons);
-    
-    // Update the schedule view
-    setActiveDay(dayId);
+    appStore.setState({ view: VIEWS.SCHEDULE, dayId });
 };
 
 /**
- * Updates the active tab in the UI
- * @param {String} dayId - The ID of the selected day
- * @param {NodeList} tabButtons - Collection of all tab buttons
+ * Shows the content of the view in the store and marks its tab as active
+ * The schedule's tab is the tab of the selected day.
  */
-const updateActiveTab = (dayId, tabButtons) => {
-    // Remove active class from all tabs
-    tabButtons.forEach(tab => {
-        tab.classList.remove(ACTIVE_CLASS);
+const showActiveView = () => {
+    const { view, dayId } = appStore.getState();
+    const activeView = viewElements.get(view);
+    if (!activeView) {
+        return;
+    }
+    
+    const tabButton = view === VIEWS.SCHEDULE ?
+        tabsElement.querySelector(`.tab-btn[data-day="${dayId}"]`) :
+        activeView.tabElement;
+    
+    // Hide all tab contents and show the selected one
+    viewElements.forEach(({ contentElement }) => {
+        contentElement.classList.toggle(ACTIVE_CLASS, contentElement === activeView.contentElement);
     });
     
-    // Add active class to selected tab
-    const selectedTab = document.querySelector(`.tab-btn[data-day="${dayId}"]`);
-    if (selectedTab) {
-        selectedTab.classList.add(ACTIVE_CLASS);
+    // Update active tab
+    tabsElement.querySelectorAll('.tab-btn').forEach(tab => {
+        tab.classList.toggle(ACTIVE_CLASS, tab === tabButton);
+    });
+    if (tabButton) {
+        activeView.contentElement.setAttribute('aria-labelledby', tabButton.id);
     }
+    
+    updateTabSemantics();
+};
+
+/**
+ * Mirrors the active tab in the ARIA attributes of all tabs
+ * Only the active tab is in the tab order; the arrow keys reach the others
+ */
+const updateTabSemantics = () => {
+    const tabButtons = [...tabsElement.querySelectorAll('.tab-btn')];
+    const hasActiveTab = tabButtons.some(tab => tab.classList.contains(ACTIVE_CLASS));
+    
+    tabButtons.forEach((tab, tabIndex) => {
+        const isActive = tab.classList.contains(ACTIVE_CLASS);
+        tab.setAttribute('aria-selected', String(isActive));
+        
+        // Keep the tab list reachable when a view without a tab is shown
+        tab.setAttribute('tabindex', isActive || (!hasActiveTab && tabIndex === 0) ? '0' : '-1');
+    });
 };
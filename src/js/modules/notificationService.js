@@ -0,0 +1,49 @@
+/**
+ * Notification Service Module
+ * Shows short-lived toast messages to the user
+ */
+
+// DOM element references
+let toastContainerElement;
+
+// Constants
+const DEFAULT_TOAST_DURATION = 5000; // Time in ms a toast stays visible
+const TOAST_TYPE_CLASSES = {
+    info: 'toast-info',
+    warning: 'toast-warning',
+    error: 'toast-error'
+};
+
+/**
+ * Finds the container that toasts are shown in
+ * @param {ParentNode} root - The document or element holding the toast container, the page by default
+ */
+export const setupNotifications = (root = document) => {
+    toastContainerElement = root.querySelector('#toast-container');
+};
+
+/**
+ * Shows a toast message
+ * @param {String} message - The message to show
+ * @param {Object} options - Display options
+ * @param {String} options.type - One of 'info', 'warning' or 'error'
+ * @param {Number} options.duration - Time in ms before the toast disappears
+ * @returns {HTMLElement} The toast element
+ */
+export const showToast = (message, { type = 'info', duration = DEFAULT_TOAST_DURATION } = {}) => {
+    const toastElement = document.createElement('div');
+    toastElement.classList.add('toast', TOAST_TYPE_CLASSES[type] || TOAST_TYPE_CLASSES.info);
+    toastElement.setAttribute('role', type === 'info' ? 'status' : 'alert');
+    toastElement.textContent = message;
+    
+    // Allow the user to dismiss the toast early
+    toastElement.addEventListener('click', () => toastElement.remove());
+    
+    toastContainerElement.appendChild(toastElement);
+    
+    setTimeout(() => {
+        toastElement.remove();
+    }, duration);
+    
+    return toastElement;
+};
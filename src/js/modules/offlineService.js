@@ -0,0 +1,107 @@
+/**
+ * Offline Service Module
+ * Registers the service worker and shows whether the schedule on screen is live or a saved copy
+ */
+import { getBasePath, getDataLastUpdated, getDataPath } from './dataService.js';
+import { checkForScheduleUpdates } from './scheduleUpdateService.js';
+import { getLocale, t } from './i18nService.js';
+import { EVENTS, on } from './eventBus.js';
+
+// DOM element references
+let connectionStatusElement;
+
+// Constants
+const OFFLINE_CLASS = 'offline';
+const DATA_FETCHED_MESSAGE = 'conference-data-fetched';
+
+// State variables
+let lastUpdated = null;
+
+/**
+ * Registers the service worker that makes the app available offline
+ * Does nothing in browsers without service worker support
+ */
+export const registerServiceWorker = () => {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    
+    const basePath = getBasePath();
+    navigator.serviceWorker.register(`${basePath}/service-worker.js`, { scope: `${basePath}/` })
+        .catch(error => console.warn('Service worker registration failed:', error));
+    
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        // Only the data file of the conference on screen matters
+        const message = event.data;
+        if (message && message.type === DATA_FETCHED_MESSAGE && new URL(message.url).pathname === getDataPath()) {
+            handleDataFetched(message);
+        }
+    });
+};
+
+/**
+ * Sets up the indicator that tells whether the app is online and how fresh the schedule is
+ * @param {ParentNode} root - The document or element holding the indicator, the page by default
+ */
+export const setupConnectionStatus = (root = document) => {
+    connectionStatusElement = root.querySelector('#connection-status');
+    if (!connectionStatusElement) {
+        return;
+    }
+    
+    lastUpdated = getDataLastUpdated();
+    updateConnectionStatus();
+    
+    window.addEventListener('online', updateConnectionStatus);
+    window.addEventListener('offline', updateConnectionStatus);
+    
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        lastUpdated = getDataLastUpdated();
+        updateConnectionStatus();
+    });
+};
+
+/**
+ * Handles the service worker's report that it fetched the conference data in the background
+ * @param {Object} message - The message with fetchedAt and changed
+ */
+const handleDataFetched = ({ fetchedAt, changed }) => {
+    const fetchedDate = new Date(fetchedAt);
+    if (!Number.isNaN(fetchedDate.getTime())) {
+        lastUpdated = fetchedDate;
+        updateConnectionStatus();
+    }
+    
+    // The page was loaded from the saved copy, so fetch the newer schedule and show what changed
+    if (changed) {
+        checkForScheduleUpdates();
+    }
+};
+
+/**
+ * Formats the time the schedule was last updated, e.g. "Jul 15, 09:12"
+ * @param {Date} date - The update time
+ * @returns {String} The formatted time
+ */
+const formatLastUpdated = (date) => {
+    return date.toLocaleString(getLocale(), { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Updates the connection indicator in the header
+ */
+const updateConnectionStatus = () => {
+    const offline = !navigator.onLine;
+    const updatedText = lastUpdated ? formatLastUpdated(lastUpdated) : null;
+    
+    if (offline) {
+        connectionStatusElement.textContent = updatedText
+            ? t('offline.savedOn', { updated: updatedText })
+            : t('offline.saved');
+    } else {
+        connectionStatusElement.textContent = updatedText ? t('offline.updated', { updated: updatedText }) : '';
+    }
+    
+    connectionStatusElement.classList.toggle(OFFLINE_CLASS, offline);
+    connectionStatusElement.hidden = !connectionStatusElement.textContent;
+};
@@ -0,0 +1,89 @@
+/**
+ * Print Program Module
+ * Lays out the paper program: the sessions of each day split over pages of table rows, every day starting
+ * on a new page, and indexes that refer to the pages sessions are printed on
+ */
+
+// Constants
+export const ROWS_PER_PAGE = 22; // Table rows on a page; the print stylesheet gives pages and rows a fixed height to match
+
+/**
+ * Splits sessions over the pages of the program
+ * @param {Array} sessions - Sessions with day information, in schedule order, as returned by getAllSessions
+ * @param {Object} options - Layout options
+ * @param {Number} options.rowsPerPage - The number of sessions printed on a page
+ * @returns {Array} Pages with pageNumber (from 1), dayId, dayName, date, continued (true on the later pages of a day) and sessions
+ */
+export const paginateProgram = (sessions, { rowsPerPage = ROWS_PER_PAGE } = {}) => {
+    const pages = [];
+    
+    sessions.forEach(session => {
+        const currentPage = pages[pages.length - 1];
+        const isSameDay = currentPage && currentPage.dayId === session.dayId;
+        
+        if (isSameDay && currentPage.sessions.length < rowsPerPage) {
+            currentPage.sessions.push(session);
+            return;
+        }
+        
+        pages.push({
+            pageNumber: pages.length + 1,
+            dayId: session.dayId,
+            dayName: session.dayName,
+            date: session.date,
+            continued: Boolean(isSameDay),
+            sessions: [session]
+        });
+    });
+    
+    return pages;
+};
+
+/**
+ * Lists the pages every speaker, tag or other entry of an index appears on
+ * @param {Array} pages - Pages as returned by paginateProgram
+ * @param {Function} getEntries - Returns the entries of a session, each with a key and a label
+ * @returns {Array} Entries with key, label and pageNumbers (ascending, without repeats), in the order they first appear
+ */
+export const buildProgramIndex = (pages, getEntries) => {
+    const entriesByKey = new Map();
+    
+    pages.forEach(page => {
+        page.sessions.forEach(session => {
+            getEntries(session).forEach(({ key, label }) => {
+                if (!entriesByKey.has(key)) {
+                    entriesByKey.set(key, { key, label, pageNumbers: [] });
+                }
+                
+                const { pageNumbers } = entriesByKey.get(key);
+                if (pageNumbers[pageNumbers.length - 1] !== page.pageNumber) {
+                    pageNumbers.push(page.pageNumber);
+                }
+            });
+        });
+    });
+    
+    return [...entriesByKey.values()];
+};
+
+/**
+ * Writes page numbers as an index does, joining runs of pages
+ * @param {Array} pageNumbers - Page numbers in ascending order
+ * @returns {String} e.g. "1, 3–5, 8"
+ */
+export const formatPageReferences = (pageNumbers) => {
+    const ranges = [];
+    
+    pageNumbers.forEach(pageNumber => {
+        const lastRange = ranges[ranges.length - 1];
+        if (lastRange && pageNumber === lastRange.end + 1) {
+            lastRange.end = pageNumber;
+        } else {
+            ranges.push({ start: pageNumber, end: pageNumber });
+        }
+    });
+    
+    return ranges
+        .map(({ start, end }) => (start === end ? String(start) : `${start}–${end}`))
+        .join(', ');
+};
@@ -0,0 +1,207 @@
+/**
+ * Print Service Module
+ * Prints a pocket program instead of the interactive page: all days or only My Schedule as compact tables,
+ * a new page for every day, followed by a speaker index and a topic index with page references
+ */
+import { getAllSessions } from './dataService.js';
+import { getStarredSessions } from './agendaService.js';
+import { getSpeakers, getSessionSpeakers } from './speakerDirectory.js';
+import { paginateProgram, buildProgramIndex, formatPageReferences } from './printProgram.js';
+import { formatDayDate, formatList, getLocale, t } from './i18nService.js';
+import { formatSessionTimeRange } from './timeZoneService.js';
+import { createElement } from './domUtils.js';
+
+// DOM element references
+let printProgramElement;
+
+// Constants
+export const PRINT_SCOPE_ALL = 'all';
+export const PRINT_SCOPE_MY_SCHEDULE = 'my-schedule';
+const PRINTING_CLASS = 'printing-program'; // Set on the body while the program is printed instead of the page
+const COLUMN_KEYS = ['print.time', 'print.room', 'print.session', 'print.speaker'];
+
+// State variables
+let conferenceData = null;
+let isProgramPrepared = false; // True while a program printed with the action is shown, so the print events keep it
+let pageTitle = null; // Document title to restore after printing
+
+/**
+ * Sets up the Print program buttons, and prints the program when the browser's print command is used
+ * @param {Object} data - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the print buttons and the program container, the page by default
+ */
+export const setupPrintProgram = (data, root = document) => {
+    conferenceData = data;
+    printProgramElement = root.querySelector('#print-program');
+    
+    root.querySelectorAll('.print-program-btn').forEach(printButton => {
+        printButton.addEventListener('click', () => {
+            printProgram({ scope: printButton.getAttribute('data-print-scope') || PRINT_SCOPE_ALL });
+        });
+    });
+    
+    // Printing from the browser's menu prints the program of all days too, not the tabs on screen
+    window.addEventListener('beforeprint', () => {
+        if (!isProgramPrepared) {
+            renderPrintProgram(PRINT_SCOPE_ALL);
+        }
+    });
+    window.addEventListener('afterprint', clearPrintProgram);
+};
+
+/**
+ * Creates a button that prints the program, e.g. for the My Schedule tab
+ * @param {String} label - The button text
+ * @param {String} scope - PRINT_SCOPE_ALL or PRINT_SCOPE_MY_SCHEDULE
+ * @returns {HTMLElement} The button element
+ */
+export const createPrintButton = (label, scope) => {
+    const printButton = createElement('button', {
+        className: 'print-program-btn',
+        text: label,
+        attributes: { type: 'button', 'data-print-scope': scope }
+    });
+    printButton.addEventListener('click', () => {
+        printProgram({ scope });
+    });
+    return printButton;
+};
+
+/**
+ * Prints the program
+ * @param {Object} options - Print options
+ * @param {String} options.scope - PRINT_SCOPE_ALL for every session, PRINT_SCOPE_MY_SCHEDULE for the starred sessions
+ */
+export const printProgram = ({ scope = PRINT_SCOPE_ALL } = {}) => {
+    renderPrintProgram(scope);
+    isProgramPrepared = true;
+    window.print();
+};
+
+/**
+ * Gets the sessions of a program
+ * @param {String} scope - PRINT_SCOPE_ALL or PRINT_SCOPE_MY_SCHEDULE
+ * @returns {Array} Sessions with day information, in schedule order
+ */
+const getProgramSessions = (scope) => {
+    return scope === PRINT_SCOPE_MY_SCHEDULE ? getStarredSessions(conferenceData) : getAllSessions(conferenceData);
+};
+
+/**
+ * Renders the program in the print container and switches the print stylesheet to it
+ * @param {String} scope - PRINT_SCOPE_ALL or PRINT_SCOPE_MY_SCHEDULE
+ */
+export const renderPrintProgram = (scope) => {
+    const pages = paginateProgram(getProgramSessions(scope));
+    const conferenceName = conferenceData.conferenceName || t('app.defaultConferenceName');
+    const programTitle = scope === PRINT_SCOPE_MY_SCHEDULE ? t('print.myScheduleTitle') : t('print.programTitle');
+    const runningHeader = `${conferenceName} · ${programTitle}`;
+    
+    const indexElements = [
+        createIndexElement(t('print.speakerIndex'), getSpeakerIndex(pages)),
+        createIndexElement(t('print.topicIndex'), getTopicIndex(pages))
+    ].filter(Boolean);
+    printProgramElement.replaceChildren(...pages.map(page => createProgramPageElement(page, runningHeader)), ...indexElements);
+    
+    // Browsers suggest the title as the file name when saving as PDF
+    pageTitle = pageTitle ?? document.title;
+    document.title = t('print.documentTitle', { conferenceName, programTitle });
+    printProgramElement.ownerDocument.body.classList.add(PRINTING_CLASS);
+};
+
+/**
+ * Removes the program once it was printed, so the page is printed as usual again
+ */
+const clearPrintProgram = () => {
+    printProgramElement.replaceChildren();
+    printProgramElement.ownerDocument.body.classList.remove(PRINTING_CLASS);
+    if (pageTitle !== null) {
+        document.title = pageTitle;
+        pageTitle = null;
+    }
+    isProgramPrepared = false;
+};
+
+/**
+ * Creates a printed page with the table of its sessions
+ * @param {Object} page - A page as returned by paginateProgram
+ * @param {String} runningHeader - The conference and program name printed at the top of every page
+ * @returns {HTMLElement} The page element
+ */
+const createProgramPageElement = (page, runningHeader) => {
+    const dayHeading = t('schedule.dayHeading', { dayName: page.dayName, date: formatDayDate(page.date) });
+    
+    const headerRow = createElement('tr', {}, COLUMN_KEYS.map(key => createElement('th', { text: t(key), attributes: { scope: 'col' } })));
+    const sessionRows = page.sessions.map(session => createElement('tr', { className: session.type === 'break' && 'print-row-break' }, [
+        createCellElement(formatSessionTimeRange(session.date, session.time, session.endTime), 'print-time'),
+        createCellElement(session.room || ''),
+        createCellElement(session.title, 'print-title'),
+        createCellElement(formatList(getSessionSpeakers(conferenceData, session).map(speaker => speaker.name)))
+    ]));
+    
+    return createElement('section', { className: 'print-page' }, [
+        createElement('p', { className: 'print-running-header', text: runningHeader }),
+        createElement('h2', { text: page.continued ? t('print.continued', { heading: dayHeading }) : dayHeading }),
+        createElement('table', { className: 'print-table' }, [
+            createElement('thead', {}, [headerRow]),
+            createElement('tbody', {}, sessionRows)
+        ]),
+        createElement('p', { className: 'print-page-number', text: t('print.pageNumber', { page: page.pageNumber }) })
+    ]);
+};
+
+/**
+ * Creates a table cell of the program
+ * The text is cut off after two lines, so every row has the same height and a page holds ROWS_PER_PAGE rows.
+ * @param {String} text - The cell text
+ * @param {String} className - A class for the cell, if any
+ * @returns {HTMLElement} The cell element
+ */
+const createCellElement = (text, className = null) => {
+    return createElement('td', { className }, [createElement('div', { className: 'print-cell', text })]);
+};
+
+/**
+ * Lists the speakers of the program, in the order of the speaker directory
+ * @param {Array} pages - Pages as returned by paginateProgram
+ * @returns {Array} Index entries with label and pageNumbers
+ */
+const getSpeakerIndex = (pages) => {
+    const speakerIds = getSpeakers(conferenceData).map(speaker => speaker.id);
+    return buildProgramIndex(pages, session => getSessionSpeakers(conferenceData, session)
+        .map(speaker => ({ key: speaker.id, label: speaker.name })))
+        .sort((entryA, entryB) => speakerIds.indexOf(entryA.key) - speakerIds.indexOf(entryB.key));
+};
+
+/**
+ * Lists the topics of the program alphabetically
+ * @param {Array} pages - Pages as returned by paginateProgram
+ * @returns {Array} Index entries with label and pageNumbers
+ */
+const getTopicIndex = (pages) => {
+    const collator = new Intl.Collator(getLocale(), { sensitivity: 'base' });
+    return buildProgramIndex(pages, session => (session.tags || []).map(tag => ({ key: tag, label: tag })))
+        .sort((entryA, entryB) => collator.compare(entryA.label, entryB.label));
+};
+
+/**
+ * Creates an index section, or nothing when it has no entries
+ * @param {String} heading - The index heading
+ * @param {Array} entries - Index entries with label and pageNumbers
+ * @returns {HTMLElement|null} The index element, or null
+ */
+const createIndexElement = (heading, entries) => {
+    if (!entries.length) {
+        return null;
+    }
+    
+    const itemElements = entries.map(({ label, pageNumbers }) => createElement('li', {}, [
+        createElement('span', { className: 'print-index-label', text: label }),
+        createElement('span', { className: 'print-index-pages', text: formatPageReferences(pageNumbers) })
+    ]));
+    
+    return createElement('section', { className: 'print-index' }, [
+        createElement('h2', { text: heading }),
+        createElement('ul', {}, itemElements)
+    ]);
+};
@@ -0,0 +1,379 @@
+/**
+ * Router Service Module
+ * Keeps the URL hash in sync with the visible view, so views can be shared and the back button works
+ *
+ * Supported routes:
+ *   #/day2            - the schedule of a day
+ *   #/session/d1s5    - the details of a session
+ *   #/filter?tag=AI&room=Room%20A - the schedule filtered by tags (mode=all to require every tag), rooms, types and companies
+ *   #/tag/AI          - the schedule filtered by a tag (older links, opened as a filter route)
+ *   #/search?q=cloud  - search results for a query (&all=1 lists every result in the main area)
+ *   #/now             - the sessions running now and the next time slot
+ *   #/topics          - the tag cloud
+ *   #/speakers        - the speaker directory
+ *   #/speaker/sarah-johnson - the profile of a speaker
+ *   #/my-schedule     - the personal agenda
+ */
+import { getSessionById } from './dataService.js';
+import { getActiveFilters, setFilters, clearFilters, showFilteredSchedule } from './filterPanelService.js';
+import { createEmptyFilters, hasActiveFilters, normalizeFilters, TAG_MODE_ALL } from './sessionFilters.js';
+import { selectDay, getDefaultDayId } from './navigationService.js';
+import { hideSessionDetails } from './sessionDetailService.js';
+import { runSearch, clearSearch } from './searchService.js';
+import { showTagCloud } from './tagCloudService.js';
+import { showMySchedule } from './agendaService.js';
+import { showNowNext } from './liveScheduleService.js';
+import { showSpeakerDirectory, showSpeakerProfile } from './speakerService.js';
+import { EVENTS, on } from './eventBus.js';
+import { appStore } from './appStore.js';
+
+// Constants
+const ROUTE_PREFIX = '#/';
+const VIEW_HOME = 'home';
+const VIEW_DAY = 'day';
+const VIEW_SESSION = 'session';
+const VIEW_TAG = 'tag';
+const VIEW_FILTER = 'filter';
+const FILTER_PARAMETERS = { tags: 'tag', rooms: 'room', types: 'type', companies: 'company' }; // Facet key to URL parameter
+const VIEW_SEARCH = 'search';
+const VIEW_NOW = 'now';
+const VIEW_TOPICS = 'topics';
+const VIEW_MY_SCHEDULE = 'my-schedule';
+const VIEW_SPEAKERS = 'speakers';
+const VIEW_SPEAKER = 'speaker';
+
+// State variables
+let isApplyingRoute = false; // True while the UI is updated from the URL, so no new history entries are made
+let lastAppliedHash = null;
+let returnRoute = { view: VIEW_HOME }; // The route to go back to when the session details are closed
+
+/**
+ * Decodes a part of a route path
+ * @param {String} segment - The encoded part, e.g. "Room%20A"
+ * @returns {String|null} The decoded part, or null if it isn't valid percent-encoding
+ */
+const decodeRouteSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        // Hand-edited or truncated links such as "#/session/%E0" throw a URIError
+        return null;
+    }
+};
+
+/**
+ * Parses a URL hash into a route object
+ * @param {String} hash - The URL hash, e.g. "#/tag/AI"
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {Object} The route, with a view property and view specific details
+ */
+export const parseRoute = (hash, conferenceData) => {
+    if (!hash || !hash.startsWith(ROUTE_PREFIX)) {
+        return { view: VIEW_HOME };
+    }
+    
+    const [path, queryString = ''] = hash.slice(ROUTE_PREFIX.length).split('?');
+    const [section, ...rest] = path.split('/');
+    const parameter = decodeRouteSegment(rest.join('/'));
+    const dayId = decodeRouteSegment(section);
+    if (parameter === null || dayId === null) {
+        console.warn('Malformed route:', hash);
+        return { view: VIEW_HOME };
+    }
+    
+    const searchParams = new URLSearchParams(queryString);
+    
+    switch (section) {
+        case VIEW_SESSION:
+            return parameter ? { view: VIEW_SESSION, sessionId: parameter } : { view: VIEW_HOME };
+        case VIEW_TAG:
+            return parameter
+                ? { view: VIEW_FILTER, filters: normalizeFilters({ tags: [parameter] }) }
+                : { view: VIEW_HOME };
+        case VIEW_FILTER:
+            return parseFilterRoute(searchParams);
+        case VIEW_SEARCH:
+            return { view: VIEW_SEARCH, query: searchParams.get('q') || '', showAll: searchParams.has('all') };
+        case VIEW_NOW:
+            return { view: VIEW_NOW };
+        case VIEW_TOPICS:
+            return { view: VIEW_TOPICS };
+        case VIEW_MY_SCHEDULE:
+            return { view: VIEW_MY_SCHEDULE };
+        case VIEW_SPEAKERS:
+            return { view: VIEW_SPEAKERS };
+        case VIEW_SPEAKER:
+            return parameter ? { view: VIEW_SPEAKER, speakerId: parameter } : { view: VIEW_SPEAKERS };
+        default:
+            break;
+    }
+    
+    if (conferenceData.days.some(day => day.id === dayId)) {
+        return { view: VIEW_DAY, dayId };
+    }
+    
+    console.warn('Unknown route:', hash);
+    return { view: VIEW_HOME };
+};
+
+/**
+ * Parses the query string of a filter route
+ * @param {URLSearchParams} searchParams - The query string parameters
+ * @returns {Object} The filter route, or the home route if no filter is given
+ */
+const parseFilterRoute = (searchParams) => {
+    const filters = createEmptyFilters();
+    Object.entries(FILTER_PARAMETERS).forEach(([facetKey, parameterName]) => {
+        filters[facetKey] = searchParams.getAll(parameterName);
+    });
+    filters.tagMode = searchParams.get('mode');
+    
+    const normalizedFilters = normalizeFilters(filters);
+    return hasActiveFilters(normalizedFilters) ? { view: VIEW_FILTER, filters: normalizedFilters } : { view: VIEW_HOME };
+};
+
+/**
+ * Formats the query string of a filter route
+ * @param {Object} filters - The active filters
+ * @returns {String} The query string, e.g. "tag=AI&tag=Cloud&mode=all"
+ */
+const formatFilterParameters = (filters) => {
+    const searchParams = new URLSearchParams();
+    Object.entries(FILTER_PARAMETERS).forEach(([facetKey, parameterName]) => {
+        filters[facetKey].forEach(value => searchParams.append(parameterName, value));
+    });
+    if (filters.tagMode === TAG_MODE_ALL && filters.tags.length > 1) {
+        searchParams.append('mode', TAG_MODE_ALL);
+    }
+    
+    // Spaces read better as %20 than as +, and URLSearchParams parses both
+    return searchParams.toString().replace(/\+/g, '%20');
+};
+
+/**
+ * Formats a route object as a URL hash
+ * @param {Object} route - The route object
+ * @returns {String} The URL hash, e.g. "#/filter?tag=AI"
+ */
+export const formatRoute = (route) => {
+    switch (route.view) {
+        case VIEW_DAY:
+            return `${ROUTE_PREFIX}${encodeURIComponent(route.dayId)}`;
+        case VIEW_SESSION:
+            return `${ROUTE_PREFIX}${VIEW_SESSION}/${encodeURIComponent(route.sessionId)}`;
+        case VIEW_SPEAKER:
+            return `${ROUTE_PREFIX}${VIEW_SPEAKER}/${encodeURIComponent(route.speakerId)}`;
+        case VIEW_FILTER:
+            return `${ROUTE_PREFIX}${VIEW_FILTER}?${formatFilterParameters(route.filters)}`;
+        case VIEW_SEARCH:
+            return `${ROUTE_PREFIX}${VIEW_SEARCH}?q=${encodeURIComponent(route.query)}${route.showAll ? '&all=1' : ''}`;
+        case VIEW_NOW:
+        case VIEW_TOPICS:
+        case VIEW_SPEAKERS:
+        case VIEW_MY_SCHEDULE:
+            return `${ROUTE_PREFIX}${route.view}`;
+        default:
+            return '';
+    }
+};
+
+/**
+ * Sets up the router: restores the view from the URL and records view changes in the browser history
+ * @param {Object} conferenceData - The complete conference data object
+ */
+export const setupRouter = (conferenceData) => {
+    // Restore the view the URL points to
+    applyRoute(parseRoute(window.location.hash, conferenceData), conferenceData);
+    
+    // Back and forward buttons, and links or manual edits of the hash
+    const handleHistoryChange = () => {
+        const hash = window.location.hash;
+        
+        // In-page anchors such as the skip link are not routes
+        if (hash && !hash.startsWith(ROUTE_PREFIX)) {
+            return;
+        }
+        
+        if (hash !== lastAppliedHash) {
+            applyRoute(parseRoute(hash, conferenceData), conferenceData);
+        }
+    };
+    window.addEventListener('popstate', handleHistoryChange);
+    window.addEventListener('hashchange', handleHistoryChange);
+    
+    // Record user actions as history entries
+    on(EVENTS.TAB_SELECTED, ({ tab, dayId }) => {
+        navigate(tab === VIEW_DAY ? { view: VIEW_DAY, dayId } : { view: tab });
+    });
+    
+    appStore.select(state => state.filters, (filters) => {
+        if (!hasActiveFilters(filters)) {
+            navigate({ view: VIEW_DAY, dayId: appStore.getState().dayId });
+            return;
+        }
+        
+        // Refining the filters updates the current entry, so Back leaves the filtered schedule at once
+        const isFiltering = parseRoute(window.location.hash, conferenceData).view === VIEW_FILTER;
+        navigate({ view: VIEW_FILTER, filters }, { replace: isFiltering });
+    });
+    
+    on(EVENTS.SEARCH_PERFORMED, ({ query }) => {
+        // Typing refines the current search, so only the first search gets its own history entry
+        const isSearching = parseRoute(window.location.hash, conferenceData).view === VIEW_SEARCH;
+        navigate({ view: VIEW_SEARCH, query }, { replace: isSearching });
+    });
+    
+    on(EVENTS.SEARCH_RESULTS_SHOWN, ({ query }) => {
+        navigate({ view: VIEW_SEARCH, query, showAll: true });
+    });
+    
+    on(EVENTS.SPEAKER_SELECTED, ({ speakerId }) => {
+        navigate({ view: VIEW_SPEAKER, speakerId });
+    });
+    
+    appStore.select(state => state.selectedSessionId, (sessionId) => {
+        if (sessionId) {
+            openSessionRoute(sessionId, conferenceData);
+        } else {
+            closeSessionRoute(conferenceData);
+        }
+    });
+};
+
+/**
+ * Records the opened session details as a history entry
+ * @param {String} sessionId - The ID of the session
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const openSessionRoute = (sessionId, conferenceData) => {
+    const currentRoute = parseRoute(window.location.hash, conferenceData);
+    if (currentRoute.view !== VIEW_SESSION) {
+        returnRoute = currentRoute;
+    }
+    navigate({ view: VIEW_SESSION, sessionId });
+};
+
+/**
+ * Leaves the session route when the session details were closed
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const closeSessionRoute = (conferenceData) => {
+    if (isApplyingRoute || parseRoute(window.location.hash, conferenceData).view !== VIEW_SESSION) {
+        return;
+    }
+    
+    // Step back if we opened the session ourselves, so Back doesn't reopen it
+    if (window.history.state && window.history.state.pushedByApp) {
+        window.history.back();
+    } else {
+        navigate(returnRoute, { replace: true });
+    }
+};
+
+/**
+ * Updates the URL for a new view
+ * @param {Object} route - The route of the new view
+ * @param {Object} options - Navigation options
+ * @param {Boolean} options.replace - Replace the current history entry instead of adding one
+ */
+const navigate = (route, { replace = false } = {}) => {
+    if (isApplyingRoute) {
+        return;
+    }
+    
+    const hash = formatRoute(route);
+    if (hash === window.location.hash) {
+        return;
+    }
+    
+    // Keep the path and query string, e.g. on GitHub Pages
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (replace) {
+        window.history.replaceState(window.history.state, '', url);
+    } else {
+        window.history.pushState({ pushedByApp: true }, '', url);
+    }
+    lastAppliedHash = window.location.hash;
+};
+
+/**
+ * Updates the UI to show the view of a route
+ * @param {Object} route - The route to show
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const applyRoute = (route, conferenceData) => {
+    isApplyingRoute = true;
+    lastAppliedHash = window.location.hash;
+    
+    try {
+        // Close whatever belongs to the previous view
+        if (route.view !== VIEW_SESSION) {
+            hideSessionDetails();
+        }
+        if (route.view !== VIEW_SEARCH) {
+            clearSearch();
+        }
+        if (route.view !== VIEW_FILTER && route.view !== VIEW_SESSION && hasActiveFilters(getActiveFilters())) {
+            clearFilters();
+        }
+        
+        switch (route.view) {
+            case VIEW_DAY:
+                selectDay(route.dayId);
+                break;
+            case VIEW_FILTER:
+                if (formatFilterParameters(getActiveFilters()) !== formatFilterParameters(route.filters)) {
+                    setFilters(route.filters);
+                }
+                showFilteredSchedule();
+                break;
+            case VIEW_SESSION:
+                applySessionRoute(route, conferenceData);
+                break;
+            case VIEW_SEARCH:
+                runSearch(route.query, { showAll: route.showAll });
+                break;
+            case VIEW_NOW:
+                showNowNext();
+                break;
+            case VIEW_TOPICS:
+                showTagCloud();
+                break;
+            case VIEW_SPEAKERS:
+                showSpeakerDirectory();
+                break;
+            case VIEW_SPEAKER:
+                if (!showSpeakerProfile(route.speakerId)) {
+                    showSpeakerDirectory();
+                }
+                break;
+            case VIEW_MY_SCHEDULE:
+                showMySchedule();
+                break;
+            default:
+                selectDay(getDefaultDayId(conferenceData));
+                break;
+        }
+    } finally {
+        isApplyingRoute = false;
+    }
+};
+
+/**
+ * Opens the details of the session in a session route
+ * @param {Object} route - The session route
+ * @param {Object} conferenceData - The complete conference data object
+ */
+const applySessionRoute = (route, conferenceData) => {
+    const session = getSessionById(conferenceData, route.sessionId);
+    if (!session) {
+        console.warn('Unknown session in route:', route.sessionId);
+        return;
+    }
+    
+    // Closing a session that was opened from a link returns to its day
+    if (returnRoute.view === VIEW_HOME) {
+        returnRoute = { view: VIEW_DAY, dayId: session.dayId };
+    }
+    appStore.setState({ selectedSessionId: session.id });
+};
@@ -0,0 +1,929 @@
+/**
+ * Schedule Editor Service Module
+ * Lets organizers edit the schedule in the browser: opened with ?edit, sessions can be added, edited,
+ * duplicated, deleted and dragged to another time or room, and the edited data file is downloaded when done
+ */
+import { fetchRawConferenceData, prepareConferenceData, getAllSessions, getDataPath } from './dataService.js';
+import { ConferenceDataError, validateConferenceData } from './dataValidator.js';
+import {
+    addSession, updateSession, moveSession, duplicateSession, deleteSession, findEditableSession, createEditHistory
+} from './scheduleEdits.js';
+import { applyScheduleUpdate } from './scheduleUpdateService.js';
+import { setSessionsDraggable } from './scheduleRenderer.js';
+import { appStore } from './appStore.js';
+import { hideSessionDetails } from './sessionDetailService.js';
+import { SESSION_TYPE_CLASSES, SESSION_TYPE_LABEL_KEYS } from './sessionTypes.js';
+import { parseTimeOfDay, timeToMinutes } from './dateTimeUtils.js';
+import { downloadFile } from './fileDownload.js';
+import { formatList, getLocale, t } from './i18nService.js';
+
+// DOM element references
+let editorElement;
+let editorStatusElement;
+let editorIssuesElement;
+let editorDialogElement;
+let scheduleDaysElement;
+
+// Constants
+const EDIT_PARAMETER = 'edit';
+const JSON_MIME_TYPE = 'application/json;charset=utf-8';
+const DRAGGING_CLASS = 'dragging';
+const DROP_TARGET_CLASS = 'drop-target';
+const DROP_TARGET_SELECTOR = '.day-schedule [data-time]';
+const TEXT_FIELDS = ['dayId', 'time', 'room', 'type', 'title', 'role', 'company', 'description'];
+const DEFAULT_SESSION_TYPE = 'round1';
+const TAG_SEPARATOR_KEYS = ['Enter', ','];
+const TEXT_ENTRY_SELECTOR = 'input, textarea, select, [contenteditable="true"]';
+
+// State variables
+let conferenceData = null;
+let editHistory = null;
+let isEditing = false;
+let draggedSessionId = null;
+
+/**
+ * Checks whether the page was opened to edit the schedule
+ * @returns {Boolean} True if the URL has ?edit
+ */
+export const isScheduleEditMode = () => new URLSearchParams(window.location.search).has(EDIT_PARAMETER);
+
+/**
+ * Sets up the schedule editor when the page was opened with ?edit
+ * The editor works on the data file itself, so what is downloaded keeps everything the app doesn't show.
+ * @param {Object} data - The complete conference data object, updated in place after every edit
+ * @param {ParentNode} root - The document or element holding the editor and the schedule, the page by default
+ * @returns {Promise<void>} Resolves once the editor is ready
+ */
+export const setupScheduleEditor = async (data, root = document) => {
+    editorElement = root.querySelector('#schedule-editor');
+    editorStatusElement = root.querySelector('#editor-status');
+    editorIssuesElement = root.querySelector('#editor-issues');
+    editorDialogElement = root.querySelector('#session-editor-dialog');
+    scheduleDaysElement = root.querySelector('#schedule-days');
+    if (!editorElement || !isScheduleEditMode()) {
+        return;
+    }
+    
+    conferenceData = data;
+    isEditing = true;
+    setSessionsDraggable(true);
+    editorElement.hidden = false;
+    
+    try {
+        editHistory = createEditHistory(await fetchRawConferenceData());
+    } catch (error) {
+        console.error('Failed to load the data file for editing:', error);
+        isEditing = false;
+        setSessionsDraggable(false);
+        showEditorStatus(t('editor.loadFailed'));
+        editorElement.querySelectorAll('.editor-btn').forEach(button => {
+            button.disabled = true;
+        });
+        return;
+    }
+    
+    editorElement.querySelectorAll('.editor-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            runEditorAction(button.getAttribute('data-editor-action'));
+        });
+    });
+    
+    setupDragAndDrop();
+    
+    // Undo and redo with the usual shortcuts, unless the user is typing
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.target.closest(TEXT_ENTRY_SELECTOR) || editorDialogElement.open) {
+            return;
+        }
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoEdit();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redoEdit();
+        }
+    });
+    
+    // Edits only live in this page until they are downloaded
+    window.addEventListener('beforeunload', (event) => {
+        if (editHistory.hasUnsavedChanges()) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
+    });
+    
+    showEditorStatus(t('editor.ready'));
+};
+
+/**
+ * Creates the edit, duplicate and delete buttons shown in the session details while editing
+ * @param {Object} session - The session object
+ * @returns {HTMLElement|null} The actions element, or null when the schedule isn't being edited
+ */
+export const createSessionEditorActions = (session) => {
+    if (!isEditing) {
+        return null;
+    }
+    
+    const actionsElement = document.createElement('div');
+    actionsElement.classList.add('session-editor-actions');
+    
+    const actions = [
+        { labelKey: 'editor.edit', run: () => openSessionForm({ sessionId: session.id }) },
+        { labelKey: 'editor.duplicate', run: () => openSessionForm({ sessionId: session.id, isCopy: true }) },
+        { labelKey: 'editor.delete', run: () => removeSession(session) }
+    ];
+    
+    actions.forEach(({ labelKey, run }) => {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.classList.add('editor-btn');
+        actionButton.textContent = t(labelKey);
+        actionButton.addEventListener('click', () => {
+            hideSessionDetails();
+            run();
+        });
+        actionsElement.appendChild(actionButton);
+    });
+    
+    return actionsElement;
+};
+
+/**
+ * Runs an action of the editor toolbar
+ * @param {String} action - "add", "undo", "redo" or "download"
+ */
+const runEditorAction = (action) => {
+    if (action === 'add') {
+        openSessionForm();
+    } else if (action === 'undo') {
+        undoEdit();
+    } else if (action === 'redo') {
+        redoEdit();
+    } else if (action === 'download') {
+        downloadEditedData();
+    }
+};
+
+/**
+ * Validates edited data and shows it in the schedule
+ * Edits that make the data invalid are refused, so every version in the history can be downloaded.
+ * @param {Object} editedData - The edited data file
+ * @param {String} message - Status message shown when the edit was applied
+ * @returns {Array} The errors that refused the edit, empty when it was applied
+ */
+const applyEdit = (editedData, message) => {
+    let preparedData;
+    try {
+        preparedData = prepareConferenceData(editedData);
+    } catch (error) {
+        if (error instanceof ConferenceDataError) {
+            return error.issues.filter(issue => issue.severity === 'error');
+        }
+        throw error;
+    }
+    
+    editHistory.apply(editedData);
+    showEditedData(preparedData, message);
+    return [];
+};
+
+/**
+ * Shows a version of the data in every view of the app
+ * @param {Object} preparedData - The validated and normalized data
+ * @param {String} message - Status message describing what changed
+ */
+const showEditedData = (preparedData, message) => {
+    // The user made the changes, there is no need to announce them in toasts
+    applyScheduleUpdate(preparedData, { announce: false });
+    showIssues([]);
+    showEditorStatus(message);
+};
+
+/**
+ * Goes back to the version before the last edit
+ */
+const undoEdit = () => {
+    if (!editHistory.canUndo()) {
+        showEditorStatus(t('editor.nothingToUndo'));
+        return;
+    }
+    showEditedData(prepareConferenceData(editHistory.undo()), t('editor.undone'));
+};
+
+/**
+ * Restores the edit that was undone last
+ */
+const redoEdit = () => {
+    if (!editHistory.canRedo()) {
+        showEditorStatus(t('editor.nothingToRedo'));
+        return;
+    }
+    showEditedData(prepareConferenceData(editHistory.redo()), t('editor.redone'));
+};
+
+/**
+ * Shows a status message in the toolbar, with whether there are changes that weren't downloaded yet
+ * @param {String} message - The message
+ */
+const showEditorStatus = (message) => {
+    const unsavedMessage = editHistory && editHistory.hasUnsavedChanges() ? t('editor.unsaved') : '';
+    editorStatusElement.textContent = [message, unsavedMessage].filter(Boolean).join(' ');
+    
+    editorElement.querySelector('[data-editor-action="undo"]').disabled = !editHistory || !editHistory.canUndo();
+    editorElement.querySelector('[data-editor-action="redo"]').disabled = !editHistory || !editHistory.canRedo();
+};
+
+/**
+ * Fills a list with validation issues
+ * @param {HTMLElement} listElement - The list to fill
+ * @param {Array} issues - Array of { severity, path, message } objects
+ */
+const renderIssues = (listElement, issues) => {
+    listElement.innerHTML = '';
+    listElement.hidden = !issues.length;
+    
+    issues.forEach(issue => {
+        const issueItem = document.createElement('li');
+        issueItem.classList.add(`diagnostic-${issue.severity}`);
+        
+        const pathElement = document.createElement('code');
+        pathElement.textContent = issue.path;
+        
+        issueItem.append(pathElement, ` ${issue.message}`);
+        listElement.appendChild(issueItem);
+    });
+};
+
+/**
+ * Shows validation issues below the toolbar
+ * @param {Array} issues - Array of { severity, path, message } objects
+ */
+const showIssues = (issues) => {
+    renderIssues(editorIssuesElement, issues);
+};
+
+/**
+ * Downloads the edited data file, unless it has errors
+ * Warnings don't stop the download, the app shows such data as well.
+ */
+const downloadEditedData = () => {
+    const editedData = editHistory.getCurrent();
+    const { errors, warnings } = validateConferenceData(editedData, { locale: getLocale() });
+    showIssues([...errors, ...warnings]);
+    
+    if (errors.length) {
+        showEditorStatus(t('editor.downloadBlocked', { count: errors.length }));
+        return;
+    }
+    
+    const fileName = getDataPath().split('/').pop();
+    downloadFile(`${JSON.stringify(editedData, null, 2)}\n`, fileName, JSON_MIME_TYPE);
+    editHistory.markSaved();
+    showEditorStatus(t('editor.downloaded', { fileName }));
+};
+
+/**
+ * Removes a session; it can be brought back with undo
+ * @param {Object} session - The session object
+ */
+const removeSession = (session) => {
+    applyEdit(deleteSession(editHistory.getCurrent(), session.id), t('editor.deleted', { title: session.title }));
+};
+
+/**
+ * Sets up dragging sessions to another time slot, or in the grid to another room
+ * The session form is the way to do the same with the keyboard.
+ */
+const setupDragAndDrop = () => {
+    scheduleDaysElement.addEventListener('dragstart', (event) => {
+        const sessionElement = event.target.closest('.session[data-session-id]');
+        if (!sessionElement) {
+            return;
+        }
+        
+        draggedSessionId = sessionElement.getAttribute('data-session-id');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', draggedSessionId);
+        sessionElement.classList.add(DRAGGING_CLASS);
+    });
+    
+    scheduleDaysElement.addEventListener('dragover', (event) => {
+        const dropTarget = event.target.closest(DROP_TARGET_SELECTOR);
+        if (!draggedSessionId || !dropTarget) {
+            return;
+        }
+        
+        // Accept the drop
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        scheduleDaysElement.querySelectorAll(`.${DROP_TARGET_CLASS}`).forEach(element => {
+            element.classList.toggle(DROP_TARGET_CLASS, element === dropTarget);
+        });
+        dropTarget.classList.add(DROP_TARGET_CLASS);
+    });
+    
+    scheduleDaysElement.addEventListener('drop', (event) => {
+        const dropTarget = event.target.closest(DROP_TARGET_SELECTOR);
+        if (!draggedSessionId || !dropTarget) {
+            return;
+        }
+        
+        event.preventDefault();
+        dropSession(draggedSessionId, dropTarget);
+    });
+    
+    // Runs after a drop as well as after a cancelled drag
+    scheduleDaysElement.addEventListener('dragend', () => {
+        draggedSessionId = null;
+        scheduleDaysElement.querySelectorAll(`.${DRAGGING_CLASS}, .${DROP_TARGET_CLASS}`).forEach(element => {
+            element.classList.remove(DRAGGING_CLASS, DROP_TARGET_CLASS);
+        });
+    });
+};
+
+/**
+ * Moves a dragged session to the day, time and room of the element it was dropped on
+ * @param {String} sessionId - The ID of the dragged session
+ * @param {HTMLElement} dropTarget - A time slot, grid cell or free room with data-time and optionally data-room
+ */
+const dropSession = (sessionId, dropTarget) => {
+    const editedData = editHistory.getCurrent();
+    const found = findEditableSession(editedData, sessionId);
+    if (!found) {
+        return;
+    }
+    
+    const target = {
+        dayId: dropTarget.closest('.day-schedule').getAttribute('data-day'),
+        time: dropTarget.getAttribute('data-time'),
+        room: dropTarget.getAttribute('data-room') ?? undefined
+    };
+    
+    const isSamePlace = target.dayId === found.day.id &&
+        timeToMinutes(target.time) === timeToMinutes(found.session.time) &&
+        (target.room === undefined || target.room === found.session.room);
+    if (isSamePlace) {
+        return;
+    }
+    
+    const errors = applyEdit(moveSession(editedData, sessionId, target), t('editor.moved', { title: found.session.title }));
+    if (errors.length) {
+        showIssues(errors);
+        showEditorStatus(t('editor.editRefused'));
+    }
+};
+
+/**
+ * Formats a time from the data for a time input, which needs "09:00" rather than "9:00"
+ * @param {String} timeText - The time as written in the data
+ * @returns {String} The zero-padded time, or an empty string if there is no valid time
+ */
+const toTimeInputValue = (timeText) => {
+    const timeOfDay = parseTimeOfDay(timeText);
+    return timeOfDay
+        ? `${String(timeOfDay.hours).padStart(2, '0')}:${String(timeOfDay.minutes).padStart(2, '0')}`
+        : '';
+};
+
+/**
+ * Creates the values of an empty session form
+ * @returns {Object} The form values
+ */
+const createEmptyFormValues = () => ({
+    dayId: '',
+    time: '',
+    endTime: '',
+    room: '',
+    type: '',
+    title: '',
+    speakers: [],
+    role: '',
+    company: '',
+    description: '',
+    tags: []
+});
+
+/**
+ * Gets the values the session form starts with
+ * @param {String} sessionId - The ID of the session, or null for a new session
+ * @returns {Object} The form values
+ */
+const getInitialFormValues = (sessionId) => {
+    const found = sessionId ? findEditableSession(editHistory.getCurrent(), sessionId) : null;
+    if (!found) {
+        return {
+            ...createEmptyFormValues(),
+            dayId: appStore.getState().dayId || conferenceData.days[0].id,
+            type: DEFAULT_SESSION_TYPE
+        };
+    }
+    
+    const { day, session } = found;
+    const shownSession = getAllSessions(conferenceData).find(candidate => candidate.id === sessionId);
+    
+    return {
+        ...Object.fromEntries(TEXT_FIELDS.map(field => [field, typeof session[field] === 'string' ? session[field] : ''])),
+        dayId: day.id,
+        time: toTimeInputValue(session.time),
+        // A duration in the data is shown as the end time it works out to
+        endTime: toTimeInputValue(session.endTime) || (session.duration && shownSession ? shownSession.endTime : ''),
+        speakers: getSessionFormSpeakers(session),
+        tags: Array.isArray(session.tags) ? [...session.tags] : []
+    };
+};
+
+/**
+ * Lists the speakers of a session as the form shows them
+ * Speakers linked with speakerIds keep their ID, a name written in the session is a speaker of its own.
+ * @param {Object} session - The session as written in the data file
+ * @returns {Array} Speakers with a name, and the id of the declared speaker if there is one
+ */
+const getSessionFormSpeakers = (session) => {
+    if (Array.isArray(session.speakerIds) && session.speakerIds.length) {
+        const declaredSpeakers = editHistory.getCurrent().speakers || [];
+        return session.speakerIds.map(speakerId => {
+            const declaredSpeaker = declaredSpeakers.find(speaker => speaker.id === speakerId);
+            return { id: speakerId, name: declaredSpeaker ? declaredSpeaker.name : speakerId };
+        });
+    }
+    return typeof session.speaker === 'string' && session.speaker.trim() ? [{ name: session.speaker.trim() }] : [];
+};
+
+/**
+ * Gets the key a speaker of the form is compared by
+ * @param {Object} speaker - A speaker with a name, and an id if it is declared
+ * @returns {String} The ID of a declared speaker, the lowercase name of any other
+ */
+const getFormSpeakerKey = (speaker) => (speaker.id ? `id:${speaker.id}` : `name:${speaker.name.toLowerCase()}`);
+
+/**
+ * Gets the session fields the user changed in the form
+ * Only changed fields are written, so the data file keeps its own spelling of everything else.
+ * @param {Object} initialValues - The values the form started with
+ * @param {Object} values - The values the form was submitted with
+ * @returns {Object} The changed fields, with empty values for fields that were cleared
+ */
+const getChangedFields = (initialValues, values) => {
+    const fields = {};
+    
+    TEXT_FIELDS.forEach(field => {
+        if (values[field] !== initialValues[field]) {
+            fields[field] = values[field];
+        }
+    });
+    
+    // An end time replaces a duration; without either, the session runs until the next time slot
+    if (values.endTime !== initialValues.endTime) {
+        fields.endTime = values.endTime;
+        fields.duration = undefined;
+    }
+    
+    if (values.tags.join('\n') !== initialValues.tags.join('\n')) {
+        fields.tags = values.tags;
+    }
+    
+    // Speakers from the speakers section link their profiles; names typed for this session only are written
+    // as the speaker text, which then names every speaker of the session
+    if (values.speakers.map(getFormSpeakerKey).join('\n') !== initialValues.speakers.map(getFormSpeakerKey).join('\n')) {
+        const isEverySpeakerDeclared = values.speakers.every(speaker => speaker.id);
+        fields.speakerIds = values.speakers.filter(speaker => speaker.id).map(speaker => speaker.id);
+        fields.speaker = isEverySpeakerDeclared ? undefined : formatList(values.speakers.map(speaker => speaker.name));
+    }
+    
+    return fields;
+};
+
+/**
+ * Opens the form to add, edit or duplicate a session
+ * @param {Object} options - Form options
+ * @param {String} options.sessionId - The session to edit or duplicate, a new session is added without one
+ * @param {Boolean} options.isCopy - Save the form as a copy of the session
+ */
+const openSessionForm = ({ sessionId = null, isCopy = false } = {}) => {
+    const initialValues = getInitialFormValues(sessionId);
+    let titleKey = 'editor.addTitle';
+    if (sessionId) {
+        titleKey = isCopy ? 'editor.duplicateTitle' : 'editor.editTitle';
+    }
+    
+    const formElement = createSessionForm(t(titleKey), initialValues);
+    const errorsElement = formElement.querySelector('.editor-form-errors');
+    
+    formElement.addEventListener('submit', (event) => {
+        event.preventDefault();
+        
+        const values = readSessionForm(formElement);
+        const currentData = editHistory.getCurrent();
+        let editedData;
+        let message;
+        
+        if (!sessionId) {
+            // Everything filled in is new, including the suggested day and type
+            const { dayId, ...fields } = getChangedFields(createEmptyFormValues(), values);
+            editedData = addSession(currentData, values.dayId, fields).data;
+            message = t('editor.added', { title: values.title });
+        } else if (isCopy) {
+            const copy = duplicateSession(currentData, sessionId);
+            editedData = updateSession(copy.data, copy.sessionId, getChangedFields(initialValues, values));
+            message = t('editor.added', { title: values.title });
+        } else {
+            editedData = updateSession(currentData, sessionId, getChangedFields(initialValues, values));
+            message = t('editor.saved', { title: values.title });
+        }
+        
+        const errors = applyEdit(editedData, message);
+        if (errors.length) {
+            renderIssues(errorsElement, errors);
+            errorsElement.focus();
+            return;
+        }
+        
+        editorDialogElement.close();
+    });
+    
+    formElement.querySelector('.editor-cancel').addEventListener('click', () => {
+        editorDialogElement.close();
+    });
+    
+    editorDialogElement.replaceChildren(formElement);
+    editorDialogElement.showModal();
+};
+
+/**
+ * Reads the values of the session form
+ * @param {HTMLFormElement} formElement - The session form
+ * @returns {Object} The trimmed form values
+ */
+const readSessionForm = (formElement) => {
+    const values = {};
+    [...TEXT_FIELDS, 'endTime'].forEach(field => {
+        values[field] = formElement.elements[field].value.trim();
+    });
+    
+    // A tag that was typed but not added yet still counts
+    const tagInput = formElement.querySelector('.editor-tag-input');
+    addTag(formElement, tagInput.value);
+    tagInput.value = '';
+    values.tags = [...formElement.querySelectorAll('.editor-tag')].map(tagElement => tagElement.getAttribute('data-tag'));
+    
+    // The same goes for a speaker
+    const speakerInput = formElement.querySelector('.editor-speaker-input');
+    addSpeaker(formElement, speakerInput.value);
+    speakerInput.value = '';
+    values.speakers = [...formElement.querySelectorAll('.editor-speaker')].map(speakerElement => ({
+        id: speakerElement.getAttribute('data-speaker-id') || undefined,
+        name: speakerElement.getAttribute('data-speaker-name')
+    }));
+    
+    return values;
+};
+
+/**
+ * Creates a labelled form field
+ * @param {String} name - The name of the field
+ * @param {String} label - The label text
+ * @param {HTMLElement} controlElement - The input, select or textarea
+ * @returns {HTMLElement} The field element
+ */
+const createField = (name, label, controlElement) => {
+    const fieldElement = document.createElement('div');
+    fieldElement.classList.add('editor-field', `editor-field-${name}`);
+    
+    controlElement.id = `editor-${name}`;
+    controlElement.name = name;
+    
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = controlElement.id;
+    labelElement.textContent = label;
+    
+    fieldElement.append(labelElement, controlElement);
+    return fieldElement;
+};
+
+/**
+ * Creates an input element
+ * @param {String} type - The input type
+ * @param {String} value - The value
+ * @param {String} listId - ID of a datalist with suggestions
+ * @returns {HTMLInputElement} The input element
+ */
+const createInput = (type, value, listId = null) => {
+    const inputElement = document.createElement('input');
+    inputElement.type = type;
+    inputElement.value = value;
+    if (listId) {
+        inputElement.setAttribute('list', listId);
+    }
+    return inputElement;
+};
+
+/**
+ * Creates a select element
+ * @param {Array} options - Objects with value and label
+ * @param {String} value - The selected value
+ * @returns {HTMLSelectElement} The select element
+ */
+const createSelect = (options, value) => {
+    const selectElement = document.createElement('select');
+    options.forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        optionElement.selected = option.value === value;
+        selectElement.appendChild(optionElement);
+    });
+    return selectElement;
+};
+
+/**
+ * Creates a datalist with suggestions for an input
+ * @param {String} id - The ID of the datalist
+ * @param {Array} values - The suggestions
+ * @returns {HTMLDataListElement} The datalist element
+ */
+const createDataList = (id, values) => {
+    const dataListElement = document.createElement('datalist');
+    dataListElement.id = id;
+    [...new Set(values)].sort((a, b) => a.localeCompare(b)).forEach(value => {
+        const optionElement = document.createElement('option');
+        optionElement.value = value;
+        dataListElement.appendChild(optionElement);
+    });
+    return dataListElement;
+};
+
+/**
+ * Creates the session form
+ * @param {String} title - The heading of the form
+ * @param {Object} values - The values to fill in
+ * @returns {HTMLFormElement} The form element
+ */
+const createSessionForm = (title, values) => {
+    const sessions = getAllSessions(conferenceData);
+    
+    const formElement = document.createElement('form');
+    formElement.classList.add('session-editor-form');
+    formElement.noValidate = true;
+    
+    const headingElement = document.createElement('h2');
+    headingElement.id = 'session-editor-title';
+    headingElement.textContent = title;
+    formElement.appendChild(headingElement);
+    
+    const errorsElement = document.createElement('ul');
+    errorsElement.classList.add('editor-form-errors', 'editor-issues');
+    errorsElement.setAttribute('role', 'alert');
+    errorsElement.tabIndex = -1;
+    errorsElement.hidden = true;
+    formElement.appendChild(errorsElement);
+    
+    const dayOptions = conferenceData.days.map(day => ({ value: day.id, label: day.name }));
+    const typeOptions = Object.keys(SESSION_TYPE_CLASSES).map(type => ({ value: type, label: t(SESSION_TYPE_LABEL_KEYS[type]) }));
+    if (values.type && !SESSION_TYPE_CLASSES[values.type]) {
+        typeOptions.push({ value: values.type, label: values.type });
+    }
+    
+    const titleInput = createInput('text', values.title);
+    titleInput.required = true;
+    const timeInput = createInput('time', values.time);
+    timeInput.required = true;
+    const descriptionElement = document.createElement('textarea');
+    descriptionElement.rows = 4;
+    descriptionElement.value = values.description;
+    
+    const declaredSpeakerNames = (editHistory.getCurrent().speakers || []).map(speaker => speaker.name);
+    
+    formElement.append(
+        createField('title', t('editor.field.title'), titleInput),
+        createField('dayId', t('editor.field.day'), createSelect(dayOptions, values.dayId)),
+        createField('time', t('editor.field.time'), timeInput),
+        createField('endTime', t('editor.field.endTime'), createInput('time', values.endTime)),
+        createField('room', t('editor.field.room'), createInput('text', values.room, 'editor-room-options')),
+        createField('type', t('editor.field.type'), createSelect(typeOptions, values.type)),
+        createSpeakersField(values.speakers),
+        createField('role', t('editor.field.role'), createInput('text', values.role)),
+        createField('company', t('editor.field.company'), createInput('text', values.company)),
+        createField('description', t('editor.field.description'), descriptionElement),
+        createTagsField(values.tags),
+        createDataList('editor-room-options', sessions.map(session => session.room).filter(Boolean)),
+        createDataList('editor-speaker-options', [
+            ...declaredSpeakerNames,
+            // Sessions with linked speakers show their names joined, which is no name to suggest
+            ...sessions.filter(session => !session.speakerIds).map(session => session.speaker).filter(Boolean)
+        ]),
+        createDataList('editor-tag-options', sessions.flatMap(session => session.tags || []))
+    );
+    
+    const hintElement = document.createElement('p');
+    hintElement.classList.add('editor-hint');
+    hintElement.textContent = t('editor.endTimeHint');
+    formElement.querySelector('.editor-field-endTime').appendChild(hintElement);
+    
+    const descriptionHintElement = document.createElement('p');
+    descriptionHintElement.classList.add('editor-hint');
+    descriptionHintElement.textContent = t('editor.descriptionHint');
+    formElement.querySelector('.editor-field-description').appendChild(descriptionHintElement);
+    
+    const buttonsElement = document.createElement('div');
+    buttonsElement.classList.add('editor-form-buttons');
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.classList.add('editor-btn', 'editor-save');
+    saveButton.textContent = t('editor.saveSession');
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.classList.add('editor-btn', 'editor-cancel');
+    cancelButton.textContent = t('editor.cancel');
+    
+    buttonsElement.append(saveButton, cancelButton);
+    formElement.appendChild(buttonsElement);
+    
+    return formElement;
+};
+
+/**
+ * Creates the tags field: the tags of the session, and an input that suggests the tags used so far
+ * @param {Array} tags - The tags of the session
+ * @returns {HTMLElement} The field element
+ */
+const createTagsField = (tags) => {
+    const tagInput = createInput('text', '', 'editor-tag-options');
+    tagInput.classList.add('editor-tag-input');
+    
+    const fieldElement = createField('tags', t('editor.field.tags'), tagInput);
+    
+    const tagListElement = document.createElement('ul');
+    tagListElement.classList.add('editor-tag-list');
+    tagListElement.setAttribute('aria-label', t('editor.tagListLabel'));
+    fieldElement.insertBefore(tagListElement, tagInput);
+    
+    const hintElement = document.createElement('p');
+    hintElement.classList.add('editor-hint');
+    hintElement.textContent = t('editor.tagHint');
+    fieldElement.appendChild(hintElement);
+    
+    tags.forEach(tag => addTag(fieldElement, tag));
+    
+    // Enter and comma add the typed tag, instead of submitting the form or typing a comma
+    tagInput.addEventListener('keydown', (event) => {
+        if (!TAG_SEPARATOR_KEYS.includes(event.key)) {
+            return;
+        }
+        
+        event.preventDefault();
+        addTag(fieldElement, tagInput.value);
+        tagInput.value = '';
+    });
+    
+    // Picking a suggestion adds it at once
+    tagInput.addEventListener('change', () => {
+        addTag(fieldElement, tagInput.value);
+        tagInput.value = '';
+    });
+    
+    return fieldElement;
+};
+
+/**
+ * Adds a tag to the tag list of the session form
+ * A tag that is already used in the schedule takes its spelling, so "ai" becomes "AI".
+ * @param {HTMLElement} containerElement - The form or the tags field
+ * @param {String} tagText - The tag to add
+ */
+const addTag = (containerElement, tagText) => {
+    const tagListElement = containerElement.querySelector('.editor-tag-list');
+    const typedTag = tagText.trim();
+    if (!typedTag) {
+        return;
+    }
+    
+    const knownTags = getAllSessions(conferenceData).flatMap(session => session.tags || []);
+    const tag = knownTags.find(knownTag => knownTag.toLowerCase() === typedTag.toLowerCase()) || typedTag;
+    
+    const addedTags = [...tagListElement.querySelectorAll('.editor-tag')].map(tagElement => tagElement.getAttribute('data-tag'));
+    if (addedTags.some(addedTag => addedTag.toLowerCase() === tag.toLowerCase())) {
+        return;
+    }
+    
+    const tagElement = document.createElement('li');
+    tagElement.classList.add('tag', 'editor-tag');
+    tagElement.setAttribute('data-tag', tag);
+    tagElement.textContent = tag;
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.classList.add('editor-tag-remove');
+    removeButton.textContent = '×';
+    removeButton.setAttribute('aria-label', t('editor.removeTag', { tag }));
+    removeButton.addEventListener('click', () => {
+        tagElement.remove();
+        containerElement.closest('form')?.querySelector('.editor-tag-input')?.focus();
+    });
+    
+    tagElement.appendChild(removeButton);
+    tagListElement.appendChild(tagElement);
+};
+
+/**
+ * Creates the speakers field: the speakers of the session, and an input that suggests the declared speakers
+ * @param {Array} speakers - The speakers of the session, with a name and the id of a declared speaker
+ * @returns {HTMLElement} The field element
+ */
+const createSpeakersField = (speakers) => {
+    const speakerInput = createInput('text', '', 'editor-speaker-options');
+    speakerInput.classList.add('editor-speaker-input');
+    
+    const fieldElement = createField('speaker', t('editor.field.speaker'), speakerInput);
+    
+    const speakerListElement = document.createElement('ul');
+    speakerListElement.classList.add('editor-speaker-list');
+    speakerListElement.setAttribute('aria-label', t('editor.speakerListLabel'));
+    fieldElement.insertBefore(speakerListElement, speakerInput);
+    
+    const hintElement = document.createElement('p');
+    hintElement.classList.add('editor-hint');
+    hintElement.textContent = t('editor.speakerHint');
+    fieldElement.appendChild(hintElement);
+    
+    speakers.forEach(speaker => appendSpeakerElement(fieldElement, speaker));
+    
+    // Enter adds the typed speaker instead of submitting the form; names can hold commas, so they don't
+    speakerInput.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') {
+            return;
+        }
+        
+        event.preventDefault();
+        addSpeaker(fieldElement, speakerInput.value);
+        speakerInput.value = '';
+    });
+    
+    // Picking a suggestion adds it at once
+    speakerInput.addEventListener('change', () => {
+        addSpeaker(fieldElement, speakerInput.value);
+        speakerInput.value = '';
+    });
+    
+    return fieldElement;
+};
+
+/**
+ * Adds a typed speaker to the speaker list of the session form
+ * A name from the speakers section adds that speaker, so the session links the profile.
+ * @param {HTMLElement} containerElement - The form or the speakers field
+ * @param {String} speakerText - The name of the speaker
+ */
+const addSpeaker = (containerElement, speakerText) => {
+    const typedName = speakerText.trim();
+    if (!typedName) {
+        return;
+    }
+    
+    const declaredSpeaker = (editHistory.getCurrent().speakers || [])
+        .find(speaker => speaker.name.toLowerCase() === typedName.toLowerCase());
+    appendSpeakerElement(containerElement, declaredSpeaker
+        ? { id: declaredSpeaker.id, name: declaredSpeaker.name }
+        : { name: typedName });
+};
+
+/**
+ * Shows a speaker in the speaker list of the session form, unless it is listed already
+ * @param {HTMLElement} containerElement - The form or the speakers field
+ * @param {Object} speaker - A speaker with a name, and the id of a declared speaker
+ */
+const appendSpeakerElement = (containerElement, speaker) => {
+    const speakerListElement = containerElement.querySelector('.editor-speaker-list');
+    const addedKeys = [...speakerListElement.querySelectorAll('.editor-speaker')].map(speakerElement => getFormSpeakerKey({
+        id: speakerElement.getAttribute('data-speaker-id'),
+        name: speakerElement.getAttribute('data-speaker-name')
+    }));
+    if (addedKeys.includes(getFormSpeakerKey(speaker))) {
+        return;
+    }
+    
+    const speakerElement = document.createElement('li');
+    speakerElement.classList.add('tag', 'editor-speaker');
+    if (speaker.id) {
+        speakerElement.setAttribute('data-speaker-id', speaker.id);
+    }
+    speakerElement.setAttribute('data-speaker-name', speaker.name);
+    speakerElement.textContent = speaker.name;
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.classList.add('editor-tag-remove');
+    removeButton.textContent = '×';
+    removeButton.setAttribute('aria-label', t('editor.removeSpeaker', { name: speaker.name }));
+    removeButton.addEventListener('click', () => {
+        speakerElement.remove();
+        containerElement.closest('form')?.querySelector('.editor-speaker-input')?.focus();
+    });
+    
+    speakerElement.appendChild(removeButton);
+    speakerListElement.appendChild(speakerElement);
+};
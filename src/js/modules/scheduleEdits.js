@@ -0,0 +1,236 @@
+/**
+ * Schedule Edits Module
+ * Edits sessions in conference data as it is written in the data file, and keeps the history for undo and redo.
+ * Edits never change the data they are given, they return an edited copy.
+ */
+import { timeToMinutes, minutesToTime } from './dateTimeUtils.js';
+
+// Constants
+const MAX_HISTORY_LENGTH = 100; // Edits that can be undone
+const EMPTY_FIELD_VALUES = [undefined, null, ''];
+const NUMBERED_ID_PATTERN = /^(.*\D)(\d+)$/; // e.g. "d1s7", split into "d1s" and "7"
+
+/**
+ * Finds a session in the data
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} sessionId - The ID of the session
+ * @returns {Object|null} Object with day, session and index in the day's sessions, or null if there is no such session
+ */
+export const findEditableSession = (data, sessionId) => {
+    for (const day of data.days || []) {
+        const index = (day.sessions || []).findIndex(session => session.id === sessionId);
+        if (index !== -1) {
+            return { day, session: day.sessions[index], index };
+        }
+    }
+    return null;
+};
+
+/**
+ * Creates an ID for a new session that no session of the data uses yet
+ * The ID follows the numbering of the day's sessions, e.g. "d1s8" after "d1s7", or "day1s1" for an empty day.
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} dayId - The ID of the day the session is added to
+ * @returns {String} The new session ID
+ */
+export const createSessionId = (data, dayId) => {
+    const usedIds = new Set((data.days || []).flatMap(day => (day.sessions || []).map(session => session.id)));
+    const daySessionIds = ((data.days || []).find(day => day.id === dayId)?.sessions || []).map(session => String(session.id));
+    const numberedId = daySessionIds.map(id => id.match(NUMBERED_ID_PATTERN)).find(Boolean);
+    const prefix = numberedId ? numberedId[1] : `${dayId}s`;
+    
+    let number = 1 + Math.max(0, ...daySessionIds
+        .filter(id => id.startsWith(prefix))
+        .map(id => Number(id.slice(prefix.length)))
+        .filter(Number.isInteger));
+    while (usedIds.has(`${prefix}${number}`)) {
+        number++;
+    }
+    return `${prefix}${number}`;
+};
+
+/**
+ * Copies fields onto a session, removing the fields that were emptied
+ * @param {Object} session - The session to update
+ * @param {Object} fields - The fields to set
+ */
+const setSessionFields = (session, fields) => {
+    Object.entries(fields).forEach(([field, value]) => {
+        if (EMPTY_FIELD_VALUES.includes(value) || (Array.isArray(value) && !value.length)) {
+            delete session[field];
+        } else {
+            session[field] = value;
+        }
+    });
+};
+
+/**
+ * Puts the sessions of a day in time order, so the data file reads like the schedule
+ * @param {Object} day - The day to sort
+ */
+const sortDaySessions = (day) => {
+    day.sessions.sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+};
+
+/**
+ * Adds a session to a day
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} dayId - The ID of the day
+ * @param {Object} fields - The fields of the new session
+ * @returns {Object} Object with the edited data and the sessionId of the new session
+ */
+export const addSession = (data, dayId, fields) => {
+    const editedData = structuredClone(data);
+    const day = editedData.days.find(editedDay => editedDay.id === dayId);
+    if (!day) {
+        throw new Error(`Unknown day "${dayId}"`);
+    }
+    
+    const session = { id: createSessionId(editedData, dayId) };
+    setSessionFields(session, fields);
+    day.sessions = [...(day.sessions || []), session];
+    sortDaySessions(day);
+    
+    return { data: editedData, sessionId: session.id };
+};
+
+/**
+ * Changes the fields of a session, moving it when fields.dayId names another day
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} sessionId - The ID of the session
+ * @param {Object} fields - The fields to change; empty values remove a field
+ * @returns {Object} The edited data
+ */
+export const updateSession = (data, sessionId, fields) => {
+    const editedData = structuredClone(data);
+    const found = findEditableSession(editedData, sessionId);
+    if (!found) {
+        throw new Error(`Unknown session "${sessionId}"`);
+    }
+    
+    const { dayId, ...sessionFields } = fields;
+    setSessionFields(found.session, sessionFields);
+    
+    let day = found.day;
+    if (dayId && dayId !== day.id) {
+        day.sessions.splice(found.index, 1);
+        day = editedData.days.find(editedDay => editedDay.id === dayId);
+        if (!day) {
+            throw new Error(`Unknown day "${dayId}"`);
+        }
+        day.sessions = [...(day.sessions || []), found.session];
+    }
+    sortDaySessions(day);
+    
+    return editedData;
+};
+
+/**
+ * Moves a session to another day, time or room, keeping its length
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} sessionId - The ID of the session
+ * @param {Object} target - Where to move the session
+ * @param {String} target.dayId - The ID of the day
+ * @param {String} target.time - The new start time
+ * @param {String} target.room - The new room, the room stays the same when left out
+ * @returns {Object} The edited data
+ */
+export const moveSession = (data, sessionId, { dayId, time, room }) => {
+    const found = findEditableSession(data, sessionId);
+    if (!found) {
+        throw new Error(`Unknown session "${sessionId}"`);
+    }
+    
+    const fields = { dayId, time };
+    if (room !== undefined) {
+        fields.room = room;
+    }
+    
+    // An end time written in the data moves along with the start
+    const { session } = found;
+    const shift = timeToMinutes(time) - timeToMinutes(session.time);
+    if (session.endTime !== undefined && Number.isFinite(shift)) {
+        fields.endTime = minutesToTime(timeToMinutes(session.endTime) + shift);
+    }
+    
+    return updateSession(data, sessionId, fields);
+};
+
+/**
+ * Adds a copy of a session right after it, with a new ID
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} sessionId - The ID of the session to copy
+ * @returns {Object} Object with the edited data and the sessionId of the copy
+ */
+export const duplicateSession = (data, sessionId) => {
+    const editedData = structuredClone(data);
+    const found = findEditableSession(editedData, sessionId);
+    if (!found) {
+        throw new Error(`Unknown session "${sessionId}"`);
+    }
+    
+    const copy = { ...structuredClone(found.session), id: createSessionId(editedData, found.day.id) };
+    found.day.sessions.splice(found.index + 1, 0, copy);
+    
+    return { data: editedData, sessionId: copy.id };
+};
+
+/**
+ * Removes a session
+ * @param {Object} data - The conference data as written in the data file
+ * @param {String} sessionId - The ID of the session
+ * @returns {Object} The edited data
+ */
+export const deleteSession = (data, sessionId) => {
+    const editedData = structuredClone(data);
+    const found = findEditableSession(editedData, sessionId);
+    if (!found) {
+        throw new Error(`Unknown session "${sessionId}"`);
+    }
+    
+    found.day.sessions.splice(found.index, 1);
+    return editedData;
+};
+
+/**
+ * Creates the edit history of the data, for undo and redo
+ * Every version of the data is kept as a whole, which is simple and small enough for a conference schedule.
+ * @param {Object} initialData - The data before any edit
+ * @returns {Object} The history with getCurrent, apply, undo, redo, canUndo, canRedo, markSaved and hasUnsavedChanges
+ */
+export const createEditHistory = (initialData) => {
+    let versions = [initialData];
+    let position = 0;
+    let savedPosition = 0; // Position of the version that was last downloaded, -1 once that was dropped
+    
+    return {
+        getCurrent: () => versions[position],
+        apply: (data) => {
+            // A new edit drops the versions that were undone
+            versions = [...versions.slice(0, position + 1), data];
+            if (versions.length > MAX_HISTORY_LENGTH + 1) {
+                versions.shift();
+                savedPosition = Math.max(savedPosition - 1, -1);
+            }
+            if (savedPosition > versions.length - 2) {
+                savedPosition = -1;
+            }
+            position = versions.length - 1;
+            return data;
+        },
+        undo: () => {
+            position = Math.max(position - 1, 0);
+            return versions[position];
+        },
+        redo: () => {
+            position = Math.min(position + 1, versions.length - 1);
+            return versions[position];
+        },
+        canUndo: () => position > 0,
+        canRedo: () => position < versions.length - 1,
+        markSaved: () => {
+            savedPosition = position;
+        },
+        hasUnsavedChanges: () => position !== savedPosition
+    };
+};
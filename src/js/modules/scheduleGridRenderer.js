@@ -0,0 +1,231 @@
+/**
+ * Schedule Grid Renderer Module
+ * Renders a day as a grid with rooms as columns and time slots as rows,
+ * so empty rooms and double-booked slots stand out
+ */
+import { createSessionElement } from './scheduleRenderer.js';
+import { FULL_WIDTH_SESSION_TYPES } from './sessionTypes.js';
+import { timeToMinutes, minutesToTime, getSessionEndTime } from './dateTimeUtils.js';
+import { t } from './i18nService.js';
+import { formatSessionTime } from './timeZoneService.js';
+
+// Constants
+const FIRST_CONTENT_LINE = 2; // Grid line after the room headers and the time labels
+
+/**
+ * Checks whether a session is shown across all rooms
+ * @param {Object} session - The session object
+ * @returns {Boolean} True for keynotes, breaks and other sessions for everyone, and for sessions without a room
+ */
+const isFullWidthSession = (session) => FULL_WIDTH_SESSION_TYPES.includes(session.type) || !session.room;
+
+/**
+ * Formats minutes since midnight as a time in the user's language and time zone
+ * @param {Number} minutes - Minutes since midnight
+ * @param {String} dayDate - The date of the day the grid shows
+ * @returns {String} The formatted time, e.g. "09:00" or "9:00 AM"
+ */
+const formatGridTime = (minutes, dayDate) => formatSessionTime(dayDate, minutesToTime(minutes));
+
+/**
+ * Places every session of a day in the grid
+ * @param {Array} daySessions - All sessions of the day
+ * @param {Array} rooms - The room of every column
+ * @param {Array} boundaries - Start and end times in minutes, in order; row n runs from boundaries[n] to boundaries[n + 1]
+ * @returns {Array} Placed sessions with session, columnStart, columnEnd, rowStart and rowEnd (grid lines)
+ */
+const placeSessions = (daySessions, rooms, boundaries) => {
+    return daySessions.map(session => {
+        const startMinutes = timeToMinutes(session.time);
+        const endMinutes = timeToMinutes(getSessionEndTime(session, daySessions));
+        const isFullWidth = isFullWidthSession(session);
+        const columnIndex = isFullWidth ? 0 : rooms.indexOf(session.room);
+        
+        return {
+            session,
+            columnStart: FIRST_CONTENT_LINE + columnIndex,
+            columnEnd: FIRST_CONTENT_LINE + (isFullWidth ? Math.max(rooms.length, 1) : columnIndex + 1),
+            rowStart: FIRST_CONTENT_LINE + boundaries.indexOf(startMinutes),
+            rowEnd: FIRST_CONTENT_LINE + boundaries.indexOf(endMinutes)
+        };
+    });
+};
+
+/**
+ * Checks whether two placed sessions claim a shared part of the grid
+ * @param {Object} first - The first placed session
+ * @param {Object} second - The second placed session
+ * @returns {Boolean} True if the sessions overlap in room and time
+ */
+const isOverlapping = (first, second) => {
+    return first.columnStart < second.columnEnd && second.columnStart < first.columnEnd &&
+        first.rowStart < second.rowEnd && second.rowStart < first.rowEnd;
+};
+
+/**
+ * Combines two cells into one that holds the sessions of both and covers both areas
+ * @param {Object} first - The first cell
+ * @param {Object} second - The second cell
+ * @returns {Object} The merged cell
+ */
+const mergeCells = (first, second) => ({
+    placedSessions: [...first.placedSessions, ...second.placedSessions],
+    columnStart: Math.min(first.columnStart, second.columnStart),
+    columnEnd: Math.max(first.columnEnd, second.columnEnd),
+    rowStart: Math.min(first.rowStart, second.rowStart),
+    rowEnd: Math.max(first.rowEnd, second.rowEnd)
+});
+
+/**
+ * Groups placed sessions that overlap, directly or through another session, into one grid cell
+ * @param {Array} placedSessions - The placed sessions
+ * @returns {Array} Cells with the sessions they hold and the grid area they cover
+ */
+const groupIntoCells = (placedSessions) => {
+    const cells = placedSessions.map(placedSession => {
+        const { columnStart, columnEnd, rowStart, rowEnd } = placedSession;
+        return { placedSessions: [placedSession], columnStart, columnEnd, rowStart, rowEnd };
+    });
+    
+    // Keep merging until no two cells overlap; a merged cell can grow into cells it did not overlap before
+    let overlappingIndex = -1;
+    do {
+        overlappingIndex = cells.findIndex((cell, index) => cells.slice(index + 1).some(other => isOverlapping(cell, other)));
+        if (overlappingIndex !== -1) {
+            const cell = cells[overlappingIndex];
+            const otherIndex = cells.findIndex((other, index) => index > overlappingIndex && isOverlapping(cell, other));
+            cells[overlappingIndex] = mergeCells(cell, cells[otherIndex]);
+            cells.splice(otherIndex, 1);
+        }
+    } while (overlappingIndex !== -1);
+    
+    return cells;
+};
+
+/**
+ * Sets the grid area of an element
+ * @param {HTMLElement} element - The element to place
+ * @param {Object} area - Object with columnStart, columnEnd, rowStart and rowEnd grid lines
+ */
+const setGridArea = (element, area) => {
+    element.style.gridColumn = `${area.columnStart} / ${area.columnEnd}`;
+    element.style.gridRow = `${area.rowStart} / ${area.rowEnd}`;
+};
+
+/**
+ * Marks the room and start time of a grid area, so the schedule editor knows where a session is dropped
+ * Areas across all rooms only have a time; a session dropped there keeps its room.
+ * @param {HTMLElement} element - The element covering the area
+ * @param {Object} area - Object with columnStart, columnEnd, rowStart and rowEnd grid lines
+ * @param {Array} rooms - The room of every column
+ * @param {Array} boundaries - Start and end times of the rows in minutes
+ */
+const setDropTarget = (element, area, rooms, boundaries) => {
+    element.setAttribute('data-time', minutesToTime(boundaries[area.rowStart - FIRST_CONTENT_LINE]));
+    if (area.columnEnd - area.columnStart === 1 && rooms.length) {
+        element.setAttribute('data-room', rooms[area.columnStart - FIRST_CONTENT_LINE]);
+    }
+};
+
+/**
+ * Creates the grid of a day
+ * @param {Array} daySessions - All sessions of the day, used for the rooms, rows and double bookings
+ * @param {Array} visibleSessions - The sessions to show, e.g. the ones matching the filters
+ * @param {String} dayDate - The date of the day, to show the times in the chosen time zone
+ * @returns {HTMLElement} The grid element, wrapped so it can scroll horizontally
+ */
+export const createDayGridElement = (daySessions, visibleSessions, dayDate) => {
+    const rooms = [...new Set(daySessions.filter(session => !isFullWidthSession(session)).map(session => session.room))]
+        .sort((a, b) => a.localeCompare(b));
+    const columnCount = Math.max(rooms.length, 1);
+    const boundaries = [...new Set(daySessions.flatMap(session => [
+        timeToMinutes(session.time),
+        timeToMinutes(getSessionEndTime(session, daySessions))
+    ]))].sort((a, b) => a - b);
+    const rowCount = Math.max(boundaries.length - 1, 0);
+    
+    const gridElement = document.createElement('div');
+    gridElement.classList.add('schedule-grid');
+    gridElement.style.gridTemplateColumns = `auto repeat(${columnCount}, minmax(180px, 1fr))`;
+    
+    // Room headers
+    rooms.forEach((room, index) => {
+        const headerElement = document.createElement('div');
+        headerElement.classList.add('grid-room-header');
+        headerElement.textContent = room;
+        setGridArea(headerElement, { columnStart: FIRST_CONTENT_LINE + index, columnEnd: FIRST_CONTENT_LINE + index + 1, rowStart: 1, rowEnd: 2 });
+        gridElement.appendChild(headerElement);
+    });
+    
+    // Time labels
+    boundaries.slice(0, rowCount).forEach((minutes, index) => {
+        const timeElement = document.createElement('div');
+        timeElement.classList.add('grid-time');
+        timeElement.textContent = formatGridTime(minutes, dayDate);
+        setGridArea(timeElement, { columnStart: 1, columnEnd: 2, rowStart: FIRST_CONTENT_LINE + index, rowEnd: FIRST_CONTENT_LINE + index + 1 });
+        gridElement.appendChild(timeElement);
+    });
+    
+    // Sessions, with sessions claiming the same room at the same time shared in one double-booked cell
+    const visibleSessionIds = new Set(visibleSessions.map(session => session.id));
+    const cells = groupIntoCells(placeSessions(daySessions, rooms, boundaries));
+    const coveredAreas = [];
+    
+    cells.forEach(cell => {
+        coveredAreas.push(cell);
+        
+        const cellSessions = cell.placedSessions
+            .map(placedSession => placedSession.session)
+            .filter(session => visibleSessionIds.has(session.id))
+            .sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+        if (!cellSessions.length) {
+            return;
+        }
+        
+        const cellElement = document.createElement('div');
+        cellElement.classList.add('grid-cell');
+        setGridArea(cellElement, cell);
+        setDropTarget(cellElement, cell, rooms, boundaries);
+        
+        if (cell.placedSessions.length > 1) {
+            cellElement.classList.add('grid-double-booked');
+            const warningElement = document.createElement('div');
+            warningElement.classList.add('grid-warning');
+            warningElement.textContent = t('grid.doubleBooked', { count: cell.placedSessions.length });
+            cellElement.appendChild(warningElement);
+        }
+        
+        cellSessions.forEach(session => {
+            cellElement.appendChild(createSessionElement(session));
+        });
+        gridElement.appendChild(cellElement);
+    });
+    
+    // Mark free rooms
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+        rooms.forEach((room, columnIndex) => {
+            const area = {
+                columnStart: FIRST_CONTENT_LINE + columnIndex,
+                columnEnd: FIRST_CONTENT_LINE + columnIndex + 1,
+                rowStart: FIRST_CONTENT_LINE + rowIndex,
+                rowEnd: FIRST_CONTENT_LINE + rowIndex + 1
+            };
+            if (coveredAreas.some(coveredArea => isOverlapping(coveredArea, area))) {
+                return;
+            }
+            
+            const emptyElement = document.createElement('div');
+            emptyElement.classList.add('grid-empty-cell');
+            emptyElement.textContent = t('grid.free');
+            emptyElement.title = t('grid.freeHint', { room, time: formatGridTime(boundaries[rowIndex], dayDate) });
+            setGridArea(emptyElement, area);
+            setDropTarget(emptyElement, area, rooms, boundaries);
+            gridElement.appendChild(emptyElement);
+        });
+    }
+    
+    const wrapperElement = document.createElement('div');
+    wrapperElement.classList.add('schedule-grid-wrapper');
+    wrapperElement.appendChild(gridElement);
+    return wrapperElement;
+};
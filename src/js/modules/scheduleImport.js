@@ -0,0 +1,199 @@
+/**
+ * Schedule Import Module
+ * Converts schedules from other tools into conference data, in the browser or from tools/import-schedule.mjs.
+ * Every importer has the same shape: importSchedule(text, options) returns an imported schedule, and
+ * buildConferenceData turns that into days and IDs. A new format only needs another importer.
+ *
+ * An imported schedule has:
+ * - sessions: { sourceId, date ("2025-07-15"), time ("9:00"), endTime, title, description, type, room,
+ *   tags, speakerKeys, role, company }, of which date, time and title are required
+ * - speakers: { key, name, role, company, bio, photo, links }, referred to by the speakerKeys of the sessions
+ * - issues: { severity, path, message } for every row or event that could not be imported as it was
+ * - conferenceName and timezone, when the file has them
+ */
+import { importSessionize } from './sessionizeImporter.js';
+import { importCsv } from './csvImporter.js';
+import { importIcs } from './icsImporter.js';
+import { validateConferenceData } from './dataValidator.js';
+import { timeToMinutes, formatDayDateText } from './dateTimeUtils.js';
+
+// Constants
+export const IMPORTERS = {
+    sessionize: { name: 'Sessionize "All data" JSON', extensions: ['.json'], importSchedule: importSessionize },
+    csv: { name: 'CSV', extensions: ['.csv', '.txt'], importSchedule: importCsv },
+    ics: { name: 'iCalendar', extensions: ['.ics', '.ical'], importSchedule: importIcs }
+};
+const DEFAULT_SESSION_TYPE = 'round1';
+const UID_DOMAIN_PATTERN = /@.*$/; // Calendar UIDs end in "@domain", which isn't needed in session IDs
+
+/**
+ * Error thrown when a schedule can't be imported
+ * Carries every problem that was found so they can all be reported at once
+ */
+export class ScheduleImportError extends Error {
+    /**
+     * @param {String} message - Summary of the problem
+     * @param {Array} issues - Array of { severity, path, message } objects
+     */
+    constructor(message, issues) {
+        super(message);
+        this.name = 'ScheduleImportError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Guesses the format of a file from its name and contents
+ * @param {String} fileName - The name of the file
+ * @param {String} text - The contents of the file
+ * @returns {String|null} A key of IMPORTERS, or null if the format isn't recognized
+ */
+export const detectImportFormat = (fileName, text) => {
+    if (/^\s*BEGIN:VCALENDAR/i.test(text)) {
+        return 'ics';
+    }
+    
+    const extension = String(fileName).toLowerCase().match(/\.[a-z]+$/)?.[0];
+    const format = Object.keys(IMPORTERS).find(key => IMPORTERS[key].extensions.includes(extension));
+    return format || null;
+};
+
+/**
+ * Imports a schedule and converts it into conference data
+ * @param {String} text - The contents of the file
+ * @param {String} format - A key of IMPORTERS
+ * @param {Object} options - Import options
+ * @param {String} options.conferenceName - Name of the conference, if the file doesn't have one
+ * @param {String} options.timezone - IANA time zone of the venue, used to place times given in UTC
+ * @returns {Object} Object with the conference data and the warnings found while importing and validating it
+ * @throws {ScheduleImportError} When the file can't be read or the result isn't valid conference data
+ */
+export const importSchedule = (text, format, options = {}) => {
+    const importer = IMPORTERS[format];
+    if (!importer) {
+        throw new Error(`Unknown import format "${format}", expected one of: ${Object.keys(IMPORTERS).join(', ')}`);
+    }
+    
+    const importedSchedule = importer.importSchedule(text, options);
+    const importErrors = importedSchedule.issues.filter(issue => issue.severity === 'error');
+    if (importErrors.length) {
+        throw new ScheduleImportError(`The ${importer.name} file could not be imported`, importedSchedule.issues);
+    }
+    
+    const data = buildConferenceData(importedSchedule, options);
+    const { errors, warnings } = validateConferenceData(data);
+    const issues = [...importedSchedule.issues, ...errors, ...warnings];
+    if (errors.length) {
+        throw new ScheduleImportError(`The imported schedule has ${errors.length} error(s)`, issues);
+    }
+    
+    return { data, issues };
+};
+
+/**
+ * Turns a name into an ID usable in URLs, like the speaker IDs of the conference data
+ * @param {String} name - The name
+ * @returns {String} Lowercase slug, e.g. "sarah-johnson"
+ */
+const createSlug = (name) => {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+};
+
+/**
+ * Makes an ID unique by adding a number, e.g. "sarah-chen-2"
+ * @param {String} id - The preferred ID
+ * @param {Set} usedIds - IDs taken so far; the returned ID is added
+ * @returns {String} The unique ID
+ */
+const claimId = (id, usedIds) => {
+    let uniqueId = id;
+    for (let number = 2; usedIds.has(uniqueId); number++) {
+        uniqueId = `${id}-${number}`;
+    }
+    usedIds.add(uniqueId);
+    return uniqueId;
+};
+
+/**
+ * Converts an imported schedule into conference data
+ * Sessions are grouped into a day per date; sessions keep the ID from the source where it has one,
+ * so links and My Schedule keep working when a schedule is imported again.
+ * @param {Object} importedSchedule - The schedule returned by an importer
+ * @param {Object} options - Import options, see importSchedule
+ * @returns {Object} The conference data
+ */
+export const buildConferenceData = (importedSchedule, { conferenceName, timezone } = {}) => {
+    const data = { conferenceName: importedSchedule.conferenceName || conferenceName || 'Conference' };
+    const venueTimeZone = timezone || importedSchedule.timezone;
+    if (venueTimeZone) {
+        data.timezone = venueTimeZone;
+    }
+    data.days = [];
+    
+    // Speakers get readable IDs from their names
+    const usedSpeakerIds = new Set();
+    const speakerIdsByKey = new Map();
+    const speakers = importedSchedule.speakers.map(speaker => {
+        const id = claimId(createSlug(speaker.name) || 'speaker', usedSpeakerIds);
+        speakerIdsByKey.set(speaker.key, id);
+        
+        const { key, ...speakerFields } = speaker;
+        return { id, ...speakerFields };
+    });
+    
+    const dates = [...new Set(importedSchedule.sessions.map(session => session.date))].sort();
+    const usedSessionIds = new Set();
+    
+    dates.forEach((date, dayIndex) => {
+        const [year, month, day] = date.split('-').map(Number);
+        const dayId = `day${dayIndex + 1}`;
+        const daySessions = importedSchedule.sessions
+            .filter(session => session.date === date)
+            .sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+        
+        data.days.push({
+            id: dayId,
+            name: `Day ${dayIndex + 1}`,
+            date: formatDayDateText({ year, month, day }),
+            sessions: daySessions.map((session, sessionIndex) => {
+                const sourceId = String(session.sourceId || '').replace(UID_DOMAIN_PATTERN, '').trim();
+                const builtSession = {
+                    id: claimId(sourceId || `d${dayIndex + 1}s${sessionIndex + 1}`, usedSessionIds),
+                    time: session.time
+                };
+                
+                if (session.endTime) {
+                    builtSession.endTime = session.endTime;
+                }
+                builtSession.type = session.type || DEFAULT_SESSION_TYPE;
+                builtSession.title = session.title;
+                
+                const speakerIds = (session.speakerKeys || []).map(key => speakerIdsByKey.get(key)).filter(Boolean);
+                if (speakerIds.length) {
+                    builtSession.speakerIds = speakerIds;
+                }
+                
+                ['role', 'company', 'description', 'room'].forEach(field => {
+                    if (session[field]) {
+                        builtSession[field] = session[field];
+                    }
+                });
+                
+                if (session.tags && session.tags.length) {
+                    builtSession.tags = session.tags;
+                }
+                return builtSession;
+            })
+        });
+    });
+    
+    if (speakers.length) {
+        data.speakers = speakers;
+    }
+    return data;
+};
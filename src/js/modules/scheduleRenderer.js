@@ -3,108 +3,108 @@
  * Responsible for rendering the conference schedule in the UI
  */
 import { getSessionsByDay } from './dataService.js';
+import { SESSION_TYPE_CLASSES } from './sessionTypes.js';
+import { hasActiveFilters, matchesFilters } from './sessionFilters.js';
+import { createDayGridElement } from './scheduleGridRenderer.js';
+import { readStoredValue, rememberValue } from './storageService.js';
+import { createStarButton, isSessionStarrable, isSessionInConflict } from './agendaService.js';
+import { createCalendarButton, exportDayToCalendar } from './calendarExportService.js';
+import { getSessionChangeBadge } from './scheduleUpdateService.js';
+import { t } from './i18nService.js';
+import { formatSessionTimeRange } from './timeZoneService.js';
+import { groupSessionsByTimeSlot } from './dateTimeUtils.js';
+import { EVENTS, emit, on } from './eventBus.js';
+import { appStore } from './appStore.js';
 
 // DOM element references
-const scheduleContentElement = document.getElementById('schedule-content');
+let scheduleDaysElement;
 
-// State variables
-let currentFilter = null;
+// Constants
+const LAYOUT_LIST = 'list';
+const LAYOUT_GRID = 'grid';
+const LAYOUT_KEY = 'schedule-layout';
 
-// Constants for styling different session types
-const SESSION_TYPE_CLASSES = {
-    keynote: 'keynote-session',
-    break: 'break-session',
-    round1: 'round-session',
-    round2: 'round-session'
-};
+// State variables
+let scheduleLayout = readStoredValue(LAYOUT_KEY, LAYOUT_LIST) === LAYOUT_GRID ? LAYOUT_GRID : LAYOUT_LIST;
+let sessionsDraggable = false; // Set by the schedule editor, sessions can then be dragged to another slot
 
 /**
- * Render the complete schedule for the conference
+ * Render the complete schedule for the conference, with the filters in the app store
  * @param {Object} conferenceData - The complete conference data object
  */
-export const renderSchedule = (conferenceData, filterTag = null) => {
+export const renderSchedule = (conferenceData) => {
     if (!conferenceData || !conferenceData.days || !conferenceData.days.length) {
         console.error('Invalid conference data provided to renderer');
         return;
     }
     
-    // Store current filter
-    currentFilter = filterTag;
+    const { filters, dayId } = appStore.getState();
     
     // Clear existing content
-    scheduleContentElement.innerHTML = '';
-    
-    // If we have a filter tag, add a heading and clear button
-    if (filterTag) {
-        const filterHeading = document.createElement('div');
-        filterHeading.classList.add('filtered-sessions-heading');
-        filterHeading.innerHTML = `
-            <span>Showing sessions tagged with: <strong>${filterTag}</strong></span>
-            <button class="clear-filter-btn">Clear filter</button>
-        `;
-        
-        // Add click handler to clear filter button
-        const clearButton = filterHeading.querySelector('.clear-filter-btn');
-        clearButton.addEventListener('click', () => {
-            renderSchedule(conferenceData);
-            
-            // Dispatch event to reset tag cloud
-            const event = new CustomEvent('reset-tag-filter');
-            document.dispatchEvent(event);
-        });
-        
-        scheduleContentElement.appendChild(filterHeading);
-    }
+    scheduleDaysElement.innerHTML = '';
+    scheduleDaysElement.classList.toggle('schedule-grid-layout', scheduleLayout === LAYOUT_GRID);
     
     // Create a container for each day's schedule
     conferenceData.days.forEach(day => {
-        const dayScheduleElement = createDayScheduleElement(day, conferenceData, filterTag);
+        const dayScheduleElement = createDayScheduleElement(day, conferenceData, filters);
+        const hasSessions = dayScheduleElement.querySelectorAll('.session').length > 0;
         
-        // Only add the day if it has visible sessions
-        if (dayScheduleElement.querySelectorAll('.session').length > 0) {
-            scheduleContentElement.appendChild(dayScheduleElement);
+        // When filtering, explain an empty day instead of leaving its tab blank
+        if (!hasSessions && hasActiveFilters(filters)) {
+            const noResults = document.createElement('div');
+            noResults.classList.add('no-results');
+            noResults.textContent = t('schedule.noFilterResults', { dayName: day.name });
+            dayScheduleElement.appendChild(noResults);
+        }
+        
+        // Only add the day if it has visible sessions or an explanation
+        if (hasSessions || hasActiveFilters(filters)) {
+            scheduleDaysElement.appendChild(dayScheduleElement);
         }
     });
     
-    // Make the first day active by default
-    const firstDayElement = document.querySelector('.day-schedule');
-    if (firstDayElement) {
-        firstDayElement.classList.add('active');
-    } else if (filterTag) {
-        // If no days are visible with the filter, show a message
-        const noResults = document.createElement('div');
-        noResults.classList.add('no-results');
-        noResults.textContent = `No sessions found with the tag: ${filterTag}`;
-        scheduleContentElement.appendChild(noResults);
+    // Keep the selected day active, or fall back to the first visible day
+    const firstDayElement = scheduleDaysElement.querySelector('.day-schedule');
+    if (!scheduleDaysElement.querySelector(`.day-schedule[data-day="${dayId}"]`) && firstDayElement) {
+        appStore.setState({ dayId: firstDayElement.getAttribute('data-day') });
     }
+    markActiveDay();
 };
 
 /**
  * Creates a DOM element for a day's schedule
  * @param {Object} day - The day object containing sessions
  * @param {Object} conferenceData - The complete conference data object
+ * @param {Object} filters - The active filters
  * @returns {HTMLElement} The day schedule element
  */
-const createDayScheduleElement = (day, conferenceData, filterTag = null) => {
+const createDayScheduleElement = (day, conferenceData, filters) => {
     const dayScheduleElement = document.createElement('div');
     dayScheduleElement.classList.add('day-schedule');
     dayScheduleElement.setAttribute('data-day', day.id);
     
-    let sessionsForDay = getSessionsByDay(conferenceData, day.id);
+    // Add action to download the whole day as calendar events
+    const dayActionsElement = document.createElement('div');
+    dayActionsElement.classList.add('day-actions');
+    dayActionsElement.appendChild(createCalendarButton(t('calendar.downloadDay', { dayName: day.name }), () => {
+        exportDayToCalendar(day.id, conferenceData);
+    }));
+    dayScheduleElement.appendChild(dayActionsElement);
     
-    // If we have a filter tag, filter the sessions
-    if (filterTag) {
-        sessionsForDay = sessionsForDay.filter(session => 
-            session.tags && session.tags.includes(filterTag)
-        );
-    }
+    // Only show the sessions that match the filters
+    const allSessionsForDay = getSessionsByDay(conferenceData, day.id);
+    const sessionsForDay = allSessionsForDay.filter(session => matchesFilters(session, filters));
     
-    // Group sessions by time
-    const sessionsByTime = groupSessionsByTime(sessionsForDay);
+    // The grid keeps every room and time slot, so free rooms stay visible while filtering
+    if (scheduleLayout === LAYOUT_GRID) {
+        if (sessionsForDay.length) {
+            dayScheduleElement.appendChild(createDayGridElement(allSessionsForDay, sessionsForDay, day.date));
+        }
+        return dayScheduleElement;
+    }
     
-    // Create elements for each time slot
-    Object.keys(sessionsByTime).forEach(time => {
-        const timeSlotElement = createTimeSlotElement(time, sessionsByTime[time]);
+    // Group sessions that run at the same time, and create elements for each time slot
+    createTimeSlotElements(sessionsForDay, day.date, allSessionsForDay).forEach(timeSlotElement => {
         dayScheduleElement.appendChild(timeSlotElement);
     });
     
@@ -112,43 +112,46 @@ const createDayScheduleElement = (day, conferenceData, filterTag = null) => {
 };
 
 /**
- * Groups sessions by their start time
- * @param {Array} sessions - Array of session objects
- * @returns {Object} Sessions grouped by time
+ * Creates DOM elements for sessions grouped into time slots
+ * @param {Array} sessions - Sessions of a single day, in schedule order
+ * @param {String} date - The date of the day the sessions are on
+ * @param {Array} scheduleSessions - All sessions of the day or the conference when only some are shown, for the end of sessions without an end time
+ * @returns {Array} The time slot elements
  */
-const groupSessionsByTime = (sessions) => {
-    const groupedSessions = {};
-    
-    sessions.forEach(session => {
-        if (!groupedSessions[session.time]) {
-            groupedSessions[session.time] = [];
-        }
-        groupedSessions[session.time].push(session);
-    });
-    
-    return groupedSessions;
+export const createTimeSlotElements = (sessions, date, scheduleSessions = sessions) => {
+    return groupSessionsByTimeSlot(sessions, scheduleSessions).map(timeSlot => createTimeSlotElement(timeSlot, date));
 };
 
 /**
  * Creates a DOM element for a time slot with all its sessions
- * @param {String} time - The time slot
- * @param {Array} sessions - Array of sessions at this time
+ * Sessions that start or end at another time than the slot show their own times.
+ * @param {Object} timeSlot - The time slot, as returned by groupSessionsByTimeSlot
+ * @param {String} date - The date of the day the time slot is on
  * @returns {HTMLElement} The time slot element
  */
-const createTimeSlotElement = (time, sessions) => {
+const createTimeSlotElement = (timeSlot, date) => {
     const timeSlotElement = document.createElement('div');
     timeSlotElement.classList.add('time-slot');
+    timeSlotElement.setAttribute('data-time', timeSlot.time);
     
-    const timeHeader = document.createElement('div');
+    const timeHeader = document.createElement('h3');
     timeHeader.classList.add('time-slot-header');
-    timeHeader.textContent = time;
+    timeHeader.textContent = formatSessionTimeRange(date, timeSlot.time, timeSlot.endTime);
     timeSlotElement.appendChild(timeHeader);
     
     const sessionsContainer = document.createElement('div');
     sessionsContainer.classList.add('sessions-container');
     
-    sessions.forEach(session => {
+    timeSlot.sessions.forEach(session => {
         const sessionElement = createSessionElement(session);
+        
+        if (session.time !== timeSlot.time || (session.endTime && session.endTime !== timeSlot.endTime)) {
+            const sessionTimeElement = document.createElement('div');
+            sessionTimeElement.classList.add('session-time');
+            sessionTimeElement.textContent = formatSessionTimeRange(date, session.time, session.endTime);
+            sessionElement.insertBefore(sessionTimeElement, sessionElement.querySelector('.session-title'));
+        }
+        
         sessionsContainer.appendChild(sessionElement);
     });
     
@@ -161,21 +164,35 @@ const createTimeSlotElement = (time, sessions) => {
  * @param {Object} session - The session object
  * @returns {HTMLElement} The session element
  */
-const createSessionElement = (session) => {
+export const createSessionElement = (session) => {
     const sessionElement = document.createElement('div');
     sessionElement.classList.add('session');
     sessionElement.setAttribute('data-session-id', session.id);
-    
-    // Add accessibility attributes to indicate clickability
-    sessionElement.setAttribute('role', 'button');
-    sessionElement.setAttribute('tabindex', '0');
-    sessionElement.title = 'Click to view session details';
+    sessionElement.title = t('schedule.sessionHint');
+    sessionElement.draggable = sessionsDraggable;
     
     // Add specific class based on session type
     if (SESSION_TYPE_CLASSES[session.type]) {
         sessionElement.classList.add(SESSION_TYPE_CLASSES[session.type]);
     }
     
+    // Add star button for the personal agenda
+    if (isSessionStarrable(session)) {
+        sessionElement.appendChild(createStarButton(session.id));
+        sessionElement.classList.toggle('session-conflict', isSessionInConflict(session.id));
+    }
+    
+    // Mark sessions that changed since the page was loaded
+    const changeBadge = getSessionChangeBadge(session.id);
+    if (changeBadge) {
+        const badgeElement = document.createElement('span');
+        badgeElement.classList.add('change-badge');
+        badgeElement.textContent = changeBadge.label;
+        badgeElement.title = changeBadge.description;
+        sessionElement.classList.add('session-changed');
+        sessionElement.appendChild(badgeElement);
+    }
+    
     // Add session room if available
     if (session.room) {
         const roomElement = document.createElement('div');
@@ -184,8 +201,9 @@ const createSessionElement = (session) => {
         sessionElement.appendChild(roomElement);
     }
     
-    // Add session title
-    const titleElement = document.createElement('div');
+    // Add session title; as a button it is the keyboard way into the session details
+    const titleElement = document.createElement('button');
+    titleElement.type = 'button';
     titleElement.classList.add('session-title');
     titleElement.textContent = session.title;
     sessionElement.appendChild(titleElement);
@@ -216,64 +234,93 @@ const createSessionElement = (session) => {
     // Function to trigger session details display
     const showSessionDetail = () => {
         console.log('Triggering session detail for:', session.id);
-        // Dispatch custom event to show session details
-        const event = new CustomEvent('session-selected', {
-            detail: {
-                sessionId: session.id
-            }
-        });
-        document.dispatchEvent(event);
+        appStore.setState({ selectedSessionId: session.id });
     };
     
-    // Add click event to show session details
+    // Add click event to show session details, anywhere on the card for mouse users
     sessionElement.addEventListener('click', showSessionDetail);
     
-    // Add keyboard event handling for accessibility
-    sessionElement.addEventListener('keydown', (e) => {
-        // Trigger on Enter or Space key
-        if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            showSessionDetail();
-        }
-    });
-    
     return sessionElement;
 };
 
 /**
- * Updates the active day in the schedule view
- * @param {String} dayId - The ID of the day to activate
+ * Lets sessions be dragged to another time slot or room, for the schedule editor
+ * Takes effect the next time the schedule is rendered.
+ * @param {Boolean} draggable - Whether sessions can be dragged
  */
-export const setActiveDay = (dayId) => {
-    // Remove active class from all day schedules
-    document.querySelectorAll('.day-schedule').forEach(el => {
-        el.classList.remove('active');
+export const setSessionsDraggable = (draggable) => {
+    sessionsDraggable = draggable;
+};
+
+/**
+ * Sets up the schedule container and the buttons that switch between the list and the grid layout
+ * Call this before the schedule is first rendered.
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the schedule and the layout buttons, the page by default
+ */
+export const setupLayoutToggle = (conferenceData, root = document) => {
+    scheduleDaysElement = root.querySelector('#schedule-days');
+    
+    root.querySelectorAll('.layout-btn').forEach(layoutButton => {
+        layoutButton.addEventListener('click', () => {
+            setScheduleLayout(layoutButton.getAttribute('data-layout'), conferenceData);
+        });
     });
     
-    // Add active class to the selected day schedule
-    const selectedDayElement = document.querySelector(`.day-schedule[data-day="${dayId}"]`);
-    if (selectedDayElement) {
-        selectedDayElement.classList.add('active');
-    }
+    // Show the sessions matching the filters, and the selected day
+    appStore.select(state => state.filters, () => {
+        renderSchedule(conferenceData);
+    });
+    appStore.select(state => state.dayId, markActiveDay);
+    
+    // Show the times in the chosen time zone
+    on(EVENTS.TIME_ZONE_CHANGED, () => {
+        renderSchedule(conferenceData);
+    });
+    
+    updateLayoutButtons();
 };
 
 /**
- * Filter sessions by tag
- * @param {String} tag - Tag to filter by
- * @param {Object} conferenceData - Conference data object
+ * Switches the schedule layout and remembers the choice
+ * @param {String} layout - "list" or "grid"
+ * @param {Object} conferenceData - The complete conference data object
  */
-export const filterSessionsByTag = (tag, conferenceData) => {
-    renderSchedule(conferenceData, tag);
+const setScheduleLayout = (layout, conferenceData) => {
+    if (layout === scheduleLayout) {
+        return;
+    }
     
-    // Switch to schedule view
-    document.querySelectorAll('.tab-content').forEach(content => {
-        content.classList.remove('active');
-    });
-    scheduleContentElement.classList.add('active');
+    scheduleLayout = layout === LAYOUT_GRID ? LAYOUT_GRID : LAYOUT_LIST;
+    
+    rememberValue(LAYOUT_KEY, scheduleLayout, t('layout.storagePurpose'));
+    
+    renderSchedule(conferenceData);
+    updateLayoutButtons();
     
-    // Update tabs
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.remove('active');
+    // Notify other modules that the schedule was re-rendered
+    emit(EVENTS.SCHEDULE_LAYOUT_CHANGED, {
+        layout: scheduleLayout
+    });
+};
+
+/**
+ * Marks the button of the active layout as pressed
+ */
+const updateLayoutButtons = () => {
+    document.querySelectorAll('.layout-btn').forEach(layoutButton => {
+        const isActive = layoutButton.getAttribute('data-layout') === scheduleLayout;
+        layoutButton.classList.toggle('active', isActive);
+        layoutButton.setAttribute('aria-pressed', String(isActive));
+    });
+};
+
+/**
+ * Shows the schedule of the day selected in the app store
+ */
+const markActiveDay = () => {
+    const { dayId } = appStore.getState();
+    scheduleDaysElement.querySelectorAll('.day-schedule').forEach(el => {
+        el.classList.toggle('active', el.getAttribute('data-day') === dayId);
     });
-    document.querySelector('.tab-btn[data-day="day1"]').classList.add('active');
 };
@@ -0,0 +1,147 @@
+/**
+ * Schedule Update Service Module
+ * Checks the conference data for changes made on the day itself, applies them without a page reload
+ * and tells the user what changed
+ */
+import { revalidateConferenceData } from './dataService.js';
+import { diffConferenceData, describeChange, isSessionMove, CHANGE_ADDED, CHANGE_REMOVED } from './sessionChanges.js';
+import { showToast } from './notificationService.js';
+import { t } from './i18nService.js';
+import { EVENTS, emit } from './eventBus.js';
+
+// Constants
+const UPDATE_CHECK_INTERVAL = 60 * 1000; // Time in ms between checks for a new schedule
+const MAX_CHANGE_TOASTS = 3; // More changes than this are summarized in one toast
+const CHANGE_TOAST_DURATION = 10000; // Time in ms a change toast stays visible
+const CHANGE_BADGE_LABEL_KEYS = {
+    [CHANGE_ADDED]: 'changes.badge.added',
+    moved: 'changes.badge.moved',
+    updated: 'changes.badge.updated'
+};
+
+// State variables
+let conferenceData = null;
+let updateTimer = null;
+let isChecking = false;
+let isCheckingEnabled = true;
+let sessionChanges = new Map(); // Latest change per session ID since the page was loaded
+
+/**
+ * Starts checking the conference data for changes
+ * @param {Object} data - The complete conference data object, updated in place when the data changes
+ * @param {Object} options - Update options
+ * @param {Boolean} options.checkForUpdates - Fetch the data file for changes; off while the schedule is edited,
+ *   as the edits are newer than the file
+ */
+export const setupScheduleUpdates = (data, { checkForUpdates = true } = {}) => {
+    conferenceData = data;
+    isCheckingEnabled = checkForUpdates;
+    if (!isCheckingEnabled) {
+        return;
+    }
+    
+    updateTimer = setInterval(checkForScheduleUpdates, UPDATE_CHECK_INTERVAL);
+    
+    // Catch up at once when the user returns to the page or the connection comes back
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            checkForScheduleUpdates();
+        }
+    });
+    window.addEventListener('online', checkForScheduleUpdates);
+};
+
+/**
+ * Fetches the conference data if it changed and applies the changes
+ * Skipped while the page is hidden or offline
+ * @returns {Promise<Array>} The changes that were applied
+ */
+export const checkForScheduleUpdates = async () => {
+    if (!conferenceData || !isCheckingEnabled || isChecking || document.hidden || !navigator.onLine) {
+        return [];
+    }
+    
+    isChecking = true;
+    try {
+        const newData = await revalidateConferenceData();
+        return newData ? applyScheduleUpdate(newData) : [];
+    } catch (error) {
+        // Keep showing the loaded schedule, the next check may succeed
+        console.warn('Could not check for schedule updates:', error);
+        return [];
+    } finally {
+        isChecking = false;
+    }
+};
+
+/**
+ * Gets the label of the badge for a session that changed since the page was loaded
+ * @param {String} sessionId - The ID of the session
+ * @returns {Object|null} Object with label and description, or null if the session didn't change
+ */
+export const getSessionChangeBadge = (sessionId) => {
+    const change = sessionChanges.get(sessionId);
+    if (!change) {
+        return null;
+    }
+    
+    const kind = change.type === CHANGE_ADDED ? CHANGE_ADDED : (isSessionMove(change) ? 'moved' : 'updated');
+    return {
+        label: t(CHANGE_BADGE_LABEL_KEYS[kind]),
+        description: describeChange(change)
+    };
+};
+
+/**
+ * Replaces the loaded conference data with new data and notifies other modules
+ * @param {Object} newData - The new conference data object
+ * @param {Object} options - Update options
+ * @param {Boolean} options.announce - Tell the user what changed in toasts
+ * @returns {Array} The session changes that were applied; empty when only other parts of the data changed, or nothing did
+ */
+export const applyScheduleUpdate = (newData, { announce = true } = {}) => {
+    // The whole data is compared, as a new conference name, day or speaker bio has no session changes to report
+    if (JSON.stringify(newData) === JSON.stringify(conferenceData)) {
+        return [];
+    }
+    const changes = diffConferenceData(conferenceData, newData);
+    
+    // Replace the contents rather than the object, every module keeps a reference to it
+    Object.keys(conferenceData).forEach(key => delete conferenceData[key]);
+    Object.assign(conferenceData, newData);
+    
+    changes.forEach(change => {
+        if (change.type === CHANGE_REMOVED) {
+            sessionChanges.delete(change.sessionId);
+        } else {
+            sessionChanges.set(change.sessionId, change);
+        }
+    });
+    
+    // Notify other modules, so they re-render with the new data
+    emit(EVENTS.CONFERENCE_DATA_UPDATED, {
+        changes
+    });
+    
+    if (announce) {
+        showChangeToasts(changes);
+    }
+    return changes;
+};
+
+/**
+ * Tells the user what changed, one toast per change up to a maximum
+ * @param {Array} changes - The changes that were applied
+ */
+const showChangeToasts = (changes) => {
+    changes.slice(0, MAX_CHANGE_TOASTS).forEach(change => {
+        showToast(describeChange(change), { duration: CHANGE_TOAST_DURATION });
+    });
+    
+    const remainingCount = changes.length - MAX_CHANGE_TOASTS;
+    if (remainingCount > 0) {
+        showToast(t('changes.moreChanges', { count: remainingCount }), {
+            duration: CHANGE_TOAST_DURATION
+        });
+    }
+};
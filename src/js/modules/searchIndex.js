@@ -0,0 +1,218 @@
+/**
+ * Search Index Module
+ * Builds an inverted index of the sessions and answers ranked, typo tolerant queries
+ */
+
+// Constants
+export const FIELD_WEIGHTS = {
+    title: 10,
+    speaker: 6,
+    tags: 4,
+    description: 1
+};
+const EXACT_MATCH_QUALITY = 1;
+const PREFIX_MATCH_QUALITY = 0.8;
+const FUZZY_MATCH_QUALITY = 0.5;
+const MIN_PREFIX_LENGTH = 2; // Shorter terms only match whole words
+const TOKEN_SEPARATOR_PATTERN = /[^\p{L}\p{N}+#]+/u; // Keeps "c++" and "c#" as words
+
+/**
+ * Normalizes text for matching: lowercase and without diacritics
+ * @param {String} text - The text to normalize
+ * @returns {String} The normalized text
+ */
+export const normalizeText = (text) => {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+};
+
+/**
+ * Splits text into normalized words
+ * @param {String} text - The text to split
+ * @returns {Array} Array of normalized tokens
+ */
+export const tokenize = (text) => {
+    return normalizeText(text)
+        .split(TOKEN_SEPARATOR_PATTERN)
+        .filter(token => token.length > 0);
+};
+
+/**
+ * Gets the text of a session field, joining array fields such as tags
+ * @param {Object} session - The session object
+ * @param {String} field - The field name
+ * @returns {String} The field text
+ */
+const getFieldText = (session, field) => {
+    const value = session[field];
+    return Array.isArray(value) ? value.join(' ') : (value || '');
+};
+
+/**
+ * Builds an inverted index of the sessions
+ * @param {Array} sessions - Array of sessions to index, in schedule order
+ * @returns {Object} The search index
+ */
+export const buildSearchIndex = (sessions) => {
+    // Maps every token to the sessions containing it, with the weight of the best field it appears in
+    const postings = new Map();
+    
+    sessions.forEach((session, sessionPosition) => {
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(getFieldText(session, field)).forEach(token => {
+                if (!postings.has(token)) {
+                    postings.set(token, new Map());
+                }
+                const sessionWeights = postings.get(token);
+                sessionWeights.set(sessionPosition, Math.max(sessionWeights.get(sessionPosition) || 0, weight));
+            });
+        });
+    });
+    
+    return {
+        sessions,
+        postings,
+        vocabulary: [...postings.keys()]
+    };
+};
+
+/**
+ * Determines how many typos are tolerated in a search term
+ * @param {String} term - The search term
+ * @returns {Number} The maximum edit distance
+ */
+const getMaxEditDistance = (term) => {
+    if (term.length < 4) {
+        return 0;
+    }
+    return term.length < 8 ? 1 : 2;
+};
+
+/**
+ * Calculates the edit distance between two words, counting swapped neighbours as one edit
+ * (optimal string alignment distance). Stops early once the distance exceeds the maximum.
+ * @param {String} source - The first word
+ * @param {String} target - The second word
+ * @param {Number} maxDistance - The largest distance of interest
+ * @returns {Number} The edit distance, or maxDistance + 1 if it is larger than maxDistance
+ */
+export const getEditDistance = (source, target, maxDistance) => {
+    if (Math.abs(source.length - target.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+    
+    let previousPreviousRow = [];
+    let previousRow = Array.from({ length: target.length + 1 }, (_, index) => index);
+    
+    for (let i = 1; i <= source.length; i++) {
+        const currentRow = [i];
+        let rowMinimum = i;
+        
+        for (let j = 1; j <= target.length; j++) {
+            const substitutionCost = source[i - 1] === target[j - 1] ? 0 : 1;
+            currentRow[j] = Math.min(
+                previousRow[j] + 1,
+                currentRow[j - 1] + 1,
+                previousRow[j - 1] + substitutionCost
+            );
+            
+            // Swapped neighbouring characters count as a single edit
+            if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+                currentRow[j] = Math.min(currentRow[j], previousPreviousRow[j - 2] + 1);
+            }
+            rowMinimum = Math.min(rowMinimum, currentRow[j]);
+        }
+        
+        if (rowMinimum > maxDistance) {
+            return maxDistance + 1;
+        }
+        previousPreviousRow = previousRow;
+        previousRow = currentRow;
+    }
+    
+    return previousRow[target.length];
+};
+
+/**
+ * Finds the indexed tokens that match a search term, with the quality of each match
+ * @param {Object} index - The search index
+ * @param {String} term - A normalized search term
+ * @returns {Map} Map of matching token to match quality
+ */
+const findMatchingTokens = (index, term) => {
+    const matchingTokens = new Map();
+    const maxEditDistance = getMaxEditDistance(term);
+    
+    index.vocabulary.forEach(token => {
+        if (token === term) {
+            matchingTokens.set(token, EXACT_MATCH_QUALITY);
+        } else if (term.length >= MIN_PREFIX_LENGTH && token.startsWith(term)) {
+            matchingTokens.set(token, PREFIX_MATCH_QUALITY);
+        } else if (maxEditDistance > 0 && getEditDistance(term, token, maxEditDistance) <= maxEditDistance) {
+            matchingTokens.set(token, FUZZY_MATCH_QUALITY);
+        }
+    });
+    
+    return matchingTokens;
+};
+
+/**
+ * Scores every session against a single search term
+ * @param {Object} index - The search index
+ * @param {String} term - A normalized search term
+ * @returns {Map} Map of session position to { score, matchedTokens }
+ */
+export const scoreTerm = (index, term) => {
+    const termScores = new Map();
+    
+    findMatchingTokens(index, term).forEach((quality, token) => {
+        index.postings.get(token).forEach((weight, sessionPosition) => {
+            const termScore = termScores.get(sessionPosition) || { score: 0, matchedTokens: new Set() };
+            termScore.score = Math.max(termScore.score, weight * quality);
+            termScore.matchedTokens.add(token);
+            termScores.set(sessionPosition, termScore);
+        });
+    });
+    
+    return termScores;
+};
+
+/**
+ * Searches the index; every term must match (AND), results are ranked by relevance
+ * @param {Object} index - The search index
+ * @param {String} query - The search query as typed by the user
+ * @returns {Array} Array of { session, score, matchedTokens }, best match first
+ */
+export const searchSessions = (index, query) => {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+        return [];
+    }
+    
+    const termScores = terms.map(term => scoreTerm(index, term));
+    
+    // Only sessions that match the first term can match all terms
+    const results = [];
+    termScores[0].forEach((_, sessionPosition) => {
+        if (!termScores.every(scores => scores.has(sessionPosition))) {
+            return;
+        }
+        
+        const matchedTokens = new Set();
+        let score = 0;
+        termScores.forEach(scores => {
+            const termScore = scores.get(sessionPosition);
+            score += termScore.score;
+            termScore.matchedTokens.forEach(token => matchedTokens.add(token));
+        });
+        
+        results.push({ session: index.sessions[sessionPosition], sessionPosition, score, matchedTokens });
+    });
+    
+    // Best score first; equal scores keep schedule order
+    return results
+        .sort((a, b) => b.score - a.score || a.sessionPosition - b.sessionPosition)
+        .map(({ session, score, matchedTokens }) => ({ session, score, matchedTokens }));
+};
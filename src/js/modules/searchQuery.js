@@ -0,0 +1,348 @@
+/**
+ * Search Query Module
+ * Parses and runs field-qualified search queries such as:
+ *   speaker:chen tag:AI room:"Room A" day:day2 type:keynote -blockchain
+ *
+ * Syntax:
+ *   word             free text, ranked by the search index (typos are tolerated)
+ *   "some phrase"    exact phrase in any field, as whole words
+ *   field:value      value in a specific field, field:"some phrase" for phrases
+ *   -term            sessions matching the term are excluded
+ *   a OR b           either term may match; terms without OR must all match
+ */
+import { FIELD_WEIGHTS, scoreTerm, tokenize, getEditDistance } from './searchIndex.js';
+
+// Constants
+export const SEARCH_FIELDS = {
+    title: (session) => [session.title],
+    speaker: (session) => [session.speaker],
+    company: (session) => [session.company],
+    role: (session) => [session.role],
+    room: (session) => [session.room],
+    tag: (session) => session.tags || [],
+    type: (session) => [session.type],
+    day: (session) => [session.dayId, session.dayName],
+    description: (session) => [session.description]
+};
+const FIELD_ALIASES = {
+    tags: 'tag',
+    desc: 'description'
+};
+const OR_OPERATOR = 'OR';
+const FIELD_NAME_PATTERN = /^[a-z]+$/i;
+const MAX_SUGGESTION_DISTANCE = 2;
+const FIELD_MATCH_SCORE = 1; // Score of a matched field filter, below any free text match
+
+/**
+ * Suggests the known field closest to a mistyped field name
+ * @param {String} fieldName - The unknown field name
+ * @returns {String|null} The suggested field, or null if none is close
+ */
+const suggestField = (fieldName) => {
+    const candidates = [...Object.keys(SEARCH_FIELDS), ...Object.keys(FIELD_ALIASES)];
+    let suggestion = null;
+    let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+    
+    candidates.forEach(candidate => {
+        const distance = getEditDistance(fieldName.toLowerCase(), candidate, MAX_SUGGESTION_DISTANCE);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            suggestion = FIELD_ALIASES[candidate] || candidate;
+        }
+    });
+    
+    return suggestion;
+};
+
+/**
+ * Reads a quoted phrase starting at the opening quote
+ * @param {String} text - The query text
+ * @param {Number} start - Position of the opening quote
+ * @returns {Object} Object with the phrase, the position after it and whether it was closed
+ */
+const readQuoted = (text, start) => {
+    const closingQuote = text.indexOf('"', start + 1);
+    if (closingQuote === -1) {
+        return { value: text.slice(start + 1), end: text.length, closed: false };
+    }
+    return { value: text.slice(start + 1, closingQuote), end: closingQuote + 1, closed: true };
+};
+
+/**
+ * Reads a word up to the next whitespace
+ * @param {String} text - The query text
+ * @param {Number} start - Position of the first character
+ * @returns {Object} Object with the word and the position after it
+ */
+const readWord = (text, start) => {
+    let end = start;
+    while (end < text.length && !/\s/.test(text[end])) {
+        end++;
+    }
+    return { value: text.slice(start, end), end };
+};
+
+/**
+ * Parses a search query into clauses that must all match
+ * @param {String} queryText - The query as typed by the user
+ * @returns {Object} Object with clauses (arrays of alternative terms) and errors (hints for the user, as message key and params)
+ */
+export const parseSearchQuery = (queryText) => {
+    const text = String(queryText || '');
+    const clauses = [];
+    const errors = [];
+    let joinWithPrevious = false;
+    let position = 0;
+    
+    while (position < text.length) {
+        // Skip whitespace between terms
+        if (/\s/.test(text[position])) {
+            position++;
+            continue;
+        }
+        
+        const termStart = position;
+        const term = { field: null, value: '', phrase: false, negated: false };
+        
+        if (text[position] === '-' && position + 1 < text.length && !/\s/.test(text[position + 1])) {
+            term.negated = true;
+            position++;
+        }
+        
+        if (text[position] === '"') {
+            const quoted = readQuoted(text, position);
+            Object.assign(term, { value: quoted.value, phrase: true });
+            position = quoted.end;
+            if (!quoted.closed) {
+                errors.push({ key: 'searchQuery.missingQuote', params: { text: `"${quoted.value}` } });
+            }
+        } else {
+            const word = readWord(text, position);
+            const separator = word.value.indexOf(':');
+            const fieldName = separator > 0 ? word.value.slice(0, separator) : '';
+            
+            if (word.value === OR_OPERATOR && !term.negated) {
+                position = word.end;
+                // An OR without a term before it is reported here, one without a term after it below the loop
+                if (clauses.length === 0 || joinWithPrevious) {
+                    errors.push({ key: 'searchQuery.orWithoutTerms' });
+                } else {
+                    joinWithPrevious = true;
+                }
+                continue;
+            }
+            
+            if (FIELD_NAME_PATTERN.test(fieldName)) {
+                term.field = FIELD_ALIASES[fieldName.toLowerCase()] || fieldName.toLowerCase();
+                position += separator + 1;
+                
+                if (text[position] === '"') {
+                    const quoted = readQuoted(text, position);
+                    Object.assign(term, { value: quoted.value, phrase: true });
+                    position = quoted.end;
+                    if (!quoted.closed) {
+                        errors.push({ key: 'searchQuery.missingQuote', params: { text: `${fieldName}:"${quoted.value}` } });
+                    }
+                } else {
+                    const fieldValue = readWord(text, position);
+                    term.value = fieldValue.value;
+                    position = fieldValue.end;
+                }
+            } else {
+                term.value = word.value;
+                position = word.end;
+            }
+        }
+        
+        // Report problems with the term and leave it out of the query
+        const termText = text.slice(termStart, position);
+        if (term.field && !SEARCH_FIELDS[term.field]) {
+            const suggestion = suggestField(term.field);
+            errors.push({
+                key: suggestion ? 'searchQuery.unknownFieldSuggestion' : 'searchQuery.unknownField',
+                params: { field: term.field, term: termText, suggestion, fields: Object.keys(SEARCH_FIELDS).join(', ') }
+            });
+            joinWithPrevious = false;
+            continue;
+        }
+        if (!term.value.trim()) {
+            errors.push(term.field
+                ? { key: 'searchQuery.fieldWithoutValue', params: { field: term.field } }
+                : { key: 'searchQuery.emptyTerm', params: { term: termText } });
+            joinWithPrevious = false;
+            continue;
+        }
+        
+        const previousClause = clauses[clauses.length - 1];
+        if (joinWithPrevious && previousClause && (term.negated || previousClause.some(alternative => alternative.negated))) {
+            errors.push({ key: 'searchQuery.exclusionWithOr', params: { term: termText } });
+            clauses.push([term]);
+        } else if (joinWithPrevious && previousClause) {
+            previousClause.push(term);
+        } else {
+            clauses.push([term]);
+        }
+        joinWithPrevious = false;
+    }
+    
+    if (joinWithPrevious) {
+        errors.push({ key: 'searchQuery.orWithoutTerms' });
+    }
+    
+    return { clauses, errors };
+};
+
+/**
+ * Checks whether a text contains a term value
+ * Phrases must appear as written, as whole words, so "Room A" doesn't match "Room AB";
+ * other values match the start of words
+ * @param {String} text - The text to check
+ * @param {Object} term - The parsed term
+ * @returns {Array|null} The matched words of the text, or null if it doesn't match
+ */
+const matchText = (text, term) => {
+    if (!text) {
+        return null;
+    }
+    
+    const textTokens = tokenize(text);
+    const valueTokens = tokenize(term.value);
+    
+    if (term.phrase) {
+        const phraseFound = valueTokens.length > 0 && textTokens.some((textToken, start) => {
+            return valueTokens.every((valueToken, offset) => textTokens[start + offset] === valueToken);
+        });
+        return phraseFound ? valueTokens : null;
+    }
+    
+    const matchedTokens = [];
+    const allMatched = valueTokens.every(valueToken => {
+        const matches = textTokens.filter(textToken => textToken.startsWith(valueToken));
+        matchedTokens.push(...matches);
+        return matches.length > 0;
+    });
+    
+    return allMatched && valueTokens.length ? matchedTokens : null;
+};
+
+/**
+ * Scores a session against a single term
+ * @param {Object} index - The search index
+ * @param {Object} session - The session object
+ * @param {Number} sessionPosition - Position of the session in the index
+ * @param {Object} term - The parsed term
+ * @param {Map} freeTextScores - Cached index scores for free text terms
+ * @returns {Object|null} Object with score and matched tokens, or null if the term doesn't match
+ */
+const scoreSessionTerm = (index, session, sessionPosition, term, freeTextScores) => {
+    // Field terms only look at one field
+    if (term.field) {
+        const matchedTokens = SEARCH_FIELDS[term.field](session)
+            .map(value => matchText(value, term))
+            .filter(Boolean)
+            .flat();
+        return matchedTokens.length ? { score: FIELD_MATCH_SCORE, matchedTokens } : null;
+    }
+    
+    // Phrases are matched against every indexed field, weighted by the best field
+    if (term.phrase) {
+        let score = 0;
+        const matchedTokens = [];
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const values = [].concat(session[field] || []);
+            values.forEach(value => {
+                const matches = matchText(value, term);
+                if (matches) {
+                    score = Math.max(score, weight);
+                    matchedTokens.push(...matches);
+                }
+            });
+        });
+        return score ? { score, matchedTokens } : null;
+    }
+    
+    // Free text uses the ranked, typo tolerant index; every word of the term must match
+    const termTokens = tokenize(term.value);
+    let score = 0;
+    const matchedTokens = [];
+    const allMatched = termTokens.length > 0 && termTokens.every(token => {
+        if (!freeTextScores.has(token)) {
+            freeTextScores.set(token, scoreTerm(index, token));
+        }
+        const tokenScore = freeTextScores.get(token).get(sessionPosition);
+        if (!tokenScore) {
+            return false;
+        }
+        score += tokenScore.score;
+        matchedTokens.push(...tokenScore.matchedTokens);
+        return true;
+    });
+    
+    return allMatched ? { score, matchedTokens } : null;
+};
+
+/**
+ * Checks whether a negated term excludes a session
+ * Exclusions only use exact and prefix matches, so a typo never hides a session
+ * @param {Object} session - The session object
+ * @param {Object} term - The negated term
+ * @returns {Boolean} True if the session must be excluded
+ */
+const isExcluded = (session, term) => {
+    const fields = term.field ? [term.field] : Object.keys(SEARCH_FIELDS);
+    return fields.some(field => SEARCH_FIELDS[field](session).some(value => matchText(value, term)));
+};
+
+/**
+ * Runs a parsed query against the search index
+ * @param {Object} index - The search index
+ * @param {Object} parsedQuery - The query as returned by parseSearchQuery
+ * @returns {Array} Array of { session, score, matchedTokens }, best match first
+ */
+export const runSearchQuery = (index, parsedQuery) => {
+    const positiveClauses = parsedQuery.clauses
+        .map(clause => clause.filter(term => !term.negated))
+        .filter(clause => clause.length > 0);
+    const negatedTerms = parsedQuery.clauses
+        .filter(clause => clause.length === 1 && clause[0].negated)
+        .map(clause => clause[0]);
+    
+    if (positiveClauses.length === 0 && negatedTerms.length === 0) {
+        return [];
+    }
+    
+    const freeTextScores = new Map();
+    const results = [];
+    
+    index.sessions.forEach((session, sessionPosition) => {
+        if (negatedTerms.some(term => isExcluded(session, term))) {
+            return;
+        }
+        
+        let score = 0;
+        const matchedTokens = new Set();
+        // A query that only excludes sessions has no clauses left, so it matches the rest of the schedule
+        const matchesAllClauses = positiveClauses.every(clause => {
+            // The best matching alternative of an OR clause counts
+            const clauseMatches = clause
+                .map(term => scoreSessionTerm(index, session, sessionPosition, term, freeTextScores))
+                .filter(Boolean);
+            if (!clauseMatches.length) {
+                return false;
+            }
+            
+            score += Math.max(...clauseMatches.map(match => match.score));
+            clauseMatches.forEach(match => match.matchedTokens.forEach(token => matchedTokens.add(token)));
+            return true;
+        });
+        
+        if (matchesAllClauses) {
+            results.push({ session, sessionPosition, score, matchedTokens });
+        }
+    });
+    
+    // Best score first; equal scores keep schedule order
+    return results
+        .sort((a, b) => b.score - a.score || a.sessionPosition - b.sessionPosition)
+        .map(({ session, score, matchedTokens }) => ({ session, score, matchedTokens }));
+};
@@ -3,27 +3,51 @@
  * Handles searching for sessions across the conference
  */
 import { getAllSessions } from './dataService.js';
+import { buildSearchIndex, tokenize, normalizeText } from './searchIndex.js';
+import { parseSearchQuery, runSearchQuery } from './searchQuery.js';
+import { registerView } from './navigationService.js';
+import { appStore, VIEWS } from './appStore.js';
+import { t } from './i18nService.js';
+import { formatSessionTime } from './timeZoneService.js';
+import { markdownToText } from './markdownRenderer.js';
+import { EVENTS, emit, on } from './eventBus.js';
 
 // DOM element references
-const searchInputElement = document.getElementById('search-input');
-const searchResultsElement = document.getElementById('search-results');
+let searchInputElement;
+let searchResultsElement;
+let searchResultsViewElement;
+let searchStatusElement;
 
 // Constants
 const MIN_SEARCH_LENGTH = 2; // Minimum number of characters to trigger search
 const SEARCH_DEBOUNCE_TIME = 300; // Time in ms to wait before searching after typing
-const MAX_RESULTS = 5; // Maximum number of search results to display
+const MAX_RESULTS = 5; // Maximum number of search results to display in the dropdown
+const SNIPPET_LENGTH = 140; // Number of description characters shown around a match
+const WORD_SPLIT_PATTERN = /([^\p{L}\p{N}+#]+)/u; // Splits text into words, keeping the separators
+const LISTBOX_ID = 'search-listbox'; // Referenced by aria-controls on the search field
+const ACTIVE_OPTION_CLASS = 'active-option';
 
 // Variables
 let debounceTimer = null;
 let allSessions = [];
+let searchIndex = null;
+let activeOptionIndex = -1; // Option highlighted with the arrow keys, -1 for none
 
 /**
  * Sets up search functionality
  * @param {Object} conferenceData - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the search field and results, the page by default
  */
-export const setupSearch = (conferenceData) => {
-    // Store all sessions for searching
+export const setupSearch = (conferenceData, root = document) => {
+    searchInputElement = root.querySelector('#search-input');
+    searchResultsElement = root.querySelector('#search-results');
+    searchResultsViewElement = root.querySelector('#search-results-view');
+    searchStatusElement = root.querySelector('#search-status');
+    registerView(VIEWS.SEARCH_RESULTS, searchResultsViewElement);
+    
+    // Store all sessions and index them once for searching
     allSessions = getAllSessions(conferenceData);
+    searchIndex = buildSearchIndex(allSessions);
     
     // Add input event to search field
     searchInputElement.addEventListener('input', (event) => {
@@ -37,6 +61,7 @@ export const setupSearch = (conferenceData) => {
         // Hide results if search is empty
         if (searchTerm.length < MIN_SEARCH_LENGTH) {
             hideSearchResults();
+            appStore.setState({ query: '' });
             return;
         }
         
@@ -46,6 +71,9 @@ export const setupSearch = (conferenceData) => {
         }, SEARCH_DEBOUNCE_TIME);
     });
     
+    // Choose results with the arrow keys, show all results in the main content area on Enter
+    searchInputElement.addEventListener('keydown', handleSearchKeydown);
+    
     // Hide search results when clicking elsewhere
     document.addEventListener('click', (event) => {
         if (!searchInputElement.contains(event.target) && 
@@ -53,6 +81,134 @@ export const setupSearch = (conferenceData) => {
             hideSearchResults();
         }
     });
+    
+    // Index the changed schedule and refresh the results on screen
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        allSessions = getAllSessions(conferenceData);
+        searchIndex = buildSearchIndex(allSessions);
+        refreshSearchResults();
+    });
+    
+    // Show the times of the results in the chosen time zone
+    on(EVENTS.TIME_ZONE_CHANGED, refreshSearchResults);
+};
+
+/**
+ * Shows the results of the current search again, e.g. after the data changed
+ */
+const refreshSearchResults = () => {
+    const searchTerm = searchInputElement.value.trim();
+    if (searchTerm.length < MIN_SEARCH_LENGTH) {
+        return;
+    }
+    
+    if (appStore.getState().view === VIEWS.SEARCH_RESULTS) {
+        showAllResults(searchTerm);
+    } else if (isSearchResultsVisible()) {
+        const parsedQuery = parseSearchQuery(searchTerm);
+        displaySearchResults(runSearchQuery(searchIndex, parsedQuery), searchTerm, parsedQuery.errors);
+    }
+};
+
+/**
+ * Handles keyboard interaction with the search field and its results
+ * @param {KeyboardEvent} event - The keydown event
+ */
+const handleSearchKeydown = (event) => {
+    const searchTerm = searchInputElement.value.trim();
+    const options = getSearchOptions();
+    
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (!isSearchResultsVisible() || !options.length) {
+            return;
+        }
+        
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        setActiveOption((activeOptionIndex + step + options.length) % options.length);
+    } else if (event.key === 'Enter') {
+        if (activeOptionIndex !== -1 && options[activeOptionIndex]) {
+            event.preventDefault();
+            options[activeOptionIndex].click();
+        } else if (searchTerm.length >= MIN_SEARCH_LENGTH) {
+            clearTimeout(debounceTimer);
+            showAllResults(searchTerm);
+        }
+    } else if (event.key === 'Escape' && isSearchResultsVisible()) {
+        hideSearchResults();
+    }
+};
+
+/**
+ * Gets the selectable options in the search results dropdown
+ * @returns {Array} Array of option elements
+ */
+const getSearchOptions = () => [...searchResultsElement.querySelectorAll('[role="option"]')];
+
+/**
+ * Checks whether the search results dropdown is shown
+ * @returns {Boolean} True if the dropdown is visible
+ */
+const isSearchResultsVisible = () => searchResultsElement.style.display === 'block';
+
+/**
+ * Highlights a dropdown option and points assistive technology at it
+ * @param {Number} optionIndex - The index of the option to highlight
+ */
+const setActiveOption = (optionIndex) => {
+    const options = getSearchOptions();
+    activeOptionIndex = optionIndex;
+    
+    options.forEach((option, index) => {
+        const isActive = index === optionIndex;
+        option.classList.toggle(ACTIVE_OPTION_CLASS, isActive);
+        option.setAttribute('aria-selected', String(isActive));
+        
+        if (isActive) {
+            searchInputElement.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    });
+};
+
+/**
+ * Announces a message to screen reader users without moving focus
+ * @param {String} message - The message to announce
+ */
+const announceSearchStatus = (message) => {
+    if (searchStatusElement) {
+        searchStatusElement.textContent = message;
+    }
+};
+
+/**
+ * Fills in the search field and shows the results for a search term
+ * @param {String} searchTerm - The term to search for
+ * @param {Object} options - Display options
+ * @param {Boolean} options.showAll - Show every result in the main content area instead of the dropdown
+ */
+export const runSearch = (searchTerm, { showAll = false } = {}) => {
+    searchInputElement.value = searchTerm;
+    
+    if (searchTerm.trim().length < MIN_SEARCH_LENGTH) {
+        hideSearchResults();
+        return;
+    }
+    
+    if (showAll) {
+        showAllResults(searchTerm.trim());
+    } else {
+        performSearch(searchTerm.trim());
+    }
+};
+
+/**
+ * Empties the search field and hides the results
+ */
+export const clearSearch = () => {
+    searchInputElement.value = '';
+    hideSearchResults();
+    appStore.setState({ query: '' });
 };
 
 /**
@@ -60,88 +216,270 @@ export const setupSearch = (conferenceData) => {
  * @param {String} searchTerm - The term to search for
  */
 const performSearch = (searchTerm) => {
-    // Create a case-insensitive RegExp for searching
-    const searchRegex = new RegExp(searchTerm, 'i');
+    // Find matching sessions, best match first
+    const parsedQuery = parseSearchQuery(searchTerm);
+    const results = runSearchQuery(searchIndex, parsedQuery);
     
-    // Find matching sessions
-    const results = allSessions.filter(session => {
-        return (
-            (session.title && searchRegex.test(session.title)) || 
-            (session.speaker && searchRegex.test(session.speaker)) ||
-            (session.description && searchRegex.test(session.description)) ||
-            (session.tags && session.tags.some(tag => searchRegex.test(tag)))
-        );
-    }).slice(0, MAX_RESULTS); // Limit number of results
+    displaySearchResults(results, searchTerm, parsedQuery.errors);
+    appStore.setState({ query: searchTerm });
     
-    displaySearchResults(results);
+    // Notify other modules that a search was performed
+    emit(EVENTS.SEARCH_PERFORMED, {
+        query: searchTerm
+    });
 };
 
 /**
  * Displays search results in the UI
- * @param {Array} results - The search results to display
+ * @param {Array} results - The ranked search results to display
+ * @param {String} searchTerm - The term that was searched for
+ * @param {Array} queryErrors - Problems found in the query
  */
-const displaySearchResults = (results) => {
+const displaySearchResults = (results, searchTerm, queryErrors = []) => {
     // Clear previous results
     searchResultsElement.innerHTML = '';
     
+    // Explain problems with the query before the results
+    queryErrors.forEach(queryError => {
+        searchResultsElement.appendChild(createQueryHintElement(queryError));
+    });
+    
     if (results.length === 0) {
         const noResultsElement = document.createElement('div');
         noResultsElement.classList.add('search-result-item');
-        noResultsElement.textContent = 'No matching sessions found';
+        noResultsElement.textContent = t('search.noResults');
         searchResultsElement.appendChild(noResultsElement);
+        announceSearchStatus(t('search.noResults'));
     } else {
-        // Create an element for each result
-        results.forEach(session => {
-            const resultElement = createSearchResultElement(session);
-            searchResultsElement.appendChild(resultElement);
+        const listboxElement = document.createElement('div');
+        listboxElement.id = LISTBOX_ID;
+        listboxElement.setAttribute('role', 'listbox');
+        listboxElement.setAttribute('aria-label', t('search.matchingSessions'));
+        
+        // Create an element for each result, limited to the best matches
+        results.slice(0, MAX_RESULTS).forEach(result => {
+            listboxElement.appendChild(createSearchResultElement(result));
+        });
+        
+        // Offer the full list when not all results fit
+        if (results.length > MAX_RESULTS) {
+            listboxElement.appendChild(createShowAllElement(results.length, searchTerm));
+        }
+        
+        // Make every entry reachable with the arrow keys
+        [...listboxElement.children].forEach((option, index) => {
+            option.id = `${LISTBOX_ID}-option-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
         });
+        
+        searchResultsElement.appendChild(listboxElement);
+        announceSearchStatus(t('search.resultStatus', { count: results.length }));
     }
     
     // Show the results container
+    activeOptionIndex = -1;
+    searchInputElement.removeAttribute('aria-activedescendant');
+    searchInputElement.setAttribute('aria-expanded', 'true');
     searchResultsElement.style.display = 'block';
 };
 
+/**
+ * Creates an inline hint explaining a problem with the query
+ * @param {Object} queryError - The problem as reported by parseSearchQuery
+ * @returns {HTMLElement} The hint element
+ */
+const createQueryHintElement = (queryError) => {
+    const hintElement = document.createElement('div');
+    hintElement.classList.add('search-query-hint');
+    hintElement.textContent = t(queryError.key, queryError.params);
+    return hintElement;
+};
+
+/**
+ * Creates the dropdown item that opens the full list of results
+ * @param {Number} resultCount - The total number of results
+ * @param {String} searchTerm - The term that was searched for
+ * @returns {HTMLElement} The show all element
+ */
+const createShowAllElement = (resultCount, searchTerm) => {
+    const showAllElement = document.createElement('div');
+    showAllElement.classList.add('search-result-item', 'search-show-all');
+    showAllElement.textContent = t('search.showAll', { count: resultCount });
+    
+    showAllElement.addEventListener('click', () => {
+        showAllResults(searchTerm);
+    });
+    
+    return showAllElement;
+};
+
+/**
+ * Lists every search result in the main content area
+ * @param {String} searchTerm - The term to search for
+ */
+const showAllResults = (searchTerm) => {
+    const parsedQuery = parseSearchQuery(searchTerm);
+    const results = runSearchQuery(searchIndex, parsedQuery);
+    hideSearchResults();
+    
+    // Clear previous results
+    searchResultsViewElement.innerHTML = '';
+    
+    const heading = document.createElement('h2');
+    heading.textContent = t('search.resultsHeading', { count: results.length, query: searchTerm });
+    searchResultsViewElement.appendChild(heading);
+    
+    parsedQuery.errors.forEach(queryError => {
+        searchResultsViewElement.appendChild(createQueryHintElement(queryError));
+    });
+    
+    if (results.length === 0) {
+        const noResultsElement = document.createElement('div');
+        noResultsElement.classList.add('no-results');
+        noResultsElement.textContent = t('search.noResults');
+        searchResultsViewElement.appendChild(noResultsElement);
+    }
+    
+    const resultList = document.createElement('div');
+    resultList.classList.add('search-results-list');
+    results.forEach(result => {
+        resultList.appendChild(createSearchResultElement(result, { focusable: true }));
+    });
+    searchResultsViewElement.appendChild(resultList);
+    
+    // Show the results instead of the current tab
+    appStore.setState({ view: VIEWS.SEARCH_RESULTS, query: searchTerm });
+    announceSearchStatus(heading.textContent);
+    
+    // Notify other modules that all results are shown
+    emit(EVENTS.SEARCH_RESULTS_SHOWN, {
+        query: searchTerm
+    });
+};
+
+/**
+ * Creates a document fragment with the matched words of a text wrapped in <mark> elements
+ * @param {String} text - The text to highlight
+ * @param {Set} matchedTokens - Normalized tokens that matched the search
+ * @returns {DocumentFragment} The highlighted text
+ */
+const createHighlightedText = (text, matchedTokens) => {
+    const fragment = document.createDocumentFragment();
+    
+    text.split(WORD_SPLIT_PATTERN).forEach(part => {
+        if (!part) {
+            return;
+        }
+        
+        if (matchedTokens.has(normalizeText(part))) {
+            const markElement = document.createElement('mark');
+            markElement.textContent = part;
+            fragment.appendChild(markElement);
+        } else {
+            fragment.appendChild(document.createTextNode(part));
+        }
+    });
+    
+    return fragment;
+};
+
+/**
+ * Cuts a snippet from a description around its first matched word
+ * @param {String} description - The session description
+ * @param {Set} matchedTokens - Normalized tokens that matched the search
+ * @returns {String|null} The snippet, or null if the description has no matched words
+ */
+const createSnippet = (description, matchedTokens) => {
+    if (!description) {
+        return null;
+    }
+    
+    // Find the position of the first matched word
+    let position = 0;
+    let matchPosition = -1;
+    description.split(WORD_SPLIT_PATTERN).some(part => {
+        if (tokenize(part).some(token => matchedTokens.has(token))) {
+            matchPosition = position;
+            return true;
+        }
+        position += part.length;
+        return false;
+    });
+    
+    if (matchPosition === -1) {
+        return null;
+    }
+    
+    // Center the snippet on the match
+    const start = Math.max(0, matchPosition - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(description.length, start + SNIPPET_LENGTH);
+    return `${start > 0 ? '…' : ''}${description.slice(start, end).trim()}${end < description.length ? '…' : ''}`;
+};
+
 /**
  * Creates a DOM element for a search result
- * @param {Object} session - The session object
+ * @param {Object} result - The search result with session and matched tokens
+ * @param {Object} options - Display options
+ * @param {Boolean} options.focusable - Render the title as a button that can be reached with Tab
  * @returns {HTMLElement} The search result element
  */
-const createSearchResultElement = (session) => {
+const createSearchResultElement = (result, { focusable = false } = {}) => {
+    const { session, matchedTokens } = result;
     const resultElement = document.createElement('div');
     resultElement.classList.add('search-result-item');
     
-    // Create result content
-    const titleElement = document.createElement('div');
+    // Create result content; in the dropdown the search field keeps focus instead
+    const titleElement = document.createElement(focusable ? 'button' : 'div');
     titleElement.classList.add('result-title');
-    titleElement.textContent = session.title;
+    if (focusable) {
+        titleElement.type = 'button';
+    }
+    titleElement.appendChild(createHighlightedText(session.title, matchedTokens));
     
     const detailsElement = document.createElement('div');
     detailsElement.classList.add('result-details');
     
     // Show day, time, and speaker information
-    let detailsText = `${session.dayName} at ${session.time}`;
+    detailsElement.textContent = t('session.dayAndTime', { dayName: session.dayName, time: formatSessionTime(session.date, session.time) });
     if (session.speaker) {
-        detailsText += ` • ${session.speaker}`;
+        detailsElement.appendChild(document.createTextNode(' • '));
+        detailsElement.appendChild(createHighlightedText(session.speaker, matchedTokens));
     }
     
-    detailsElement.textContent = detailsText;
-    
     resultElement.appendChild(titleElement);
     resultElement.appendChild(detailsElement);
     
+    // Show matched tags
+    const matchedTags = (session.tags || []).filter(tag => tokenize(tag).some(token => matchedTokens.has(token)));
+    if (matchedTags.length) {
+        const tagsElement = document.createElement('div');
+        tagsElement.classList.add('result-tags');
+        matchedTags.forEach(tag => {
+            const tagElement = document.createElement('span');
+            tagElement.classList.add('tag');
+            tagElement.appendChild(createHighlightedText(tag, matchedTokens));
+            tagsElement.appendChild(tagElement);
+        });
+        resultElement.appendChild(tagsElement);
+    }
+    
+    // Show where the description matched
+    const snippet = createSnippet(markdownToText(session.description), matchedTokens);
+    if (snippet) {
+        const snippetElement = document.createElement('div');
+        snippetElement.classList.add('result-snippet');
+        snippetElement.appendChild(createHighlightedText(snippet, matchedTokens));
+        resultElement.appendChild(snippetElement);
+    }
+    
     // Add click event to select this session
     resultElement.addEventListener('click', () => {
-        // Dispatch custom event to show session details
-        const event = new CustomEvent('session-selected', {
-            detail: {
-                sessionId: session.id
-            }
-        });
-        document.dispatchEvent(event);
-        
         // Clear search and hide results
-        searchInputElement.value = '';
-        hideSearchResults();
+        clearSearch();
+        
+        // Show the session details
+        appStore.setState({ selectedSessionId: session.id });
     });
     
     return resultElement;
@@ -152,4 +490,7 @@ const createSearchResultElement = (session) => {
  */
 const hideSearchResults = () => {
     searchResultsElement.style.display = 'none';
+    activeOptionIndex = -1;
+    searchInputElement.setAttribute('aria-expanded', 'false');
+    searchInputElement.removeAttribute('aria-activedescendant');
 };
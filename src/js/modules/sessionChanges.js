@@ -0,0 +1,119 @@
+/**
+ * Session Changes Module
+ * Compares two versions of the conference data session by session and describes what changed
+ */
+import { getAllSessions } from './dataService.js';
+import { formatList, t } from './i18nService.js';
+import { formatSessionTime } from './timeZoneService.js';
+
+// Constants
+export const CHANGE_ADDED = 'added';
+export const CHANGE_REMOVED = 'removed';
+export const CHANGE_UPDATED = 'updated';
+const MOVE_FIELDS = ['dayId', 'time', 'room'];
+const DETAIL_FIELDS = ['endTime', 'title', 'speaker', 'role', 'company', 'type', 'description', 'tags'];
+const FIELD_LABEL_KEYS = {
+    endTime: 'changes.field.endTime',
+    title: 'changes.field.title',
+    speaker: 'changes.field.speaker',
+    role: 'changes.field.role',
+    company: 'changes.field.company',
+    type: 'changes.field.type',
+    description: 'changes.field.description',
+    tags: 'changes.field.tags'
+};
+
+/**
+ * Finds the sessions that were added, removed or changed, matched by session id
+ * @param {Object} previousData - The conference data that is loaded
+ * @param {Object} newData - The conference data that was fetched
+ * @returns {Array} Changes with type, sessionId, session, previousSession and the changed fields, in schedule order
+ */
+export const diffConferenceData = (previousData, newData) => {
+    const previousSessions = new Map(getAllSessions(previousData).map(session => [session.id, session]));
+    const newSessions = getAllSessions(newData);
+    const newSessionIds = new Set(newSessions.map(session => session.id));
+    
+    const addedAndUpdated = newSessions.flatMap(session => {
+        const previousSession = previousSessions.get(session.id);
+        if (!previousSession) {
+            return [{ type: CHANGE_ADDED, sessionId: session.id, session, previousSession: null, fields: [] }];
+        }
+        
+        const fields = [...MOVE_FIELDS, ...DETAIL_FIELDS].filter(field => {
+            return JSON.stringify(session[field]) !== JSON.stringify(previousSession[field]);
+        });
+        return fields.length
+            ? [{ type: CHANGE_UPDATED, sessionId: session.id, session, previousSession, fields }]
+            : [];
+    });
+    
+    const removed = [...previousSessions.values()]
+        .filter(previousSession => !newSessionIds.has(previousSession.id))
+        .map(previousSession => ({
+            type: CHANGE_REMOVED,
+            sessionId: previousSession.id,
+            session: null,
+            previousSession,
+            fields: []
+        }));
+    
+    return [...addedAndUpdated, ...removed];
+};
+
+/**
+ * Checks whether a change moved a session to another day, time or room
+ * @param {Object} change - A change as returned by diffConferenceData
+ * @returns {Boolean} True if the session moved
+ */
+export const isSessionMove = (change) => change.fields.some(field => MOVE_FIELDS.includes(field));
+
+/**
+ * Describes where a session moved to, e.g. "to Room B at 11:45"
+ * @param {Object} change - A change that moved a session
+ * @returns {String} The destination
+ */
+const describeDestination = (change) => {
+    const { session, fields } = change;
+    const parts = [];
+    
+    if (fields.includes('room')) {
+        parts.push(session.room ? t('changes.toRoom', { room: session.room }) : t('changes.outOfRoom'));
+    }
+    if (fields.includes('dayId')) {
+        parts.push(t(parts.length ? 'changes.onDay' : 'changes.toDay', { dayName: session.dayName }));
+    }
+    if (fields.includes('time') || fields.includes('dayId')) {
+        parts.push(t(parts.length ? 'changes.atTime' : 'changes.toTime', { time: formatSessionTime(session.date, session.time) }));
+    }
+    
+    return parts.join(' ');
+};
+
+/**
+ * Describes a change in one sentence, e.g. "Blockchain Beyond Cryptocurrency moved to Room B at 11:45"
+ * @param {Object} change - A change as returned by diffConferenceData
+ * @returns {String} The description
+ */
+export const describeChange = (change) => {
+    const { type, session, previousSession, fields } = change;
+    
+    if (type === CHANGE_ADDED) {
+        const params = { title: session.title, dayName: session.dayName, time: formatSessionTime(session.date, session.time), room: session.room };
+        return session.room ? t('changes.addedInRoom', params) : t('changes.added', params);
+    }
+    
+    if (type === CHANGE_REMOVED) {
+        return t('changes.removed', { title: previousSession.title });
+    }
+    
+    // Refer to a renamed session by the title people know
+    const title = previousSession.title;
+    
+    if (isSessionMove(change)) {
+        return t('changes.moved', { title, destination: describeDestination(change) });
+    }
+    
+    const labels = formatList(fields.map(field => t(FIELD_LABEL_KEYS[field])));
+    return t('changes.updated', { title, fields: labels });
+};
@@ -3,33 +3,62 @@
  * Handles displaying detailed information about a selected session
  */
 import { getSessionById } from './dataService.js';
-import { setActiveDay } from './scheduleRenderer.js';
+import { selectDay } from './navigationService.js';
+import { createStarButton, isSessionStarrable } from './agendaService.js';
+import { createCalendarButton, exportSessionToCalendar } from './calendarExportService.js';
+import { CHANGE_REMOVED } from './sessionChanges.js';
+import { getSessionSpeakers } from './speakerDirectory.js';
+import { selectSpeaker } from './speakerService.js';
+import { createFeedbackElement } from './feedbackService.js';
+import { createSessionEditorActions } from './scheduleEditorService.js';
+import { formatDuration, t } from './i18nService.js';
+import { formatSessionTimeRange } from './timeZoneService.js';
+import { createElement } from './domUtils.js';
+import { renderMarkdown } from './markdownRenderer.js';
+import { EVENTS, on } from './eventBus.js';
+import { appStore } from './appStore.js';
 
 // DOM element references
-const sessionDetailElement = document.getElementById('session-detail');
-const sessionModalElement = document.getElementById('session-modal');
-const modalOverlayElement = document.getElementById('modal-overlay');
-const modalCloseElement = document.querySelector('.modal-close');
+let sessionDetailElement;
+let sessionModalElement;
+let modalOverlayElement;
+let modalCloseElement;
+let backgroundElements = [];
 
 // Constants
 const ACTIVE_CLASS = 'active';
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// State variables
+let previouslyFocusedElement = null; // Element to return focus to when the modal closes
+let closeFocusTarget = null; // Element to focus instead, set by hideSessionDetails
 
 /**
  * Sets up session detail view functionality
  * @param {Object} conferenceData - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the modal and the page behind it, the page by default
  */
-export const setupSessionDetails = (conferenceData) => {
-    // Listen for session selection events
-    document.addEventListener('session-selected', (event) => {
-        const sessionId = event.detail.sessionId;
-        showSessionDetails(sessionId, conferenceData);
+export const setupSessionDetails = (conferenceData, root = document) => {
+    sessionDetailElement = root.querySelector('#session-detail');
+    sessionModalElement = root.querySelector('#session-modal');
+    modalOverlayElement = root.querySelector('#modal-overlay');
+    modalCloseElement = root.querySelector('.modal-close');
+    backgroundElements = root.querySelectorAll('.skip-link, header, .schedule-container');
+    
+    // Show the session selected in the app store, close the modal when none is
+    appStore.select(state => state.selectedSessionId, (sessionId) => {
+        if (sessionId) {
+            showSessionDetails(sessionId, conferenceData);
+        } else {
+            closeSessionDetails();
+        }
     });
     
     // Set up modal close functionality
-    modalCloseElement.addEventListener('click', hideSessionDetails);
+    modalCloseElement.addEventListener('click', () => hideSessionDetails());
     
     // Also close the modal when clicking on the overlay
-    modalOverlayElement.addEventListener('click', hideSessionDetails);
+    modalOverlayElement.addEventListener('click', () => hideSessionDetails());
     
     // Close modal on escape key
     document.addEventListener('keydown', (event) => {
@@ -37,6 +66,65 @@ export const setupSessionDetails = (conferenceData) => {
             hideSessionDetails();
         }
     });
+    
+    // Keep keyboard focus inside the modal while it is open
+    sessionModalElement.addEventListener('keydown', trapFocus);
+    
+    // Show the new details of the open session, or close it when it was removed
+    on(EVENTS.CONFERENCE_DATA_UPDATED, ({ changes }) => {
+        const { selectedSessionId } = appStore.getState();
+        const change = changes.find(sessionChange => sessionChange.sessionId === selectedSessionId);
+        if (!change) {
+            return;
+        }
+        
+        if (change.type === CHANGE_REMOVED) {
+            hideSessionDetails();
+            return;
+        }
+        
+        const hadFocus = sessionDetailElement.contains(document.activeElement);
+        renderSessionDetails(getSessionById(conferenceData, selectedSessionId), conferenceData);
+        if (hadFocus) {
+            modalCloseElement.focus();
+        }
+    });
+};
+
+/**
+ * Wraps Tab and Shift+Tab around the focusable elements of the modal
+ * @param {KeyboardEvent} event - The keydown event
+ */
+const trapFocus = (event) => {
+    if (event.key !== 'Tab') {
+        return;
+    }
+    
+    const focusableElements = [...sessionModalElement.querySelectorAll(FOCUSABLE_SELECTOR)];
+    if (!focusableElements.length) {
+        return;
+    }
+    
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+    
+    if (event.shiftKey && document.activeElement === firstElement) {
+        event.preventDefault();
+        lastElement.focus();
+    } else if (!event.shiftKey && document.activeElement === lastElement) {
+        event.preventDefault();
+        firstElement.focus();
+    }
+};
+
+/**
+ * Hides the page behind the modal from keyboard and screen reader users
+ * @param {Boolean} isInert - Whether the background should be inert
+ */
+const setBackgroundInert = (isInert) => {
+    backgroundElements.forEach(element => {
+        element.toggleAttribute('inert', isInert);
+    });
 };
 
 /**
@@ -50,15 +138,22 @@ const showSessionDetails = (sessionId, conferenceData) => {
     
     if (!session) {
         console.error('Session not found:', sessionId);
+        appStore.setState({ selectedSessionId: null });
         return;
     }
     
-    // Create the detail view content
-    sessionDetailElement.innerHTML = createSessionDetailContent(session);
+    renderSessionDetails(session, conferenceData);
+    
+    // Remember where the user came from, unless the modal is already open
+    if (!sessionModalElement.classList.contains(ACTIVE_CLASS)) {
+        previouslyFocusedElement = document.activeElement;
+    }
     
     // Show the modal and overlay
     sessionModalElement.classList.add(ACTIVE_CLASS);
     modalOverlayElement.classList.add(ACTIVE_CLASS);
+    setBackgroundInert(true);
+    modalCloseElement.focus();
     
     // Prevent body scrolling while modal is open
     document.body.style.overflow = 'hidden';
@@ -66,16 +161,7 @@ const showSessionDetails = (sessionId, conferenceData) => {
     // Make sure the correct day is selected
     if (session.dayId) {
         // Update tab and schedule view to show the day this session is on
-        const tabButtons = document.querySelectorAll('.tab-btn');
-        tabButtons.forEach(btn => {
-            if (btn.getAttribute('data-day') === session.dayId) {
-                btn.classList.add(ACTIVE_CLASS);
-            } else {
-                btn.classList.remove(ACTIVE_CLASS);
-            }
-        });
-        
-        setActiveDay(session.dayId);
+        selectDay(session.dayId);
         
         // Scroll to the session in the schedule
         setTimeout(() => {
@@ -94,72 +180,151 @@ const showSessionDetails = (sessionId, conferenceData) => {
 };
 
 /**
- * Creates HTML content for the session detail view
- * @param {Object} session - The session object
- * @returns {String} HTML content for the detail view
+ * Fills the modal with the details of a session
+ * @param {Object} session - The session object with day information
+ * @param {Object} conferenceData - The complete conference data object
  */
-const createSessionDetailContent = (session) => {
-    let content = `
-        <h2 class="session-detail-title">${session.title}</h2>
-    `;
+const renderSessionDetails = (session, conferenceData) => {
+    // Create the detail view content
+    sessionDetailElement.replaceChildren(createSessionDetailContent(session));
+    sessionDetailElement.querySelector('.session-detail-time').after(createSessionSpeakersElement(session, conferenceData));
+    sessionDetailElement.appendChild(createSessionActionsElement(session, conferenceData));
     
-    // Add day and time information
-    content += `<div class="session-detail-time">${session.dayName} at ${session.time}`;
+    // Organizers editing the schedule can change the session from here
+    const editorActionsElement = createSessionEditorActions(session);
+    if (editorActionsElement) {
+        sessionDetailElement.appendChild(editorActionsElement);
+    }
     
-    if (session.room) {
-        content += ` • ${session.room}`;
+    // Talks can be rated, breaks and receptions can't
+    if (isSessionStarrable(session)) {
+        sessionDetailElement.appendChild(createFeedbackElement(session));
     }
+};
+
+/**
+ * Creates the title, time, description and tags of the session detail view
+ * @param {Object} session - The session object
+ * @returns {DocumentFragment} The detail view content
+ */
+const createSessionDetailContent = (session) => {
+    const content = document.createDocumentFragment();
     
-    content += '</div>';
+    content.appendChild(createElement('h2', {
+        className: 'session-detail-title',
+        text: session.title,
+        attributes: { id: 'session-detail-title' }
+    }));
     
-    // Add speaker information if available
-    if (session.speaker) {
-        content += `<div class="session-detail-speaker">${session.speaker}</div>`;
-        
-        if (session.role || session.company) {
-            content += '<div class="session-detail-company">';
-            
-            if (session.role) {
-                content += session.role;
-                if (session.company) {
-                    content += ', ';
-                }
-            }
-            
-            if (session.company) {
-                content += session.company;
-            }
-            
-            content += '</div>';
-        }
-    }
+    // Add day, time range, duration and room
+    const timeText = t('session.dayAndTimeRange', {
+        dayName: session.dayName,
+        timeRange: formatSessionTimeRange(session.date, session.time, session.endTime, { withTimeZone: true }),
+        duration: formatDuration(session.duration)
+    });
+    content.appendChild(createElement('div', {
+        className: 'session-detail-time',
+        text: session.room ? `${timeText} • ${session.room}` : timeText
+    }));
     
-    // Add description if available
+    // Add description if available, with the Markdown formatting speakers may use
     if (session.description) {
-        content += `<div class="session-detail-description">${session.description}</div>`;
+        content.appendChild(createElement('div', { className: 'session-detail-description' }, [renderMarkdown(session.description)]));
     }
     
     // Add tags if available
     if (session.tags && session.tags.length) {
-        content += '<div class="session-detail-tags">';
-        
-        session.tags.forEach(tag => {
-            content += `<span class="tag">${tag}</span>`;
-        });
-        
-        content += '</div>';
+        const tagElements = session.tags.map(tag => createElement('span', { className: 'tag', text: tag }));
+        content.appendChild(createElement('div', { className: 'session-detail-tags' }, tagElements));
     }
     
     return content;
 };
 
+/**
+ * Creates the speakers of a session, each linking to their profile
+ * @param {Object} session - The session object
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {DocumentFragment} The speaker elements, empty if the session has no speaker
+ */
+const createSessionSpeakersElement = (session, conferenceData) => {
+    const speakersFragment = document.createDocumentFragment();
+    
+    getSessionSpeakers(conferenceData, session).forEach(speaker => {
+        const speakerButton = createElement('button', {
+            className: 'speaker-link',
+            text: speaker.name,
+            attributes: { type: 'button', 'aria-label': t('sessionDetail.speakerLabel', { name: speaker.name }) }
+        });
+        speakerButton.addEventListener('click', () => {
+            // Open the profile first, so closing the details doesn't step back in the history
+            selectSpeaker(speaker.id);
+            hideSessionDetails({ focusTarget: document.querySelector('.speaker-profile-name') });
+        });
+        
+        const affiliation = [speaker.role, speaker.company].filter(Boolean).join(', ');
+        speakersFragment.appendChild(createElement('div', { className: 'session-detail-speaker' }, [
+            speakerButton,
+            affiliation ? createElement('div', { className: 'session-detail-company', text: affiliation }) : null
+        ]));
+    });
+    
+    return speakersFragment;
+};
+
+/**
+ * Creates the action buttons shown below the session details
+ * @param {Object} session - The session object
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {HTMLElement} The actions element
+ */
+const createSessionActionsElement = (session, conferenceData) => {
+    return createElement('div', { className: 'session-detail-actions' }, [
+        // Add button to star the session for My Schedule
+        isSessionStarrable(session) ? createStarButton(session.id, { labelled: true }) : null,
+        // Add button to download the session as a calendar event
+        createCalendarButton(t('calendar.addSession'), () => {
+            exportSessionToCalendar(session.id, conferenceData);
+        })
+    ]);
+};
+
 /**
  * Hides the session detail modal
+ * @param {Object} options - Hide options
+ * @param {HTMLElement} options.focusTarget - Element to focus instead of the one the details were opened from
  */
-export const hideSessionDetails = () => {
+export const hideSessionDetails = ({ focusTarget = null } = {}) => {
+    if (!sessionModalElement || !sessionModalElement.classList.contains(ACTIVE_CLASS)) {
+        return;
+    }
+    
+    closeFocusTarget = focusTarget;
+    appStore.setState({ selectedSessionId: null });
+};
+
+/**
+ * Closes the modal once no session is selected
+ */
+const closeSessionDetails = () => {
+    if (!sessionModalElement.classList.contains(ACTIVE_CLASS)) {
+        return;
+    }
+    
     sessionModalElement.classList.remove(ACTIVE_CLASS);
     modalOverlayElement.classList.remove(ACTIVE_CLASS);
+    setBackgroundInert(false);
     
     // Restore body scrolling
     document.body.style.overflow = '';
+    
+    // Return focus to where the user opened the details, or to the schedule if that is gone
+    const returnFocusElement = closeFocusTarget || (previouslyFocusedElement && previouslyFocusedElement.isConnected
+        ? previouslyFocusedElement
+        : document.getElementById('main-content'));
+    previouslyFocusedElement = null;
+    closeFocusTarget = null;
+    if (returnFocusElement) {
+        returnFocusElement.focus();
+    }
 };
@@ -0,0 +1,127 @@
+/**
+ * Session Filters Module
+ * Matches sessions against a combination of facet filters (tags, rooms, session types, companies)
+ * and counts how many sessions each facet value would show
+ */
+// Constants
+export const TAG_MODE_ANY = 'any'; // Sessions with at least one of the selected tags
+export const TAG_MODE_ALL = 'all'; // Sessions with every selected tag
+
+// The facets users can filter by; values within a facet are combined with OR, facets with AND
+// Labels are message keys, translated where the facets are shown
+export const FILTER_FACETS = [
+    { key: 'tags', labelKey: 'filters.tags', chipLabelKey: 'filters.tag', getValues: session => session.tags || [] },
+    { key: 'rooms', labelKey: 'filters.rooms', chipLabelKey: 'filters.room', getValues: session => (session.room ? [session.room] : []) },
+    { key: 'types', labelKey: 'filters.types', chipLabelKey: 'filters.type', getValues: session => (session.type ? [session.type] : []) },
+    { key: 'companies', labelKey: 'filters.companies', chipLabelKey: 'filters.company', getValues: session => (session.company ? [session.company] : []) }
+];
+
+/**
+ * Creates a filter object without any active filters
+ * @returns {Object} Filters with an empty selection for every facet
+ */
+export const createEmptyFilters = () => ({
+    tags: [],
+    tagMode: TAG_MODE_ANY,
+    rooms: [],
+    types: [],
+    companies: []
+});
+
+/**
+ * Fills in missing facets and removes duplicate values, e.g. for filters read from a URL
+ * @param {Object} filters - Partial filters
+ * @returns {Object} Complete filters
+ */
+export const normalizeFilters = (filters = {}) => {
+    const normalizedFilters = createEmptyFilters();
+    
+    FILTER_FACETS.forEach(facet => {
+        if (Array.isArray(filters[facet.key])) {
+            normalizedFilters[facet.key] = [...new Set(filters[facet.key].filter(Boolean).map(String))];
+        }
+    });
+    normalizedFilters.tagMode = filters.tagMode === TAG_MODE_ALL ? TAG_MODE_ALL : TAG_MODE_ANY;
+    
+    return normalizedFilters;
+};
+
+/**
+ * Checks whether any facet has a selected value
+ * @param {Object} filters - The filters to check
+ * @returns {Boolean} True if at least one filter is active
+ */
+export const hasActiveFilters = (filters) => {
+    return Boolean(filters) && FILTER_FACETS.some(facet => filters[facet.key].length > 0);
+};
+
+/**
+ * Checks a session against the selected values of one facet
+ * @param {Object} session - The session object
+ * @param {Object} facet - The facet definition from FILTER_FACETS
+ * @param {Object} filters - The active filters
+ * @returns {Boolean} True if the session matches, or nothing is selected for the facet
+ */
+const matchesFacet = (session, facet, filters) => {
+    const selectedValues = filters[facet.key];
+    if (!selectedValues.length) {
+        return true;
+    }
+    
+    const sessionValues = facet.getValues(session);
+    if (facet.key === 'tags' && filters.tagMode === TAG_MODE_ALL) {
+        return selectedValues.every(value => sessionValues.includes(value));
+    }
+    return selectedValues.some(value => sessionValues.includes(value));
+};
+
+/**
+ * Checks a session against all active filters
+ * @param {Object} session - The session object
+ * @param {Object} filters - The active filters
+ * @returns {Boolean} True if the session should be shown
+ */
+export const matchesFilters = (session, filters) => {
+    return FILTER_FACETS.every(facet => matchesFacet(session, facet, filters));
+};
+
+/**
+ * Counts for every facet value how many sessions would be shown when it is selected
+ * Values of a facet are combined with OR, so their counts ignore the facet's own selection;
+ * in "match all" mode a tag narrows the results, so tag counts include the selected tags.
+ * @param {Array} sessions - All sessions
+ * @param {Object} filters - The active filters
+ * @returns {Object} Per facet key, an array of { value, count } sorted by value
+ */
+export const getFacetCounts = (sessions, filters) => {
+    const facetCounts = {};
+    
+    FILTER_FACETS.forEach(facet => {
+        const isNarrowing = facet.key === 'tags' && filters.tagMode === TAG_MODE_ALL;
+        const counts = new Map();
+        
+        sessions.forEach(session => {
+            const sessionValues = facet.getValues(session);
+            
+            // List every known value, also the ones that would show nothing
+            sessionValues.forEach(value => {
+                if (!counts.has(value)) {
+                    counts.set(value, 0);
+                }
+            });
+            
+            const matchesOtherFacets = FILTER_FACETS.every(otherFacet => {
+                return (otherFacet === facet && !isNarrowing) || matchesFacet(session, otherFacet, filters);
+            });
+            if (matchesOtherFacets) {
+                new Set(sessionValues).forEach(value => counts.set(value, counts.get(value) + 1));
+            }
+        });
+        
+        facetCounts[facet.key] = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => a.value.localeCompare(b.value));
+    });
+    
+    return facetCounts;
+};
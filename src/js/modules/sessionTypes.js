@@ -0,0 +1,25 @@
+/**
+ * Session Types Module
+ * Defines the known session types and the CSS classes used to display them
+ */
+
+// Constants for styling different session types
+export const SESSION_TYPE_CLASSES = {
+    keynote: 'keynote-session',
+    break: 'break-session',
+    networking: 'networking-session',
+    round1: 'round-session',
+    round2: 'round-session'
+};
+
+// Message keys of the display names of the session types, e.g. in the filter panel
+export const SESSION_TYPE_LABEL_KEYS = {
+    keynote: 'sessionType.keynote',
+    break: 'sessionType.break',
+    networking: 'sessionType.networking',
+    round1: 'sessionType.round1',
+    round2: 'sessionType.round2'
+};
+
+// Session types that involve everyone, shown across all rooms in the grid view
+export const FULL_WIDTH_SESSION_TYPES = ['keynote', 'break', 'networking'];
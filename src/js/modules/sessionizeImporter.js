@@ -0,0 +1,169 @@
+/**
+ * Sessionize Importer Module
+ * Reads the "All data" JSON export of Sessionize (API / Embed → "All Data" endpoint) as an imported schedule
+ * for scheduleImport.js
+ */
+import { getZonedDateParts, minutesToTime } from './dateTimeUtils.js';
+
+// Constants
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ACCEPTED_STATUS = 'Accepted';
+
+/**
+ * Reads a Sessionize date-time as a date and time at the venue
+ * Sessionize writes venue times without an offset; times with an offset are moved to the venue's time zone.
+ * @param {String} dateTimeText - The date-time, e.g. "2025-07-15T09:00:00"
+ * @param {String} timeZone - IANA time zone of the venue
+ * @returns {Object|null} Object with date ("2025-07-15") and time ("9:00"), or null if malformed
+ */
+const readDateTime = (dateTimeText, timeZone) => {
+    const match = DATE_TIME_PATTERN.exec(String(dateTimeText || ''));
+    if (!match) {
+        return null;
+    }
+    
+    if (!match[4]) {
+        return { date: match[1], time: minutesToTime(Number(match[2]) * 60 + Number(match[3])) };
+    }
+    
+    const moment = new Date(dateTimeText);
+    if (Number.isNaN(moment.getTime())) {
+        return null;
+    }
+    
+    const pad = (value) => String(value).padStart(2, '0');
+    const { year, month, day, hours, minutes } = getZonedDateParts(moment, timeZone);
+    return { date: `${year}-${pad(month)}-${pad(day)}`, time: minutesToTime(hours * 60 + minutes) };
+};
+
+/**
+ * Gets the session type for a Sessionize session
+ * @param {Object} session - The Sessionize session
+ * @returns {String} "keynote" for plenary sessions, "break" for service sessions such as lunch, "round1" otherwise
+ */
+const getSessionType = (session) => {
+    if (session.isPlenumSession) {
+        return 'keynote';
+    }
+    return session.isServiceSession ? 'break' : 'round1';
+};
+
+/**
+ * Imports the Sessionize "All data" export
+ * Rooms become rooms, category items (track, level, topics, …) become tags and speakers keep their bio,
+ * tagline, photo and links. Sessions that aren't scheduled or accepted are left out and reported.
+ * @param {String} text - The JSON export
+ * @param {Object} options - Import options
+ * @param {String} options.timezone - IANA time zone of the venue
+ * @returns {Object} The imported schedule, see scheduleImport.js
+ */
+export const importSessionize = (text, { timezone } = {}) => {
+    const issues = [];
+    const report = (severity, path, message) => {
+        issues.push({ severity, path, message });
+    };
+    
+    let exportData;
+    try {
+        exportData = JSON.parse(text);
+    } catch (error) {
+        report('error', '$', `Not valid JSON: ${error.message}`);
+        return { sessions: [], speakers: [], issues };
+    }
+    
+    if (!exportData || !Array.isArray(exportData.sessions)) {
+        report('error', '$.sessions', 'Expected the "All data" export of Sessionize, with a sessions array');
+        return { sessions: [], speakers: [], issues };
+    }
+    
+    const roomNames = new Map((exportData.rooms || []).map(room => [String(room.id), room.name]));
+    const categoryItemNames = new Map((exportData.categories || [])
+        .flatMap(category => category.items || [])
+        .map(item => [String(item.id), item.name]));
+    
+    const speakers = (exportData.speakers || []).map(speaker => {
+        const importedSpeaker = {
+            key: String(speaker.id),
+            name: speaker.fullName || [speaker.firstName, speaker.lastName].filter(Boolean).join(' ')
+        };
+        if (speaker.tagLine) {
+            importedSpeaker.role = speaker.tagLine;
+        }
+        if (speaker.bio) {
+            importedSpeaker.bio = speaker.bio;
+        }
+        if (speaker.profilePicture) {
+            importedSpeaker.photo = speaker.profilePicture;
+        }
+        const links = (speaker.links || []).filter(link => link.url).map(link => ({ label: link.title || link.linkType, url: link.url }));
+        if (links.length) {
+            importedSpeaker.links = links;
+        }
+        return importedSpeaker;
+    });
+    const speakerKeys = new Set(speakers.map(speaker => speaker.key));
+    
+    const sessions = [];
+    exportData.sessions.forEach((session, sessionIndex) => {
+        const path = `$.sessions[${sessionIndex}]`;
+        const title = session.title || `#${session.id}`;
+        
+        if (session.status && session.status !== ACCEPTED_STATUS) {
+            report('warning', path, `"${title}" has status ${session.status} and was left out`);
+            return;
+        }
+        
+        const start = readDateTime(session.startsAt, timezone);
+        if (!start) {
+            report('warning', path, `"${title}" is not scheduled yet and was left out`);
+            return;
+        }
+        
+        const importedSession = {
+            sourceId: String(session.id),
+            date: start.date,
+            time: start.time,
+            title: session.title,
+            type: getSessionType(session)
+        };
+        
+        const end = readDateTime(session.endsAt, timezone);
+        if (end && end.date === start.date) {
+            importedSession.endTime = end.time;
+        } else if (session.endsAt) {
+            report('warning', `${path}.endsAt`, `The end of "${title}" is not on the day it starts and was left out`);
+        }
+        
+        if (session.description) {
+            importedSession.description = session.description;
+        }
+        
+        if (session.roomId !== undefined && session.roomId !== null) {
+            if (roomNames.has(String(session.roomId))) {
+                importedSession.room = roomNames.get(String(session.roomId));
+            } else {
+                report('warning', `${path}.roomId`, `Unknown room ${session.roomId} of "${title}" was left out`);
+            }
+        }
+        
+        importedSession.tags = (session.categoryItems || []).filter(itemId => {
+            if (!categoryItemNames.has(String(itemId))) {
+                report('warning', `${path}.categoryItems`, `Unknown category item ${itemId} of "${title}" was left out`);
+                return false;
+            }
+            return true;
+        }).map(itemId => categoryItemNames.get(String(itemId)));
+        
+        importedSession.speakerKeys = (session.speakers || []).map(speaker => String(speaker.id || speaker)).filter(key => {
+            if (!speakerKeys.has(key)) {
+                report('warning', `${path}.speakers`, `Unknown speaker ${key} of "${title}" was left out`);
+                return false;
+            }
+            return true;
+        });
+        
+        sessions.push(importedSession);
+    });
+    
+    return { sessions, speakers, issues };
+};
@@ -0,0 +1,154 @@
+/**
+ * Speaker Directory Module
+ * Collects the speakers of the conference from the speakers section and the sessions they present
+ */
+import { getAllSessions } from './dataService.js';
+import { getLocale, t } from './i18nService.js';
+
+// Constants
+const HONORIFIC_PATTERN = /^(dr|prof|mr|mrs|ms|mx)\.?\s+/i; // Ignored when sorting by name
+
+/**
+ * Compares two names in the alphabetical order of the active language
+ * @param {String} nameA - The first name
+ * @param {String} nameB - The second name
+ * @returns {Number} Negative, zero or positive, like Array.prototype.sort expects
+ */
+const compareNames = (nameA, nameB) => new Intl.Collator(getLocale(), { sensitivity: 'base' }).compare(nameA, nameB);
+
+/**
+ * Turns a speaker name into an ID usable in URLs
+ * @param {String} name - The speaker name
+ * @returns {String} Lowercase slug, e.g. "sarah-johnson"
+ */
+export const createSpeakerId = (name) => {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+};
+
+/**
+ * Gets the name a speaker is sorted and grouped by
+ * @param {Object} speaker - The speaker object
+ * @returns {String} The name without honorifics like "Dr."
+ */
+const getSortName = (speaker) => speaker.name.replace(HONORIFIC_PATTERN, '');
+
+/**
+ * Gets the IDs of the speakers presenting a session
+ * Sessions without speakerIds refer to their speaker by name only
+ * @param {Object} session - The session object
+ * @param {Array} declaredSpeakers - Speakers from the speakers section of the data
+ * @returns {Array} Array of speaker IDs
+ */
+const getSessionSpeakerIds = (session, declaredSpeakers) => {
+    if (session.speakerIds && session.speakerIds.length) {
+        return session.speakerIds;
+    }
+    
+    if (!session.speaker) {
+        return [];
+    }
+    
+    const declaredSpeaker = declaredSpeakers.find(speaker => speaker.name === session.speaker);
+    return [declaredSpeaker ? declaredSpeaker.id : createSpeakerId(session.speaker)];
+};
+
+/**
+ * Gets all speakers who present at least one session, sorted by name
+ * @param {Object} conferenceData - The complete conference data object
+ * @returns {Array} Speakers with id, name, role, company, bio, photo, links and their sessions
+ */
+export const getSpeakers = (conferenceData) => {
+    const declaredSpeakers = conferenceData.speakers || [];
+    const speakersById = new Map();
+    
+    getAllSessions(conferenceData).forEach(session => {
+        getSessionSpeakerIds(session, declaredSpeakers).forEach(speakerId => {
+            if (!speakersById.has(speakerId)) {
+                // Speakers missing from the speakers section are described by their first session
+                const declaredSpeaker = declaredSpeakers.find(speaker => speaker.id === speakerId);
+                speakersById.set(speakerId, {
+                    links: [],
+                    ...(declaredSpeaker || {
+                        id: speakerId,
+                        name: session.speaker,
+                        role: session.role,
+                        company: session.company
+                    }),
+                    sessions: []
+                });
+            }
+            speakersById.get(speakerId).sessions.push(session);
+        });
+    });
+    
+    return [...speakersById.values()]
+        .sort((speakerA, speakerB) => compareNames(getSortName(speakerA), getSortName(speakerB)));
+};
+
+/**
+ * Gets a single speaker with their sessions
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {String} speakerId - The ID of the speaker
+ * @returns {Object|undefined} The speaker, or undefined if nobody with this ID presents a session
+ */
+export const getSpeakerById = (conferenceData, speakerId) => {
+    return getSpeakers(conferenceData).find(speaker => speaker.id === speakerId);
+};
+
+/**
+ * Gets the speakers presenting a session
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {Object} session - The session object
+ * @returns {Array} Array of speakers, in the order the session lists them
+ */
+export const getSessionSpeakers = (conferenceData, session) => {
+    const speakers = getSpeakers(conferenceData);
+    return getSessionSpeakerIds(session, conferenceData.speakers || [])
+        .map(speakerId => speakers.find(speaker => speaker.id === speakerId))
+        .filter(Boolean);
+};
+
+/**
+ * Groups speakers by the first letter of their name
+ * @param {Array} speakers - Speakers sorted by name, as returned by getSpeakers
+ * @returns {Array} Groups with a label and speakers, in alphabetical order
+ */
+export const groupSpeakersByInitial = (speakers) => {
+    return groupSpeakers(speakers, speaker => getSortName(speaker).charAt(0).toUpperCase());
+};
+
+/**
+ * Groups speakers by the company they work for
+ * @param {Array} speakers - Speakers sorted by name, as returned by getSpeakers
+ * @returns {Array} Groups with a label and speakers, companies in alphabetical order
+ */
+export const groupSpeakersByCompany = (speakers) => {
+    return groupSpeakers(speakers, speaker => speaker.company || t('speakers.independent'));
+};
+
+/**
+ * Groups speakers by a label, keeping the speakers of each group in their original order
+ * @param {Array} speakers - The speakers to group
+ * @param {Function} getLabel - Function returning the group label of a speaker
+ * @returns {Array} Groups with a label and speakers, sorted by label
+ */
+const groupSpeakers = (speakers, getLabel) => {
+    const speakersByLabel = new Map();
+    
+    speakers.forEach(speaker => {
+        const label = getLabel(speaker);
+        if (!speakersByLabel.has(label)) {
+            speakersByLabel.set(label, []);
+        }
+        speakersByLabel.get(label).push(speaker);
+    });
+    
+    return [...speakersByLabel.entries()]
+        .map(([label, groupedSpeakers]) => ({ label, speakers: groupedSpeakers }))
+        .sort((groupA, groupB) => compareNames(groupA.label, groupB.label));
+};
@@ -0,0 +1,376 @@
+/**
+ * Speaker Service Module
+ * Renders the Speakers tab: a directory of all speakers and a profile page for each speaker
+ */
+import { createTimeSlotElements } from './scheduleRenderer.js';
+import { getAllSessions } from './dataService.js';
+import { registerView } from './navigationService.js';
+import { appStore, VIEWS } from './appStore.js';
+import { getSpeakers, getSpeakerById, groupSpeakersByInitial, groupSpeakersByCompany } from './speakerDirectory.js';
+import { formatDayDate, t } from './i18nService.js';
+import { createElement } from './domUtils.js';
+import { EVENTS, emit, on } from './eventBus.js';
+
+// DOM element references
+let speakersContainerElement;
+
+// Constants
+const ACTIVE_CLASS = 'active';
+const GROUPINGS = [
+    { id: 'name', labelKey: 'speakers.byName', groupSpeakers: groupSpeakersByInitial },
+    { id: 'company', labelKey: 'speakers.byCompany', groupSpeakers: groupSpeakersByCompany }
+];
+
+// State variables
+let conferenceData = null;
+let activeGroupingId = GROUPINGS[0].id;
+let displayedSpeakerId = null; // Speaker whose profile is shown, null while the directory is shown
+
+/**
+ * Sets up the speaker directory and the Speakers tab
+ * @param {Object} data - The complete conference data object
+ * @param {HTMLElement} containerElement - The container element to render the Speakers tab in
+ */
+export const setupSpeakers = (data, containerElement) => {
+    // Store references
+    conferenceData = data;
+    speakersContainerElement = containerElement;
+    
+    renderSpeakerDirectory();
+    
+    // Set up tab click handler
+    const speakersTab = document.getElementById('speakers-tab');
+    registerView(VIEWS.SPEAKERS, speakersContainerElement, speakersTab);
+    if (speakersTab) {
+        speakersTab.addEventListener('click', () => {
+            showSpeakerDirectory();
+            
+            // Notify other modules that the user switched tabs
+            emit(EVENTS.TAB_SELECTED, {
+                tab: 'speakers'
+            });
+        });
+    }
+    
+    // Speakers can gain, lose or swap sessions when the schedule changes
+    on(EVENTS.CONFERENCE_DATA_UPDATED, refreshSpeakers);
+    
+    // Profiles show the times of their sessions in the chosen time zone
+    on(EVENTS.TIME_ZONE_CHANGED, refreshSpeakers);
+};
+
+/**
+ * Renders the directory or the profile on screen again
+ */
+const refreshSpeakers = () => {
+    if (displayedSpeakerId && getSpeakerById(conferenceData, displayedSpeakerId)) {
+        renderSpeakerProfile(displayedSpeakerId);
+    } else {
+        renderSpeakerDirectory();
+    }
+};
+
+/**
+ * Shows the Speakers tab with the directory of all speakers
+ */
+export const showSpeakerDirectory = () => {
+    if (displayedSpeakerId) {
+        renderSpeakerDirectory();
+    }
+    appStore.setState({ view: VIEWS.SPEAKERS });
+};
+
+/**
+ * Shows the profile page of a speaker in the Speakers tab
+ * @param {String} speakerId - The ID of the speaker
+ * @returns {Boolean} True if the speaker was found
+ */
+export const showSpeakerProfile = (speakerId) => {
+    if (!getSpeakerById(conferenceData, speakerId)) {
+        console.warn('Speaker not found:', speakerId);
+        return false;
+    }
+    
+    renderSpeakerProfile(speakerId);
+    appStore.setState({ view: VIEWS.SPEAKERS });
+    
+    // Move focus to the new page, like a page load would
+    speakersContainerElement.querySelector('.speaker-profile-name').focus();
+    return true;
+};
+
+/**
+ * Notifies other modules that a speaker was picked, and shows their profile
+ * @param {String} speakerId - The ID of the speaker
+ */
+export const selectSpeaker = (speakerId) => {
+    if (!showSpeakerProfile(speakerId)) {
+        return;
+    }
+    
+    emit(EVENTS.SPEAKER_SELECTED, {
+        speakerId
+    });
+};
+
+/**
+ * Renders the directory of all speakers
+ */
+const renderSpeakerDirectory = () => {
+    displayedSpeakerId = null;
+    const speakers = getSpeakers(conferenceData);
+    const grouping = GROUPINGS.find(option => option.id === activeGroupingId);
+    
+    // Clear existing content
+    speakersContainerElement.innerHTML = '';
+    
+    // Create heading
+    const heading = document.createElement('h2');
+    heading.textContent = t('tabs.speakers');
+    speakersContainerElement.appendChild(heading);
+    
+    if (!speakers.length) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.classList.add('no-results');
+        emptyMessage.textContent = t('speakers.empty');
+        speakersContainerElement.appendChild(emptyMessage);
+        return;
+    }
+    
+    speakersContainerElement.appendChild(createGroupingToggleElement());
+    
+    grouping.groupSpeakers(speakers).forEach(group => {
+        const groupHeading = document.createElement('h3');
+        groupHeading.classList.add('speaker-group-heading');
+        groupHeading.textContent = group.label;
+        speakersContainerElement.appendChild(groupHeading);
+        
+        const speakerList = document.createElement('ul');
+        speakerList.classList.add('speaker-list');
+        group.speakers.forEach(speaker => {
+            const speakerItem = document.createElement('li');
+            speakerItem.appendChild(createSpeakerCardElement(speaker));
+            speakerList.appendChild(speakerItem);
+        });
+        speakersContainerElement.appendChild(speakerList);
+    });
+};
+
+/**
+ * Creates the buttons that switch between sorting by name and grouping by company
+ * @returns {HTMLElement} The toggle element
+ */
+const createGroupingToggleElement = () => {
+    const toggleElement = document.createElement('div');
+    toggleElement.classList.add('speaker-grouping-toggle');
+    toggleElement.setAttribute('role', 'group');
+    toggleElement.setAttribute('aria-label', t('speakers.groupingLabel'));
+    
+    GROUPINGS.forEach(option => {
+        const optionButton = document.createElement('button');
+        optionButton.type = 'button';
+        optionButton.classList.add('speaker-grouping-btn');
+        optionButton.classList.toggle(ACTIVE_CLASS, option.id === activeGroupingId);
+        optionButton.textContent = t(option.labelKey);
+        optionButton.setAttribute('aria-pressed', String(option.id === activeGroupingId));
+        
+        optionButton.addEventListener('click', () => {
+            activeGroupingId = option.id;
+            renderSpeakerDirectory();
+            speakersContainerElement.querySelector('.speaker-grouping-toggle [aria-pressed="true"]').focus();
+        });
+        
+        toggleElement.appendChild(optionButton);
+    });
+    
+    return toggleElement;
+};
+
+/**
+ * Creates the photo of a speaker, or their initials if there is no photo
+ * @param {Object} speaker - The speaker object
+ * @returns {HTMLElement} The avatar element
+ */
+const createSpeakerAvatarElement = (speaker) => {
+    if (speaker.photo) {
+        const photoElement = document.createElement('img');
+        photoElement.classList.add('speaker-avatar');
+        photoElement.src = speaker.photo;
+        photoElement.alt = '';
+        photoElement.loading = 'lazy';
+        return photoElement;
+    }
+    
+    const initialsElement = document.createElement('span');
+    initialsElement.classList.add('speaker-avatar', 'speaker-initials');
+    initialsElement.setAttribute('aria-hidden', 'true');
+    initialsElement.textContent = speaker.name
+        .split(/\s+/)
+        .filter(part => /^\p{Lu}/u.test(part) && !part.endsWith('.'))
+        .map(part => part.charAt(0))
+        .slice(0, 2)
+        .join('');
+    return initialsElement;
+};
+
+/**
+ * Formats the role and company of a speaker
+ * @param {Object} speaker - The speaker object
+ * @returns {String} E.g. "CTO, TechCorp", empty if neither is known
+ */
+const formatAffiliation = (speaker) => [speaker.role, speaker.company].filter(Boolean).join(', ');
+
+/**
+ * Creates the card of a speaker in the directory
+ * @param {Object} speaker - The speaker object with their sessions
+ * @returns {HTMLElement} The speaker card button
+ */
+const createSpeakerCardElement = (speaker) => {
+    const cardButton = document.createElement('button');
+    cardButton.type = 'button';
+    cardButton.classList.add('speaker-card');
+    cardButton.setAttribute('data-speaker-id', speaker.id);
+    cardButton.appendChild(createSpeakerAvatarElement(speaker));
+    
+    const nameElement = document.createElement('span');
+    nameElement.classList.add('speaker-card-name');
+    nameElement.textContent = speaker.name;
+    cardButton.appendChild(nameElement);
+    
+    const affiliation = formatAffiliation(speaker);
+    if (affiliation) {
+        const affiliationElement = document.createElement('span');
+        affiliationElement.classList.add('speaker-card-affiliation');
+        affiliationElement.textContent = affiliation;
+        cardButton.appendChild(affiliationElement);
+    }
+    
+    const sessionCount = speaker.sessions.length;
+    const sessionCountElement = document.createElement('span');
+    sessionCountElement.classList.add('speaker-card-sessions');
+    sessionCountElement.textContent = t('topics.sessionCount', { count: sessionCount });
+    cardButton.appendChild(sessionCountElement);
+    
+    cardButton.addEventListener('click', () => {
+        selectSpeaker(speaker.id);
+    });
+    
+    return cardButton;
+};
+
+/**
+ * Renders the profile page of a speaker
+ * @param {String} speakerId - The ID of the speaker
+ */
+const renderSpeakerProfile = (speakerId) => {
+    const speaker = getSpeakerById(conferenceData, speakerId);
+    displayedSpeakerId = speaker.id;
+    
+    // Clear existing content
+    speakersContainerElement.innerHTML = '';
+    
+    const backButton = document.createElement('button');
+    backButton.type = 'button';
+    backButton.classList.add('speaker-back-btn');
+    backButton.textContent = t('speakers.back');
+    backButton.addEventListener('click', () => {
+        document.getElementById('speakers-tab').click();
+        
+        // Return to the card the profile was opened from
+        const speakerCard = speakersContainerElement.querySelector(`.speaker-card[data-speaker-id="${speaker.id}"]`);
+        if (speakerCard) {
+            speakerCard.focus();
+        }
+    });
+    speakersContainerElement.appendChild(backButton);
+    
+    const profileElement = document.createElement('article');
+    profileElement.classList.add('speaker-profile');
+    
+    const headerElement = document.createElement('div');
+    headerElement.classList.add('speaker-profile-header');
+    headerElement.appendChild(createSpeakerAvatarElement(speaker));
+    
+    const nameElement = document.createElement('h2');
+    nameElement.classList.add('speaker-profile-name');
+    nameElement.textContent = speaker.name;
+    nameElement.setAttribute('tabindex', '-1');
+    
+    const titleElement = document.createElement('div');
+    titleElement.appendChild(nameElement);
+    const affiliation = formatAffiliation(speaker);
+    if (affiliation) {
+        const affiliationElement = document.createElement('p');
+        affiliationElement.classList.add('speaker-profile-affiliation');
+        affiliationElement.textContent = affiliation;
+        titleElement.appendChild(affiliationElement);
+    }
+    headerElement.appendChild(titleElement);
+    profileElement.appendChild(headerElement);
+    
+    if (speaker.bio) {
+        const bioElement = document.createElement('p');
+        bioElement.classList.add('speaker-profile-bio');
+        bioElement.textContent = speaker.bio;
+        profileElement.appendChild(bioElement);
+    }
+    
+    if (speaker.links.length) {
+        profileElement.appendChild(createSpeakerLinksElement(speaker.links));
+    }
+    
+    profileElement.appendChild(createSpeakerSessionsElement(speaker));
+    speakersContainerElement.appendChild(profileElement);
+};
+
+/**
+ * Creates the list of links to a speaker's website and social profiles
+ * @param {Array} links - Links with label and url
+ * @returns {HTMLElement} The link list
+ */
+const createSpeakerLinksElement = (links) => {
+    const linkList = document.createElement('ul');
+    linkList.classList.add('speaker-links');
+    
+    links.forEach(link => {
+        const linkElement = createElement('a', {
+            text: link.label,
+            attributes: { href: link.url, target: '_blank', rel: 'noopener noreferrer' }
+        });
+        linkList.appendChild(createElement('li', {}, [linkElement]));
+    });
+    
+    return linkList;
+};
+
+/**
+ * Creates the sessions of a speaker, grouped by day and time like the schedule
+ * @param {Object} speaker - The speaker object with their sessions
+ * @returns {HTMLElement} The sessions element
+ */
+const createSpeakerSessionsElement = (speaker) => {
+    const sessionsElement = document.createElement('section');
+    sessionsElement.classList.add('speaker-sessions');
+    
+    const heading = document.createElement('h3');
+    heading.textContent = t('speakers.sessions');
+    sessionsElement.appendChild(heading);
+    
+    conferenceData.days.forEach(day => {
+        const sessionsForDay = speaker.sessions.filter(session => session.dayId === day.id);
+        if (!sessionsForDay.length) {
+            return;
+        }
+        
+        const dayHeading = document.createElement('h4');
+        dayHeading.classList.add('my-schedule-day-heading');
+        dayHeading.textContent = t('schedule.dayHeading', { dayName: day.name, date: formatDayDate(day.date) });
+        sessionsElement.appendChild(dayHeading);
+        
+        createTimeSlotElements(sessionsForDay, day.date, getAllSessions(conferenceData)).forEach(timeSlotElement => {
+            sessionsElement.appendChild(timeSlotElement);
+        });
+    });
+    
+    return sessionsElement;
+};
@@ -0,0 +1,169 @@
+/**
+ * Storage Service Module
+ * Wraps localStorage so nothing is persisted without the user's explicit consent.
+ * Until consent is given, values live in memory for the current page visit only.
+ */
+import { t } from './i18nService.js';
+
+// Constants
+const KEY_PREFIX = 'conference-app:';
+const CONSENT_KEY = `${KEY_PREFIX}storage-consent`;
+const CONSENT_GRANTED = 'granted';
+
+// State variables
+const memoryStore = new Map();
+let consentDeclined = false;
+let storageScope = null; // ID of the active conference, keeps per-conference values apart
+let isDefaultScope = false;
+
+/**
+ * Checks whether localStorage can be used in this browser
+ * @returns {Boolean} True if localStorage is available
+ */
+const isLocalStorageAvailable = () => {
+    try {
+        return typeof window !== 'undefined' && !!window.localStorage;
+    } catch (error) {
+        // Accessing localStorage throws when storage is blocked by the browser
+        return false;
+    }
+};
+
+/**
+ * Checks whether the user has agreed to storing data in this browser
+ * @returns {Boolean} True if consent was given earlier
+ */
+export const hasStorageConsent = () => {
+    if (!isLocalStorageAvailable()) {
+        return false;
+    }
+    return window.localStorage.getItem(CONSENT_KEY) === CONSENT_GRANTED;
+};
+
+/**
+ * Asks the user for permission to store data in this browser.
+ * The question is asked at most once per page visit.
+ * @param {String} purpose - Short explanation of what will be stored
+ * @returns {Boolean} True if consent is (now) available
+ */
+export const requestStorageConsent = (purpose) => {
+    if (hasStorageConsent()) {
+        return true;
+    }
+    if (consentDeclined || !isLocalStorageAvailable()) {
+        return false;
+    }
+    
+    const granted = window.confirm(
+        `${purpose}\n\n${t('storage.consentQuestion')}`
+    );
+    
+    if (!granted) {
+        consentDeclined = true;
+        return false;
+    }
+    
+    window.localStorage.setItem(CONSENT_KEY, CONSENT_GRANTED);
+    
+    // Persist everything that was kept in memory while waiting for consent
+    memoryStore.forEach((value, key) => {
+        window.localStorage.setItem(key, value);
+    });
+    memoryStore.clear();
+    return true;
+};
+
+/**
+ * Sets the conference that scoped values belong to
+ * @param {String} scope - The ID of the active conference
+ * @param {Object} options - Scope options
+ * @param {Boolean} options.isDefault - Whether this is the default conference, which takes over
+ *   values stored before the app supported several conferences
+ */
+export const setStorageScope = (scope, { isDefault = false } = {}) => {
+    storageScope = scope;
+    isDefaultScope = isDefault;
+};
+
+/**
+ * Builds the key a value is stored under
+ * @param {String} key - Key of the value (without prefix)
+ * @param {Boolean} scoped - Whether the value belongs to the active conference
+ * @returns {String} The storage key
+ */
+const getStorageKey = (key, scoped) => {
+    return scoped && storageScope ? `${KEY_PREFIX}${storageScope}:${key}` : `${KEY_PREFIX}${key}`;
+};
+
+/**
+ * Reads a raw stored value from localStorage or the in-memory store
+ * @param {String} storageKey - The full storage key
+ * @returns {String|null|undefined} The raw value
+ */
+const readRawValue = (storageKey) => {
+    return hasStorageConsent()
+        ? window.localStorage.getItem(storageKey)
+        : memoryStore.get(storageKey);
+};
+
+/**
+ * Reads a stored JSON value
+ * @param {String} key - Key of the value (without prefix)
+ * @param {*} defaultValue - Value returned when nothing is stored
+ * @param {Object} options - Read options
+ * @param {Boolean} options.scoped - Read the value of the active conference
+ * @returns {*} The stored value or the default value
+ */
+export const readStoredValue = (key, defaultValue = null, { scoped = false } = {}) => {
+    let rawValue = readRawValue(getStorageKey(key, scoped));
+    
+    // Values of the default conference used to be stored without scope
+    if (scoped && isDefaultScope && (rawValue === null || rawValue === undefined)) {
+        rawValue = readRawValue(getStorageKey(key, false));
+    }
+    
+    if (rawValue === null || rawValue === undefined) {
+        return defaultValue;
+    }
+    
+    try {
+        return JSON.parse(rawValue);
+    } catch (error) {
+        console.warn('Ignoring unreadable stored value for', key);
+        return defaultValue;
+    }
+};
+
+/**
+ * Stores a JSON value, in localStorage when consent was given or in memory otherwise
+ * @param {String} key - Key of the value (without prefix)
+ * @param {*} value - Any JSON serializable value
+ * @param {Object} options - Write options
+ * @param {Boolean} options.scoped - Store the value for the active conference only
+ */
+export const writeStoredValue = (key, value, { scoped = false } = {}) => {
+    const storageKey = getStorageKey(key, scoped);
+    const rawValue = JSON.stringify(value);
+    
+    if (hasStorageConsent()) {
+        window.localStorage.setItem(storageKey, rawValue);
+    } else {
+        memoryStore.set(storageKey, rawValue);
+    }
+};
+
+/**
+ * Stores a JSON value the user chose to keep, asking for consent first if it wasn't asked yet
+ * Without consent the value is kept in memory for this visit, as writeStoredValue does.
+ * @param {String} key - Key of the value (without prefix)
+ * @param {*} value - Any JSON serializable value
+ * @param {String} purpose - Short explanation of what will be stored, shown when asking for consent
+ * @param {Object} options - Write options
+ * @param {Boolean} options.scoped - Store the value for the active conference only
+ * @returns {Boolean} True if the value is stored in the browser, false if it is kept for this visit only
+ */
+export const rememberValue = (key, value, purpose, { scoped = false } = {}) => {
+    const persisted = requestStorageConsent(purpose);
+    writeStoredValue(key, value, { scoped });
+    return persisted;
+};
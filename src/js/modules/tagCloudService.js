@@ -3,6 +3,10 @@
  * Handles generating and displaying a tag cloud with session counts
  */
 import { getAllSessions } from './dataService.js';
+import { registerView } from './navigationService.js';
+import { appStore, VIEWS } from './appStore.js';
+import { t } from './i18nService.js';
+import { EVENTS, emit, on } from './eventBus.js';
 
 // DOM element references
 let tagCloudContainerElement;
@@ -26,21 +30,35 @@ export const setupTagCloud = (conferenceData, containerElement) => {
     
     // Set up tab click handler if we're using tabs
     const tagCloudTab = document.getElementById('tag-cloud-tab');
+    registerView(VIEWS.TOPICS, tagCloudContainerElement, tagCloudTab);
     if (tagCloudTab) {
         tagCloudTab.addEventListener('click', () => {
-            // Show tag cloud container
-            document.querySelectorAll('.tab-content').forEach(content => {
-                content.classList.remove(ACTIVE_CLASS);
-            });
-            tagCloudContainerElement.classList.add(ACTIVE_CLASS);
+            showTagCloud();
             
-            // Update active tab
-            document.querySelectorAll('.tab-btn').forEach(tab => {
-                tab.classList.remove(ACTIVE_CLASS);
+            // Notify other modules that the user switched tabs
+            emit(EVENTS.TAB_SELECTED, {
+                tab: 'topics'
             });
-            tagCloudTab.classList.add(ACTIVE_CLASS);
         });
     }
+    
+    // Mark the filtered tags as active however the filters were changed
+    appStore.select(state => state.filters, (filters) => {
+        markActiveTags(filters.tags);
+    });
+    
+    // Recount the topics when the schedule changes
+    on(EVENTS.CONFERENCE_DATA_UPDATED, () => {
+        renderTagCloud(conferenceData);
+        markActiveTags(appStore.getState().filters.tags);
+    });
+};
+
+/**
+ * Shows the tag cloud tab
+ */
+export const showTagCloud = () => {
+    appStore.setState({ view: VIEWS.TOPICS });
 };
 
 /**
@@ -56,7 +74,7 @@ const renderTagCloud = (conferenceData) => {
     
     // Create heading
     const heading = document.createElement('h2');
-    heading.textContent = 'Session Topics';
+    heading.textContent = t('topics.heading');
     tagCloudContainerElement.appendChild(heading);
     
     // Create tag cloud container
@@ -88,24 +106,19 @@ const renderTagCloud = (conferenceData) => {
  * @returns {HTMLElement} The tag element
  */
 const createTagElement = (tag, count, minCount, maxCount) => {
-    const tagElement = document.createElement('span');
+    const countLabel = t('topics.sessionCount', { count });
+    const tagElement = document.createElement('button');
+    tagElement.type = 'button';
     tagElement.classList.add('tag-cloud-item');
     tagElement.textContent = tag;
+    tagElement.setAttribute('aria-pressed', 'false');
     
-    // Add count as a tooltip
-    tagElement.setAttribute('title', `${count} session${count !== 1 ? 's' : ''}`);
-    
-    // Calculate font size based on count
-    // Using linear interpolation between MIN_FONT_SIZE and MAX_FONT_SIZE
-    let fontSize = MIN_FONT_SIZE;
-    if (maxCount !== minCount) {
-        fontSize = MIN_FONT_SIZE + 
-            ((count - minCount) / (maxCount - minCount)) * 
-            (MAX_FONT_SIZE - MIN_FONT_SIZE);
-    }
+    // Add count as a tooltip, and read it out since the font size only shows it visually
+    tagElement.setAttribute('title', countLabel);
+    tagElement.setAttribute('aria-label', t('topics.tagLabel', { tag, countLabel }));
     
-    // Set the font size
-    tagElement.style.fontSize = `${fontSize}em`;
+    // Set the font size based on count
+    tagElement.style.fontSize = `${getTagFontSize(count, minCount, maxCount)}em`;
     
     // Add click handler to show sessions with this tag
     tagElement.addEventListener('click', () => {
@@ -115,12 +128,30 @@ const createTagElement = (tag, count, minCount, maxCount) => {
     return tagElement;
 };
 
+/**
+ * Calculates the font size of a tag in the cloud
+ * Using linear interpolation between MIN_FONT_SIZE and MAX_FONT_SIZE
+ * @param {Number} count - The number of sessions with the tag
+ * @param {Number} minCount - The smallest count in the tag set
+ * @param {Number} maxCount - The largest count in the tag set
+ * @returns {Number} The font size in em
+ */
+export const getTagFontSize = (count, minCount, maxCount) => {
+    if (maxCount === minCount) {
+        return MIN_FONT_SIZE;
+    }
+    
+    return MIN_FONT_SIZE +
+        ((count - minCount) / (maxCount - minCount)) *
+        (MAX_FONT_SIZE - MIN_FONT_SIZE);
+};
+
 /**
  * Counts the occurrences of each tag across all sessions
  * @param {Object} conferenceData - The complete conference data object
  * @returns {Object} An object with tags as keys and counts as values
  */
-const getTagCounts = (conferenceData) => {
+export const getTagCounts = (conferenceData) => {
     const tagCounts = {};
     const allSessions = getAllSessions(conferenceData);
     
@@ -145,30 +176,20 @@ const getTagCounts = (conferenceData) => {
  */
 const showSessionsByTag = (tag) => {
     // Dispatch custom event to filter sessions by tag
-    const event = new CustomEvent('filter-by-tag', {
-        detail: {
-            tag: tag
-        }
-    });
-    document.dispatchEvent(event);
-    
-    // Add active class to the clicked tag
-    const tagElements = document.querySelectorAll('.tag-cloud-item');
-    tagElements.forEach(el => {
-        if (el.textContent === tag) {
-            el.classList.add('active');
-        } else {
-            el.classList.remove('active');
-        }
+    emit(EVENTS.FILTER_BY_TAG, {
+        tag: tag
     });
 };
 
 /**
- * Resets any active tag filters
+ * Marks the tags the schedule is filtered by as active in the tag cloud
+ * @param {Array} tags - The tags to mark as active
  */
-export const resetTagFilter = () => {
+const markActiveTags = (tags) => {
     const tagElements = document.querySelectorAll('.tag-cloud-item');
     tagElements.forEach(el => {
-        el.classList.remove('active');
+        const isActive = tags.includes(el.textContent);
+        el.classList.toggle(ACTIVE_CLASS, isActive);
+        el.setAttribute('aria-pressed', String(isActive));
     });
 };
@@ -0,0 +1,220 @@
+/**
+ * Time Zone Service Module
+ * Places the session times of the conference in the venue's time zone,
+ * and shows them in the venue time or in the viewer's own time
+ */
+import { parseDayDate, toLocalDateTime, toZonedDateTime, getZonedDateParts, isValidTimeZone } from './dateTimeUtils.js';
+import { formatDateTime, formatDateTimeRange, formatTime, t } from './i18nService.js';
+import { readStoredValue, rememberValue } from './storageService.js';
+import { EVENTS, emit } from './eventBus.js';
+
+// DOM element references
+let timeZoneSwitcherElement;
+
+// Constants
+const TIME_ZONE_VENUE = 'venue';
+const TIME_ZONE_LOCAL = 'local';
+const TIME_ZONE_KEY = 'time-zone';
+const ACTIVE_CLASS = 'active';
+
+// State variables
+let venueTimeZone = null; // IANA time zone of the venue, null when the data doesn't say
+let timeZoneMode = TIME_ZONE_VENUE;
+
+/**
+ * Gets the time zone the browser runs in
+ * @returns {String} The viewer's IANA time zone
+ */
+const getViewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Reads the venue's time zone from the conference data and the viewer's choice of times
+ * @param {Object} conferenceData - The complete conference data object
+ * @param {ParentNode} root - The document or element holding the time zone switcher, the page by default
+ */
+export const setupTimeZone = (conferenceData, root = document) => {
+    timeZoneSwitcherElement = root.querySelector('#time-zone-switcher');
+    venueTimeZone = isValidTimeZone(conferenceData.timezone) ? conferenceData.timezone : null;
+    timeZoneMode = readStoredValue(TIME_ZONE_KEY, TIME_ZONE_VENUE) === TIME_ZONE_LOCAL ? TIME_ZONE_LOCAL : TIME_ZONE_VENUE;
+    
+    setupTimeZoneSwitcher();
+};
+
+/**
+ * Gets the time zone the conference data is written in
+ * @returns {String|null} The venue's IANA time zone, or null if times are read as the viewer's local time
+ */
+export const getVenueTimeZone = () => venueTimeZone;
+
+/**
+ * Gets the time zone times are shown in
+ * @returns {String|undefined} An IANA time zone, or undefined for the viewer's own time zone
+ */
+export const getDisplayTimeZone = () => {
+    return venueTimeZone && timeZoneMode === TIME_ZONE_VENUE ? venueTimeZone : undefined;
+};
+
+/**
+ * Combines a day date and a session time into the moment they describe
+ * Without a venue time zone, the date and time are read as the viewer's local time.
+ * @param {String} dateText - The day date, e.g. "July 15, 2025"
+ * @param {String} timeText - The session time, e.g. "9:00"
+ * @returns {Date|null} The moment, or null if date or time is malformed
+ */
+export const toConferenceDateTime = (dateText, timeText) => {
+    return venueTimeZone ? toZonedDateTime(dateText, timeText, venueTimeZone) : toLocalDateTime(dateText, timeText);
+};
+
+/**
+ * Gets the calendar date of a moment at the venue
+ * @param {Date} date - The moment
+ * @returns {Object} Object with year, month (1-12) and day
+ */
+export const getConferenceDateParts = (date) => {
+    const { year, month, day } = getZonedDateParts(date, venueTimeZone || undefined);
+    return { year, month, day };
+};
+
+/**
+ * Formats the time of a session in the time zone the viewer picked
+ * A time that falls on another day than the conference day is marked with its weekday, e.g. "3:00 AM (Wed)".
+ * @param {String} dateText - The day date of the session
+ * @param {String} timeText - The session time as written in the conference data
+ * @param {Object} options - Format options
+ * @param {Boolean} options.withTimeZone - Add the time zone, e.g. "9:00 CEST"
+ * @returns {String} The formatted time
+ */
+export const formatSessionTime = (dateText, timeText, { withTimeZone = false } = {}) => {
+    const dateTime = toConferenceDateTime(dateText, timeText);
+    if (!dateTime) {
+        return formatTime(timeText);
+    }
+    
+    const timeLabel = formatDateTime(dateTime, getTimeFormatOptions(withTimeZone));
+    return markOtherDay(timeLabel, dateText, dateTime);
+};
+
+/**
+ * Formats the start and end time of a session in the time zone the viewer picked, e.g. "9:00 – 10:15 AM"
+ * @param {String} dateText - The day date of the session
+ * @param {String} startTimeText - The start time as written in the conference data
+ * @param {String} endTimeText - The end time as written in the conference data
+ * @param {Object} options - Format options
+ * @param {Boolean} options.withTimeZone - Add the time zone, e.g. "9:00 – 10:15 CEST"
+ * @returns {String} The formatted time range
+ */
+export const formatSessionTimeRange = (dateText, startTimeText, endTimeText, { withTimeZone = false } = {}) => {
+    const startDateTime = toConferenceDateTime(dateText, startTimeText);
+    const endDateTime = toConferenceDateTime(dateText, endTimeText);
+    if (!startDateTime || !endDateTime) {
+        return endTimeText ? `${formatTime(startTimeText)} – ${formatTime(endTimeText)}` : formatTime(startTimeText);
+    }
+    
+    const rangeLabel = formatDateTimeRange(startDateTime, endDateTime, getTimeFormatOptions(withTimeZone));
+    return markOtherDay(rangeLabel, dateText, startDateTime);
+};
+
+/**
+ * Gets the Intl.DateTimeFormat options for session times
+ * @param {Boolean} withTimeZone - Add the time zone name
+ * @returns {Object} The format options
+ */
+const getTimeFormatOptions = (withTimeZone) => ({
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: getDisplayTimeZone(),
+    timeZoneName: withTimeZone && venueTimeZone ? 'short' : undefined
+});
+
+/**
+ * Marks a formatted time with its weekday when it falls on another day than the conference day
+ * @param {String} timeLabel - The formatted time
+ * @param {String} dateText - The day date of the session
+ * @param {Date} dateTime - The moment the time describes
+ * @returns {String} The time, e.g. "3:00 AM (Wed)" when shown a day later
+ */
+const markOtherDay = (timeLabel, dateText, dateTime) => {
+    const timeZone = getDisplayTimeZone();
+    const conferenceDate = parseDayDate(dateText);
+    const shownDate = getZonedDateParts(dateTime, timeZone);
+    if (shownDate.year === conferenceDate.year && shownDate.month === conferenceDate.month && shownDate.day === conferenceDate.day) {
+        return timeLabel;
+    }
+    
+    return t('timeZone.otherDay', {
+        time: timeLabel,
+        weekday: formatDateTime(dateTime, { weekday: 'short', timeZone })
+    });
+};
+
+/**
+ * Gets a short name for a time zone, e.g. "New York" for America/New_York
+ * @param {String} timeZone - An IANA time zone
+ * @returns {String} The name of the zone's main city
+ */
+const getTimeZoneCity = (timeZone) => timeZone.split('/').pop().replace(/_/g, ' ');
+
+/**
+ * Sets up the switch between venue and local times in the header
+ * It is only shown when the venue is in another time zone than the viewer.
+ */
+const setupTimeZoneSwitcher = () => {
+    if (!timeZoneSwitcherElement) {
+        return;
+    }
+    
+    const viewerTimeZone = getViewerTimeZone();
+    timeZoneSwitcherElement.hidden = !venueTimeZone || venueTimeZone === viewerTimeZone;
+    if (timeZoneSwitcherElement.hidden) {
+        return;
+    }
+    
+    const zoneNames = {
+        [TIME_ZONE_VENUE]: venueTimeZone,
+        [TIME_ZONE_LOCAL]: viewerTimeZone
+    };
+    
+    timeZoneSwitcherElement.querySelectorAll('.time-zone-btn').forEach(modeButton => {
+        const mode = modeButton.getAttribute('data-time-zone');
+        modeButton.querySelector('.time-zone-city').textContent = getTimeZoneCity(zoneNames[mode]);
+        modeButton.title = zoneNames[mode];
+        modeButton.addEventListener('click', () => {
+            setTimeZoneMode(mode);
+        });
+    });
+    
+    updateTimeZoneButtons();
+};
+
+/**
+ * Switches between venue and local times and remembers the choice
+ * @param {String} mode - "venue" or "local"
+ */
+const setTimeZoneMode = (mode) => {
+    if (mode === timeZoneMode) {
+        return;
+    }
+    
+    timeZoneMode = mode === TIME_ZONE_LOCAL ? TIME_ZONE_LOCAL : TIME_ZONE_VENUE;
+    
+    rememberValue(TIME_ZONE_KEY, timeZoneMode, t('timeZone.storagePurpose'));
+    
+    updateTimeZoneButtons();
+    
+    // Notify other modules, so they show their times again
+    emit(EVENTS.TIME_ZONE_CHANGED, {
+        mode: timeZoneMode,
+        timeZone: getDisplayTimeZone()
+    });
+};
+
+/**
+ * Marks the button of the active time zone as pressed
+ */
+const updateTimeZoneButtons = () => {
+    timeZoneSwitcherElement.querySelectorAll('.time-zone-btn').forEach(modeButton => {
+        const isActive = modeButton.getAttribute('data-time-zone') === timeZoneMode;
+        modeButton.classList.toggle(ACTIVE_CLASS, isActive);
+        modeButton.setAttribute('aria-pressed', String(isActive));
+    });
+};
@@ -0,0 +1,100 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom({
+    storage: {
+        'conference-app:storage-consent': 'granted',
+        'conference-app:starred-sessions': JSON.stringify(['d1s1', 'removed-session'])
+    }
+});
+const { prepareConferenceData, getAllSessions } = await import('../src/js/modules/dataService.js');
+const { setupNotifications } = await import('../src/js/modules/notificationService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const {
+    setupMySchedule, isSessionStarred, isSessionStarrable, isSessionInConflict, toggleStarredSession, findAgendaConflicts
+} = await import('../src/js/modules/agendaService.js');
+
+/**
+ * Clicks the star of a session card in the schedule
+ * @param {String} sessionId - The ID of the session
+ */
+const clickScheduleStar = (sessionId) => {
+    document.querySelector(`#schedule-days .session[data-session-id="${sessionId}"] .star-btn`).click();
+};
+
+/**
+ * Lists the sessions shown in My Schedule
+ * @returns {Array} IDs of the sessions
+ */
+const getMyScheduleSessionIds = () => {
+    return [...document.querySelectorAll('#my-schedule-container .session')].map(element => element.getAttribute('data-session-id'));
+};
+
+describe('agendaService', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupNotifications();
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        setupMySchedule(conferenceData, document.getElementById('my-schedule-container'));
+    });
+    
+    test('restores the stored picks and forgets sessions that are no longer in the data', () => {
+        assert.ok(isSessionStarred('d1s1'));
+        assert.ok(!isSessionStarred('removed-session'));
+        assert.deepEqual(getMyScheduleSessionIds(), ['d1s1']);
+        assert.equal(document.getElementById('my-schedule-tab').textContent, 'My Schedule (1)');
+    });
+    
+    test('starring a session on its card stores it and adds it to My Schedule', () => {
+        clickScheduleStar('d1s2');
+        
+        const starButton = document.querySelector('#schedule-days .session[data-session-id="d1s2"] .star-btn');
+        assert.equal(starButton.getAttribute('aria-pressed'), 'true');
+        assert.deepEqual(JSON.parse(localStorage.getItem('conference-app:starred-sessions')), ['d1s1', 'd1s2']);
+        assert.deepEqual(getMyScheduleSessionIds(), ['d1s1', 'd1s2']);
+        assert.equal(document.getElementById('my-schedule-tab').textContent, 'My Schedule (2)');
+    });
+    
+    test('warns when a new pick takes place at the same time as another one', () => {
+        clickScheduleStar('d1s3');
+        
+        const toastElement = document.querySelector('#toast-container .toast-warning');
+        assert.match(toastElement.textContent, /"Scaling Microservices" and "Design Systems That Last"/);
+        assert.ok(isSessionInConflict('d1s2') && isSessionInConflict('d1s3'));
+        assert.ok(!isSessionInConflict('d1s1'));
+        assert.ok(document.querySelector('#schedule-days .session[data-session-id="d1s3"]').classList.contains('session-conflict'));
+        assert.equal(document.querySelectorAll('.agenda-conflict-warning li').length, 1);
+    });
+    
+    test('removing a pick resolves its conflict', () => {
+        toggleStarredSession('d1s3');
+        
+        assert.ok(!isSessionStarred('d1s3'));
+        assert.ok(!isSessionInConflict('d1s2'));
+        assert.equal(document.querySelector('.agenda-conflict-warning'), null);
+        assert.deepEqual(getMyScheduleSessionIds(), ['d1s1', 'd1s2']);
+    });
+    
+    test('breaks cannot be starred', () => {
+        const [coffeeBreak] = getAllSessions(conferenceData).filter(session => session.type === 'break');
+        
+        assert.ok(!isSessionStarrable(coffeeBreak));
+        assert.equal(document.querySelector(`.session[data-session-id="${coffeeBreak.id}"] .star-btn`), null);
+    });
+    
+    test('findAgendaConflicts only reports sessions on the same day', () => {
+        const sessions = getAllSessions(conferenceData).filter(session => ['d1s2', 'd1s3', 'd2s1'].includes(session.id));
+        
+        const conflicts = findAgendaConflicts(sessions);
+        
+        assert.equal(conflicts.length, 1);
+        assert.equal(conflicts[0].dayId, 'day1');
+        assert.deepEqual(conflicts[0].sessions.map(session => session.id), ['d1s2', 'd1s3']);
+    });
+});
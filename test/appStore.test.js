@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, appStore, VIEWS } from '../src/js/modules/appStore.js';
+
+describe('createStore', () => {
+    test('setState replaces the state and calls every subscriber', () => {
+        const store = createStore({ view: 'schedule', dayId: null });
+        const previousState = store.getState();
+        const calls = [];
+        store.subscribe(state => calls.push(state));
+        
+        store.setState({ dayId: 'day2' });
+        
+        assert.deepEqual(store.getState(), { view: 'schedule', dayId: 'day2' });
+        assert.notEqual(store.getState(), previousState);
+        assert.deepEqual(previousState, { view: 'schedule', dayId: null });
+        assert.deepEqual(calls, [store.getState()]);
+    });
+    
+    test('the state is frozen', () => {
+        const store = createStore({ dayId: null });
+        
+        assert.throws(() => {
+            store.getState().dayId = 'day1';
+        }, TypeError);
+    });
+    
+    test('setState does nothing when no value changes', () => {
+        const store = createStore({ dayId: 'day1' });
+        const state = store.getState();
+        let callCount = 0;
+        store.subscribe(() => callCount++);
+        
+        store.setState({ dayId: 'day1' });
+        
+        assert.equal(callCount, 0);
+        assert.equal(store.getState(), state);
+    });
+    
+    test('setState rejects keys that are not part of the state', () => {
+        const store = createStore({ dayId: null });
+        
+        assert.throws(() => store.setState({ day: 'day1' }), /Unknown state key\(s\): day/);
+    });
+    
+    test('select only calls back when the selected part changes', () => {
+        const store = createStore({ view: 'schedule', dayId: null });
+        const calls = [];
+        store.select(state => state.dayId, (value, previousValue) => calls.push([value, previousValue]));
+        
+        store.setState({ view: 'topics' });
+        store.setState({ dayId: 'day1' });
+        store.setState({ dayId: 'day2', view: 'schedule' });
+        
+        assert.deepEqual(calls, [['day1', null], ['day2', 'day1']]);
+    });
+    
+    test('changes made by a listener reach the other listeners once, with the latest value', () => {
+        const store = createStore({ view: 'schedule', dayId: null });
+        const dayCalls = [];
+        store.select(state => state.view, (view) => {
+            if (view === 'topics') {
+                store.setState({ dayId: 'day1' });
+            }
+        });
+        store.select(state => state.dayId, (dayId) => dayCalls.push(dayId));
+        
+        store.setState({ view: 'topics' });
+        
+        assert.deepEqual(dayCalls, ['day1']);
+    });
+    
+    test('the returned function unsubscribes', () => {
+        const store = createStore({ dayId: null });
+        let callCount = 0;
+        const unsubscribe = store.select(state => state.dayId, () => callCount++);
+        
+        unsubscribe();
+        store.setState({ dayId: 'day1' });
+        
+        assert.equal(callCount, 0);
+    });
+});
+
+describe('appStore', () => {
+    test('starts on the schedule with no filters, session or query', () => {
+        const { view, dayId, filters, selectedSessionId, query } = appStore.getState();
+        
+        assert.equal(view, VIEWS.SCHEDULE);
+        assert.equal(dayId, null);
+        assert.deepEqual(filters.tags, []);
+        assert.equal(selectedSessionId, null);
+        assert.equal(query, '');
+    });
+});
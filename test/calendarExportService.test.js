@@ -0,0 +1,94 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData, getSessionById } = await import('../src/js/modules/dataService.js');
+const { createCalendar, exportDayToCalendar, createCalendarButton } = await import('../src/js/modules/calendarExportService.js');
+const { setupTimeZone } = await import('../src/js/modules/timeZoneService.js');
+
+/**
+ * Joins folded lines and splits a calendar into its content lines
+ * @param {String} calendarText - The iCalendar document
+ * @returns {Array} The unfolded content lines
+ */
+const getContentLines = (calendarText) => calendarText.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('calendarExportService', () => {
+    let conferenceData;
+    const downloadedFileNames = [];
+    
+    /**
+     * Records downloads instead of letting jsdom navigate to them
+     * @param {Event} event - A click anywhere on the page
+     */
+    const recordDownload = (event) => {
+        if (event.target.download) {
+            downloadedFileNames.push(event.target.download);
+            event.preventDefault();
+        }
+    };
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        document.addEventListener('click', recordDownload);
+    });
+    
+    after(() => {
+        document.removeEventListener('click', recordDownload);
+    });
+    
+    test('writes floating times without a venue time zone, ending at the next time slot when a session has no end', () => {
+        const calendarText = createCalendar([getSessionById(conferenceData, 'd1s1')], conferenceData);
+        const contentLines = getContentLines(calendarText);
+        
+        assert.ok(calendarText.endsWith('END:VCALENDAR\r\n'));
+        assert.equal(contentLines[0], 'BEGIN:VCALENDAR');
+        assert.ok(contentLines.includes('X-WR-CALNAME:Test Conference 2025'));
+        assert.ok(contentLines.includes('UID:d1s1@test-conference-2025'));
+        assert.ok(contentLines.includes('DTSTART:20250715T090000'));
+        assert.ok(contentLines.includes('DTEND:20250715T101500'));
+        assert.ok(contentLines.includes('SUMMARY:Opening Keynote: The Future of AI'));
+        assert.ok(contentLines.includes('DESCRIPTION:Ada Lovelace (Analyst\\, Analytical Engines)\\n\\nWhere machine learning goes next.'));
+        assert.ok(contentLines.includes('CATEGORIES:AI,Future Tech'));
+    });
+    
+    test('escapes text values and adds the speaker to the description', () => {
+        const contentLines = getContentLines(createCalendar([getSessionById(conferenceData, 'd1s2')], conferenceData));
+        
+        assert.ok(contentLines.includes('LOCATION:Room A'));
+        assert.ok(contentLines.includes('DESCRIPTION:Grace Hopper (Rear Admiral\\, Navy Systems)\\n\\nService boundaries and observability in practice.'));
+    });
+    
+    test('folds lines longer than 75 octets without splitting characters', () => {
+        const session = { ...getSessionById(conferenceData, 'd1s3'), title: 'Ontwerp voor één scherm, '.repeat(6) };
+        const calendarText = createCalendar([session], conferenceData);
+        
+        calendarText.split('\r\n').forEach(line => {
+            assert.ok(new TextEncoder().encode(line).length <= 75, line);
+        });
+        assert.ok(getContentLines(calendarText).includes(`SUMMARY:${'Ontwerp voor één scherm\\, '.repeat(6)}`));
+    });
+    
+    test('writes UTC times once the venue time zone is known', () => {
+        setupTimeZone(conferenceData);
+        
+        const contentLines = getContentLines(createCalendar([getSessionById(conferenceData, 'd1s4')], conferenceData));
+        
+        assert.ok(contentLines.includes('DTSTART:20250715T091500Z'));
+        assert.ok(contentLines.includes('DTEND:20250715T094500Z'));
+    });
+    
+    test('calendar buttons download a day under the conference and day name', () => {
+        let sessionCardClicks = 0;
+        const sessionCardElement = document.createElement('div');
+        sessionCardElement.addEventListener('click', () => sessionCardClicks++);
+        const calendarButton = createCalendarButton('Download day', () => exportDayToCalendar('day2', conferenceData));
+        sessionCardElement.appendChild(calendarButton);
+        
+        calendarButton.click();
+        
+        assert.deepEqual(downloadedFileNames, ['test-conference-2025-day-2.ics']);
+        assert.equal(sessionCardClicks, 0);
+    });
+});
@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom({ url: 'http://localhost:8080/?now=2025-07-15T10:30' });
+const { getCurrentTime, isClockSimulated, setSimulatedTime } = await import('../src/js/modules/clockService.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+const ONE_MINUTE = 60 * 1000;
+
+describe('clockService', () => {
+    test('starts at the moment in the now parameter and keeps ticking', () => {
+        const elapsed = getCurrentTime() - new Date('2025-07-15T10:30');
+        
+        assert.ok(isClockSimulated());
+        assert.ok(elapsed >= 0 && elapsed < ONE_MINUTE, `${elapsed} ms`);
+    });
+    
+    test('setSimulatedTime moves the clock and tells the live views', () => {
+        const clockChanges = [];
+        on(EVENTS.CLOCK_CHANGED, detail => clockChanges.push(detail.now));
+        
+        setSimulatedTime(new Date('2025-07-16T09:00'));
+        
+        assert.ok(getCurrentTime() - new Date('2025-07-16T09:00') < ONE_MINUTE);
+        assert.equal(clockChanges.length, 1);
+        assert.equal(clockChanges[0].toISOString().slice(0, 16), '2025-07-16T09:00');
+    });
+    
+    test('setSimulatedTime with null goes back to the real clock', () => {
+        setSimulatedTime(null);
+        
+        assert.ok(!isClockSimulated());
+        assert.ok(Math.abs(getCurrentTime() - Date.now()) < ONE_MINUTE);
+    });
+});
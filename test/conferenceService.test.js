@@ -0,0 +1,114 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom({ storage: { 'conference-app:storage-consent': 'granted', 'conference-app:starred-sessions': '["d1s1"]' } });
+const { getDataPath } = await import('../src/js/modules/dataService.js');
+const { loadActiveConference, getActiveConference, setupConferenceSwitcher } = await import('../src/js/modules/conferenceService.js');
+const { readStoredValue } = await import('../src/js/modules/storageService.js');
+const { setupNotifications } = await import('../src/js/modules/notificationService.js');
+
+const CONFERENCE_INDEX = {
+    defaultConference: 'tech-summit-2025',
+    conferences: [
+        { id: 'design-days-2025', name: 'Design Days 2025', dates: 'October 7, 2025', dataFile: 'design-days-2025.json' },
+        { id: 'tech-summit-2025', name: 'Tech Innovation Summit 2025', dataFile: 'conference-data.json' },
+        { id: 'escape', name: 'Escape', dataFile: '../secrets.json' }
+    ]
+};
+
+describe('conferenceService', () => {
+    let conferenceIndexResponse;
+    
+    /**
+     * Opens the app with a query string and loads the conference it names
+     * @param {String} search - The query string, e.g. "?conf=design-days-2025"
+     * @returns {Promise<Object>} The active conference
+     */
+    const openWithQuery = (search) => {
+        window.history.replaceState(null, '', `/${search}`);
+        return loadActiveConference();
+    };
+    
+    before(() => {
+        globalThis.fetch = async () => conferenceIndexResponse();
+        setupNotifications();
+    });
+    
+    beforeEach(() => {
+        conferenceIndexResponse = () => new Response(JSON.stringify(CONFERENCE_INDEX), { headers: { 'Content-Type': 'application/json' } });
+    });
+    
+    after(() => {
+        delete globalThis.fetch;
+    });
+    
+    test('shows the single data file when there is no conference index', async () => {
+        conferenceIndexResponse = () => new Response('Not found', { status: 404 });
+        
+        const conference = await openWithQuery('');
+        
+        assert.equal(conference.id, 'default');
+        assert.equal(getDataPath(), '/src/data/conference-data.json');
+    });
+    
+    test('shows the default conference of the index and leaves out malformed entries', async () => {
+        const originalWarn = console.warn;
+        const warnings = [];
+        console.warn = (...args) => warnings.push(args);
+        const conference = await openWithQuery('');
+        console.warn = originalWarn;
+        
+        assert.equal(conference.id, 'tech-summit-2025');
+        assert.equal(getActiveConference(), conference);
+        assert.equal(getDataPath(), '/src/data/conference-data.json');
+        assert.deepEqual(warnings.map(([, entry]) => entry.id), ['escape']);
+    });
+    
+    test('keeps the bookmarks of the default conference, stored before there were several', () => {
+        assert.deepEqual(readStoredValue('starred-sessions', [], { scoped: true }), ['d1s1']);
+    });
+    
+    test('shows the conference named in the link, with bookmarks of its own', async () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const conference = await openWithQuery('?conf=design-days-2025');
+        console.warn = originalWarn;
+        
+        assert.equal(conference.name, 'Design Days 2025');
+        assert.equal(getDataPath(), '/src/data/design-days-2025.json');
+        assert.deepEqual(readStoredValue('starred-sessions', [], { scoped: true }), []);
+    });
+    
+    test('lists every conference in the switcher, with its dates', () => {
+        setupConferenceSwitcher();
+        
+        const options = [...document.querySelectorAll('#conference-select option')];
+        assert.ok(!document.getElementById('conference-switcher').hidden);
+        assert.deepEqual(options.map(option => [option.value, option.textContent, option.selected]), [
+            ['design-days-2025', 'Design Days 2025 (October 7, 2025)', true],
+            ['tech-summit-2025', 'Tech Innovation Summit 2025', false]
+        ]);
+    });
+    
+    test('tells when the conference in the link does not exist', async () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const conference = await openWithQuery('?conf=unknown-2030');
+        console.warn = originalWarn;
+        
+        assert.equal(conference.id, 'tech-summit-2025');
+        assert.equal(document.querySelector('#toast-container .toast-warning').textContent,
+            'Conference "unknown-2030" was not found, showing Tech Innovation Summit 2025 instead.');
+    });
+    
+    test('shows the default conference when the index can not be loaded', async () => {
+        conferenceIndexResponse = () => new Response('Server error', { status: 500 });
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const conference = await openWithQuery('');
+        console.warn = originalWarn;
+        
+        assert.equal(conference.id, 'default');
+    });
+});
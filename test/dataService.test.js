@@ -0,0 +1,59 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData, getAllSessions, getSessionsByDay, getSessionById } = await import('../src/js/modules/dataService.js');
+const { ConferenceDataError } = await import('../src/js/modules/dataValidator.js');
+
+describe('dataService', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+    });
+    
+    test('getAllSessions lists the sessions of every day in schedule order, with their day', () => {
+        const sessions = getAllSessions(conferenceData);
+        
+        assert.deepEqual(sessions.map(session => session.id), ['d1s1', 'd1s2', 'd1s3', 'd1s4', 'd1s5', 'd2s1', 'd2s2']);
+        assert.deepEqual(
+            { dayId: sessions[5].dayId, dayName: sessions[5].dayName, date: sessions[5].date },
+            { dayId: 'day2', dayName: 'Day 2', date: 'July 16, 2025' }
+        );
+    });
+    
+    test('getAllSessions returns an empty list without data', () => {
+        assert.deepEqual(getAllSessions(null), []);
+        assert.deepEqual(getAllSessions({}), []);
+    });
+    
+    test('getSessionsByDay returns the sessions of one day, or none for an unknown day', () => {
+        assert.deepEqual(getSessionsByDay(conferenceData, 'day2').map(session => session.id), ['d2s1', 'd2s2']);
+        assert.deepEqual(getSessionsByDay(conferenceData, 'day9'), []);
+    });
+    
+    test('getSessionById finds a session with its day and computed end', () => {
+        const session = getSessionById(conferenceData, 'd1s2');
+        
+        assert.equal(session.title, 'Scaling Microservices');
+        assert.equal(session.dayId, 'day1');
+        assert.equal(session.endTime, '11:15');
+        assert.equal(session.duration, 60);
+    });
+    
+    test('getSessionById returns null for an unknown session', () => {
+        assert.equal(getSessionById(conferenceData, 'nope'), null);
+    });
+    
+    test('prepareConferenceData rejects invalid data with every issue listed', () => {
+        assert.throws(() => prepareConferenceData(loadFixture('invalid-conference-data.json')), (error) => {
+            assert.ok(error instanceof ConferenceDataError);
+            assert.deepEqual(error.issues.filter(issue => issue.severity === 'error').map(issue => issue.path), [
+                '$.days[0].sessions[1].id',
+                '$.days[0].sessions[1].time'
+            ]);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/dom.js';
+import { validateConferenceData, isSafeUrl } from '../src/js/modules/dataValidator.js';
+
+/**
+ * Validates a conference of one day with the given sessions
+ * @param {Array} sessions - The raw sessions
+ * @param {Object} fields - Other fields of the conference data, e.g. speakers
+ * @returns {Object} The validation result with data, errors and warnings
+ */
+const validateSessions = (sessions, fields = {}) => {
+    return validateConferenceData({
+        conferenceName: 'Test Conference',
+        days: [{ id: 'day1', name: 'Day 1', date: 'July 15, 2025', sessions }],
+        ...fields
+    });
+};
+
+/**
+ * Lists the paths and messages of issues
+ * @param {Array} issues - Errors or warnings
+ * @returns {Array} Strings like "$.days[0].id: Day ID is missing"
+ */
+const describeIssues = (issues) => issues.map(issue => `${issue.path}: ${issue.message}`);
+
+describe('dataValidator', () => {
+    test('accepts the fixture without issues', () => {
+        const { data, errors, warnings } = validateConferenceData(loadFixture('conference-data.json'));
+        
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, []);
+        assert.equal(data.days.length, 2);
+    });
+    
+    test('rejects data that is not an object or has no days', () => {
+        assert.deepEqual(describeIssues(validateConferenceData([]).errors), ['$: Conference data must be a JSON object']);
+        assert.deepEqual(describeIssues(validateConferenceData({ conferenceName: 'Empty', days: [] }).errors), ['$.days: Days must be a non-empty array']);
+    });
+    
+    test('normalizes times, sorts sessions and gives every session an end', () => {
+        const { data, errors } = validateSessions([
+            { id: 'b', time: '14:00', duration: 45, type: 'round1', title: ' Afternoon ' },
+            { id: 'a', time: '9:00', type: 'keynote', title: 'Morning' },
+            { id: 'c', time: '15:00', endTime: '16:30', type: 'round1', title: 'Late' }
+        ]);
+        const sessions = data.days[0].sessions;
+        
+        assert.deepEqual(errors, []);
+        assert.deepEqual(sessions.map(session => [session.id, session.time, session.endTime, session.duration]), [
+            ['a', '09:00', '14:00', 300],
+            ['b', '14:00', '14:45', 45],
+            ['c', '15:00', '16:30', 90]
+        ]);
+        assert.equal(sessions[1].title, 'Afternoon');
+    });
+    
+    test('reports ends that are not after the start, or disagree with the duration', () => {
+        const { data, warnings } = validateSessions([
+            { id: 'a', time: '10:00', endTime: '9:30', type: 'round1', title: 'Backwards' },
+            { id: 'b', time: '11:00', endTime: '12:00', duration: 30, type: 'round1', title: 'Two ends' }
+        ]);
+        
+        assert.deepEqual(describeIssues(warnings), [
+            '$.days[0].sessions[0].endTime: End time "9:30" is not after the start time "10:00"',
+            '$.days[0].sessions[1].duration: Duration of 30 minutes doesn\'t match the end time "12:00", the end time is used'
+        ]);
+        assert.equal(data.days[0].sessions[0].endTime, '11:00');
+        assert.equal(data.days[0].sessions[1].endTime, '12:00');
+    });
+    
+    test('removes empty and duplicate tags, keeping the first spelling', () => {
+        const { data, warnings } = validateSessions([
+            { id: 'a', time: '9:00', type: 'round1', title: 'Tags', tags: ['AI', ' ', 'ai', 'Cloud '] }
+        ]);
+        
+        assert.deepEqual(data.days[0].sessions[0].tags, ['AI', 'Cloud']);
+        assert.deepEqual(warnings.map(warning => warning.path), ['$.days[0].sessions[0].tags[1]', '$.days[0].sessions[0].tags[2]']);
+    });
+    
+    test('links sessions to speakers and drops unknown speaker IDs, unsafe photos and links', () => {
+        const { data, warnings } = validateSessions([
+            { id: 'a', time: '9:00', type: 'round1', title: 'Pair talk', speakerIds: ['ada', 'grace', 'nobody'] }
+        ], {
+            speakers: [
+                { id: 'ada', name: 'Ada Lovelace', company: 'Engines', photo: 'javascript:alert(1)' },
+                { id: 'grace', name: 'Grace Hopper', company: 'Engines', links: [{ label: 'Site', url: 'https://example.org' }, { label: 'Bad', url: 'data:text/html,x' }] }
+            ]
+        });
+        const [session] = data.days[0].sessions;
+        
+        assert.deepEqual(session.speakerIds, ['ada', 'grace']);
+        assert.equal(session.speaker, 'Ada Lovelace and Grace Hopper');
+        assert.equal(session.company, 'Engines');
+        assert.equal(data.speakers[0].photo, undefined);
+        assert.deepEqual(data.speakers[1].links, [{ label: 'Site', url: 'https://example.org' }]);
+        assert.deepEqual(warnings.map(warning => warning.path), [
+            '$.speakers[0].photo',
+            '$.speakers[1].links[1]',
+            '$.days[0].sessions[0].speakerIds[2]'
+        ]);
+    });
+    
+    test('keeps translations of translatable fields only', () => {
+        const { data, warnings } = validateSessions([
+            { id: 'a', time: '9:00', type: 'round1', title: 'Welcome', translations: { nl: { title: 'Welkom', room: 'Zaal' }, Dutch: { title: 'Welkom' } } }
+        ]);
+        
+        assert.deepEqual(data.days[0].sessions[0].translations, { nl: { title: 'Welkom' } });
+        assert.deepEqual(warnings.map(warning => warning.path), [
+            '$.days[0].sessions[0].translations.nl.room',
+            '$.days[0].sessions[0].translations.Dutch'
+        ]);
+    });
+    
+    test('warns about an unknown time zone and an unsafe feedback endpoint and leaves them out', () => {
+        const { data, warnings } = validateSessions([], { timezone: 'Mars/Olympus', feedbackEndpoint: 'javascript:void(0)' });
+        
+        assert.equal(data.timezone, undefined);
+        assert.equal(data.feedbackEndpoint, undefined);
+        assert.deepEqual(warnings.map(warning => warning.path), ['$.timezone', '$.feedbackEndpoint']);
+    });
+    
+    test('isSafeUrl allows web and relative URLs only', () => {
+        assert.ok(isSafeUrl('https://example.org/talk'));
+        assert.ok(isSafeUrl('./images/ada.jpg'));
+        assert.ok(isSafeUrl('images/ada.jpg'));
+        assert.ok(!isSafeUrl('javascript:alert(1)'));
+        assert.ok(!isSafeUrl('data:image/png;base64,AAAA'));
+        assert.ok(!isSafeUrl(''));
+    });
+});
@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseDayDate,
+    parseTimeOfDay,
+    timeToMinutes,
+    minutesToTime,
+    getSessionEndTime,
+    groupSessionsByTimeSlot,
+    toZonedDateTime
+} from '../src/js/modules/dateTimeUtils.js';
+
+describe('dateTimeUtils', () => {
+    test('parses day dates and times as written in the conference data', () => {
+        assert.deepEqual(parseDayDate('July 15, 2025'), { year: 2025, month: 7, day: 15 });
+        assert.equal(parseDayDate('15/07/2025'), null);
+        assert.deepEqual(parseTimeOfDay('9:05'), { hours: 9, minutes: 5 });
+        assert.equal(parseTimeOfDay('24:00'), null);
+    });
+    
+    test('converts between times and minutes since midnight', () => {
+        assert.equal(timeToMinutes('10:15'), 615);
+        assert.ok(Number.isNaN(timeToMinutes('soon')));
+        assert.equal(minutesToTime(615), '10:15');
+        assert.equal(minutesToTime(540), '9:00');
+    });
+    
+    test('sessions without an end run until the next time slot, the last one for an hour', () => {
+        const daySessions = [{ time: '9:00' }, { time: '10:15' }, { time: '10:15' }, { time: '11:15', endTime: '11:45' }];
+        
+        assert.equal(getSessionEndTime(daySessions[0], daySessions), '10:15');
+        assert.equal(getSessionEndTime(daySessions[3], daySessions), '11:45');
+        assert.equal(getSessionEndTime({ time: '16:00' }, daySessions), '17:00');
+    });
+    
+    test('groupSessionsByTimeSlot puts parallel and overlapping sessions in one slot', () => {
+        const sessions = [
+            { id: 'a', dayId: 'day1', time: '9:00' },
+            { id: 'b', dayId: 'day1', time: '10:00', endTime: '11:00' },
+            { id: 'c', dayId: 'day1', time: '10:00', endTime: '10:30' },
+            { id: 'd', dayId: 'day1', time: '10:30', endTime: '11:30' },
+            { id: 'e', dayId: 'day1', time: '11:30', endTime: '12:00' },
+            { id: 'f', dayId: 'day2', time: '11:30', endTime: '12:00' }
+        ];
+        
+        const timeSlots = groupSessionsByTimeSlot(sessions);
+        
+        assert.deepEqual(timeSlots.map(slot => ({
+            time: slot.time,
+            endTime: slot.endTime,
+            sessionIds: slot.sessions.map(session => session.id)
+        })), [
+            { time: '9:00', endTime: '10:00', sessionIds: ['a'] },
+            { time: '10:00', endTime: '11:30', sessionIds: ['b', 'c', 'd'] },
+            { time: '11:30', endTime: '12:00', sessionIds: ['e'] },
+            { time: '11:30', endTime: '12:00', sessionIds: ['f'] }
+        ]);
+    });
+    
+    test('groupSessionsByTimeSlot ends picked sessions at the next slot of their own day', () => {
+        const scheduleSessions = [
+            { id: 'a', dayId: 'day1', time: '9:00' },
+            { id: 'b', dayId: 'day1', time: '10:00' },
+            { id: 'c', dayId: 'day1', time: '11:00' },
+            { id: 'd', dayId: 'day2', time: '9:30' }
+        ];
+        const pickedSessions = [scheduleSessions[0], scheduleSessions[2], scheduleSessions[3]];
+        
+        const timeSlots = groupSessionsByTimeSlot(pickedSessions, scheduleSessions);
+        
+        assert.deepEqual(timeSlots.map(slot => [slot.time, slot.endTime]), [['9:00', '10:00'], ['11:00', '12:00'], ['9:30', '10:30']]);
+    });
+    
+    test('groupSessionsByTimeSlot returns no slots for no sessions', () => {
+        assert.deepEqual(groupSessionsByTimeSlot([]), []);
+    });
+    
+    test('toZonedDateTime places a session time in the venue time zone', () => {
+        assert.equal(toZonedDateTime('July 15, 2025', '9:00', 'Europe/Amsterdam').toISOString(), '2025-07-15T07:00:00.000Z');
+    });
+});
@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom();
+const { createElement } = await import('../src/js/modules/domUtils.js');
+
+describe('domUtils', () => {
+    test('creates an element with classes, attributes, text and children', () => {
+        const element = createElement('button', {
+            className: ['tag', 'tag-active'],
+            attributes: { type: 'button', 'data-tag': 'AI', 'aria-pressed': true, hidden: false, title: null }
+        }, [createElement('span', { text: 'AI' }), ' (3)', null]);
+        
+        assert.equal(element.outerHTML, '<button class="tag tag-active" type="button" data-tag="AI" aria-pressed=""><span>AI</span> (3)</button>');
+    });
+    
+    test('keeps text from the data as text', () => {
+        const element = createElement('div', { text: '<img src=x onerror=alert(1)>' }, ['<b>Room B</b>']);
+        
+        assert.equal(element.children.length, 0);
+        assert.equal(element.textContent, '<img src=x onerror=alert(1)><b>Room B</b>');
+    });
+    
+    test('refuses event handler attributes', () => {
+        assert.throws(() => createElement('img', { attributes: { onError: 'alert(1)' } }), /Event handler attribute "onError" is not allowed/);
+    });
+    
+    test('leaves out links and images to unsafe URLs', () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const linkElement = createElement('a', { attributes: { href: 'javascript:alert(1)' } });
+        const imageElement = createElement('img', { attributes: { src: 'data:image/svg+xml,<svg/>', alt: 'Ada' } });
+        console.warn = originalWarn;
+        
+        assert.ok(!linkElement.hasAttribute('href'));
+        assert.equal(imageElement.outerHTML, '<img alt="Ada">');
+        assert.equal(createElement('a', { attributes: { href: 'https://example.org/talk' } }).getAttribute('href'), 'https://example.org/talk');
+    });
+});
@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EVENTS, EVENT_CATALOG, emit, on } from '../src/js/modules/eventBus.js';
+
+describe('eventBus', () => {
+    test('every event is in the catalog', () => {
+        assert.deepEqual(Object.keys(EVENT_CATALOG).sort(), Object.values(EVENTS).sort());
+    });
+    
+    test('emit passes the detail to the listeners', () => {
+        const details = [];
+        const stopListening = on(EVENTS.AGENDA_CHANGED, detail => details.push(detail));
+        
+        emit(EVENTS.AGENDA_CHANGED, { sessionId: 'd1s1', starred: true });
+        stopListening();
+        emit(EVENTS.AGENDA_CHANGED, { sessionId: 'd1s1', starred: false });
+        
+        assert.deepEqual(details, [{ sessionId: 'd1s1', starred: true }]);
+    });
+    
+    test('optional fields may be left out', () => {
+        assert.doesNotThrow(() => emit(EVENTS.TAB_SELECTED, { tab: 'topics' }));
+        assert.doesNotThrow(() => emit(EVENTS.TAB_SELECTED, { tab: 'day', dayId: 'day1' }));
+    });
+    
+    test('emit rejects unknown events, missing fields, wrong types and unknown fields', () => {
+        assert.throws(() => emit('session-selected', { sessionId: 'd1s1' }), /Unknown event "session-selected"/);
+        assert.throws(() => emit(EVENTS.FILTER_BY_TAG, {}), /needs tag as string, got undefined/);
+        assert.throws(() => emit(EVENTS.CLOCK_CHANGED, { now: '2025-07-15' }), /needs now as date, got string/);
+        assert.throws(() => emit(EVENTS.CONFERENCE_DATA_UPDATED, { changes: [], data: {} }), /has no field data/);
+    });
+    
+    test('on rejects unknown events', () => {
+        assert.throws(() => on('filters-changed', () => {}), TypeError);
+    });
+});
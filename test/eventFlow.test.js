@@ -0,0 +1,113 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const { setupFilterPanel, addTagFilter, clearFilters, getActiveFilters } = await import('../src/js/modules/filterPanelService.js');
+const { setupTagCloud, showTagCloud } = await import('../src/js/modules/tagCloudService.js');
+const { setupSessionDetails } = await import('../src/js/modules/sessionDetailService.js');
+const { appStore, VIEWS } = await import('../src/js/modules/appStore.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+/**
+ * Lists the sessions shown in the schedule
+ * @returns {Array} IDs of the rendered sessions
+ */
+const getRenderedSessionIds = () => {
+    return [...document.querySelectorAll('#schedule-days .session')].map(element => element.getAttribute('data-session-id'));
+};
+
+// Modules talk through the event bus and the app store; these tests wire them up as app.js does
+describe('event flow', () => {
+    const recordedChanges = [];
+    
+    before(() => {
+        const conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        setupFilterPanel(conferenceData);
+        setupSessionDetails(conferenceData);
+        setupTagCloud(conferenceData, document.getElementById('tag-cloud-container'));
+        
+        // Record events and store changes before the listeners they set off, so they are listed in the order they happened
+        on(EVENTS.FILTER_BY_TAG, (detail) => {
+            recordedChanges.push({ type: EVENTS.FILTER_BY_TAG, detail });
+        });
+        ['filters', 'selectedSessionId', 'view'].forEach(key => {
+            appStore.select(state => state[key], (value) => {
+                recordedChanges.push({ type: key, value });
+            });
+        });
+        on(EVENTS.FILTER_BY_TAG, ({ tag }) => {
+            addTagFilter(tag);
+        });
+    });
+    
+    test('the full schedule of the first day is shown at first', () => {
+        assert.equal(getRenderedSessionIds().length, 7);
+        assert.equal(appStore.getState().dayId, 'day1');
+        assert.ok(document.querySelector('.day-schedule[data-day="day1"]').classList.contains('active'));
+        assert.equal(document.querySelector('.tab-btn[data-day="day1"]').getAttribute('aria-selected'), 'true');
+    });
+    
+    test('a tag cloud click filters the schedule by that tag', () => {
+        showTagCloud();
+        recordedChanges.length = 0;
+        
+        const cloudTagElement = [...document.querySelectorAll('.tag-cloud-item')].find(element => element.textContent === 'Design');
+        cloudTagElement.click();
+        
+        assert.deepEqual(recordedChanges.map(change => change.type), [EVENTS.FILTER_BY_TAG, 'filters', 'view']);
+        assert.deepEqual(recordedChanges[1].value.tags, ['Design']);
+        assert.equal(recordedChanges[2].value, VIEWS.SCHEDULE);
+        assert.deepEqual(getActiveFilters().tags, ['Design']);
+        assert.deepEqual(getRenderedSessionIds(), ['d1s3', 'd2s1']);
+        assert.equal(cloudTagElement.getAttribute('aria-pressed'), 'true');
+        assert.ok(document.getElementById('schedule-content').classList.contains('active'));
+        assert.ok(!document.getElementById('tag-cloud-container').classList.contains('active'));
+    });
+    
+    test('clearing the filters shows every session and deselects the tag', () => {
+        recordedChanges.length = 0;
+        
+        clearFilters();
+        
+        assert.deepEqual(recordedChanges.map(change => change.type), ['filters']);
+        assert.equal(getRenderedSessionIds().length, 7);
+        assert.equal(document.querySelectorAll('.tag-cloud-item.active').length, 0);
+    });
+    
+    test('a session card click selects the session and opens its details', () => {
+        recordedChanges.length = 0;
+        const originalLog = console.log;
+        console.log = () => {};
+        
+        document.querySelector('.session[data-session-id="d1s3"] .session-title').click();
+        console.log = originalLog;
+        
+        assert.deepEqual(recordedChanges, [{ type: 'selectedSessionId', value: 'd1s3' }]);
+        assert.ok(document.getElementById('session-modal').classList.contains('active'));
+        assert.equal(document.getElementById('session-detail-title').textContent, 'Design Systems That Last');
+    });
+    
+    test('closing the details clears the selected session', () => {
+        recordedChanges.length = 0;
+        
+        document.querySelector('.modal-close').click();
+        
+        assert.deepEqual(recordedChanges, [{ type: 'selectedSessionId', value: null }]);
+        assert.ok(!document.getElementById('session-modal').classList.contains('active'));
+    });
+    
+    test('a day tab click selects the day', () => {
+        document.querySelector('.tab-btn[data-day="day2"]').click();
+        
+        assert.equal(appStore.getState().dayId, 'day2');
+        assert.ok(document.querySelector('.day-schedule[data-day="day2"]').classList.contains('active'));
+        assert.ok(!document.querySelector('.day-schedule[data-day="day1"]').classList.contains('active'));
+    });
+});
@@ -0,0 +1,147 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveObjectURL } from 'node:buffer';
+import { createTestDom, loadFixture, wait } from './helpers/dom.js';
+
+createTestDom({
+    url: 'http://localhost:8080/?organizer',
+    storage: { 'conference-app:storage-consent': 'granted' }
+});
+const { prepareConferenceData, getAllSessions } = await import('../src/js/modules/dataService.js');
+const { setupNotifications } = await import('../src/js/modules/notificationService.js');
+const { setupFeedback, createFeedbackElement } = await import('../src/js/modules/feedbackService.js');
+
+const FEEDBACK_ENDPOINT = 'https://feedback.example.org/ratings';
+
+describe('feedbackService', () => {
+    const postedFeedback = [];
+    const downloads = [];
+    let isEndpointReachable = true;
+    let sessions;
+    
+    /**
+     * Rates a session in its feedback form and waits for the answer
+     * @param {Object} session - The session to rate
+     * @param {Number} rating - The number of stars, or 0 to send the form without a rating
+     * @param {String} comment - The comment
+     * @returns {Promise<HTMLElement>} The feedback section after sending
+     */
+    const rateSession = async (session, rating, comment = '') => {
+        const feedbackElement = createFeedbackElement(session);
+        document.body.appendChild(feedbackElement);
+        if (rating) {
+            feedbackElement.querySelector(`input[name="rating"][value="${rating}"]`).checked = true;
+        }
+        feedbackElement.querySelector('textarea').value = comment;
+        
+        feedbackElement.querySelector('.feedback-submit').click();
+        await wait();
+        feedbackElement.remove();
+        return feedbackElement;
+    };
+    
+    /**
+     * Records downloads instead of letting jsdom navigate to them
+     * @param {Event} event - A click anywhere on the page
+     */
+    const recordDownload = (event) => {
+        if (event.target.download) {
+            downloads.push({ fileName: event.target.download, blob: resolveObjectURL(event.target.href) });
+            event.preventDefault();
+        }
+    };
+    
+    before(() => {
+        globalThis.fetch = async (url, options = {}) => {
+            if (!isEndpointReachable) {
+                throw new TypeError('Failed to fetch');
+            }
+            if (options.method === 'POST') {
+                postedFeedback.push(JSON.parse(options.body));
+                return new Response(null, { status: 201 });
+            }
+            return Response.json(postedFeedback);
+        };
+        document.addEventListener('click', recordDownload);
+        
+        const conferenceData = prepareConferenceData({ ...loadFixture('conference-data.json'), feedbackEndpoint: FEEDBACK_ENDPOINT });
+        sessions = getAllSessions(conferenceData);
+        setupNotifications();
+        setupFeedback(conferenceData);
+    });
+    
+    after(() => {
+        document.removeEventListener('click', recordDownload);
+        delete globalThis.fetch;
+    });
+    
+    test('waits until a session has started before it can be rated', () => {
+        const futureSession = { ...sessions[0], date: 'July 15, 2099' };
+        
+        const feedbackElement = createFeedbackElement(futureSession);
+        
+        assert.equal(feedbackElement.querySelector('form'), null);
+        assert.equal(feedbackElement.querySelector('.feedback-message').textContent, 'You can rate this session once it has started, Day 1 at 9:00 AM.');
+    });
+    
+    test('asks for a rating before sending', async () => {
+        const feedbackElement = await rateSession(sessions[0], 0, 'Great');
+        
+        assert.equal(feedbackElement.querySelector('.feedback-status').textContent, 'Choose a rating from 1 to 5 stars.');
+        assert.deepEqual(postedFeedback, []);
+    });
+    
+    test('sends the rating and comment, and thanks the attendee once per session', async () => {
+        const feedbackElement = await rateSession(sessions[0], 4, '  Clear and inspiring.  ');
+        
+        assert.equal(feedbackElement.querySelector('.feedback-message').textContent, 'Thanks for your feedback! You rated this session 4 out of 5.');
+        assert.deepEqual(postedFeedback.map(({ sessionId, rating, comment }) => ({ sessionId, rating, comment })), [
+            { sessionId: 'd1s1', rating: 4, comment: 'Clear and inspiring.' }
+        ]);
+        assert.equal(createFeedbackElement(sessions[0]).querySelector('form'), null);
+        assert.equal(window.localStorage.getItem('conference-app:rated-sessions'), '{"d1s1":4}');
+    });
+    
+    test('keeps feedback while the endpoint is unreachable and sends it once back online', async () => {
+        isEndpointReachable = false;
+        const feedbackElement = await rateSession(sessions[1], 2, 'Too fast');
+        
+        assert.equal(feedbackElement.querySelector('.feedback-message').textContent, 'Thanks! You are offline, so your feedback will be sent when you are back online.');
+        assert.equal(JSON.parse(window.localStorage.getItem('conference-app:feedback-queue')).length, 1);
+        
+        isEndpointReachable = true;
+        window.dispatchEvent(new Event('online'));
+        await wait();
+        
+        assert.deepEqual(postedFeedback.map(entry => entry.sessionId), ['d1s1', 'd1s2']);
+        assert.equal(window.localStorage.getItem('conference-app:feedback-queue'), '[]');
+        assert.equal(document.querySelector('#toast-container .toast').textContent, 'Your feedback on 1 session has been sent.');
+    });
+    
+    test('lets organizers export the feedback as CSV, with formulas made plain text', async () => {
+        await rateSession(sessions[2], 5, '=HYPERLINK("https://example.org"), really');
+        
+        assert.ok(!document.getElementById('organizer-tools').hidden);
+        document.querySelector('.feedback-export-btn[data-format="csv"]').click();
+        await wait();
+        
+        const csvLines = (await downloads[0].blob.text()).split('\r\n');
+        assert.match(downloads[0].fileName, /^feedback-\d{4}-\d{2}-\d{2}\.csv$/);
+        assert.equal(csvLines[0], 'sessionId,title,day,time,rating,comment,submittedAt');
+        assert.match(csvLines[1], /^d1s1,Opening Keynote: The Future of AI,Day 1,09:00,4,Clear and inspiring\.,\d{4}-/);
+        assert.match(csvLines[3], /^d1s3,Design Systems That Last,Day 1,10:15,5,"'=HYPERLINK\(""https:\/\/example\.org""\), really",/);
+    });
+    
+    test('lets organizers export the feedback as JSON', async () => {
+        document.querySelector('.feedback-export-btn[data-format="json"]').click();
+        await wait();
+        
+        const rows = JSON.parse(await downloads[1].blob.text());
+        assert.match(downloads[1].fileName, /\.json$/);
+        assert.deepEqual(rows.map(row => [row.sessionId, row.title, row.rating]), [
+            ['d1s1', 'Opening Keynote: The Future of AI', 4],
+            ['d1s2', 'Scaling Microservices', 2],
+            ['d1s3', 'Design Systems That Last', 5]
+        ]);
+    });
+});
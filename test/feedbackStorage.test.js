@@ -0,0 +1,76 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom();
+const { createLocalFeedbackAdapter, createRestFeedbackAdapter, createFeedbackAdapter, FeedbackUnreachableError } = await import('../src/js/modules/feedbackStorage.js');
+
+const FEEDBACK_ENDPOINT = 'https://feedback.example.org/ratings';
+
+describe('feedbackStorage', () => {
+    const fetchRequests = [];
+    let respond = async () => new Response(null, { status: 201 });
+    
+    before(() => {
+        globalThis.fetch = async (url, options = {}) => {
+            fetchRequests.push({ url, options });
+            return respond();
+        };
+    });
+    
+    after(() => {
+        delete globalThis.fetch;
+    });
+    
+    test('the local adapter collects feedback in this browser', async () => {
+        const adapter = createLocalFeedbackAdapter();
+        
+        await adapter.submitFeedback({ sessionId: 'd1s1', rating: 5 });
+        await adapter.submitFeedback({ sessionId: 'd1s2', rating: 3 });
+        
+        assert.deepEqual(await adapter.getAllFeedback(), [{ sessionId: 'd1s1', rating: 5 }, { sessionId: 'd1s2', rating: 3 }]);
+        assert.deepEqual(fetchRequests, []);
+    });
+    
+    test('the REST adapter posts feedback as JSON and reads it back', async () => {
+        const adapter = createRestFeedbackAdapter(FEEDBACK_ENDPOINT);
+        
+        await adapter.submitFeedback({ sessionId: 'd1s1', rating: 4 });
+        respond = async () => Response.json([{ sessionId: 'd1s1', rating: 4 }]);
+        const feedback = await adapter.getAllFeedback();
+        
+        assert.deepEqual(fetchRequests.map(({ url, options }) => [url, options.method, options.body]), [
+            [FEEDBACK_ENDPOINT, 'POST', '{"sessionId":"d1s1","rating":4}'],
+            [FEEDBACK_ENDPOINT, undefined, undefined]
+        ]);
+        assert.equal(fetchRequests[0].options.headers['Content-Type'], 'application/json');
+        assert.deepEqual(feedback, [{ sessionId: 'd1s1', rating: 4 }]);
+    });
+    
+    test('the REST adapter tells an unreachable endpoint apart from a refusal', async () => {
+        const adapter = createRestFeedbackAdapter(FEEDBACK_ENDPOINT);
+        const networkError = new TypeError('Failed to fetch');
+        
+        respond = async () => {
+            throw networkError;
+        };
+        await assert.rejects(adapter.submitFeedback({ sessionId: 'd1s1', rating: 4 }), error => {
+            return error instanceof FeedbackUnreachableError && error.cause === networkError;
+        });
+        
+        respond = async () => new Response('Invalid rating', { status: 422, statusText: 'Unprocessable Entity' });
+        await assert.rejects(adapter.submitFeedback({ sessionId: 'd1s1', rating: 9 }), error => {
+            return !(error instanceof FeedbackUnreachableError) && error.message === 'Feedback endpoint answered 422 Unprocessable Entity';
+        });
+    });
+    
+    test('createFeedbackAdapter uses the endpoint in the conference data, if there is one', async () => {
+        const fetchCount = fetchRequests.length;
+        respond = async () => new Response(null, { status: 201 });
+        
+        await createFeedbackAdapter({ feedbackEndpoint: FEEDBACK_ENDPOINT }).submitFeedback({ sessionId: 'd2s1', rating: 5 });
+        await createFeedbackAdapter({}).submitFeedback({ sessionId: 'd2s1', rating: 2 });
+        
+        assert.equal(fetchRequests.length, fetchCount + 1);
+    });
+});
@@ -0,0 +1,32 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveObjectURL } from 'node:buffer';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom();
+const { downloadFile } = await import('../src/js/modules/fileDownload.js');
+
+describe('fileDownload', () => {
+    test('offers the content as a file under the given name, without leaving the link behind', async () => {
+        const downloads = [];
+        
+        /**
+         * Records the download instead of letting jsdom navigate to it
+         * @param {Event} event - A click anywhere on the page
+         */
+        const recordDownload = (event) => {
+            downloads.push({ fileName: event.target.download, blob: resolveObjectURL(event.target.href) });
+            event.preventDefault();
+        };
+        document.addEventListener('click', recordDownload);
+        
+        downloadFile('sessionId,rating\r\n', 'feedback.csv', 'text/csv;charset=utf-8');
+        document.removeEventListener('click', recordDownload);
+        
+        assert.equal(downloads.length, 1);
+        assert.equal(downloads[0].fileName, 'feedback.csv');
+        assert.equal(downloads[0].blob.type, 'text/csv;charset=utf-8');
+        assert.equal(await downloads[0].blob.text(), 'sessionId,rating\r\n');
+        assert.equal(document.querySelector('a[download]'), null);
+    });
+});
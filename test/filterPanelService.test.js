@@ -0,0 +1,122 @@
+import { test, describe, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const { setupFilterPanel, getActiveFilters, addTagFilter, clearFilters } = await import('../src/js/modules/filterPanelService.js');
+const { appStore } = await import('../src/js/modules/appStore.js');
+
+/**
+ * Finds the checkbox of a facet value in the filter panel
+ * @param {String} facetLabel - The legend of the facet, e.g. "Rooms"
+ * @param {String} value - The facet value
+ * @returns {HTMLInputElement} The checkbox
+ */
+const getFacetCheckbox = (facetLabel, value) => {
+    const fieldsetElement = [...document.querySelectorAll('.filter-facet')]
+        .find(element => element.querySelector('legend').textContent === facetLabel);
+    return fieldsetElement.querySelector(`input[value="${value}"]`);
+};
+
+/**
+ * Toggles a facet value as the user would
+ * @param {String} facetLabel - The legend of the facet
+ * @param {String} value - The facet value
+ */
+const toggleFacetValue = (facetLabel, value) => {
+    getFacetCheckbox(facetLabel, value).click();
+};
+
+/**
+ * Lists the sessions the schedule shows
+ * @returns {Array} The session IDs, in schedule order
+ */
+const getShownSessionIds = () => [...document.querySelectorAll('#schedule-days .session')]
+    .map(element => element.getAttribute('data-session-id'));
+
+describe('filterPanelService', () => {
+    let activeFiltersElement;
+    
+    before(() => {
+        const conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        setupFilterPanel(conferenceData);
+        activeFiltersElement = document.getElementById('active-filters');
+    });
+    
+    afterEach(() => {
+        clearFilters();
+    });
+    
+    test('lists every facet with the number of sessions per value', () => {
+        assert.deepEqual([...document.querySelectorAll('.filter-facet legend')].map(element => element.textContent), [
+            'Topics',
+            'Rooms',
+            'Session types',
+            'Companies'
+        ]);
+        assert.equal(getFacetCheckbox('Topics', 'AI').parentElement.textContent, ' AI (2)');
+        assert.equal(getFacetCheckbox('Session types', 'round1').parentElement.textContent, ' Round 1 (2)');
+        assert.ok(activeFiltersElement.hidden);
+    });
+    
+    test('filters the schedule by the checked values and updates the counts of the others', () => {
+        toggleFacetValue('Topics', 'AI');
+        
+        assert.deepEqual(getShownSessionIds(), ['d1s1', 'd1s5']);
+        assert.ok(!activeFiltersElement.hidden);
+        assert.equal(activeFiltersElement.querySelector('.filter-result-count').textContent, 'Showing 2 of 7 sessions');
+        assert.equal(getFacetCheckbox('Rooms', 'Room A').parentElement.textContent, ' Room A (1)');
+        assert.ok(getFacetCheckbox('Rooms', 'Room B').disabled);
+        
+        toggleFacetValue('Rooms', 'Room A');
+        
+        assert.deepEqual(getShownSessionIds(), ['d1s5']);
+        assert.deepEqual(getActiveFilters().rooms, ['Room A']);
+    });
+    
+    test('combines selected topics with any or all of them', () => {
+        toggleFacetValue('Topics', 'AI');
+        toggleFacetValue('Topics', 'Cloud');
+        
+        assert.deepEqual(getShownSessionIds(), ['d1s1', 'd1s2', 'd1s5']);
+        
+        document.querySelector('input[name="filter-tag-mode"][value="all"]').click();
+        
+        assert.deepEqual(getShownSessionIds(), ['d1s5']);
+    });
+    
+    test('removes a filter with its chip and keeps focus in the bar', () => {
+        toggleFacetValue('Topics', 'AI');
+        toggleFacetValue('Rooms', 'Room A');
+        const chipElements = [...activeFiltersElement.querySelectorAll('.filter-chip')];
+        
+        assert.deepEqual(chipElements.map(element => element.getAttribute('aria-label')), [
+            'Remove filter Topic: AI',
+            'Remove filter Room: Room A'
+        ]);
+        
+        chipElements[0].click();
+        
+        assert.deepEqual(getActiveFilters().tags, []);
+        assert.equal(document.activeElement.getAttribute('aria-label'), 'Remove filter Room: Room A');
+        
+        activeFiltersElement.querySelector('.clear-filter-btn').click();
+        
+        assert.ok(activeFiltersElement.hidden);
+        assert.equal(getShownSessionIds().length, 7);
+    });
+    
+    test('shows a tag picked elsewhere on the first day with matching sessions', () => {
+        addTagFilter('Security');
+        
+        assert.deepEqual(getShownSessionIds(), ['d2s1']);
+        assert.equal(appStore.getState().dayId, 'day2');
+        assert.ok(getFacetCheckbox('Topics', 'Security').checked);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * DOM Test Helper
+ * Loads index.html into jsdom and makes its window the global one, so the modules run as in the browser.
+ * Import the modules under test after calling createTestDom, with await import(…).
+ */
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// Constants
+const INDEX_HTML_URL = new URL('../../index.html', import.meta.url);
+const FIXTURES_URL = new URL('../fixtures/', import.meta.url);
+const DEFAULT_PAGE_URL = 'http://localhost:8080/';
+const WINDOW_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'CustomEvent', 'Event', 'EventTarget', 'KeyboardEvent', 'MouseEvent', 'Node', 'Element', 'HTMLElement',
+    'DocumentFragment', 'getComputedStyle', 'requestAnimationFrame'
+];
+
+/**
+ * Creates the page of the app in jsdom and installs its window as the global one
+ * Scripts in the page don't run; the test sets up the modules it needs.
+ * @param {Object} options - Page options
+ * @param {String} options.url - The page URL, e.g. with ?now= to pin the clock
+ * @param {Object} options.storage - localStorage entries to start with
+ * @returns {JSDOM} The jsdom instance
+ */
+export const createTestDom = ({ url = DEFAULT_PAGE_URL, storage = {} } = {}) => {
+    // Times are formatted the same on every machine
+    process.env.TZ = 'UTC';
+    
+    const dom = new JSDOM(readFileSync(INDEX_HTML_URL, 'utf8'), { url, pretendToBeVisual: true });
+    const { window } = dom;
+    
+    WINDOW_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    
+    // Layout and modal dialogs are not part of jsdom
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.scrollTo = () => {};
+    window.HTMLDialogElement.prototype.showModal ??= function showModal() {
+        this.open = true;
+    };
+    window.HTMLDialogElement.prototype.close ??= function close() {
+        this.open = false;
+    };
+    
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    return dom;
+};
+
+/**
+ * Reads a conference data file from test/fixtures
+ * @param {String} fileName - The file name, e.g. "conference-data.json"
+ * @returns {Object} A fresh copy of the parsed file
+ */
+export const loadFixture = (fileName) => {
+    return JSON.parse(readFileSync(new URL(fileName, FIXTURES_URL), 'utf8'));
+};
+
+/**
+ * Waits for timers and promises the code under test started
+ * @param {Number} milliseconds - Time to wait
+ * @returns {Promise<void>} Resolves after the time has passed
+ */
+export const wait = (milliseconds = 0) => new Promise(resolve => setTimeout(resolve, milliseconds));
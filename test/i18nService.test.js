@@ -0,0 +1,102 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom({ url: 'http://localhost:8080/?lang=nl' });
+const { loadLanguage, getLocale, t, formatDayDate, formatTime, formatDuration, formatList, localizeConferenceData, setupLanguageSwitcher } = await import('../src/js/modules/i18nService.js');
+const { validateConferenceData } = await import('../src/js/modules/dataValidator.js');
+
+describe('i18nService', () => {
+    before(() => {
+        loadLanguage();
+    });
+    
+    test('picks the language in the link over the browser language and translates the page', () => {
+        assert.equal(getLocale(), 'nl');
+        assert.equal(document.documentElement.lang, 'nl');
+        assert.equal(document.getElementById('now-next-tab').textContent, 'Nu & straks');
+    });
+    
+    test('fills in placeholders and picks plural forms', () => {
+        assert.equal(t('topics.sessionCount', { count: 1 }), '1 sessie');
+        assert.equal(t('topics.sessionCount', { count: 3 }), '3 sessies');
+        assert.equal(t('duration.hoursAndMinutes', { hours: 1 }), '1 u {minutes} min');
+    });
+    
+    test('returns the key of a message that is missing', () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const message = t('nothing.here');
+        console.warn = originalWarn;
+        
+        assert.equal(message, 'nothing.here');
+    });
+    
+    test('formats dates, times, durations and lists in the language', () => {
+        assert.equal(formatDayDate('July 15, 2025'), '15 juli 2025');
+        assert.equal(formatDayDate('July 15, 2025', { weekday: true }), 'dinsdag 15 juli 2025');
+        assert.equal(formatDayDate('Day one'), 'Day one');
+        assert.equal(formatTime('14:15'), '14:15');
+        assert.equal(formatTime('later'), 'later');
+        assert.equal(formatDuration(45), '45 min');
+        assert.equal(formatDuration(120), '2 u');
+        assert.equal(formatDuration(90), '1 u 30 min');
+        assert.equal(formatList(['AI', 'Cloud', 'UX']), 'AI, Cloud en UX');
+        assert.equal(formatList(['AI', 'Cloud'], 'disjunction'), 'AI of Cloud');
+    });
+    
+    test('shows the translations in the data for the language', () => {
+        const { data } = validateConferenceData({
+            conferenceName: 'Test Conference',
+            days: [{
+                id: 'day1',
+                name: 'Day 1',
+                date: 'July 15, 2025',
+                translations: { nl: { name: 'Dag 1' } },
+                sessions: [
+                    { id: 'a', time: '9:00', type: 'keynote', title: 'Welcome', translations: { nl: { title: 'Welkom' } } },
+                    { id: 'b', time: '10:00', type: 'round1', title: 'Cloud Native' }
+                ]
+            }]
+        });
+        
+        localizeConferenceData(data);
+        
+        assert.equal(data.days[0].name, 'Dag 1');
+        assert.deepEqual(data.days[0].sessions.map(session => session.title), ['Welkom', 'Cloud Native']);
+    });
+    
+    test('reports the problems in the data in the language', () => {
+        const { errors, warnings } = validateConferenceData({
+            conferenceName: 'Test Conference',
+            days: [{
+                id: 'day1',
+                name: 'Day 1',
+                date: 'July 15, 2025',
+                sessions: [
+                    { id: 'a', time: '9:00', duration: 30, endTime: '10:00', type: 'keynote', title: 'Welcome' },
+                    { id: 'a', time: '10:00', type: 'round1', title: 'Cloud Native', translations: { nl: { room: 'Zaal 1' } } }
+                ]
+            }]
+        });
+        
+        assert.deepEqual(errors.map(issue => issue.message), [
+            'Dubbele sessie-ID "a", ook gebruikt bij $.days[0].sessions[0]'
+        ]);
+        assert.deepEqual(warnings.map(issue => issue.message), [
+            'Een duur van 30 minuten past niet bij de eindtijd "10:00", de eindtijd wordt gebruikt',
+            'Alleen title en description kunnen worden vertaald, de waarde is verwijderd'
+        ]);
+    });
+    
+    test('names every language in itself in the language switcher', () => {
+        setupLanguageSwitcher();
+        
+        const options = [...document.querySelectorAll('#language-select option')];
+        assert.ok(!document.getElementById('language-switcher').hidden);
+        assert.deepEqual(options.map(option => [option.value, option.textContent, option.selected]), [
+            ['en', 'English', false],
+            ['nl', 'Nederlands', true]
+        ]);
+    });
+});
@@ -0,0 +1,90 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const { setupLiveSchedule } = await import('../src/js/modules/liveScheduleService.js');
+const { setSimulatedTime } = await import('../src/js/modules/clockService.js');
+const { appStore, VIEWS } = await import('../src/js/modules/appStore.js');
+
+const ONE_MINUTE = 60 * 1000;
+
+/**
+ * Lists the sessions in the schedule that are marked as running
+ * @returns {Array} IDs of the sessions with a live marker
+ */
+const getLiveSessionIds = () => {
+    return [...document.querySelectorAll('#schedule-days .session-live')].map(element => element.getAttribute('data-session-id'));
+};
+
+describe('liveScheduleService', () => {
+    let nowNextContainerElement;
+    let liveBannerElement;
+    
+    before(() => {
+        // The live view refreshes on a timer, so the clock and the timer are driven by the tests
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-07-15T10:30:00Z') });
+        
+        const conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        nowNextContainerElement = document.getElementById('now-next-container');
+        liveBannerElement = document.getElementById('live-banner');
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        setupLiveSchedule(conferenceData, nowNextContainerElement);
+    });
+    
+    after(() => {
+        mock.timers.reset();
+    });
+    
+    test('marks the running sessions in the schedule', () => {
+        assert.deepEqual(getLiveSessionIds(), ['d1s2', 'd1s3']);
+        assert.equal(document.querySelector('.session[data-session-id="d1s2"] .live-badge').textContent, 'Now');
+        assert.equal(document.querySelector('.session[data-session-id="d1s1"] .live-badge'), null);
+    });
+    
+    test('sums up the running and next sessions in the banner', () => {
+        assert.ok(!liveBannerElement.hidden);
+        assert.equal(liveBannerElement.querySelector('span').textContent,
+            'Now: Scaling Microservices and Design Systems That Last · Next at 11:15 AM (in 45 min)');
+        
+        liveBannerElement.querySelector('.live-banner-btn').click();
+        assert.equal(appStore.getState().view, VIEWS.NOW_NEXT);
+    });
+    
+    test('renders the running and next time slots in the Now & Next tab', () => {
+        const sectionHeadings = [...nowNextContainerElement.querySelectorAll('.live-section > h3')].map(element => element.textContent);
+        const sessionIds = [...nowNextContainerElement.querySelectorAll('.session[data-session-id]')].map(element => element.getAttribute('data-session-id'));
+        
+        assert.deepEqual(sectionHeadings, ['Happening now', 'Up next: Day 1 at 11:15 AM in 45 min']);
+        assert.deepEqual(sessionIds, ['d1s2', 'd1s3', 'd1s4']);
+    });
+    
+    test('updates the countdown on every tick without rendering the tab again', () => {
+        const nowSectionElement = nowNextContainerElement.querySelector('.live-section');
+        
+        mock.timers.tick(10 * ONE_MINUTE);
+        
+        assert.equal(nowNextContainerElement.querySelector('.live-countdown').textContent, 'in 35 min');
+        assert.equal(nowNextContainerElement.querySelector('.live-section'), nowSectionElement);
+    });
+    
+    test('moves the live markers when the next time slot starts', () => {
+        mock.timers.tick(40 * ONE_MINUTE);
+        
+        assert.deepEqual(getLiveSessionIds(), ['d1s4']);
+        assert.equal(document.querySelectorAll('#schedule-days .live-badge').length, 1);
+    });
+    
+    test('says the conference has ended once the last session is over', () => {
+        setSimulatedTime(new Date('2025-07-16T13:00:00Z'));
+        
+        assert.ok(liveBannerElement.hidden);
+        assert.deepEqual(getLiveSessionIds(), []);
+        assert.equal(nowNextContainerElement.querySelector('.no-results').textContent, 'The conference has ended. Thanks for joining!');
+    });
+});
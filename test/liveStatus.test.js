@@ -0,0 +1,81 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { getLiveStatus, formatCountdown } = await import('../src/js/modules/liveStatus.js');
+
+describe('liveStatus', () => {
+    let conferenceData;
+    
+    /**
+     * Gets the live status at a moment, with sessions reduced to their IDs
+     * @param {String} dateTimeText - The moment, e.g. "2025-07-15T10:30"
+     * @returns {Object} The live status with runningSessionIds and nextSessionIds
+     */
+    const getLiveStatusAt = (dateTimeText) => {
+        const { runningSessions, nextSessions, ...liveStatus } = getLiveStatus(conferenceData, new Date(dateTimeText));
+        return {
+            ...liveStatus,
+            runningSessionIds: runningSessions.map(session => session.id),
+            nextSessionIds: nextSessions.map(session => session.id)
+        };
+    };
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+    });
+    
+    test('before the conference, the first session is next', () => {
+        const liveStatus = getLiveStatusAt('2025-07-15T08:00');
+        
+        assert.deepEqual(liveStatus.runningSessionIds, []);
+        assert.deepEqual(liveStatus.nextSessionIds, ['d1s1']);
+        assert.equal(liveStatus.minutesUntilNext, 60);
+        assert.ok(!liveStatus.hasStarted);
+        assert.ok(!liveStatus.hasEnded);
+    });
+    
+    test('lists every session of the running and the next time slot', () => {
+        const liveStatus = getLiveStatusAt('2025-07-15T10:30');
+        
+        assert.deepEqual(liveStatus.runningSessionIds, ['d1s2', 'd1s3']);
+        assert.deepEqual(liveStatus.nextSessionIds, ['d1s4']);
+        assert.equal(liveStatus.nextStart.toISOString(), '2025-07-15T11:15:00.000Z');
+        assert.equal(liveStatus.minutesUntilNext, 45);
+        assert.ok(liveStatus.hasStarted);
+    });
+    
+    test('running sessions carry their end', () => {
+        const { runningSessions } = getLiveStatus(conferenceData, new Date('2025-07-15T11:20'));
+        
+        assert.deepEqual(runningSessions.map(session => [session.id, session.end.toISOString()]), [['d1s4', '2025-07-15T11:45:00.000Z']]);
+    });
+    
+    test('between days, the first session of the next day is next', () => {
+        const liveStatus = getLiveStatusAt('2025-07-15T20:00');
+        
+        assert.deepEqual(liveStatus.runningSessionIds, []);
+        assert.deepEqual(liveStatus.nextSessionIds, ['d2s1']);
+        assert.equal(liveStatus.minutesUntilNext, 810);
+    });
+    
+    test('after the last session, the conference has ended', () => {
+        const liveStatus = getLiveStatusAt('2025-07-16T13:00');
+        
+        assert.deepEqual(liveStatus.nextSessionIds, []);
+        assert.equal(liveStatus.nextStart, null);
+        assert.ok(liveStatus.hasEnded);
+    });
+    
+    test('formatCountdown uses minutes, hours or days', () => {
+        assert.equal(formatCountdown(0), 'now');
+        assert.equal(formatCountdown(45), 'in 45 min');
+        assert.equal(formatCountdown(120), 'in 2 h');
+        assert.equal(formatCountdown(65), 'in 1 h 5 min');
+        assert.equal(formatCountdown(810), 'in 13 h 30 min');
+        assert.equal(formatCountdown(24 * 60), 'in 1 day');
+        assert.equal(formatCountdown(3 * 24 * 60 + 90), 'in 3 days');
+    });
+});
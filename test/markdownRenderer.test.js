@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom();
+const { renderMarkdown, markdownToText } = await import('../src/js/modules/markdownRenderer.js');
+const { createElement } = await import('../src/js/modules/domUtils.js');
+
+/**
+ * Renders Markdown and returns the resulting HTML
+ * @param {String} markdown - The Markdown text
+ * @returns {String} The HTML
+ */
+const renderToHtml = (markdown) => {
+    const containerElement = document.createElement('div');
+    containerElement.appendChild(renderMarkdown(markdown));
+    return containerElement.innerHTML;
+};
+
+describe('markdownRenderer', () => {
+    test('renders paragraphs, emphasis and lists', () => {
+        assert.equal(
+            renderToHtml('Learn **fast** and *well*\nin one day.\n\n- one\n- two\n\n1. first'),
+            '<p>Learn <strong>fast</strong> and <em>well</em><br>in one day.</p><ul><li>one</li><li>two</li></ul><ol><li>first</li></ol>'
+        );
+    });
+    
+    test('opens links in a new tab, without access to this page', () => {
+        assert.equal(
+            renderToHtml('See [the docs](https://example.org/a_(b))'),
+            '<p>See <a href="https://example.org/a_(b)" target="_blank" rel="noopener noreferrer">the docs</a></p>'
+        );
+    });
+    
+    test('shows HTML and script links as text', () => {
+        assert.equal(
+            renderToHtml('<img src=x onerror=alert(1)> [click](javascript:alert(1))'),
+            '<p>&lt;img src=x onerror=alert(1)&gt; <span>click</span></p>'
+        );
+    });
+    
+    test('markdownToText drops the formatting, optionally keeping link URLs', () => {
+        const markdown = '**Bold** [site](https://example.org)\n\n- item';
+        
+        assert.equal(markdownToText(markdown), 'Bold site\n\n- item');
+        assert.equal(markdownToText(markdown, { withLinkUrls: true }), 'Bold site (https://example.org)\n\n- item');
+    });
+});
+
+describe('domUtils', () => {
+    test('createElement sets the class, text, attributes and children', () => {
+        const element = createElement('div', { className: 'card', attributes: { id: 'card-1' } }, ['<b>text</b>', createElement('span', { text: 'child' })]);
+        
+        assert.equal(element.outerHTML, '<div class="card" id="card-1">&lt;b&gt;text&lt;/b&gt;<span>child</span></div>');
+    });
+    
+    test('createElement refuses event handler attributes', () => {
+        assert.throws(() => createElement('div', { attributes: { onclick: 'alert(1)' } }));
+    });
+    
+    test('createElement leaves out links that could run script', () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const element = createElement('a', { attributes: { href: 'javascript:alert(1)' } });
+        console.warn = originalWarn;
+        
+        assert.equal(element.hasAttribute('href'), false);
+    });
+});
@@ -0,0 +1,123 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation, registerView, getDefaultDayId, selectDay } = await import('../src/js/modules/navigationService.js');
+const { setupScheduleUpdates, applyScheduleUpdate } = await import('../src/js/modules/scheduleUpdateService.js');
+const { appStore, VIEWS } = await import('../src/js/modules/appStore.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+/**
+ * Presses a key on the focused tab
+ * @param {String} key - The key, e.g. "ArrowRight"
+ */
+const pressKey = (key) => {
+    document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+};
+
+describe('navigationService', () => {
+    let conferenceData;
+    let topicsTabElement;
+    let topicsContentElement;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupTabNavigation(conferenceData);
+        setupScheduleUpdates(conferenceData, { checkForUpdates: false });
+        
+        topicsTabElement = document.getElementById('tag-cloud-tab');
+        topicsContentElement = document.getElementById('tag-cloud-container');
+        registerView(VIEWS.TOPICS, topicsContentElement, topicsTabElement);
+    });
+    
+    test('adds a tab for every day in front of the other tabs', () => {
+        const tabButtons = [...document.querySelectorAll('.tabs .tab-btn')];
+        
+        assert.deepEqual(tabButtons.slice(0, 3).map(tab => tab.id), ['day-tab-day1', 'day-tab-day2', 'now-next-tab']);
+        assert.equal(tabButtons[0].firstChild.textContent, 'Day 1');
+        assert.ok(tabButtons[0].querySelector('.tab-date').textContent.includes('15'));
+        assert.equal(tabButtons[0].getAttribute('aria-controls'), 'schedule-content');
+    });
+    
+    test('starts on the first day before the conference, and on today during it', () => {
+        assert.equal(appStore.getState().dayId, 'day1');
+        assert.equal(getDefaultDayId(conferenceData, new Date('2025-07-16T10:00:00Z')), 'day2');
+        assert.equal(getDefaultDayId(conferenceData, new Date('2026-01-01T10:00:00Z')), 'day1');
+        assert.equal(getDefaultDayId({ days: [] }), null);
+    });
+    
+    test('a day tab click selects the day and tells the other modules', () => {
+        const tabSelections = [];
+        on(EVENTS.TAB_SELECTED, detail => tabSelections.push(detail));
+        
+        document.getElementById('day-tab-day2').click();
+        
+        assert.equal(appStore.getState().dayId, 'day2');
+        assert.deepEqual(tabSelections, [{ tab: 'day', dayId: 'day2' }]);
+        assert.equal(document.getElementById('schedule-content').getAttribute('aria-labelledby'), 'day-tab-day2');
+        assert.equal(document.getElementById('day-tab-day2').getAttribute('aria-selected'), 'true');
+        assert.equal(document.getElementById('day-tab-day1').getAttribute('tabindex'), '-1');
+    });
+    
+    test('shows a registered view and marks its tab', () => {
+        appStore.setState({ view: VIEWS.TOPICS });
+        
+        assert.ok(topicsContentElement.classList.contains('active'));
+        assert.ok(!document.getElementById('schedule-content').classList.contains('active'));
+        assert.equal(topicsTabElement.getAttribute('aria-selected'), 'true');
+        assert.equal(document.getElementById('day-tab-day2').getAttribute('aria-selected'), 'false');
+        
+        selectDay('day1');
+        
+        assert.ok(document.getElementById('schedule-content').classList.contains('active'));
+        assert.ok(!topicsContentElement.classList.contains('active'));
+    });
+    
+    test('moves between day tabs with the arrow, Home and End keys', () => {
+        document.getElementById('day-tab-day1').focus();
+        
+        pressKey('ArrowRight');
+        assert.equal(document.activeElement.id, 'day-tab-day2');
+        assert.equal(appStore.getState().dayId, 'day2');
+        
+        pressKey('Home');
+        assert.equal(document.activeElement.id, 'day-tab-day1');
+        assert.equal(appStore.getState().dayId, 'day1');
+    });
+    
+    test('keeps the selection when no day is given', () => {
+        const originalError = console.error;
+        console.error = () => {};
+        selectDay(null);
+        console.error = originalError;
+        
+        assert.equal(appStore.getState().dayId, 'day1');
+    });
+    
+    test('creates the tabs again when an update adds one day and removes another', () => {
+        const rawData = loadFixture('conference-data.json');
+        rawData.days[1] = {
+            id: 'day3',
+            name: 'Day 3',
+            date: 'July 17, 2025',
+            sessions: [{ id: 'd3s1', time: '9:00', type: 'keynote', title: 'Closing Keynote' }]
+        };
+        selectDay('day2');
+        
+        applyScheduleUpdate(prepareConferenceData(rawData), { announce: false });
+        
+        assert.deepEqual([...document.querySelectorAll('.tab-btn[data-day]')].map(tab => tab.id), ['day-tab-day1', 'day-tab-day3']);
+        assert.equal(appStore.getState().dayId, 'day1');
+        assert.equal(document.getElementById('day-tab-day1').getAttribute('aria-selected'), 'true');
+        
+        document.getElementById('day-tab-day3').click();
+        assert.equal(appStore.getState().dayId, 'day3');
+        
+        document.getElementById('day-tab-day3').focus();
+        pressKey('ArrowLeft');
+        assert.equal(document.activeElement.id, 'day-tab-day1');
+        assert.equal(appStore.getState().dayId, 'day1');
+    });
+});
@@ -0,0 +1,45 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, wait } from './helpers/dom.js';
+
+createTestDom();
+const { setupNotifications, showToast } = await import('../src/js/modules/notificationService.js');
+
+describe('notificationService', () => {
+    let toastContainerElement;
+    
+    before(() => {
+        setupNotifications();
+        toastContainerElement = document.getElementById('toast-container');
+    });
+    
+    test('shows information as a status and warnings as an alert', () => {
+        const infoToast = showToast('Schedule updated', { duration: 1000 });
+        const warningToast = showToast('Schedule conflict', { type: 'warning', duration: 1000 });
+        
+        assert.deepEqual([...toastContainerElement.children], [infoToast, warningToast]);
+        assert.equal(infoToast.getAttribute('role'), 'status');
+        assert.ok(infoToast.classList.contains('toast-info'));
+        assert.equal(warningToast.getAttribute('role'), 'alert');
+        assert.ok(warningToast.classList.contains('toast-warning'));
+        infoToast.remove();
+        warningToast.remove();
+    });
+    
+    test('removes a toast after its duration, or when it is clicked', async () => {
+        const shortToast = showToast('Gone soon', { duration: 10 });
+        const clickedToast = showToast('Click me', { duration: 1000 });
+        
+        clickedToast.click();
+        assert.ok(!clickedToast.isConnected);
+        await wait(20);
+        assert.ok(!shortToast.isConnected);
+    });
+    
+    test('shows messages as text', () => {
+        const toastElement = showToast('<b>Room B</b>', { duration: 10 });
+        
+        assert.equal(toastElement.textContent, '<b>Room B</b>');
+        assert.equal(toastElement.children.length, 0);
+    });
+});
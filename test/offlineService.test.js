@@ -0,0 +1,98 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture, wait } from './helpers/dom.js';
+
+createTestDom();
+const { fetchConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupScheduleUpdates } = await import('../src/js/modules/scheduleUpdateService.js');
+const { registerServiceWorker, setupConnectionStatus } = await import('../src/js/modules/offlineService.js');
+
+describe('offlineService', () => {
+    const fetchedUrls = [];
+    const serviceWorker = new EventTarget();
+    let connectionStatusElement;
+    let isOnline = true;
+    
+    /**
+     * Sends a message from the service worker to the page
+     * @param {Object} data - The message data
+     */
+    const postServiceWorkerMessage = (data) => {
+        const event = new Event('message');
+        event.data = data;
+        serviceWorker.dispatchEvent(event);
+    };
+    
+    /**
+     * Switches the connection and tells the page, as the browser does
+     * @param {Boolean} online - Whether the browser is online
+     */
+    const setOnline = (online) => {
+        isOnline = online;
+        window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+    };
+    
+    before(async () => {
+        // The data file comes from the service worker's saved copy, which tells when it was fetched
+        globalThis.fetch = async (url) => {
+            fetchedUrls.push(url);
+            return new Response(JSON.stringify(loadFixture('conference-data.json')), {
+                headers: { 'Content-Type': 'application/json', 'X-Fetched-At': '2025-07-14T18:05:00Z' }
+            });
+        };
+        serviceWorker.register = mock.fn(async () => ({}));
+        Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true });
+        Object.defineProperty(navigator, 'onLine', { get: () => isOnline, configurable: true });
+        mock.timers.enable({ apis: ['setInterval'] });
+        
+        const conferenceData = await fetchConferenceData();
+        setupScheduleUpdates(conferenceData);
+        setupConnectionStatus();
+        registerServiceWorker();
+        connectionStatusElement = document.getElementById('connection-status');
+    });
+    
+    after(() => {
+        mock.timers.reset();
+        delete globalThis.fetch;
+    });
+    
+    test('registers the service worker for the whole app', () => {
+        assert.deepEqual(serviceWorker.register.mock.calls[0].arguments, ['/service-worker.js', { scope: '/' }]);
+    });
+    
+    test('tells when the schedule on screen was fetched', () => {
+        assert.ok(!connectionStatusElement.hidden);
+        assert.equal(connectionStatusElement.textContent, 'Schedule updated Jul 14, 06:05 PM');
+        assert.ok(!connectionStatusElement.classList.contains('offline'));
+    });
+    
+    test('says the saved schedule is shown while offline', async () => {
+        setOnline(false);
+        
+        assert.equal(connectionStatusElement.textContent, 'Offline – showing the schedule saved on Jul 14, 06:05 PM');
+        assert.ok(connectionStatusElement.classList.contains('offline'));
+        
+        // Coming back online also checks for a newer schedule
+        setOnline(true);
+        await wait();
+        assert.ok(!connectionStatusElement.classList.contains('offline'));
+    });
+    
+    test('follows background fetches of the data file of the conference on screen only', () => {
+        postServiceWorkerMessage({ type: 'conference-data-fetched', url: 'http://localhost:8080/src/data/other.json', fetchedAt: '2025-07-15T08:00:00Z' });
+        assert.equal(connectionStatusElement.textContent, 'Schedule updated Jul 14, 06:05 PM');
+        
+        postServiceWorkerMessage({ type: 'conference-data-fetched', url: 'http://localhost:8080/src/data/conference-data.json', fetchedAt: '2025-07-15T08:00:00Z' });
+        assert.equal(connectionStatusElement.textContent, 'Schedule updated Jul 15, 08:00 AM');
+    });
+    
+    test('fetches the schedule again when the service worker saw it change', async () => {
+        const fetchCount = fetchedUrls.length;
+        
+        postServiceWorkerMessage({ type: 'conference-data-fetched', url: 'http://localhost:8080/src/data/conference-data.json', fetchedAt: '2025-07-15T08:30:00Z', changed: true });
+        await wait();
+        
+        assert.deepEqual(fetchedUrls.slice(fetchCount), ['/src/data/conference-data.json']);
+    });
+});
@@ -0,0 +1,83 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData, getAllSessions } = await import('../src/js/modules/dataService.js');
+const { paginateProgram, buildProgramIndex, formatPageReferences } = await import('../src/js/modules/printProgram.js');
+const { setupPrintProgram, renderPrintProgram, PRINT_SCOPE_ALL } = await import('../src/js/modules/printService.js');
+
+/**
+ * Lists the session IDs of every page
+ * @param {Array} pages - Pages as returned by paginateProgram
+ * @returns {Array} An array of session IDs per page
+ */
+const getPageSessionIds = (pages) => pages.map(page => page.sessions.map(session => session.id));
+
+describe('printProgram', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+    });
+    
+    test('paginateProgram starts every day on a new page and numbers the pages', () => {
+        const pages = paginateProgram(getAllSessions(conferenceData));
+        
+        assert.deepEqual(getPageSessionIds(pages), [['d1s1', 'd1s2', 'd1s3', 'd1s4', 'd1s5'], ['d2s1', 'd2s2']]);
+        assert.deepEqual(pages.map(page => [page.pageNumber, page.dayId, page.continued]), [[1, 'day1', false], [2, 'day2', false]]);
+    });
+    
+    test('paginateProgram continues a long day on the next page', () => {
+        const pages = paginateProgram(getAllSessions(conferenceData), { rowsPerPage: 2 });
+        
+        assert.deepEqual(getPageSessionIds(pages), [['d1s1', 'd1s2'], ['d1s3', 'd1s4'], ['d1s5'], ['d2s1', 'd2s2']]);
+        assert.deepEqual(pages.map(page => page.continued), [false, true, true, false]);
+        assert.equal(pages[2].dayName, 'Day 1');
+    });
+    
+    test('buildProgramIndex lists each page of an entry once, in the order entries appear', () => {
+        const pages = paginateProgram(getAllSessions(conferenceData), { rowsPerPage: 2 });
+        const index = buildProgramIndex(pages, session => (session.tags || []).map(tag => ({ key: tag, label: tag })));
+        
+        assert.deepEqual(index.map(({ label, pageNumbers }) => [label, pageNumbers]), [
+            ['AI', [1, 3]],
+            ['Future Tech', [1]],
+            ['Cloud', [1, 3]],
+            ['Architecture', [1]],
+            ['Design', [2, 4]],
+            ['UX', [2]],
+            ['Security', [4]]
+        ]);
+    });
+    
+    test('formatPageReferences joins runs of pages', () => {
+        assert.equal(formatPageReferences([1, 3, 4, 5, 8]), '1, 3–5, 8');
+        assert.equal(formatPageReferences([2, 3]), '2–3');
+        assert.equal(formatPageReferences([]), '');
+    });
+    
+    test('renderPrintProgram prints day pages and indexes in place of the page until printing ends', () => {
+        setupPrintProgram(conferenceData);
+        renderPrintProgram(PRINT_SCOPE_ALL);
+        
+        const printProgramElement = document.getElementById('print-program');
+        const pageElements = printProgramElement.querySelectorAll('.print-page');
+        assert.ok(document.body.classList.contains('printing-program'));
+        assert.equal(pageElements.length, 2);
+        assert.equal(pageElements[0].querySelectorAll('tbody tr').length, 5);
+        assert.equal(pageElements[0].querySelectorAll('.print-row-break').length, 1);
+        assert.equal(pageElements[0].querySelector('.print-title .print-cell').textContent, 'Opening Keynote: The Future of AI');
+        assert.equal(pageElements[1].querySelector('.print-page-number').textContent, 'Page 2');
+        
+        const [speakerIndex, topicIndex] = printProgramElement.querySelectorAll('.print-index');
+        assert.equal(speakerIndex.querySelector('h2').textContent, 'Speaker index');
+        const topics = [...topicIndex.querySelectorAll('li')]
+            .map(item => `${item.querySelector('.print-index-label').textContent} ${item.querySelector('.print-index-pages').textContent}`);
+        assert.deepEqual(topics, ['AI 1', 'Architecture 1', 'Cloud 1', 'Design 1–2', 'Future Tech 1', 'Security 2', 'UX 1']);
+        
+        window.dispatchEvent(new Event('afterprint'));
+        assert.equal(printProgramElement.children.length, 0);
+        assert.ok(!document.body.classList.contains('printing-program'));
+    });
+});
@@ -0,0 +1,111 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture, wait } from './helpers/dom.js';
+
+createTestDom({ url: 'http://localhost:8080/#/topics' });
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupNotifications } = await import('../src/js/modules/notificationService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const { setupFilterPanel } = await import('../src/js/modules/filterPanelService.js');
+const { setupSearch } = await import('../src/js/modules/searchService.js');
+const { setupSessionDetails } = await import('../src/js/modules/sessionDetailService.js');
+const { setupTagCloud } = await import('../src/js/modules/tagCloudService.js');
+const { setupSpeakers } = await import('../src/js/modules/speakerService.js');
+const { setupMySchedule } = await import('../src/js/modules/agendaService.js');
+const { setupRouter, parseRoute, formatRoute } = await import('../src/js/modules/routerService.js');
+const { normalizeFilters } = await import('../src/js/modules/sessionFilters.js');
+const { appStore, VIEWS } = await import('../src/js/modules/appStore.js');
+
+/**
+ * Runs a function with console warnings silenced, for routes that are expected to be rejected
+ * @param {Function} callback - The function to run
+ * @returns {*} What the function returns
+ */
+const withoutWarnings = (callback) => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        return callback();
+    } finally {
+        console.warn = originalWarn;
+    }
+};
+
+describe('routerService', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupNotifications();
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        setupFilterPanel(conferenceData);
+        setupSearch(conferenceData);
+        setupSessionDetails(conferenceData);
+        setupTagCloud(conferenceData, document.getElementById('tag-cloud-container'));
+        setupSpeakers(conferenceData, document.getElementById('speakers-container'));
+        setupMySchedule(conferenceData, document.getElementById('my-schedule-container'));
+        setupRouter(conferenceData);
+    });
+    
+    test('parseRoute reads every kind of route', () => {
+        assert.deepEqual(parseRoute('#/day2', conferenceData), { view: 'day', dayId: 'day2' });
+        assert.deepEqual(parseRoute('#/session/d1s5', conferenceData), { view: 'session', sessionId: 'd1s5' });
+        assert.deepEqual(parseRoute('#/tag/Future%20Tech', conferenceData), { view: 'filter', filters: normalizeFilters({ tags: ['Future Tech'] }) });
+        assert.deepEqual(parseRoute('#/search?q=cloud&all=1', conferenceData), { view: 'search', query: 'cloud', showAll: true });
+        assert.deepEqual(parseRoute('#/speaker/ada-lovelace', conferenceData), { view: 'speaker', speakerId: 'ada-lovelace' });
+        assert.deepEqual(parseRoute('#/my-schedule', conferenceData), { view: 'my-schedule' });
+        assert.deepEqual(parseRoute('', conferenceData), { view: 'home' });
+        assert.deepEqual(withoutWarnings(() => parseRoute('#/day9', conferenceData)), { view: 'home' });
+    });
+    
+    test('parseRoute opens malformed percent-encoding as the home route', () => {
+        ['#/session/%E0', '#/speaker/%', '#/%E0%A4%A'].forEach(hash => {
+            assert.deepEqual(withoutWarnings(() => parseRoute(hash, conferenceData)), { view: 'home' }, hash);
+        });
+    });
+    
+    test('formatRoute writes routes that parseRoute reads back', () => {
+        [
+            { view: 'day', dayId: 'day1' },
+            { view: 'session', sessionId: 'd1s5' },
+            { view: 'filter', filters: normalizeFilters({ tags: ['AI', 'Cloud'], tagMode: 'all', rooms: ['Room A'] }) },
+            { view: 'search', query: 'speaker:"Grace Hopper"', showAll: false },
+            { view: 'speaker', speakerId: 'grace-hopper' },
+            { view: 'topics' }
+        ].forEach(route => {
+            assert.deepEqual(parseRoute(formatRoute(route), conferenceData), route);
+        });
+        assert.equal(formatRoute({ view: 'filter', filters: normalizeFilters({ rooms: ['Room A'] }) }), '#/filter?room=Room%20A');
+    });
+    
+    test('restores the view of the URL the app was opened with', () => {
+        assert.equal(appStore.getState().view, VIEWS.TOPICS);
+    });
+    
+    test('follows hash changes, and shows the schedule for a malformed link', async () => {
+        window.location.hash = '#/session/d1s5';
+        await wait();
+        assert.equal(appStore.getState().selectedSessionId, 'd1s5');
+        
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        window.location.hash = '#/session/%E0';
+        await wait();
+        console.warn = originalWarn;
+        assert.equal(appStore.getState().selectedSessionId, null);
+        assert.equal(appStore.getState().view, VIEWS.SCHEDULE);
+        assert.equal(appStore.getState().dayId, 'day1');
+    });
+    
+    test('records a tab click as a history entry', () => {
+        const historyLength = window.history.length;
+        
+        document.querySelector('.tab-btn[data-day="day2"]').click();
+        
+        assert.equal(window.location.hash, '#/day2');
+        assert.equal(window.history.length, historyLength + 1);
+    });
+});
@@ -0,0 +1,160 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom({ url: 'http://localhost:8080/?edit' });
+const { prepareConferenceData, getSessionById } = await import('../src/js/modules/dataService.js');
+const { setupNotifications } = await import('../src/js/modules/notificationService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const { setupScheduleUpdates } = await import('../src/js/modules/scheduleUpdateService.js');
+const { setupScheduleEditor, createSessionEditorActions } = await import('../src/js/modules/scheduleEditorService.js');
+
+describe('scheduleEditorService', () => {
+    let conferenceData;
+    let editorDialogElement;
+    let editorStatusElement;
+    
+    /**
+     * Opens the session form from the editor actions of a session
+     * @param {String} sessionId - The ID of the session
+     * @param {String} actionLabel - The label of the action, e.g. "Edit"
+     * @returns {HTMLFormElement} The opened form
+     */
+    const openForm = (sessionId, actionLabel = 'Edit') => {
+        const actionsElement = createSessionEditorActions(getSessionById(conferenceData, sessionId));
+        [...actionsElement.children].find(button => button.textContent === actionLabel).click();
+        return editorDialogElement.querySelector('form');
+    };
+    
+    /**
+     * Submits the session form
+     * @param {HTMLFormElement} formElement - The session form
+     */
+    const saveForm = (formElement) => {
+        formElement.querySelector('.editor-save').click();
+    };
+    
+    /**
+     * Lists the speakers in the speaker list of the session form
+     * @param {HTMLFormElement} formElement - The session form
+     * @returns {Array} The speaker names
+     */
+    const getFormSpeakerNames = (formElement) => [...formElement.querySelectorAll('.editor-speaker')]
+        .map(speakerElement => speakerElement.getAttribute('data-speaker-name'));
+    
+    /**
+     * Types a speaker name in the session form and presses Enter
+     * @param {HTMLFormElement} formElement - The session form
+     * @param {String} name - The name to type
+     */
+    const typeSpeaker = (formElement, name) => {
+        const speakerInput = formElement.querySelector('.editor-speaker-input');
+        speakerInput.value = name;
+        speakerInput.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    };
+    
+    before(async () => {
+        globalThis.fetch = async () => Response.json(loadFixture('conference-data.json'));
+        
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupNotifications();
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        await setupScheduleEditor(conferenceData);
+        setupScheduleUpdates(conferenceData, { checkForUpdates: false });
+        editorDialogElement = document.getElementById('session-editor-dialog');
+        editorStatusElement = document.getElementById('editor-status');
+    });
+    
+    after(() => {
+        delete globalThis.fetch;
+    });
+    
+    test('shows the editor toolbar with nothing to undo yet', () => {
+        assert.ok(!document.getElementById('schedule-editor').hidden);
+        assert.equal(editorStatusElement.textContent, 'Drag sessions to another time or room, or open a session to edit it.');
+        assert.ok(document.querySelector('[data-editor-action="undo"]').disabled);
+    });
+    
+    test('fills in the session form and saves only the changed fields', () => {
+        const formElement = openForm('d1s2');
+        
+        assert.ok(editorDialogElement.open);
+        assert.equal(formElement.elements.title.value, 'Scaling Microservices');
+        assert.equal(formElement.elements.time.value, '10:15');
+        assert.deepEqual(getFormSpeakerNames(formElement), ['Grace Hopper']);
+        
+        formElement.elements.title.value = 'Scaling Microservices in Practice';
+        saveForm(formElement);
+        
+        assert.ok(!editorDialogElement.open);
+        assert.equal(getSessionById(conferenceData, 'd1s2').title, 'Scaling Microservices in Practice');
+        assert.equal(getSessionById(conferenceData, 'd1s2').speaker, 'Grace Hopper');
+        assert.equal(editorStatusElement.textContent, 'Saved “Scaling Microservices in Practice”. Changes not downloaded yet.');
+    });
+    
+    test('keeps every speaker of a session with several speakers', () => {
+        const formElement = openForm('d1s5');
+        
+        assert.deepEqual(getFormSpeakerNames(formElement), ['Ada Lovelace', 'Grace Hopper']);
+        
+        formElement.elements.room.value = 'Room B';
+        saveForm(formElement);
+        
+        const session = getSessionById(conferenceData, 'd1s5');
+        assert.equal(session.room, 'Room B');
+        assert.deepEqual(session.speakerIds, ['ada-lovelace', 'grace-hopper']);
+        assert.equal(session.speaker, 'Ada Lovelace and Grace Hopper');
+    });
+    
+    test('adds and removes co-speakers in the speaker list', () => {
+        const formElement = openForm('d1s5');
+        formElement.querySelector('.editor-speaker[data-speaker-id="grace-hopper"] .editor-tag-remove').click();
+        
+        assert.deepEqual(getFormSpeakerNames(formElement), ['Ada Lovelace']);
+        
+        saveForm(formElement);
+        
+        assert.deepEqual(getSessionById(conferenceData, 'd1s5').speakerIds, ['ada-lovelace']);
+        assert.equal(getSessionById(conferenceData, 'd1s5').speaker, 'Ada Lovelace');
+        
+        const nextFormElement = openForm('d1s5');
+        typeSpeaker(nextFormElement, 'grace hopper');
+        typeSpeaker(nextFormElement, 'Ada Lovelace');
+        typeSpeaker(nextFormElement, 'Alan Kay');
+        
+        assert.deepEqual(getFormSpeakerNames(nextFormElement), ['Ada Lovelace', 'Grace Hopper', 'Alan Kay']);
+        
+        saveForm(nextFormElement);
+        
+        // Alan Kay isn't in the speakers section, so the speaker text names everyone
+        assert.deepEqual(getSessionById(conferenceData, 'd1s5').speakerIds, ['ada-lovelace', 'grace-hopper']);
+        assert.equal(getSessionById(conferenceData, 'd1s5').speaker, 'Ada Lovelace, Grace Hopper, and Alan Kay');
+    });
+    
+    test('refuses an edit that makes the schedule invalid and lists why', () => {
+        const formElement = openForm('d1s3');
+        formElement.elements.title.value = '';
+        
+        saveForm(formElement);
+        
+        assert.ok(editorDialogElement.open);
+        assert.ok(!formElement.querySelector('.editor-form-errors').hidden);
+        assert.equal(getSessionById(conferenceData, 'd1s3').title, 'Design Systems That Last');
+        formElement.querySelector('.editor-cancel').click();
+    });
+    
+    test('undoes and redoes edits in every view', () => {
+        document.querySelector('[data-editor-action="undo"]').click();
+        
+        assert.deepEqual(getSessionById(conferenceData, 'd1s5').speakerIds, ['ada-lovelace']);
+        assert.equal(editorStatusElement.textContent, 'Undone. Changes not downloaded yet.');
+        
+        document.querySelector('[data-editor-action="redo"]').click();
+        
+        assert.deepEqual(getSessionById(conferenceData, 'd1s5').speakerIds, ['ada-lovelace', 'grace-hopper']);
+        assert.ok(document.querySelector('[data-editor-action="redo"]').disabled);
+    });
+});
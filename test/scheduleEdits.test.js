@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    createSessionId,
+    addSession,
+    updateSession,
+    moveSession,
+    duplicateSession,
+    deleteSession,
+    findEditableSession,
+    createEditHistory
+} from '../src/js/modules/scheduleEdits.js';
+
+const conferenceData = JSON.parse(readFileSync(new URL('./fixtures/conference-data.json', import.meta.url), 'utf8'));
+
+/**
+ * Lists the session IDs of a day
+ * @param {Object} data - The conference data
+ * @param {String} dayId - The ID of the day
+ * @returns {Array} The session IDs, in schedule order
+ */
+const getDaySessionIds = (data, dayId) => data.days.find(day => day.id === dayId).sessions.map(session => session.id);
+
+describe('scheduleEdits', () => {
+    test('creates IDs that follow the numbering of the day', () => {
+        assert.equal(createSessionId(conferenceData, 'day1'), 'd1s6');
+        assert.equal(createSessionId({ days: [{ id: 'day3', sessions: [] }] }, 'day3'), 'day3s1');
+    });
+    
+    test('adds a session in time order without changing the original data', () => {
+        const { data, sessionId } = addSession(conferenceData, 'day1', { time: '10:15', title: 'Lightning Talks', type: 'round1' });
+        
+        assert.equal(sessionId, 'd1s6');
+        assert.deepEqual(getDaySessionIds(data, 'day1'), ['d1s1', 'd1s2', 'd1s3', 'd1s6', 'd1s4', 'd1s5']);
+        assert.equal(getDaySessionIds(conferenceData, 'day1').length, 5);
+    });
+    
+    test('updates fields and removes emptied ones', () => {
+        const data = updateSession(conferenceData, 'd1s2', { title: 'Scaling Services', tags: [], room: '' });
+        const { session } = findEditableSession(data, 'd1s2');
+        
+        assert.equal(session.title, 'Scaling Services');
+        assert.equal('tags' in session, false);
+        assert.equal('room' in session, false);
+    });
+    
+    test('moves a session to another day, keeping its length', () => {
+        const data = moveSession(conferenceData, 'd1s4', { dayId: 'day2', time: '9:00' });
+        const { day, session } = findEditableSession(data, 'd1s4');
+        
+        assert.equal(day.id, 'day2');
+        assert.deepEqual([session.time, session.endTime, session.room], ['9:00', '9:30', 'Foyer']);
+        assert.deepEqual(getDaySessionIds(data, 'day2'), ['d1s4', 'd2s1', 'd2s2']);
+    });
+    
+    test('duplicates and deletes sessions', () => {
+        const { data, sessionId } = duplicateSession(conferenceData, 'd2s1');
+        
+        assert.deepEqual(getDaySessionIds(data, 'day2'), ['d2s1', sessionId, 'd2s2']);
+        assert.deepEqual(getDaySessionIds(deleteSession(data, 'd2s1'), 'day2'), [sessionId, 'd2s2']);
+    });
+    
+    test('the edit history undoes and redoes edits and tracks unsaved changes', () => {
+        const history = createEditHistory(conferenceData);
+        history.apply(deleteSession(conferenceData, 'd2s2'));
+        
+        assert.ok(history.hasUnsavedChanges());
+        assert.ok(history.undo());
+        assert.equal(history.getCurrent(), conferenceData);
+        assert.ok(!history.canUndo());
+        assert.ok(history.canRedo());
+        history.redo();
+        history.markSaved();
+        assert.ok(!history.hasUnsavedChanges());
+    });
+});
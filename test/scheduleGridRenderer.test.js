@@ -0,0 +1,80 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData, getSessionsByDay } = await import('../src/js/modules/dataService.js');
+const { createDayGridElement } = await import('../src/js/modules/scheduleGridRenderer.js');
+
+/**
+ * Lists the text of the elements matching a selector
+ * @param {HTMLElement} element - The element to look in
+ * @param {String} selector - The CSS selector
+ * @returns {Array} The text of every match
+ */
+const getTexts = (element, selector) => [...element.querySelectorAll(selector)].map(match => match.textContent);
+
+describe('scheduleGridRenderer', () => {
+    let daySessions;
+    
+    before(() => {
+        const conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        daySessions = getSessionsByDay(conferenceData, 'day1');
+    });
+    
+    test('shows rooms as columns and time slots as rows', () => {
+        const gridElement = createDayGridElement(daySessions, daySessions, 'July 15, 2025');
+        
+        assert.ok(gridElement.classList.contains('schedule-grid-wrapper'));
+        assert.deepEqual(getTexts(gridElement, '.grid-room-header'), ['Room A', 'Room B']);
+        assert.deepEqual(getTexts(gridElement, '.grid-time'), ['9:00 AM', '10:15 AM', '11:15 AM', '11:45 AM']);
+        assert.equal(gridElement.querySelector('.schedule-grid').style.gridTemplateColumns, 'auto repeat(2, minmax(180px, 1fr))');
+    });
+    
+    test('places sessions in their room and keynotes and breaks across all rooms', () => {
+        const gridElement = createDayGridElement(daySessions, daySessions, 'July 15, 2025');
+        
+        /**
+         * Gets the grid cell holding a session
+         * @param {String} sessionId - The session ID
+         * @returns {HTMLElement} The grid cell
+         */
+        const getCell = (sessionId) => gridElement.querySelector(`.session[data-session-id="${sessionId}"]`).closest('.grid-cell');
+        
+        assert.deepEqual([getCell('d1s1').style.gridColumn, getCell('d1s1').style.gridRow], ['2 / 4', '2 / 3']);
+        assert.deepEqual([getCell('d1s3').style.gridColumn, getCell('d1s3').style.gridRow], ['3 / 4', '3 / 4']);
+        assert.equal(getCell('d1s4').style.gridColumn, '2 / 4');
+        assert.equal(getCell('d1s3').getAttribute('data-room'), 'Room B');
+        assert.equal(getCell('d1s3').getAttribute('data-time'), '10:15');
+        assert.equal(getCell('d1s4').getAttribute('data-room'), null);
+    });
+    
+    test('marks rooms that are free in a time slot', () => {
+        const gridElement = createDayGridElement(daySessions, daySessions, 'July 15, 2025');
+        const emptyCells = [...gridElement.querySelectorAll('.grid-empty-cell')];
+        
+        assert.equal(emptyCells.length, 1);
+        assert.equal(emptyCells[0].title, 'Room B is free at 11:45 AM');
+        assert.equal(emptyCells[0].getAttribute('data-room'), 'Room B');
+        assert.equal(emptyCells[0].getAttribute('data-time'), '11:45');
+    });
+    
+    test('shares one cell between sessions booked in the same room at the same time', () => {
+        const overlappingSession = { ...daySessions[1], id: 'overlap', time: '10:30', endTime: '11:00', title: 'Overlap' };
+        const sessions = [...daySessions, overlappingSession];
+        const gridElement = createDayGridElement(sessions, sessions, 'July 15, 2025');
+        const doubleBookedCells = [...gridElement.querySelectorAll('.grid-double-booked')];
+        
+        assert.equal(doubleBookedCells.length, 1);
+        assert.equal(doubleBookedCells[0].querySelector('.grid-warning').textContent, '⚠ Double-booked: 2 sessions');
+        assert.deepEqual([...doubleBookedCells[0].querySelectorAll('.session')].map(element => element.getAttribute('data-session-id')), ['d1s2', 'overlap']);
+    });
+    
+    test('keeps the layout of the whole day when only some sessions are shown', () => {
+        const gridElement = createDayGridElement(daySessions, daySessions.filter(session => session.room === 'Room B'), 'July 15, 2025');
+        
+        assert.deepEqual(getTexts(gridElement, '.grid-room-header'), ['Room A', 'Room B']);
+        assert.deepEqual([...gridElement.querySelectorAll('.session')].map(element => element.getAttribute('data-session-id')), ['d1s3']);
+        assert.equal(gridElement.querySelectorAll('.grid-empty-cell').length, 1);
+    });
+});
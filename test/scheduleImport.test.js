@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { detectImportFormat, importSchedule, ScheduleImportError } from '../src/js/modules/scheduleImport.js';
+
+/**
+ * Reads a file from test/fixtures
+ * @param {String} fileName - The file name
+ * @returns {String} The file contents
+ */
+const readFixture = (fileName) => readFileSync(new URL(`./fixtures/${fileName}`, import.meta.url), 'utf8');
+
+const SESSIONIZE_EXPORT = {
+    sessions: [
+        {
+            id: '101',
+            title: 'Scaling Microservices',
+            startsAt: '2025-07-15T10:15:00',
+            endsAt: '2025-07-15T11:15:00',
+            roomId: 1,
+            speakers: ['grace'],
+            categoryItems: [11],
+            status: 'Accepted'
+        },
+        { id: '102', title: 'Unscheduled Talk', startsAt: null, speakers: [] },
+        { id: '103', title: 'Declined Talk', startsAt: '2025-07-15T12:00:00', status: 'Declined' }
+    ],
+    speakers: [{ id: 'grace', fullName: 'Grace Hopper', tagLine: 'Rear Admiral', links: [{ title: 'Blog', url: 'https://example.org' }] }],
+    rooms: [{ id: 1, name: 'Room A' }],
+    categories: [{ id: 1, title: 'Track', items: [{ id: 11, name: 'Cloud' }] }]
+};
+
+describe('scheduleImport', () => {
+    test('detects the format from the contents or the file name', () => {
+        assert.equal(detectImportFormat('feed.txt', 'BEGIN:VCALENDAR\r\n'), 'ics');
+        assert.equal(detectImportFormat('schedule.CSV', 'date,start,title'), 'csv');
+        assert.equal(detectImportFormat('export.json', '{}'), 'sessionize');
+        assert.equal(detectImportFormat('schedule.xlsx', ''), null);
+    });
+    
+    test('imports CSV rows as days and sessions, and reports the rows it left out', () => {
+        const { data, issues } = importSchedule(readFixture('schedule.csv'), 'csv', { conferenceName: 'Test Conference', timezone: 'Europe/Amsterdam' });
+        
+        assert.deepEqual(data.days.map(day => day.date), ['July 15, 2025', 'July 16, 2025']);
+        assert.deepEqual(data.days[0].sessions[0], {
+            id: 'd1s1',
+            time: '9:00',
+            endTime: '10:00',
+            type: 'keynote',
+            title: 'Opening Keynote',
+            speakerIds: ['ada-lovelace'],
+            description: 'Where **machine learning** goes next, and why.',
+            room: 'Main Hall',
+            tags: ['AI', 'Future Tech']
+        });
+        assert.deepEqual(data.days[0].sessions[1].speakerIds, ['grace-hopper', 'alan-kay']);
+        assert.deepEqual(data.speakers.find(speaker => speaker.id === 'ada-lovelace'), {
+            id: 'ada-lovelace',
+            name: 'Ada Lovelace',
+            role: 'Analyst',
+            company: 'Analytical Engines'
+        });
+        assert.deepEqual(issues.map(issue => issue.path), ['row 4, end', 'row 5', 'row 6, type']);
+    });
+    
+    test('imports CSV saved with semicolons', () => {
+        const { data } = importSchedule('\uFEFFdate;start;title;tags\n2025-07-15;9:00;"Opening; Keynote";AI,Cloud\n', 'csv', { conferenceName: 'Test' });
+        
+        assert.equal(data.days[0].sessions[0].title, 'Opening; Keynote');
+        assert.deepEqual(data.days[0].sessions[0].tags, ['AI', 'Cloud']);
+    });
+    
+    test('refuses CSV without the required columns', () => {
+        assert.throws(() => importSchedule('title,room\nKeynote,Main Hall\n', 'csv', { conferenceName: 'Test' }), (error) => {
+            assert.ok(error instanceof ScheduleImportError);
+            assert.equal(error.issues[0].message, 'Missing column(s): date, start');
+            return true;
+        });
+    });
+    
+    test('imports iCalendar events at the venue time, leaving out all-day and cancelled events', () => {
+        const { data, issues } = importSchedule(readFixture('schedule.ics'), 'ics');
+        const [opening, cloud] = data.days[0].sessions;
+        
+        assert.equal(data.conferenceName, 'Calendar Conference');
+        assert.equal(data.timezone, 'Europe/Amsterdam');
+        assert.deepEqual([opening.id, opening.time, opening.endTime], ['opening', '9:00', '10:00']);
+        assert.equal(opening.description, 'Where machine learning goes next, and why.');
+        assert.deepEqual(opening.speakerIds, ['ada-lovelace']);
+        assert.deepEqual([cloud.time, cloud.endTime], ['10:15', '11:15']);
+        assert.deepEqual(issues.map(issue => issue.message), [
+            'All-day events have no time slot, it was left out',
+            'The event is cancelled and was left out'
+        ]);
+    });
+    
+    test('imports the Sessionize export with rooms, categories and speakers', () => {
+        const { data, issues } = importSchedule(JSON.stringify(SESSIONIZE_EXPORT), 'sessionize', {
+            conferenceName: 'Test Conference',
+            timezone: 'Europe/Amsterdam'
+        });
+        const session = data.days[0].sessions[0];
+        
+        assert.deepEqual([session.time, session.endTime, session.room, session.tags], ['10:15', '11:15', 'Room A', ['Cloud']]);
+        assert.equal(data.speakers[0].role, 'Rear Admiral');
+        assert.equal(data.days[0].sessions.length, 1);
+        assert.deepEqual(issues.map(issue => issue.path), ['$.sessions[1]', '$.sessions[2]']);
+    });
+});
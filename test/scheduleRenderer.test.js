@@ -0,0 +1,112 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom({ storage: { 'conference-app:storage-consent': 'granted' } });
+const { prepareConferenceData, getSessionById } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule, createSessionElement, setSessionsDraggable } = await import('../src/js/modules/scheduleRenderer.js');
+const { normalizeFilters, createEmptyFilters } = await import('../src/js/modules/sessionFilters.js');
+const { appStore } = await import('../src/js/modules/appStore.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+/**
+ * Lists the time slots the schedule shows for a day
+ * @param {String} dayId - The ID of the day
+ * @returns {Array} The start times of the time slots
+ */
+const getTimeSlotTimes = (dayId) => [...document.querySelectorAll(`.day-schedule[data-day="${dayId}"] .time-slot`)]
+    .map(element => element.getAttribute('data-time'));
+
+describe('scheduleRenderer', () => {
+    let conferenceData;
+    let scheduleDaysElement;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        scheduleDaysElement = document.getElementById('schedule-days');
+    });
+    
+    test('renders every day in time slots, showing the selected day', () => {
+        assert.deepEqual([...scheduleDaysElement.querySelectorAll('.day-schedule')].map(element => element.getAttribute('data-day')), ['day1', 'day2']);
+        assert.deepEqual(getTimeSlotTimes('day1'), ['09:00', '10:15', '11:15', '11:45']);
+        assert.deepEqual(getTimeSlotTimes('day2'), ['09:30', '10:30']);
+        assert.equal(scheduleDaysElement.querySelectorAll('.time-slot[data-time="10:15"] .session').length, 2);
+        assert.ok(scheduleDaysElement.querySelector('.day-schedule[data-day="day1"]').classList.contains('active'));
+        
+        appStore.setState({ dayId: 'day2' });
+        
+        assert.ok(scheduleDaysElement.querySelector('.day-schedule[data-day="day2"]').classList.contains('active'));
+        assert.ok(!scheduleDaysElement.querySelector('.day-schedule[data-day="day1"]').classList.contains('active'));
+        appStore.setState({ dayId: 'day1' });
+    });
+    
+    test('shows the room, title, speaker and tags of a session', () => {
+        const sessionElement = createSessionElement(getSessionById(conferenceData, 'd1s5'));
+        
+        assert.equal(sessionElement.getAttribute('data-session-id'), 'd1s5');
+        assert.equal(sessionElement.querySelector('.session-room').textContent, 'Room A');
+        assert.equal(sessionElement.querySelector('.session-title').textContent, 'Machine Learning in the Cloud');
+        assert.equal(sessionElement.querySelector('.session-speaker').textContent, 'Ada Lovelace and Grace Hopper');
+        assert.deepEqual([...sessionElement.querySelectorAll('.tag')].map(element => element.textContent), ['AI', 'Cloud']);
+        assert.ok(sessionElement.querySelector('.star-btn'));
+    });
+    
+    test('marks breaks by their type and leaves them without a star', () => {
+        const sessionElement = createSessionElement(getSessionById(conferenceData, 'd1s4'));
+        
+        assert.ok(sessionElement.classList.contains('break-session'));
+        assert.equal(sessionElement.querySelector('.star-btn'), null);
+        assert.equal(sessionElement.querySelector('.session-speaker'), null);
+    });
+    
+    test('explains a day without sessions matching the filters', () => {
+        appStore.setState({ filters: normalizeFilters({ tags: ['UX'] }) });
+        
+        assert.deepEqual(getTimeSlotTimes('day1'), ['10:15']);
+        assert.equal(
+            scheduleDaysElement.querySelector('.day-schedule[data-day="day2"] .no-results').textContent,
+            'No sessions on Day 2 match the selected filters.'
+        );
+        
+        appStore.setState({ filters: createEmptyFilters() });
+        
+        assert.equal(scheduleDaysElement.querySelector('.no-results'), null);
+    });
+    
+    test('switches to the grid layout and remembers the choice', () => {
+        const layoutChanges = [];
+        on(EVENTS.SCHEDULE_LAYOUT_CHANGED, ({ layout }) => layoutChanges.push(layout));
+        const gridButton = document.querySelector('.layout-btn[data-layout="grid"]');
+        
+        assert.equal(gridButton.getAttribute('aria-pressed'), 'false');
+        
+        gridButton.click();
+        
+        assert.equal(gridButton.getAttribute('aria-pressed'), 'true');
+        assert.ok(scheduleDaysElement.classList.contains('schedule-grid-layout'));
+        assert.equal(scheduleDaysElement.querySelector('.time-slot'), null);
+        assert.equal(window.localStorage.getItem('conference-app:schedule-layout'), '"grid"');
+        assert.deepEqual(layoutChanges, ['grid']);
+        
+        document.querySelector('.layout-btn[data-layout="list"]').click();
+        
+        assert.ok(!scheduleDaysElement.classList.contains('schedule-grid-layout'));
+        assert.deepEqual(layoutChanges, ['grid', 'list']);
+    });
+    
+    test('lets sessions be dragged once the schedule editor asks for it', () => {
+        setSessionsDraggable(true);
+        renderSchedule(conferenceData);
+        
+        assert.ok([...scheduleDaysElement.querySelectorAll('.session')].every(element => element.draggable));
+        
+        setSessionsDraggable(false);
+        renderSchedule(conferenceData);
+        
+        assert.ok(!scheduleDaysElement.querySelector('.session').draggable);
+    });
+});
@@ -0,0 +1,150 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture, wait } from './helpers/dom.js';
+
+createTestDom();
+const { fetchConferenceData, getSessionById } = await import('../src/js/modules/dataService.js');
+const { setupNotifications } = await import('../src/js/modules/notificationService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupScheduleUpdates, checkForScheduleUpdates, applyScheduleUpdate, getSessionChangeBadge } = await import('../src/js/modules/scheduleUpdateService.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+/**
+ * Creates a response for the data file
+ * @param {Function} edit - Changes the parsed data file in place, as an organizer would
+ * @param {Object} headers - Response headers
+ * @returns {Response} The response
+ */
+const createDataResponse = (edit = () => {}, headers = {}) => {
+    const rawData = loadFixture('conference-data.json');
+    edit(rawData);
+    return new Response(JSON.stringify(rawData), { headers: { 'Content-Type': 'application/json', ...headers } });
+};
+
+describe('scheduleUpdateService', () => {
+    const fetchRequests = [];
+    const pendingResponses = [];
+    const dataUpdates = [];
+    let conferenceData;
+    let toastContainerElement;
+    
+    /**
+     * Lists the text of the toasts on screen
+     * @returns {Array} The toast messages
+     */
+    const getToastMessages = () => [...toastContainerElement.children].map(toastElement => toastElement.textContent);
+    
+    before(async () => {
+        globalThis.fetch = async (url, options = {}) => {
+            fetchRequests.push({ url, options });
+            return pendingResponses.shift() || new Response(null, { status: 304 });
+        };
+        mock.timers.enable({ apis: ['setInterval'] });
+        
+        pendingResponses.push(createDataResponse(() => {}, { ETag: '"v1"' }));
+        conferenceData = await fetchConferenceData();
+        setupNotifications();
+        setupTabNavigation(conferenceData);
+        setupScheduleUpdates(conferenceData);
+        toastContainerElement = document.getElementById('toast-container');
+        on(EVENTS.CONFERENCE_DATA_UPDATED, ({ changes }) => dataUpdates.push(changes));
+    });
+    
+    beforeEach(() => {
+        toastContainerElement.replaceChildren();
+        dataUpdates.length = 0;
+    });
+    
+    after(() => {
+        mock.timers.reset();
+        delete globalThis.fetch;
+    });
+    
+    test('asks for the data file only if it changed since it was loaded', async () => {
+        const fetchCount = fetchRequests.length;
+        
+        assert.deepEqual(await checkForScheduleUpdates(), []);
+        
+        const { url, options } = fetchRequests[fetchCount];
+        assert.equal(url, '/src/data/conference-data.json');
+        assert.equal(options.cache, 'no-cache');
+        assert.equal(options.headers['If-None-Match'], '"v1"');
+        assert.deepEqual(dataUpdates, []);
+    });
+    
+    test('checks again every minute', async () => {
+        const fetchCount = fetchRequests.length;
+        
+        mock.timers.tick(60 * 1000);
+        await wait();
+        
+        assert.equal(fetchRequests.length, fetchCount + 1);
+    });
+    
+    test('applies a moved session in place, announces it and marks the session', async () => {
+        const loadedData = conferenceData;
+        pendingResponses.push(createDataResponse(rawData => {
+            Object.assign(rawData.days[0].sessions[2], { room: 'Room C' });
+        }));
+        
+        const changes = await checkForScheduleUpdates();
+        
+        assert.deepEqual(changes.map(change => change.sessionId), ['d1s3']);
+        assert.equal(conferenceData, loadedData);
+        assert.equal(getSessionById(conferenceData, 'd1s3').room, 'Room C');
+        assert.deepEqual(getToastMessages(), ['Design Systems That Last moved to Room C']);
+        assert.deepEqual(getSessionChangeBadge('d1s3'), { label: 'Moved', description: 'Design Systems That Last moved to Room C' });
+        assert.equal(getSessionChangeBadge('d1s2'), null);
+    });
+    
+    test('applies changes outside the sessions, such as a day name or a speaker bio', async () => {
+        pendingResponses.push(createDataResponse(rawData => {
+            rawData.days[0].sessions[2].room = 'Room C';
+            rawData.conferenceName = 'Test Conference 2025 Edition';
+            rawData.days[1].name = 'Workshop Day';
+            rawData.speakers[0].bio = 'Ada wrote the first published algorithm, in 1843.';
+        }));
+        
+        assert.deepEqual(await checkForScheduleUpdates(), []);
+        
+        assert.equal(conferenceData.conferenceName, 'Test Conference 2025 Edition');
+        assert.equal(conferenceData.speakers[0].bio, 'Ada wrote the first published algorithm, in 1843.');
+        assert.equal(document.getElementById('day-tab-day2').firstChild.textContent, 'Workshop Day');
+        assert.deepEqual(dataUpdates, [[]]);
+        assert.deepEqual(getToastMessages(), []);
+    });
+    
+    test('sums up more than three changes in one toast', () => {
+        const newData = structuredClone(conferenceData);
+        newData.days[0].sessions.forEach(session => {
+            session.description = `${session.description || ''} Updated.`;
+        });
+        
+        applyScheduleUpdate(newData);
+        
+        assert.equal(getToastMessages().length, 4);
+        assert.equal(getToastMessages()[3], '…and 2 more changes to the schedule. Changed sessions are marked.');
+    });
+    
+    test('applies data without toasts when asked not to announce it', () => {
+        const newData = structuredClone(conferenceData);
+        newData.days[1].sessions[0].title = 'Security by Design, Revisited';
+        
+        const changes = applyScheduleUpdate(newData, { announce: false });
+        
+        assert.equal(changes.length, 1);
+        assert.deepEqual(getToastMessages(), []);
+        assert.equal(getSessionChangeBadge('d2s1').label, 'Updated');
+    });
+    
+    test('keeps the loaded schedule when the check fails', async () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        pendingResponses.push(new Response('Server error', { status: 500 }));
+        const changes = await checkForScheduleUpdates();
+        console.warn = originalWarn;
+        
+        assert.deepEqual(changes, []);
+        assert.equal(getSessionById(conferenceData, 'd2s1').title, 'Security by Design, Revisited');
+    });
+});
@@ -0,0 +1,99 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData, getAllSessions } = await import('../src/js/modules/dataService.js');
+const { buildSearchIndex, searchSessions, getEditDistance } = await import('../src/js/modules/searchIndex.js');
+const { parseSearchQuery, runSearchQuery } = await import('../src/js/modules/searchQuery.js');
+const { setupSearch, runSearch, clearSearch } = await import('../src/js/modules/searchService.js');
+
+/**
+ * Runs a query as typed in the search box
+ * @param {Object} index - The search index
+ * @param {String} queryText - The query
+ * @returns {Array} IDs of the matching sessions, best match first
+ */
+const findSessionIds = (index, queryText) => {
+    return runSearchQuery(index, parseSearchQuery(queryText)).map(result => result.session.id);
+};
+
+describe('search', () => {
+    let conferenceData;
+    let searchIndex;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        searchIndex = buildSearchIndex(getAllSessions(conferenceData));
+        setupSearch(conferenceData);
+    });
+    
+    test('ranks title matches above description matches', () => {
+        const sessionIds = searchSessions(searchIndex, 'machine learning').map(result => result.session.id);
+        
+        assert.deepEqual(sessionIds, ['d1s5', 'd1s1']);
+    });
+    
+    test('tolerates typos', () => {
+        assert.equal(getEditDistance('microservces', 'microservices', 2), 1);
+        assert.deepEqual(findSessionIds(searchIndex, 'microservces'), ['d1s2']);
+    });
+    
+    test('every term has to match', () => {
+        assert.deepEqual(findSessionIds(searchIndex, 'design security'), ['d2s1']);
+        assert.deepEqual(findSessionIds(searchIndex, 'design quantum'), []);
+    });
+    
+    test('matches fields, alternatives and exclusions', () => {
+        assert.deepEqual(findSessionIds(searchIndex, 'tag:AI').sort(), ['d1s1', 'd1s5']);
+        assert.deepEqual(findSessionIds(searchIndex, 'room:"Room A" -machine'), ['d1s2']);
+        assert.deepEqual(findSessionIds(searchIndex, 'type:keynote day:day2'), ['d2s1']);
+        assert.deepEqual(findSessionIds(searchIndex, 'tag:Security OR tag:UX').sort(), ['d1s3', 'd2s1']);
+    });
+    
+    test('reports unknown fields with a suggestion', () => {
+        const { errors } = parseSearchQuery('tga:AI');
+        
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].params.suggestion, 'tag');
+    });
+    
+    test('reports an OR without terms once', () => {
+        assert.deepEqual(parseSearchQuery('OR').errors, [{ key: 'searchQuery.orWithoutTerms' }]);
+        assert.deepEqual(parseSearchQuery('cloud OR').errors, [{ key: 'searchQuery.orWithoutTerms' }]);
+        assert.deepEqual(parseSearchQuery('OR cloud').clauses.map(clause => clause.map(term => term.value)), [['cloud']]);
+    });
+    
+    test('matches quoted values as whole words', () => {
+        const sessions = getAllSessions(conferenceData);
+        const roomIndex = buildSearchIndex([...sessions, { ...sessions[2], id: 'room-ab', room: 'Room AB' }]);
+        
+        assert.deepEqual(findSessionIds(roomIndex, 'room:"Room A"'), ['d1s2', 'd1s5']);
+        assert.deepEqual(findSessionIds(roomIndex, 'room:"Room AB"'), ['room-ab']);
+        assert.deepEqual(findSessionIds(roomIndex, '"machine learn"'), []);
+        assert.deepEqual(findSessionIds(roomIndex, 'speaker:"Grace Hopper"'), ['d1s2', 'd1s5']);
+    });
+    
+    test('a query that only excludes sessions lists the rest of the schedule', () => {
+        assert.deepEqual(findSessionIds(searchIndex, '-room:Foyer -tag:AI'), ['d1s2', 'd1s3', 'd2s1']);
+    });
+    
+    test('runSearch shows the matching sessions in the dropdown', () => {
+        runSearch('design');
+        
+        const searchResultsElement = document.getElementById('search-results');
+        const titles = [...searchResultsElement.querySelectorAll('[role="option"] .result-title')].map(element => element.textContent);
+        
+        assert.equal(searchResultsElement.style.display, 'block');
+        assert.equal(document.getElementById('search-input').getAttribute('aria-expanded'), 'true');
+        assert.deepEqual(titles.sort(), ['Design Systems That Last', 'Security by Design']);
+    });
+    
+    test('clearSearch empties the search field and hides the results', () => {
+        runSearch('cloud');
+        clearSearch();
+        
+        assert.equal(document.getElementById('search-input').value, '');
+        assert.notEqual(document.getElementById('search-results').style.display, 'block');
+    });
+});
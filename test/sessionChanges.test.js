@@ -0,0 +1,88 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { diffConferenceData, describeChange, isSessionMove } = await import('../src/js/modules/sessionChanges.js');
+
+/**
+ * Prepares the fixture after editing it as an organizer would edit the data file
+ * @param {Function} edit - Changes the parsed data file in place
+ * @returns {Object} The prepared conference data
+ */
+const prepareEditedFixture = (edit) => {
+    const rawData = loadFixture('conference-data.json');
+    edit(rawData);
+    return prepareConferenceData(rawData);
+};
+
+/**
+ * Finds a session in the parsed data file
+ * @param {Object} rawData - The parsed data file
+ * @param {String} sessionId - The session ID
+ * @returns {Object} The session as written in the file
+ */
+const findRawSession = (rawData, sessionId) => {
+    return rawData.days.flatMap(day => day.sessions).find(session => session.id === sessionId);
+};
+
+describe('sessionChanges', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+    });
+    
+    test('finds no changes between equal data', () => {
+        assert.deepEqual(diffConferenceData(conferenceData, prepareEditedFixture(() => {})), []);
+    });
+    
+    test('describes a session that moved to another room and time', () => {
+        const newData = prepareEditedFixture(rawData => {
+            Object.assign(findRawSession(rawData, 'd1s3'), { room: 'Room C', time: '11:45', endTime: '12:45' });
+        });
+        const [change, ...otherChanges] = diffConferenceData(conferenceData, newData);
+        
+        assert.deepEqual(otherChanges, []);
+        assert.equal(change.type, 'updated');
+        assert.deepEqual(change.fields, ['time', 'room', 'endTime']);
+        assert.ok(isSessionMove(change));
+        assert.equal(describeChange(change), 'Design Systems That Last moved to Room C at 11:45 AM');
+    });
+    
+    test('describes a session that moved to another day', () => {
+        const newData = prepareEditedFixture(rawData => {
+            const session = findRawSession(rawData, 'd1s3');
+            rawData.days[0].sessions = rawData.days[0].sessions.filter(daySession => daySession !== session);
+            rawData.days[1].sessions.push({ ...session, time: '14:00', endTime: '15:00' });
+        });
+        const [change] = diffConferenceData(conferenceData, newData);
+        
+        assert.equal(describeChange(change), 'Design Systems That Last moved to Day 2 at 2:00 PM');
+    });
+    
+    test('names the details that changed by their old title', () => {
+        const newData = prepareEditedFixture(rawData => {
+            Object.assign(findRawSession(rawData, 'd1s2'), { title: 'Microservices at Scale', tags: ['Cloud'] });
+        });
+        const [change] = diffConferenceData(conferenceData, newData);
+        
+        assert.ok(!isSessionMove(change));
+        assert.equal(describeChange(change), 'The title and topics of Scaling Microservices changed');
+    });
+    
+    test('lists added and removed sessions', () => {
+        const newData = prepareEditedFixture(rawData => {
+            rawData.days[1].sessions = rawData.days[1].sessions.filter(session => session.id !== 'd2s2');
+            rawData.days[1].sessions.push({ id: 'd2s3', time: '10:30', endTime: '11:15', type: 'round1', title: 'Threat Modeling', room: 'Room A' });
+        });
+        const changes = diffConferenceData(conferenceData, newData);
+        
+        assert.deepEqual(changes.map(change => [change.type, change.sessionId]), [['added', 'd2s3'], ['removed', 'd2s2']]);
+        assert.deepEqual(changes.map(describeChange), [
+            'Threat Modeling was added on Day 2 at 10:30 AM in Room A',
+            'Networking Lunch was removed from the schedule'
+        ]);
+    });
+});
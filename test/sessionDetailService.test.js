@@ -0,0 +1,112 @@
+import { test, describe, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupLayoutToggle, renderSchedule } = await import('../src/js/modules/scheduleRenderer.js');
+const { setupSessionDetails, hideSessionDetails } = await import('../src/js/modules/sessionDetailService.js');
+const { appStore } = await import('../src/js/modules/appStore.js');
+
+/**
+ * Opens the details of a session the way the schedule and search do
+ * @param {String} sessionId - The ID of the session
+ */
+const selectSession = (sessionId) => {
+    appStore.setState({ selectedSessionId: sessionId });
+};
+
+describe('sessionDetailService', () => {
+    let sessionModalElement;
+    
+    before(() => {
+        const conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupTabNavigation(conferenceData);
+        setupLayoutToggle(conferenceData);
+        renderSchedule(conferenceData);
+        setupSessionDetails(conferenceData);
+        sessionModalElement = document.getElementById('session-modal');
+    });
+    
+    afterEach(() => {
+        hideSessionDetails();
+    });
+    
+    test('selecting a session opens the modal with the session details', () => {
+        selectSession('d1s5');
+        
+        assert.ok(sessionModalElement.classList.contains('active'));
+        assert.ok(document.getElementById('modal-overlay').classList.contains('active'));
+        assert.equal(document.getElementById('session-detail-title').textContent, 'Machine Learning in the Cloud');
+        assert.deepEqual(
+            [...document.querySelectorAll('.session-detail-speaker .speaker-link')].map(element => element.textContent),
+            ['Ada Lovelace', 'Grace Hopper']
+        );
+        assert.equal(document.activeElement, document.querySelector('.modal-close'));
+        assert.ok(document.querySelector('header').hasAttribute('inert'));
+    });
+    
+    test('shows the affiliation of each speaker, and a star only for sessions that can be starred', () => {
+        selectSession('d1s1');
+        
+        assert.equal(document.querySelector('.session-detail-company').textContent, 'Analyst, Analytical Engines');
+        assert.equal(document.querySelector('.speaker-link').getAttribute('aria-label'), 'Ada Lovelace, view speaker profile');
+        assert.deepEqual(
+            [...document.querySelector('.session-detail-actions').children].map(element => element.className.split(' ')[0]),
+            ['star-btn', 'calendar-btn']
+        );
+        
+        hideSessionDetails();
+        selectSession('d1s4');
+        
+        assert.equal(document.querySelector('.session-detail-speaker'), null);
+        assert.deepEqual(
+            [...document.querySelector('.session-detail-actions').children].map(element => element.textContent),
+            ['📅 Add to calendar']
+        );
+    });
+    
+    test('renders the description Markdown', () => {
+        selectSession('d1s1');
+        
+        assert.equal(document.querySelector('.session-detail-description strong').textContent, 'machine learning');
+    });
+    
+    test('ignores unknown sessions and clears the selection', () => {
+        const originalError = console.error;
+        console.error = () => {};
+        selectSession('nope');
+        console.error = originalError;
+        
+        assert.ok(!sessionModalElement.classList.contains('active'));
+        assert.equal(appStore.getState().selectedSessionId, null);
+    });
+    
+    test('the close button closes the modal, returns focus and clears the selection', () => {
+        const sessionTitleButton = document.querySelector('.session[data-session-id="d1s2"] .session-title');
+        sessionTitleButton.focus();
+        selectSession('d1s2');
+        
+        document.querySelector('.modal-close').click();
+        
+        assert.ok(!sessionModalElement.classList.contains('active'));
+        assert.equal(appStore.getState().selectedSessionId, null);
+        assert.equal(document.activeElement, sessionTitleButton);
+        assert.ok(!document.querySelector('header').hasAttribute('inert'));
+    });
+    
+    test('Escape closes the modal', () => {
+        selectSession('d2s1');
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        
+        assert.ok(!sessionModalElement.classList.contains('active'));
+    });
+    
+    test('clicking the overlay closes the modal', () => {
+        selectSession('d2s1');
+        document.getElementById('modal-overlay').click();
+        
+        assert.ok(!sessionModalElement.classList.contains('active'));
+    });
+});
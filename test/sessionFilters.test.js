@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAG_MODE_ALL, createEmptyFilters, normalizeFilters, hasActiveFilters, matchesFilters, getFacetCounts } from '../src/js/modules/sessionFilters.js';
+
+const SESSIONS = [
+    { id: 'a', room: 'Room A', type: 'round1', tags: ['AI', 'Cloud'] },
+    { id: 'b', room: 'Room A', type: 'round1', tags: ['Cloud'] },
+    { id: 'c', room: 'Room B', type: 'keynote', tags: ['AI'] },
+    { id: 'd', room: 'Foyer', type: 'break' }
+];
+
+/**
+ * Lists the sessions that match filters
+ * @param {Object} filters - Partial filters
+ * @returns {Array} IDs of the matching sessions
+ */
+const filterSessionIds = (filters) => {
+    const completeFilters = normalizeFilters(filters);
+    return SESSIONS.filter(session => matchesFilters(session, completeFilters)).map(session => session.id);
+};
+
+describe('sessionFilters', () => {
+    test('normalizes partial filters read from a URL', () => {
+        assert.deepEqual(normalizeFilters({ tags: ['AI', 'AI', ''], tagMode: 'bogus' }), { ...createEmptyFilters(), tags: ['AI'] });
+        assert.ok(!hasActiveFilters(createEmptyFilters()));
+        assert.ok(hasActiveFilters(normalizeFilters({ rooms: ['Foyer'] })));
+    });
+    
+    test('combines values of a facet with OR and facets with AND', () => {
+        assert.deepEqual(filterSessionIds({}), ['a', 'b', 'c', 'd']);
+        assert.deepEqual(filterSessionIds({ tags: ['AI', 'Cloud'] }), ['a', 'b', 'c']);
+        assert.deepEqual(filterSessionIds({ tags: ['AI'], rooms: ['Room A'] }), ['a']);
+    });
+    
+    test('in "match all" mode a session needs every selected tag', () => {
+        assert.deepEqual(filterSessionIds({ tags: ['AI', 'Cloud'], tagMode: TAG_MODE_ALL }), ['a']);
+    });
+    
+    test('counts what each value would show, ignoring the selection of its own facet', () => {
+        const facetCounts = getFacetCounts(SESSIONS, normalizeFilters({ rooms: ['Room A'] }));
+        
+        assert.deepEqual(facetCounts.rooms, [
+            { value: 'Foyer', count: 1 },
+            { value: 'Room A', count: 2 },
+            { value: 'Room B', count: 1 }
+        ]);
+        assert.deepEqual(facetCounts.tags, [{ value: 'AI', count: 1 }, { value: 'Cloud', count: 2 }]);
+    });
+});
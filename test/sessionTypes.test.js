@@ -0,0 +1,22 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION_TYPE_CLASSES, SESSION_TYPE_LABEL_KEYS, FULL_WIDTH_SESSION_TYPES } from '../src/js/modules/sessionTypes.js';
+import en from '../src/js/locales/en.js';
+import nl from '../src/js/locales/nl.js';
+
+describe('sessionTypes', () => {
+    test('every session type has a class and a label in every language', () => {
+        Object.keys(SESSION_TYPE_CLASSES).forEach(type => {
+            assert.ok(SESSION_TYPE_LABEL_KEYS[type], type);
+            assert.ok(en[SESSION_TYPE_LABEL_KEYS[type]], type);
+            assert.ok(nl[SESSION_TYPE_LABEL_KEYS[type]], type);
+        });
+        assert.deepEqual(Object.keys(SESSION_TYPE_LABEL_KEYS), Object.keys(SESSION_TYPE_CLASSES));
+    });
+    
+    test('full width session types are known types', () => {
+        FULL_WIDTH_SESSION_TYPES.forEach(type => {
+            assert.ok(SESSION_TYPE_CLASSES[type], type);
+        });
+    });
+});
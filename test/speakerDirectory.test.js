@@ -0,0 +1,69 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData, getSessionById } = await import('../src/js/modules/dataService.js');
+const { createSpeakerId, getSpeakers, getSpeakerById, getSessionSpeakers, groupSpeakersByInitial, groupSpeakersByCompany } = await import('../src/js/modules/speakerDirectory.js');
+
+/**
+ * Lists the group labels and the IDs of their speakers
+ * @param {Array} groups - Groups as returned by groupSpeakersByInitial or groupSpeakersByCompany
+ * @returns {Array} Pairs of label and speaker IDs
+ */
+const describeGroups = (groups) => groups.map(group => [group.label, group.speakers.map(speaker => speaker.id)]);
+
+describe('speakerDirectory', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+    });
+    
+    test('createSpeakerId turns a name into a URL slug', () => {
+        assert.equal(createSpeakerId('Alan Kay'), 'alan-kay');
+        assert.equal(createSpeakerId('Dr. Zoë Müller-Smith'), 'dr-zoe-muller-smith');
+        assert.equal(createSpeakerId(''), '');
+    });
+    
+    test('lists declared speakers and speakers named in sessions, with their sessions, by name', () => {
+        const speakers = getSpeakers(conferenceData);
+        
+        assert.deepEqual(speakers.map(speaker => [speaker.id, speaker.sessions.map(session => session.id)]), [
+            ['ada-lovelace', ['d1s1', 'd1s5']],
+            ['alan-kay', ['d1s3', 'd2s1']],
+            ['grace-hopper', ['d1s2', 'd1s5']]
+        ]);
+        assert.equal(speakers[0].bio, 'Ada wrote the first published algorithm.');
+        assert.deepEqual(speakers[1].links, []);
+        assert.equal(speakers[1].company, 'Xerox PARC');
+    });
+    
+    test('finds a speaker and the speakers of a session', () => {
+        assert.equal(getSpeakerById(conferenceData, 'grace-hopper').name, 'Grace Hopper');
+        assert.equal(getSpeakerById(conferenceData, 'nobody'), undefined);
+        assert.deepEqual(getSessionSpeakers(conferenceData, getSessionById(conferenceData, 'd1s5')).map(speaker => speaker.id), ['ada-lovelace', 'grace-hopper']);
+        assert.deepEqual(getSessionSpeakers(conferenceData, getSessionById(conferenceData, 'd1s4')), []);
+    });
+    
+    test('groups speakers by initial, ignoring honorifics', () => {
+        const speakers = [...getSpeakers(conferenceData), { id: 'dr-bob', name: 'Dr. Bob Kahn', sessions: [] }];
+        
+        assert.deepEqual(describeGroups(groupSpeakersByInitial(speakers)), [
+            ['A', ['ada-lovelace', 'alan-kay']],
+            ['B', ['dr-bob']],
+            ['G', ['grace-hopper']]
+        ]);
+    });
+    
+    test('groups speakers by company, with speakers without one as independent', () => {
+        const speakers = [...getSpeakers(conferenceData), { id: 'linus', name: 'Linus Torvalds', sessions: [] }];
+        
+        assert.deepEqual(describeGroups(groupSpeakersByCompany(speakers)), [
+            ['Analytical Engines', ['ada-lovelace']],
+            ['Independent', ['linus']],
+            ['Navy Systems', ['grace-hopper']],
+            ['Xerox PARC', ['alan-kay']]
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTabNavigation } = await import('../src/js/modules/navigationService.js');
+const { setupSpeakers, showSpeakerProfile } = await import('../src/js/modules/speakerService.js');
+const { appStore, VIEWS } = await import('../src/js/modules/appStore.js');
+const { EVENTS, emit, on } = await import('../src/js/modules/eventBus.js');
+
+describe('speakerService', () => {
+    let conferenceData;
+    let speakersContainerElement;
+    
+    /**
+     * Lists the text of the elements matching a selector in the Speakers tab
+     * @param {String} selector - The CSS selector
+     * @returns {Array} The text of every match
+     */
+    const getTexts = (selector) => [...speakersContainerElement.querySelectorAll(selector)].map(element => element.textContent);
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        speakersContainerElement = document.getElementById('speakers-container');
+        setupTabNavigation(conferenceData);
+        setupSpeakers(conferenceData, speakersContainerElement);
+    });
+    
+    test('lists the speakers by initial, with their affiliation and number of sessions', () => {
+        assert.deepEqual(getTexts('.speaker-group-heading'), ['A', 'G']);
+        assert.deepEqual(getTexts('.speaker-card-name'), ['Ada Lovelace', 'Alan Kay', 'Grace Hopper']);
+        assert.deepEqual(getTexts('.speaker-card-affiliation'), ['Analyst, Analytical Engines', 'Xerox PARC', 'Rear Admiral, Navy Systems']);
+        assert.deepEqual(getTexts('.speaker-card-sessions'), ['2 sessions', '2 sessions', '2 sessions']);
+        assert.equal(speakersContainerElement.querySelector('.speaker-initials').textContent, 'AL');
+    });
+    
+    test('groups the speakers by company', () => {
+        const companyButton = [...speakersContainerElement.querySelectorAll('.speaker-grouping-btn')].find(button => button.textContent === 'By company');
+        
+        companyButton.click();
+        
+        assert.deepEqual(getTexts('.speaker-group-heading'), ['Analytical Engines', 'Navy Systems', 'Xerox PARC']);
+        assert.equal(speakersContainerElement.querySelector('.speaker-grouping-btn[aria-pressed="true"]').textContent, 'By company');
+    });
+    
+    test('opens the profile of a speaker from their card', () => {
+        const selectedSpeakerIds = [];
+        on(EVENTS.SPEAKER_SELECTED, ({ speakerId }) => selectedSpeakerIds.push(speakerId));
+        
+        speakersContainerElement.querySelector('.speaker-card[data-speaker-id="grace-hopper"]').click();
+        
+        assert.deepEqual(selectedSpeakerIds, ['grace-hopper']);
+        assert.equal(appStore.getState().view, VIEWS.SPEAKERS);
+        assert.deepEqual(getTexts('.speaker-profile-name'), ['Grace Hopper']);
+        assert.equal(document.activeElement, speakersContainerElement.querySelector('.speaker-profile-name'));
+        assert.deepEqual(getTexts('.speaker-profile-bio'), ['Grace made computers speak something close to English.']);
+        assert.deepEqual([...speakersContainerElement.querySelectorAll('.speaker-sessions .session')].map(element => element.getAttribute('data-session-id')), ['d1s2', 'd1s5']);
+    });
+    
+    test('shows the new bio on an open profile when the data is updated', () => {
+        conferenceData.speakers[1].bio = 'Grace found the first actual bug.';
+        
+        emit(EVENTS.CONFERENCE_DATA_UPDATED, { changes: [] });
+        
+        assert.deepEqual(getTexts('.speaker-profile-bio'), ['Grace found the first actual bug.']);
+    });
+    
+    test('goes back to the directory, on the card the profile was opened from', () => {
+        speakersContainerElement.querySelector('.speaker-back-btn').click();
+        
+        assert.deepEqual(getTexts('.speaker-profile-name'), []);
+        assert.equal(document.activeElement.getAttribute('data-speaker-id'), 'grace-hopper');
+    });
+    
+    test('refuses to show a speaker who presents no session', () => {
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const shown = showSpeakerProfile('nobody');
+        console.warn = originalWarn;
+        
+        assert.equal(shown, false);
+        assert.deepEqual(getTexts('.speaker-profile-name'), []);
+    });
+});
@@ -0,0 +1,49 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom } from './helpers/dom.js';
+
+createTestDom();
+const { hasStorageConsent, readStoredValue, writeStoredValue, rememberValue, setStorageScope } = await import('../src/js/modules/storageService.js');
+
+describe('storageService', () => {
+    const consentQuestions = [];
+    
+    before(() => {
+        window.confirm = (question) => {
+            consentQuestions.push(question);
+            return false;
+        };
+    });
+    
+    test('keeps values in memory while there is no consent', () => {
+        writeStoredValue('layout', 'grid');
+        
+        assert.equal(readStoredValue('layout'), 'grid');
+        assert.equal(readStoredValue('language', 'en'), 'en');
+        assert.equal(localStorage.length, 0);
+        assert.ok(!hasStorageConsent());
+    });
+    
+    test('rememberValue asks for consent with the purpose, once per visit', () => {
+        assert.equal(rememberValue('time-zone', 'local', 'You are switching to your own time zone.'), false);
+        assert.equal(rememberValue('time-zone', 'venue', 'You are switching to your own time zone.'), false);
+        
+        assert.equal(consentQuestions.length, 1);
+        assert.match(consentQuestions[0], /^You are switching to your own time zone\.\n\n/);
+        assert.equal(readStoredValue('time-zone'), 'venue');
+        assert.equal(localStorage.length, 0);
+    });
+    
+    test('keeps scoped values per conference, the default conference reading values stored without scope', () => {
+        writeStoredValue('starred-sessions', ['d1s1']);
+        
+        setStorageScope('summit', { isDefault: true });
+        assert.deepEqual(readStoredValue('starred-sessions', [], { scoped: true }), ['d1s1']);
+        writeStoredValue('starred-sessions', ['d1s2'], { scoped: true });
+        assert.deepEqual(readStoredValue('starred-sessions', [], { scoped: true }), ['d1s2']);
+        
+        setStorageScope('design-days');
+        assert.deepEqual(readStoredValue('starred-sessions', [], { scoped: true }), []);
+        assert.equal(readStoredValue('layout'), 'grid');
+    });
+});
@@ -0,0 +1,73 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom();
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTagCloud, getTagCounts, getTagFontSize } = await import('../src/js/modules/tagCloudService.js');
+const { appStore } = await import('../src/js/modules/appStore.js');
+const { createEmptyFilters } = await import('../src/js/modules/sessionFilters.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+describe('tagCloudService', () => {
+    let conferenceData;
+    
+    before(() => {
+        conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+        setupTagCloud(conferenceData, document.getElementById('tag-cloud-container'));
+    });
+    
+    test('getTagCounts counts the sessions of every tag across days', () => {
+        assert.deepEqual(getTagCounts(conferenceData), {
+            AI: 2,
+            'Future Tech': 1,
+            Cloud: 2,
+            Architecture: 1,
+            Design: 2,
+            UX: 1,
+            Security: 1
+        });
+    });
+    
+    test('getTagCounts returns no tags without data', () => {
+        assert.deepEqual(getTagCounts(null), {});
+    });
+    
+    test('getTagFontSize scales linearly from the least to the most used tag', () => {
+        assert.equal(getTagFontSize(1, 1, 5), 1);
+        assert.equal(getTagFontSize(5, 1, 5), 2.2);
+        assert.ok(Math.abs(getTagFontSize(3, 1, 5) - 1.6) < 1e-9);
+    });
+    
+    test('getTagFontSize uses the smallest size when all tags are used equally', () => {
+        assert.equal(getTagFontSize(3, 3, 3), 1);
+    });
+    
+    test('renders the tags in alphabetical order, sized by count', () => {
+        const tagElements = [...document.querySelectorAll('.tag-cloud-item')];
+        
+        assert.deepEqual(tagElements.map(element => element.textContent), ['AI', 'Architecture', 'Cloud', 'Design', 'Future Tech', 'Security', 'UX']);
+        assert.equal(tagElements[0].style.fontSize, '2.2em');
+        assert.equal(tagElements[1].style.fontSize, '1em');
+        assert.equal(tagElements[0].getAttribute('aria-pressed'), 'false');
+    });
+    
+    test('clicking a tag emits filter-by-tag', () => {
+        let emittedTag = null;
+        const stopListening = on(EVENTS.FILTER_BY_TAG, ({ tag }) => {
+            emittedTag = tag;
+        });
+        
+        document.querySelector('.tag-cloud-item:nth-child(3)').click();
+        stopListening();
+        
+        assert.equal(emittedTag, 'Cloud');
+    });
+    
+    test('marks the tags filtered in the store as active', () => {
+        appStore.setState({ filters: { ...createEmptyFilters(), tags: ['Design'] } });
+        
+        const activeTags = [...document.querySelectorAll('.tag-cloud-item.active')].map(element => element.textContent);
+        assert.deepEqual(activeTags, ['Design']);
+    });
+});
@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDom, loadFixture } from './helpers/dom.js';
+
+createTestDom({ storage: { 'conference-app:storage-consent': 'granted' } });
+const { prepareConferenceData } = await import('../src/js/modules/dataService.js');
+const { setupTimeZone, getVenueTimeZone, getDisplayTimeZone, toConferenceDateTime, formatSessionTime, formatSessionTimeRange } = await import('../src/js/modules/timeZoneService.js');
+const { EVENTS, on } = await import('../src/js/modules/eventBus.js');
+
+/**
+ * Replaces the narrow spaces Intl puts around the dash of a range by plain ones
+ * @param {String} text - The formatted text
+ * @returns {String} The text with plain spaces
+ */
+const normalizeSpaces = (text) => text.replace(/\s/g, ' ');
+
+describe('timeZoneService', () => {
+    const conferenceData = prepareConferenceData(loadFixture('conference-data.json'));
+    
+    test('reads times as the viewer\'s local time until the venue time zone is known', () => {
+        assert.equal(getVenueTimeZone(), null);
+        assert.equal(toConferenceDateTime('July 15, 2025', '09:00').toISOString(), '2025-07-15T09:00:00.000Z');
+        assert.equal(formatSessionTime('July 15, 2025', '09:00', { withTimeZone: true }), '9:00 AM');
+        assert.ok(document.getElementById('time-zone-switcher').hidden);
+    });
+    
+    test('places times in the venue time zone and shows them in venue time', () => {
+        setupTimeZone(conferenceData);
+        
+        assert.equal(getVenueTimeZone(), 'Europe/Amsterdam');
+        assert.equal(getDisplayTimeZone(), 'Europe/Amsterdam');
+        assert.equal(toConferenceDateTime('July 15, 2025', '09:00').toISOString(), '2025-07-15T07:00:00.000Z');
+        assert.equal(formatSessionTime('July 15, 2025', '09:00'), '9:00 AM');
+        assert.equal(formatSessionTime('July 15, 2025', '09:00', { withTimeZone: true }), '9:00 AM GMT+2');
+        assert.equal(normalizeSpaces(formatSessionTimeRange('July 15, 2025', '09:00', '10:15')), '9:00 – 10:15 AM');
+    });
+    
+    test('offers venue and local time when the viewer is elsewhere', () => {
+        const switcherElement = document.getElementById('time-zone-switcher');
+        const cities = [...switcherElement.querySelectorAll('.time-zone-city')].map(element => element.textContent);
+        
+        assert.ok(!switcherElement.hidden);
+        assert.deepEqual(cities, ['Amsterdam', 'UTC']);
+        assert.equal(switcherElement.querySelector('[data-time-zone="venue"]').getAttribute('aria-pressed'), 'true');
+    });
+    
+    test('switches to local time, tells the other modules and remembers the choice', () => {
+        const timeZoneChanges = [];
+        on(EVENTS.TIME_ZONE_CHANGED, detail => timeZoneChanges.push(detail));
+        
+        document.querySelector('.time-zone-btn[data-time-zone="local"]').click();
+        
+        assert.deepEqual(timeZoneChanges, [{ mode: 'local', timeZone: undefined }]);
+        assert.equal(getDisplayTimeZone(), undefined);
+        assert.equal(formatSessionTime('July 15, 2025', '09:00'), '7:00 AM');
+        assert.equal(normalizeSpaces(formatSessionTimeRange('July 15, 2025', '09:00', '10:15')), '7:00 – 8:15 AM');
+        assert.equal(window.localStorage.getItem('conference-app:time-zone'), '"local"');
+        assert.equal(document.querySelector('.time-zone-btn[data-time-zone="local"]').getAttribute('aria-pressed'), 'true');
+    });
+    
+    test('marks times that fall on another day than the conference day', () => {
+        assert.equal(formatSessionTime('July 15, 2025', '01:00'), '11:00 PM (Mon)');
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Feedback Stub Server
+ * A small feedback endpoint for trying the REST feedback adapter locally.
+ * Ratings are kept in memory and logged; they are gone when the server stops.
+ *
+ * Usage: node tools/feedback-stub-server.mjs [port]
+ * Then add "feedbackEndpoint": "http://localhost:8081/feedback" to the conference data.
+ */
+import { createServer } from 'node:http';
+
+// Constants
+const DEFAULT_PORT = 8081;
+const FEEDBACK_PATH = '/feedback';
+const MAX_BODY_BYTES = 10000;
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// State variables
+const feedback = [];
+
+/**
+ * Sends a JSON response
+ * @param {ServerResponse} response - The response to write to
+ * @param {Number} status - The HTTP status
+ * @param {*} body - The JSON serializable body
+ */
+const sendJson = (response, status, body) => {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+};
+
+/**
+ * Reads the body of a request
+ * @param {IncomingMessage} request - The request
+ * @returns {Promise<String>} The body text
+ */
+const readBody = (request) => new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            reject(new Error('Request body too large'));
+            request.destroy();
+        }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+});
+
+/**
+ * Checks whether a posted value looks like a rating the app sends
+ * @param {*} entry - The parsed request body
+ * @returns {Boolean} True if the entry has a session ID and a rating from 1 to 5
+ */
+const isValidEntry = (entry) => {
+    return !!entry && typeof entry.sessionId === 'string' &&
+        Number.isInteger(entry.rating) && entry.rating >= 1 && entry.rating <= 5;
+};
+
+const server = createServer(async (request, response) => {
+    if (new URL(request.url, 'http://localhost').pathname !== FEEDBACK_PATH) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+    
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+    
+    if (request.method === 'GET') {
+        sendJson(response, 200, feedback);
+        return;
+    }
+    
+    if (request.method !== 'POST') {
+        sendJson(response, 405, { error: 'Method not allowed' });
+        return;
+    }
+    
+    try {
+        const entry = JSON.parse(await readBody(request));
+        if (!isValidEntry(entry)) {
+            sendJson(response, 400, { error: 'Expected a sessionId and a rating from 1 to 5' });
+            return;
+        }
+        
+        feedback.push({ ...entry, receivedAt: new Date().toISOString() });
+        console.log(`Rating ${entry.rating} for ${entry.sessionId}${entry.comment ? `: ${entry.comment}` : ''}`);
+        sendJson(response, 201, { received: feedback.length });
+    } catch (error) {
+        sendJson(response, 400, { error: error.message });
+    }
+});
+
+const port = Number(process.argv[2]) || DEFAULT_PORT;
+server.listen(port, () => {
+    console.log(`Feedback stub listening on http://localhost:${port}${FEEDBACK_PATH}`);
+});
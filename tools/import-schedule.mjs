@@ -0,0 +1,68 @@
+/**
+ * Schedule Import Tool
+ * Converts a Sessionize "All data" export, a CSV file or an iCalendar feed into conference data.
+ * Problems found on the way are listed; the conference data is only written when it is valid.
+ *
+ * Usage: node tools/import-schedule.mjs <file> [--format sessionize|csv|ics] [--out file]
+ *        [--name "Conference name"] [--timezone Europe/Amsterdam]
+ * e.g. node tools/import-schedule.mjs sessionize.json --timezone Europe/Amsterdam --out src/data/conference-data.json
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { IMPORTERS, ScheduleImportError, detectImportFormat, importSchedule } from '../src/js/modules/scheduleImport.js';
+
+const USAGE = 'Usage: node tools/import-schedule.mjs <file> [--format sessionize|csv|ics] [--out file] [--name "Conference name"] [--timezone Zone]';
+
+/**
+ * Lists import issues on stderr
+ * @param {Array} issues - Array of { severity, path, message } objects
+ */
+const printIssues = (issues) => {
+    issues.forEach(({ severity, path, message }) => {
+        console.error(`${severity === 'error' ? 'Error' : 'Warning'}: ${path}: ${message}`);
+    });
+};
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        format: { type: 'string' },
+        out: { type: 'string' },
+        name: { type: 'string' },
+        timezone: { type: 'string' }
+    }
+});
+
+if (positionals.length !== 1) {
+    console.error(USAGE);
+    process.exit(2);
+}
+
+const [inputPath] = positionals;
+const text = await readFile(inputPath, 'utf8');
+const format = options.format || detectImportFormat(inputPath, text);
+if (!IMPORTERS[format]) {
+    console.error(`Can't tell the format of ${inputPath}, pass --format ${Object.keys(IMPORTERS).join('|')}`);
+    process.exit(2);
+}
+
+try {
+    const { data, issues } = importSchedule(text, format, { conferenceName: options.name, timezone: options.timezone });
+    printIssues(issues);
+    
+    const json = `${JSON.stringify(data, null, 2)}\n`;
+    const sessionCount = data.days.reduce((count, day) => count + day.sessions.length, 0);
+    if (options.out) {
+        await writeFile(options.out, json);
+        console.error(`Imported ${sessionCount} sessions on ${data.days.length} days into ${options.out}`);
+    } else {
+        process.stdout.write(json);
+    }
+} catch (error) {
+    if (!(error instanceof ScheduleImportError)) {
+        throw error;
+    }
+    printIssues(error.issues);
+    console.error(error.message);
+    process.exit(1);
+}